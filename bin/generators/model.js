@@ -31,6 +31,76 @@ function generateModelClass(
 
   console.log("model config", modelConfig);
 
+  // Render a field definition and track its type. A MapField's nested
+  // `fields` schema and a ListField's `itemField` are rendered the same way.
+  const renderField = (fieldConfig, fieldPath) => {
+    // `encrypted: true` or `encrypted: { deterministic: true }` wraps the
+    // field in an EncryptedField
+    if (fieldConfig.encrypted) {
+      const { encrypted, ...innerConfig } = fieldConfig;
+      usedFields.add("EncryptedField");
+      const deterministic = encrypted.deterministic
+        ? ", deterministic: true"
+        : "";
+      return `EncryptedField({ field: ${renderField(innerConfig, fieldPath)}${deterministic} })`;
+    }
+
+    // Verify the field exists before using it
+    const fieldClass = fieldResolver.getFieldDefinition(fieldConfig.type);
+    if (!fieldClass) {
+      throw new Error(
+        `Field type '${fieldConfig.type}' not found for ${fieldPath}`,
+      );
+    }
+
+    // Track if this is a built-in or custom field
+    if (fieldResolver.isCustomField(fieldConfig.type)) {
+      customFields.add(fieldConfig.type);
+    } else {
+      usedFields.add(fieldConfig.type);
+    }
+
+    if (fieldConfig.type === "RelatedField") {
+      return `${fieldConfig.type}('${fieldConfig.model}', { required: ${!!fieldConfig.required} })`;
+    }
+
+    // Build options object from all field config properties except 'type'
+    const options = Object.entries(fieldConfig)
+      .filter(([key]) => key !== "type" && key !== "encrypted")
+      .map(([key, value]) => {
+        if (fieldConfig.type === "MapField" && key === "fields") {
+          const nestedFields = Object.entries(value).map(
+            ([nestedName, nestedConfig]) =>
+              `${nestedName}: ${renderField(nestedConfig, `${fieldPath}.${nestedName}`)}`,
+          );
+          return `${key}: { ${nestedFields.join(", ")} }`;
+        }
+        if (fieldConfig.type === "ListField" && key === "itemField") {
+          return `${key}: ${renderField(value, `${fieldPath}[]`)}`;
+        }
+        if (key === "offload" && typeof value === "object") {
+          const offloadOptions = Object.entries(value).map(
+            ([optionName, optionValue]) => `${optionName}: ${optionValue}`,
+          );
+          return `${key}: { ${offloadOptions.join(", ")} }`;
+        }
+        if (key === "computed") {
+          return `${key}: { from: ${JSON.stringify(value.from)}, fn: '${value.fn}' }`;
+        }
+        if (key === "pattern") return `${key}: ${new RegExp(value)}`;
+        if (value instanceof Date) {
+          return `${key}: new Date('${value.toISOString()}')`;
+        }
+        // Handle different types of values
+        if (typeof value === "string") return `${key}: '${value}'`;
+        if (Array.isArray(value)) return `${key}: ${JSON.stringify(value)}`;
+        return `${key}: ${value}`;
+      });
+
+    const optionsStr = options.length ? `{ ${options.join(", ")} }` : "";
+    return `${fieldConfig.type}(${optionsStr})`;
+  };
+
   // Generate fields and track used field types
   const fields = Object.entries(modelConfig.fields || {})
     .map(([fieldName, fieldConfig]) => {
@@ -43,37 +113,7 @@ function generateModelClass(
         };
       }
 
-      // Verify the field exists before using it
-      const fieldClass = fieldResolver.getFieldDefinition(fieldConfig.type);
-      if (!fieldClass) {
-        throw new Error(
-          `Field type '${fieldConfig.type}' not found for ${modelName}.${fieldName}`,
-        );
-      }
-
-      // Track if this is a built-in or custom field
-      if (fieldResolver.isCustomField(fieldConfig.type)) {
-        customFields.add(fieldConfig.type);
-      } else {
-        usedFields.add(fieldConfig.type);
-      }
-
-      if (fieldConfig.type === "RelatedField") {
-        return `    ${fieldName}: ${fieldConfig.type}('${fieldConfig.model}', { required: ${!!fieldConfig.required} }),`;
-      }
-
-      // Build options object from all field config properties except 'type'
-      const options = Object.entries(fieldConfig)
-        .filter(([key]) => key !== "type")
-        .map(([key, value]) => {
-          // Handle different types of values
-          if (typeof value === "string") return `${key}: '${value}'`;
-          if (Array.isArray(value)) return `${key}: ${JSON.stringify(value)}`;
-          return `${key}: ${value}`;
-        });
-
-      const optionsStr = options.length ? `{ ${options.join(", ")} }` : "";
-      return `    ${fieldName}: ${fieldConfig.type}(${optionsStr}),`;
+      return `    ${fieldName}: ${renderField(fieldConfig, `${modelName}.${fieldName}`)},`;
     })
     .join("\n");
 
@@ -103,7 +143,24 @@ function generateModelClass(
           }
           const indexId = `GSI_INDEX_ID${indexNum[1]}`;
           constantImports.add(indexId);
-          return `    ${indexName}: IndexConfig('${indexConfig.partitionKey}', '${indexConfig.sortKey}', ${indexId}),`;
+          const optionParts = [];
+          if (indexConfig.geohashPrecision) {
+            optionParts.push(
+              `geohashPrecision: ${indexConfig.geohashPrecision}`,
+            );
+          }
+          if (indexConfig.when) {
+            optionParts.push(`when: ${JSON.stringify(indexConfig.when)}`);
+          }
+          const indexOptions = optionParts.length
+            ? `, { ${optionParts.join(", ")} }`
+            : "";
+          // A composite key is a list of fields
+          const renderKey = (key) =>
+            Array.isArray(key)
+              ? `[${key.map((fieldName) => `'${fieldName}'`).join(", ")}]`
+              : `'${key}'`;
+          return `    ${indexName}: IndexConfig(${renderKey(indexConfig.partitionKey)}, ${renderKey(indexConfig.sortKey)}, ${indexId}${indexOptions}),`;
         })
         .join("\n")
     : "";
@@ -139,6 +196,48 @@ function generateModelClass(
     ? JSON.stringify(modelConfig.searchable)
     : "null";
 
+  // Soft delete, audit and versioning settings are validated by
+  // applyModelDefaults. Only emitted when enabled, since BaoModel defaults to
+  // hard deletes and keeps no history or earlier versions.
+  const softDeleteLine = modelConfig.softDelete
+    ? `\n  static softDelete = ${JSON.stringify(modelConfig.softDelete)};`
+    : "";
+  const auditLine =
+    modelConfig.audit === true ? "\n  static audit = true;" : "";
+  const versionedLine = modelConfig.versioned
+    ? `\n  static versioned = ${JSON.stringify(modelConfig.versioned)};`
+    : "";
+  // Names of validators added with registerModelValidator()
+  const validatorsLine = modelConfig.validators?.length
+    ? `\n  static validators = ${JSON.stringify(modelConfig.validators)};`
+    : "";
+
+  // Each EnumField gets a frozen object of constants named after the field,
+  // e.g. `static Status = { DRAFT: "draft", ..., values: [...] }`
+  const enumConstants = Object.entries(modelConfig.fields || {})
+    .filter(([, fieldConfig]) => fieldConfig.type === "EnumField")
+    .map(([fieldName, fieldConfig]) => {
+      const constants = {};
+      for (const value of fieldConfig.values) {
+        const key = enumValueKey(value);
+        if (!key || constants[key] !== undefined) {
+          throw new Error(
+            `EnumField value "${value}" of ${modelName}.${fieldName} does not give a unique constant name`,
+          );
+        }
+        constants[key] = value;
+      }
+      const entries = Object.entries(constants).map(
+        ([key, value]) => `${key}: ${JSON.stringify(value)}`,
+      );
+      entries.push(
+        `values: Object.freeze(${JSON.stringify(fieldConfig.values)})`,
+      );
+      const constantName = fieldName[0].toUpperCase() + fieldName.slice(1);
+      return `  static ${constantName} = Object.freeze({ ${entries.join(", ")} });`;
+    })
+    .join("\n");
+
   // Always need these
   baseImports.add("PrimaryKeyConfig");
   if (indexes) baseImports.add("IndexConfig");
@@ -151,7 +250,9 @@ function generateModelClass(
     allModels,
   );
   const uniqueConstraintMethods = generateUniqueConstraintMethods(modelConfig);
+  const geoQueryMethods = generateGeoQueryMethods(modelConfig);
   const relatedFieldMethods = generateRelatedFieldMethods(modelConfig.fields);
+  const blobFieldMethods = generateBlobFieldMethods(modelConfig.fields);
 
   // Generate import statements
   const baseImportStr = Array.from(baseImports).join(",\n  ");
@@ -248,24 +349,34 @@ class ${modelName} extends BaoModel {
   static iterable = ${iterable};
   static iterationBuckets = ${iterationBuckets};
   static searchable = ${searchable};
-  static searchConfig = ${searchConfigLiteral};
+  static searchConfig = ${searchConfigLiteral};${softDeleteLine}${auditLine}${versionedLine}${validatorsLine}
 
   static fields = {
 ${fields}
-  };
+  };${enumConstants ? `\n\n${enumConstants}` : ""}
 
   static primaryKey = ${primaryKeyConfig};
 ${indexes ? `\n  static indexes = {\n${indexes}\n  };` : ""}
 ${uniqueConstraints ? `\n  static uniqueConstraints = {\n${uniqueConstraints}\n  };` : ""}
 ${queryMethods}
-${uniqueConstraintMethods}
-${relatedFieldMethods}
+${uniqueConstraintMethods}${geoQueryMethods}
+${relatedFieldMethods}${blobFieldMethods}
 }
 
 ${exportSection}
 `;
 }
 
+// Constant name for an enum value: "inReview" and "in-review" become IN_REVIEW
+function enumValueKey(value) {
+  const key = value
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toUpperCase();
+  return /^[0-9]/.test(key) ? `_${key}` : key;
+}
+
 function generateUniqueConstraintMethods(modelConfig) {
   if (!modelConfig.uniqueConstraints) return "";
 
@@ -280,6 +391,27 @@ function generateUniqueConstraintMethods(modelConfig) {
     .join("\n");
 }
 
+// Geo indexes get a queryNearby method. With more than one, each method is
+// named after its index, e.g. queryNearbyByPickup.
+function generateGeoQueryMethods(modelConfig) {
+  const geoIndexes = Object.entries(modelConfig.indexes || {}).filter(
+    ([, index]) => index !== "primaryKey" && index.geohashPrecision,
+  );
+
+  return geoIndexes
+    .map(([indexName]) => {
+      const suffix =
+        geoIndexes.length > 1
+          ? indexName.charAt(0).toUpperCase() + indexName.slice(1)
+          : "";
+      return `
+  static async ${codeGenPrefix}queryNearby${suffix}(center, options = {}) {
+    return await this.queryNearbyByIndex('${indexName}', center, options);
+  }`;
+    })
+    .join("\n");
+}
+
 function generateModelFiles(models, outputDir, fieldResolver, moduleSystem = 'commonjs') {
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
@@ -505,4 +637,25 @@ function generateRelatedFieldMethods(fields) {
   return methods.join("\n");
 }
 
+// Getters that load the values of offloaded fields from the blob store
+function generateBlobFieldMethods(fields) {
+  if (!fields) return "";
+
+  const methods = [];
+
+  Object.entries(fields).forEach(([fieldName, fieldConfig]) => {
+    if (fieldConfig.offload) {
+      const capitalizedName =
+        fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+
+      methods.push(`
+  async ${codeGenPrefix}get${capitalizedName}() {
+    return await this.getOrLoadBlob('${fieldName}');
+  }`);
+    }
+  });
+
+  return methods.join("\n");
+}
+
 module.exports = { generateModelFiles };
@@ -9,6 +9,15 @@ const SEARCHABLE_KNOWN_OPTIONS = new Set([
   "dedupe",
 ]);
 
+const SOFT_DELETE_KNOWN_OPTIONS = new Set(["ttlDays", "uniqueConstraints"]);
+const SOFT_DELETE_UNIQUE_POLICIES = ["release", "retain"];
+const VERSIONED_KNOWN_OPTIONS = new Set(["keep"]);
+const VERSIONED_DEFAULT_KEEP = 10;
+// Deleting an item removes its versions in the same transaction, which also
+// holds the item, its unique constraint rows and its history entry; DynamoDB
+// allows 100 operations per transaction
+const VERSIONED_MAX_KEEP = 90;
+
 function applyIterableDefaults(modelDef) {
   // Default `iterable` to false. Iteration adds a per-row write to the
   // iter_search_index GSI on every save, doubling write cost — opt-in is
@@ -106,10 +115,535 @@ function validateSearchable(modelName, modelDef) {
   };
 }
 
+function validateSoftDelete(modelName, modelDef) {
+  const raw = modelDef.softDelete;
+
+  if (raw === undefined || raw === false) {
+    modelDef.softDelete = false;
+    return;
+  }
+
+  const options = raw === true ? {} : raw;
+  if (
+    typeof options !== "object" ||
+    options === null ||
+    Array.isArray(options)
+  ) {
+    throw new Error(
+      `Model "${modelName}": \`softDelete\` must be either a boolean or an object. Got ${typeof raw}.`,
+    );
+  }
+
+  for (const key of Object.keys(options)) {
+    if (!SOFT_DELETE_KNOWN_OPTIONS.has(key)) {
+      throw new Error(
+        `Model "${modelName}": \`softDelete\` has unknown option "${key}". ` +
+          `Known options: ${Array.from(SOFT_DELETE_KNOWN_OPTIONS).join(", ")}.`,
+      );
+    }
+  }
+
+  if (options.ttlDays !== undefined) {
+    const n = options.ttlDays;
+    if (typeof n !== "number" || !(n > 0)) {
+      throw new Error(
+        `Model "${modelName}": \`softDelete.ttlDays\` must be a positive number.`,
+      );
+    }
+    // Both set the table's `ttl` attribute
+    if (
+      Object.values(modelDef.fields || {}).some(
+        (fieldDef) => fieldDef?.type === "TtlField",
+      )
+    ) {
+      throw new Error(
+        `Model "${modelName}": \`softDelete.ttlDays\` cannot be used on a model with a TtlField.`,
+      );
+    }
+  }
+
+  if (
+    options.uniqueConstraints !== undefined &&
+    !SOFT_DELETE_UNIQUE_POLICIES.includes(options.uniqueConstraints)
+  ) {
+    throw new Error(
+      `Model "${modelName}": \`softDelete.uniqueConstraints\` must be one of ` +
+        `${SOFT_DELETE_UNIQUE_POLICIES.join(", ")}.`,
+    );
+  }
+
+  // TTL removes the item without releasing its retained constraint rows
+  if (options.ttlDays !== undefined && options.uniqueConstraints === "retain") {
+    throw new Error(
+      `Model "${modelName}": \`softDelete.ttlDays\` cannot be used with \`uniqueConstraints: retain\`, since the values would stay reserved after DynamoDB removes the item.`,
+    );
+  }
+
+  modelDef.softDelete = {
+    ttlDays: options.ttlDays === undefined ? null : options.ttlDays,
+    uniqueConstraints: options.uniqueConstraints || "release",
+  };
+}
+
+function validateAudit(modelName, modelDef) {
+  if (modelDef.audit === undefined) {
+    modelDef.audit = false;
+    return;
+  }
+  if (typeof modelDef.audit !== "boolean") {
+    throw new Error(
+      `Model "${modelName}": \`audit\` must be a boolean. Got ${typeof modelDef.audit}.`,
+    );
+  }
+}
+
+function validateVersioned(modelName, modelDef) {
+  const raw = modelDef.versioned;
+
+  if (raw === undefined || raw === false) {
+    modelDef.versioned = false;
+    return;
+  }
+
+  const options = raw === true ? {} : raw;
+  if (
+    typeof options !== "object" ||
+    options === null ||
+    Array.isArray(options)
+  ) {
+    throw new Error(
+      `Model "${modelName}": \`versioned\` must be either a boolean or an object. Got ${typeof raw}.`,
+    );
+  }
+
+  for (const key of Object.keys(options)) {
+    if (!VERSIONED_KNOWN_OPTIONS.has(key)) {
+      throw new Error(
+        `Model "${modelName}": \`versioned\` has unknown option "${key}". ` +
+          `Known options: ${Array.from(VERSIONED_KNOWN_OPTIONS).join(", ")}.`,
+      );
+    }
+  }
+
+  const keep =
+    options.keep === undefined ? VERSIONED_DEFAULT_KEEP : options.keep;
+  if (!Number.isInteger(keep) || keep < 1 || keep > VERSIONED_MAX_KEEP) {
+    throw new Error(
+      `Model "${modelName}": \`versioned.keep\` must be an integer from 1 to ${VERSIONED_MAX_KEEP}.`,
+    );
+  }
+
+  modelDef.versioned = { keep };
+}
+
+function validateEnumFields(modelName, modelDef) {
+  for (const [fieldName, fieldDef] of Object.entries(modelDef.fields || {})) {
+    if (!fieldDef || fieldDef.type !== "EnumField") continue;
+
+    const values = fieldDef.values;
+    if (
+      !Array.isArray(values) ||
+      values.length === 0 ||
+      !values.every((value) => typeof value === "string")
+    ) {
+      throw new Error(
+        `Model "${modelName}": EnumField "${fieldName}" needs \`values\`, a non-empty array of strings.`,
+      );
+    }
+    const duplicate = values.find((value, i) => values.indexOf(value) !== i);
+    if (duplicate !== undefined) {
+      throw new Error(
+        `Model "${modelName}": EnumField "${fieldName}" lists "${duplicate}" more than once.`,
+      );
+    }
+  }
+}
+
+// A composite partitionKey or sortKey lists fields of the model
+function validateCompositeIndexes(modelName, modelDef) {
+  for (const [indexName, index] of Object.entries(modelDef.indexes || {})) {
+    if (!index || typeof index !== "object") continue;
+
+    for (const keyName of ["partitionKey", "sortKey"]) {
+      const key = index[keyName];
+      if (!Array.isArray(key)) continue;
+      if (
+        key.length === 0 ||
+        new Set(key).size !== key.length ||
+        key.some((fieldName) => !modelDef.fields?.[fieldName])
+      ) {
+        throw new Error(
+          `Model "${modelName}": index "${indexName}" ${keyName} must be a field name, or a list of different fields of the model.`,
+        );
+      }
+    }
+  }
+}
+
+// The `when` condition of a sparse index is a filter on fields of the model
+function validateSparseIndexes(modelName, modelDef) {
+  for (const [indexName, index] of Object.entries(modelDef.indexes || {})) {
+    if (!index || typeof index !== "object" || index.when === undefined) {
+      continue;
+    }
+
+    const fieldNames = [];
+    const collect = (condition) => {
+      if (!condition || typeof condition !== "object") return false;
+      return Object.entries(condition).every(([key, value]) => {
+        if (key === "$and" || key === "$or") {
+          return Array.isArray(value) && value.every(collect);
+        }
+        if (key === "$not") return collect(value);
+        fieldNames.push(key.split(".")[0]);
+        return true;
+      });
+    };
+    if (
+      Array.isArray(index.when) ||
+      !collect(index.when) ||
+      fieldNames.length === 0
+    ) {
+      throw new Error(
+        `Model "${modelName}": index "${indexName}" \`when\` must be a filter, such as { status: open }.`,
+      );
+    }
+    const unknown = fieldNames.find(
+      (fieldName) => !modelDef.fields?.[fieldName],
+    );
+    if (unknown !== undefined) {
+      throw new Error(
+        `Model "${modelName}": index "${indexName}" \`when\` refers to "${unknown}", which isn't a field of the model.`,
+      );
+    }
+  }
+}
+
+function validateGeoIndexes(modelName, modelDef) {
+  for (const [indexName, index] of Object.entries(modelDef.indexes || {})) {
+    if (!index || index.geohashPrecision === undefined) continue;
+
+    const precision = index.geohashPrecision;
+    if (!Number.isInteger(precision) || precision < 1 || precision > 12) {
+      throw new Error(
+        `Model "${modelName}": index "${indexName}" geohashPrecision must be an integer between 1 and 12.`,
+      );
+    }
+    const pkType = modelDef.fields?.[index.partitionKey]?.type;
+    if (pkType !== "GeoPointField") {
+      throw new Error(
+        `Model "${modelName}": index "${indexName}" has a geohashPrecision, so its partitionKey must be a GeoPointField.`,
+      );
+    }
+  }
+}
+
+// Field types whose values can't be stored as a single encrypted string
+const UNENCRYPTABLE_FIELD_TYPES = new Set([
+  "StringSetField",
+  "NumberSetField",
+  "BinarySetField",
+  "MapField",
+  "ListField",
+  "CounterField",
+  "RelatedField",
+  "VersionField",
+  "TtlField",
+]);
+
+function validateEncryptedFields(modelName, modelDef) {
+  const deterministic = new Set();
+  for (const [fieldName, fieldDef] of Object.entries(modelDef.fields || {})) {
+    if (!fieldDef || !fieldDef.encrypted) continue;
+
+    const { encrypted } = fieldDef;
+    if (
+      encrypted !== true &&
+      !(
+        typeof encrypted === "object" &&
+        Object.keys(encrypted).every((key) => key === "deterministic") &&
+        typeof (encrypted.deterministic ?? false) === "boolean"
+      )
+    ) {
+      throw new Error(
+        `Model "${modelName}": field "${fieldName}" \`encrypted\` must be true or { deterministic: true|false }.`,
+      );
+    }
+    if (UNENCRYPTABLE_FIELD_TYPES.has(fieldDef.type)) {
+      throw new Error(
+        `Model "${modelName}": ${fieldDef.type} "${fieldName}" cannot be encrypted.`,
+      );
+    }
+    if (
+      fieldName === modelDef.primaryKey?.partitionKey ||
+      fieldName === modelDef.primaryKey?.sortKey
+    ) {
+      throw new Error(
+        `Model "${modelName}": encrypted field "${fieldName}" cannot be part of the primary key.`,
+      );
+    }
+    if (encrypted.deterministic) deterministic.add(fieldName);
+  }
+
+  const isRandomized = (fieldName) =>
+    !!modelDef.fields?.[fieldName]?.encrypted && !deterministic.has(fieldName);
+  for (const [indexName, index] of Object.entries(modelDef.indexes || {})) {
+    if (!index || typeof index !== "object") continue;
+    if (
+      [].concat(index.partitionKey).some(isRandomized) ||
+      []
+        .concat(index.sortKey)
+        .some((fieldName) => modelDef.fields?.[fieldName]?.encrypted)
+    ) {
+      throw new Error(
+        `Model "${modelName}": index "${indexName}" can only use an encrypted field as partitionKey, with \`encrypted: { deterministic: true }\`.`,
+      );
+    }
+  }
+  for (const [constraintName, constraint] of Object.entries(
+    modelDef.uniqueConstraints || {},
+  )) {
+    if (isRandomized(constraint.field)) {
+      throw new Error(
+        `Model "${modelName}": unique constraint "${constraintName}" needs field "${constraint.field}" to be \`encrypted: { deterministic: true }\`.`,
+      );
+    }
+  }
+}
+
+const COMPRESSIBLE_FIELD_TYPES = new Set([
+  "StringField",
+  "BinaryField",
+  "MapField",
+]);
+
+// Fields used in the primary key, an index key or a unique constraint
+function getKeyFieldNames(modelDef) {
+  return new Set([
+    modelDef.primaryKey?.partitionKey,
+    modelDef.primaryKey?.sortKey,
+    ...Object.values(modelDef.indexes || {}).flatMap((index) =>
+      index && typeof index === "object"
+        ? [].concat(index.partitionKey, index.sortKey)
+        : [],
+    ),
+    ...Object.values(modelDef.uniqueConstraints || {}).map(
+      (constraint) => constraint.field,
+    ),
+  ]);
+}
+
+function validateCompressedFields(modelName, modelDef) {
+  const keyFields = getKeyFieldNames(modelDef);
+
+  for (const [fieldName, fieldDef] of Object.entries(modelDef.fields || {})) {
+    if (!fieldDef || fieldDef.compress === undefined) continue;
+
+    if (!COMPRESSIBLE_FIELD_TYPES.has(fieldDef.type)) {
+      throw new Error(
+        `Model "${modelName}": field "${fieldName}" \`compress\` is only supported on StringField, BinaryField and MapField.`,
+      );
+    }
+    if (!["gzip", "brotli"].includes(fieldDef.compress)) {
+      throw new Error(
+        `Model "${modelName}": field "${fieldName}" \`compress\` must be gzip or brotli.`,
+      );
+    }
+    const threshold = fieldDef.compressThreshold;
+    if (
+      threshold !== undefined &&
+      (!Number.isInteger(threshold) || threshold < 0)
+    ) {
+      throw new Error(
+        `Model "${modelName}": field "${fieldName}" \`compressThreshold\` must be a non-negative integer (bytes).`,
+      );
+    }
+    if (keyFields.has(fieldName)) {
+      throw new Error(
+        `Model "${modelName}": compressed field "${fieldName}" cannot be used in a primary key, index or unique constraint.`,
+      );
+    }
+    if (modelDef.searchable?.fields?.includes(fieldName)) {
+      throw new Error(
+        `Model "${modelName}": compressed field "${fieldName}" cannot be searchable.`,
+      );
+    }
+  }
+}
+
+function validateOffloadedFields(modelName, modelDef) {
+  const keyFields = getKeyFieldNames(modelDef);
+
+  for (const [fieldName, fieldDef] of Object.entries(modelDef.fields || {})) {
+    if (!fieldDef || fieldDef.offload === undefined) continue;
+
+    if (!COMPRESSIBLE_FIELD_TYPES.has(fieldDef.type) || fieldDef.encrypted) {
+      throw new Error(
+        `Model "${modelName}": field "${fieldName}" \`offload\` is only supported on StringField, BinaryField and MapField, and not with \`encrypted\`.`,
+      );
+    }
+    const { offload } = fieldDef;
+    if (
+      offload !== true &&
+      (!offload ||
+        typeof offload !== "object" ||
+        Object.keys(offload).some((key) => key !== "thresholdBytes") ||
+        (offload.thresholdBytes !== undefined &&
+          (!Number.isInteger(offload.thresholdBytes) ||
+            offload.thresholdBytes < 0)))
+    ) {
+      throw new Error(
+        `Model "${modelName}": field "${fieldName}" \`offload\` must be true or { thresholdBytes }, with thresholdBytes a non-negative integer.`,
+      );
+    }
+    if (keyFields.has(fieldName)) {
+      throw new Error(
+        `Model "${modelName}": offloaded field "${fieldName}" cannot be used in a primary key, index or unique constraint.`,
+      );
+    }
+    if (modelDef.searchable?.fields?.includes(fieldName)) {
+      throw new Error(
+        `Model "${modelName}": offloaded field "${fieldName}" cannot be searchable.`,
+      );
+    }
+    if (modelDef.audit || modelDef.versioned) {
+      throw new Error(
+        `Model "${modelName}": offloaded field "${fieldName}" cannot be used on an audited or versioned model.`,
+      );
+    }
+    // TTL removes soft deleted items without a purge, which would leave
+    // their blobs behind
+    if (modelDef.softDelete?.ttlDays) {
+      throw new Error(
+        `Model "${modelName}": offloaded field "${fieldName}" cannot be used with \`softDelete.ttlDays\`.`,
+      );
+    }
+  }
+}
+
+// YAML reads unquoted dates, such as `min: 2024-01-01`, as Date objects
+function isValidBound(value) {
+  return (
+    (typeof value === "number" && Number.isFinite(value)) ||
+    (value instanceof Date && !Number.isNaN(value.getTime())) ||
+    (typeof value === "string" && !Number.isNaN(new Date(value).getTime()))
+  );
+}
+
+function validateFieldValidators(modelName, modelDef) {
+  for (const [fieldName, fieldDef] of Object.entries(modelDef.fields || {})) {
+    if (!fieldDef) continue;
+    const prefix = `Model "${modelName}": field "${fieldName}"`;
+
+    for (const name of ["minLength", "maxLength"]) {
+      const value = fieldDef[name];
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(
+          `${prefix} \`${name}\` must be a non-negative integer.`,
+        );
+      }
+    }
+    if (fieldDef.pattern !== undefined) {
+      let error = null;
+      try {
+        new RegExp(fieldDef.pattern);
+      } catch (e) {
+        error = e;
+      }
+      if (typeof fieldDef.pattern !== "string" || error) {
+        throw new Error(
+          `${prefix} \`pattern\` must be a regular expression string${error ? ` (${error.message})` : ""}.`,
+        );
+      }
+    }
+    for (const name of ["min", "max"]) {
+      if (fieldDef[name] !== undefined && !isValidBound(fieldDef[name])) {
+        throw new Error(`${prefix} \`${name}\` must be a number or a date.`);
+      }
+    }
+    if (
+      fieldDef.oneOf !== undefined &&
+      (!Array.isArray(fieldDef.oneOf) || fieldDef.oneOf.length === 0)
+    ) {
+      throw new Error(`${prefix} \`oneOf\` must be a non-empty array.`);
+    }
+    if (
+      fieldDef.custom !== undefined &&
+      (typeof fieldDef.custom !== "string" || !fieldDef.custom)
+    ) {
+      throw new Error(
+        `${prefix} \`custom\` must be the name of a registered validator.`,
+      );
+    }
+  }
+}
+
+function validateComputedFields(modelName, modelDef) {
+  const fields = modelDef.fields || {};
+  const { partitionKey, sortKey } = modelDef.primaryKey || {};
+
+  for (const [fieldName, fieldDef] of Object.entries(fields)) {
+    if (!fieldDef || fieldDef.computed === undefined) continue;
+    const prefix = `Model "${modelName}": computed field "${fieldName}"`;
+
+    const { computed } = fieldDef;
+    if (
+      !computed ||
+      typeof computed !== "object" ||
+      Object.keys(computed).some((key) => key !== "from" && key !== "fn") ||
+      !Array.isArray(computed.from) ||
+      computed.from.length === 0 ||
+      typeof computed.fn !== "string" ||
+      !computed.fn
+    ) {
+      throw new Error(
+        `${prefix} needs \`computed: { from, fn }\`, with \`from\` a list of field names and \`fn\` the name of a function added with registerComputeFunction().`,
+      );
+    }
+    for (const sourceName of computed.from) {
+      const source = fields[sourceName];
+      if (!source || source.computed !== undefined || source.offload) {
+        throw new Error(
+          `${prefix} can only be computed from fields of the model that aren't computed or offloaded, not "${sourceName}".`,
+        );
+      }
+    }
+    if (fieldName === partitionKey || fieldName === sortKey) {
+      throw new Error(`${prefix} cannot be used in the primary key.`);
+    }
+  }
+}
+
+function validateModelValidators(modelName, modelDef) {
+  const { validators } = modelDef;
+  if (validators === undefined) return;
+  if (
+    !Array.isArray(validators) ||
+    !validators.every((name) => typeof name === "string" && name)
+  ) {
+    throw new Error(
+      `Model "${modelName}": \`validators\` must be a list of names of validators added with registerModelValidator().`,
+    );
+  }
+}
+
 function applyModelDefaults(models) {
   for (const [modelName, modelDef] of Object.entries(models)) {
     applyIterableDefaults(modelDef);
     validateSearchable(modelName, modelDef);
+    validateSoftDelete(modelName, modelDef);
+    validateAudit(modelName, modelDef);
+    validateVersioned(modelName, modelDef);
+    validateEnumFields(modelName, modelDef);
+    validateCompositeIndexes(modelName, modelDef);
+    validateSparseIndexes(modelName, modelDef);
+    validateGeoIndexes(modelName, modelDef);
+    validateEncryptedFields(modelName, modelDef);
+    validateCompressedFields(modelName, modelDef);
+    validateOffloadedFields(modelName, modelDef);
+    validateFieldValidators(modelName, modelDef);
+    validateComputedFields(modelName, modelDef);
+    validateModelValidators(modelName, modelDef);
     // searchable on a non-iterable model is a supported combination
     // (partition-scoped _searchText filtering), but searchAll/searchBucket
     // require iteration buckets and will throw at runtime. Warn so users
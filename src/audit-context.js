@@ -0,0 +1,45 @@
+// Request-scoped principal, recorded as the actor on audit history rows
+let AsyncLocalStorage;
+try {
+  AsyncLocalStorage = require("node:async_hooks").AsyncLocalStorage;
+} catch (e) {
+  // Fallback for environments without AsyncLocalStorage
+  AsyncLocalStorage = null;
+}
+
+const principalContext = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+/**
+ * Run a function on behalf of a principal. Writes to models with `audit`
+ * enabled made inside the function record the principal as the actor of their
+ * history rows. Calls can be nested; the innermost principal wins.
+ *
+ * @param {*} principal - Who is making the changes, e.g. a user id or
+ *   `{ userId, ip }`. Stored as-is on each history row.
+ * @param {Function} fn - Function to run with the principal
+ * @returns {*} Result of the function
+ *
+ * @example
+ * import { runWithPrincipal } from "dynamo-bao";
+ *
+ * app.use((req, res, next) => runWithPrincipal(req.user.id, next));
+ */
+function runWithPrincipal(principal, fn) {
+  if (!principalContext) {
+    return fn();
+  }
+  return principalContext.run({ principal }, fn);
+}
+
+/**
+ * Get the principal set by the closest enclosing {@link runWithPrincipal}.
+ * @returns {*} The principal, or null outside runWithPrincipal
+ */
+function getCurrentPrincipal() {
+  return principalContext?.getStore()?.principal ?? null;
+}
+
+module.exports = {
+  runWithPrincipal,
+  getCurrentPrincipal,
+};
@@ -0,0 +1,183 @@
+// Blob storage for fields with the `offload` option. Values at least the
+// field's `thresholdBytes` in size are written to the blob store when the
+// item is saved, and the item keeps a small pointer in their place:
+//   { _baoBlob: <blob key>, type: "S" | "B" | "M", size: <bytes> }
+// The type records how the stored bytes decode: as a UTF-8 string, as raw
+// binary (including values compressed by the `compress` option), or as a
+// map in DynamoDB JSON, so lists, sets and numbers keep their type.
+//
+// A blob store is any object with these async methods:
+//   put(key, bytes)  store a Buffer under the key, replacing any blob there
+//   get(key)         resolve to the Buffer, or null if there is none
+//   delete(key)      remove the blob; succeed if there is none
+// Keys are "/"-separated segments of letters, digits, ".", "-" and "_".
+
+const path = require("path");
+const { marshall, unmarshall } = require("./dynamodb-client");
+const { ConfigurationError, DataFormatError } = require("./exceptions");
+
+const BLOB_KEY_SEGMENT_REGEX = /^[A-Za-z0-9._-]+$/;
+const BLOB_TYPES = ["S", "B", "M"];
+
+let blobStore = null;
+
+// Loaded on first use, like node:crypto in src/encryption.js
+let fs;
+function getFs() {
+  if (!fs) fs = require("node:fs/promises");
+  return fs;
+}
+
+/**
+ * Set the blob store used by every field with the `offload` option.
+ *
+ * @param {Object|null} store - The blob store, or null to clear it
+ *
+ * @example
+ * setBlobStore(new LocalBlobStore({ directory: "./data/blobs" }));
+ */
+function setBlobStore(store) {
+  if (
+    store !== null &&
+    (!store ||
+      typeof store.put !== "function" ||
+      typeof store.get !== "function" ||
+      typeof store.delete !== "function")
+  ) {
+    throw new ConfigurationError(
+      "A blob store needs put(key, bytes), get(key) and delete(key) functions",
+    );
+  }
+  blobStore = store;
+}
+
+function getBlobStore() {
+  if (!blobStore) {
+    throw new ConfigurationError(
+      "No blob store is set. Pass `blobStore` to initModels or call setBlobStore()",
+    );
+  }
+  return blobStore;
+}
+
+/**
+ * A blob store that keeps each blob in a file under a local directory. Blob
+ * keys become relative paths, so `post/body/01J...` is stored at
+ * `<directory>/post/body/01J...`. Blobs are written to a temporary file and
+ * renamed into place, so a blob is never read half written.
+ *
+ * @example
+ * const store = new LocalBlobStore({ directory: "/var/lib/myapp/blobs" });
+ */
+class LocalBlobStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - The directory to keep blobs in. It's
+   *   created when the first blob is written.
+   */
+  constructor({ directory } = {}) {
+    if (!directory || typeof directory !== "string") {
+      throw new ConfigurationError("LocalBlobStore requires a `directory`");
+    }
+    this.directory = path.resolve(directory);
+  }
+
+  _pathFor(key) {
+    const segments = typeof key === "string" ? key.split("/") : [];
+    if (
+      segments.length === 0 ||
+      !segments.every(
+        (segment) =>
+          BLOB_KEY_SEGMENT_REGEX.test(segment) &&
+          segment !== "." &&
+          segment !== "..",
+      )
+    ) {
+      throw new ConfigurationError(`Invalid blob key "${key}"`);
+    }
+    return path.join(this.directory, ...segments);
+  }
+
+  async put(key, bytes) {
+    const fs = getFs();
+    const filePath = this._pathFor(key);
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.writeFile(tempPath, bytes);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async get(key) {
+    try {
+      return await getFs().readFile(this._pathFor(key));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await getFs().rm(this._pathFor(key), { force: true });
+  }
+}
+
+function isBlobPointer(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value._baoBlob === "string" &&
+    BLOB_TYPES.includes(value.type)
+  );
+}
+
+/**
+ * Convert a stored value to the bytes written to the blob store.
+ * @param {string|Uint8Array|Object} dyValue - The value as it would be stored
+ *   in the item
+ * @returns {{type: string, bytes: Buffer}}
+ */
+function encodeBlob(dyValue) {
+  if (typeof dyValue === "string") {
+    return { type: "S", bytes: Buffer.from(dyValue, "utf8") };
+  }
+  if (dyValue instanceof Uint8Array) {
+    return { type: "B", bytes: Buffer.from(dyValue) };
+  }
+  const json = JSON.stringify(marshall(dyValue).M);
+  return { type: "M", bytes: Buffer.from(json, "utf8") };
+}
+
+/**
+ * Convert the bytes of a blob back to the value it replaced in the item.
+ * @param {Object} pointer - The pointer stored in the item
+ * @param {Buffer} bytes - The blob's bytes
+ * @returns {string|Buffer|Object}
+ * @throws {DataFormatError} If a map blob isn't valid DynamoDB JSON
+ */
+function decodeBlob(pointer, bytes) {
+  if (pointer.type === "S") return bytes.toString("utf8");
+  if (pointer.type === "B") return bytes;
+  try {
+    return unmarshall({ M: JSON.parse(bytes.toString("utf8")) });
+  } catch (error) {
+    throw new DataFormatError(
+      `Blob "${pointer._baoBlob}" is not a valid map: ${error.message}`,
+      pointer,
+      "DynamoDB JSON",
+    );
+  }
+}
+
+module.exports = {
+  setBlobStore,
+  getBlobStore,
+  LocalBlobStore,
+  isBlobPointer,
+  encodeBlob,
+  decodeBlob,
+};
@@ -0,0 +1,95 @@
+// Computed fields. A field with the `computed` option stores a value derived
+// from other fields of the item:
+//   computed: { from: ["firstName", "lastName"], fn: "fullName" }
+// `fn` is a function, or the name of one added with registerComputeFunction().
+// It receives the values of the `from` fields by name and returns the value
+// to store. The value is recalculated when an item is created, and when a
+// save changes any of the `from` fields. Callers can't set it themselves.
+
+const { ConfigurationError } = require("./exceptions");
+
+const computeFunctions = new Map();
+
+/**
+ * Add a function that fields can name in their `computed` option, including
+ * fields generated from YAML (`computed: { from: [...], fn: fullName }`).
+ *
+ * @param {string} name - The name fields refer to the function by
+ * @param {Function} fn - `(values) => value`, where `values` holds the values
+ *   of the field's `from` fields by name
+ *
+ * @example
+ * registerComputeFunction("fullName", ({ firstName, lastName }) =>
+ *   [firstName, lastName].filter(Boolean).join(" "),
+ * );
+ */
+function registerComputeFunction(name, fn) {
+  if (typeof name !== "string" || !name || typeof fn !== "function") {
+    throw new ConfigurationError(
+      "registerComputeFunction requires a name and a function",
+    );
+  }
+  computeFunctions.set(name, fn);
+}
+
+function getComputeFunction(name) {
+  const fn = computeFunctions.get(name);
+  if (!fn) {
+    throw new ConfigurationError(
+      `Unknown compute function "${name}". Add it with registerComputeFunction()`,
+    );
+  }
+  return fn;
+}
+
+/**
+ * Read the `computed` option of a field.
+ * @param {Object} options - The field's options
+ * @returns {Object|null} `{ from, fn }`, or null if the field isn't computed
+ * @throws {ConfigurationError} If the option is malformed
+ */
+function parseComputed(options) {
+  const { computed } = options;
+  if (computed === undefined || computed === null) return null;
+
+  if (
+    typeof computed !== "object" ||
+    !Array.isArray(computed.from) ||
+    computed.from.length === 0 ||
+    !computed.from.every((name) => typeof name === "string" && name)
+  ) {
+    throw new ConfigurationError(
+      "computed must be { from, fn }, with `from` a non-empty array of field names",
+    );
+  }
+  if (
+    typeof computed.fn !== "function" &&
+    (typeof computed.fn !== "string" || !computed.fn)
+  ) {
+    throw new ConfigurationError(
+      "computed.fn must be a function or the name of one",
+    );
+  }
+  return { from: [...computed.from], fn: computed.fn };
+}
+
+/**
+ * Calculate the value of a computed field.
+ * @param {Object} computed - The field's `computed` option
+ * @param {Object} values - The values of its `from` fields by name
+ * @returns {any} The value to store
+ */
+function computeValue(computed, values) {
+  const fn =
+    typeof computed.fn === "function"
+      ? computed.fn
+      : getComputeFunction(computed.fn);
+  return fn(values);
+}
+
+module.exports = {
+  registerComputeFunction,
+  getComputeFunction,
+  parseComputed,
+  computeValue,
+};
@@ -17,6 +17,18 @@ const ITERATION_PK_FIELD = "_iter_pk";
 const ITERATION_SK_FIELD = "_iter_sk";
 const SEARCH_TEXT_FIELD = "_searchText";
 
+// Constants for soft delete. The marker holds the deletion time in epoch
+// milliseconds; the TTL attribute is the table's TTL attribute (epoch seconds)
+const DELETED_AT_FIELD = "_deletedAt";
+const TTL_FIELD = "ttl";
+
+// Constants for versioned models. The live item carries its version number;
+// snapshot rows of earlier versions also carry when they were replaced
+// (epoch milliseconds) and sort under VERSION_KEY in the item's partition
+const VERSION_NUMBER_FIELD = "_versionNumber";
+const VERSIONED_AT_FIELD = "_versionedAt";
+const VERSION_KEY = "_raft_ver";
+
 // Backwards-compatibility alias so older code that imported the legacy name
 // keeps working. Same value as ITERATION_INDEX_NAME.
 const LEGACY_ITERATION_INDEX_NAME = ITERATION_INDEX_NAME;
@@ -43,10 +55,22 @@ const SYSTEM_FIELDS = [
   "_iter_pk",
   "_iter_sk",
   "_searchText",
+  "_deletedAt",
+  "_versionNumber",
+  "_versionedAt",
 ];
 
 const UNIQUE_CONSTRAINT_KEY = "_raft_uc";
 
+// Composite index keys end each field's index value with the delimiter,
+// which sorts before any character the values may hold. The upper bound
+// sorts just after it, so a prefix ending with the delimiter bounds a range.
+const COMPOSITE_KEY_DELIMITER = "\u0001";
+const COMPOSITE_KEY_UPPER_BOUND = "\u0002";
+
+// Partition key prefix for audit history rows
+const AUDIT_HISTORY_KEY = "_raft_audit";
+
 module.exports = {
   GSI_INDEX_ID1,
   GSI_INDEX_ID2,
@@ -58,10 +82,18 @@ module.exports = {
   ITERATION_PK_FIELD,
   ITERATION_SK_FIELD,
   SEARCH_TEXT_FIELD,
+  DELETED_AT_FIELD,
+  TTL_FIELD,
+  VERSION_NUMBER_FIELD,
+  VERSIONED_AT_FIELD,
+  VERSION_KEY,
   LEGACY_ITERATION_INDEX_NAME,
   UNIQUE_CONSTRAINT_ID1,
   UNIQUE_CONSTRAINT_ID2,
   UNIQUE_CONSTRAINT_ID3,
   SYSTEM_FIELDS,
   UNIQUE_CONSTRAINT_KEY,
+  COMPOSITE_KEY_DELIMITER,
+  COMPOSITE_KEY_UPPER_BOUND,
+  AUDIT_HISTORY_KEY,
 };
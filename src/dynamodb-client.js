@@ -190,9 +190,13 @@ class DynamoDBClient {
     const operationMap = {
       'GetCommand': 'GetItem',
       'QueryCommand': 'Query',
+      'ScanCommand': 'Scan',
       'UpdateCommand': 'UpdateItem',
+      'PutCommand': 'PutItem',
       'DeleteCommand': 'DeleteItem',
       'BatchGetCommand': 'BatchGetItem',
+      'BatchWriteCommand': 'BatchWriteItem',
+      'TransactGetCommand': 'TransactGetItems',
       'TransactWriteCommand': 'TransactWriteItems',
       'CreateTableCommand': 'CreateTable',
       'ListTablesCommand': 'ListTables',
@@ -294,6 +298,23 @@ class DynamoDBDocumentClient {
         }
         break;
       
+      case 'ScanCommand':
+        if (input.ExpressionAttributeValues) {
+          const marshalledValues = {};
+          Object.keys(input.ExpressionAttributeValues).forEach(key => {
+            marshalledValues[key] = marshall(input.ExpressionAttributeValues[key]);
+          });
+          input.ExpressionAttributeValues = marshalledValues;
+        }
+        if (input.ExclusiveStartKey) {
+          const marshalledStartKey = {};
+          Object.keys(input.ExclusiveStartKey).forEach(key => {
+            marshalledStartKey[key] = marshall(input.ExclusiveStartKey[key]);
+          });
+          input.ExclusiveStartKey = marshalledStartKey;
+        }
+        break;
+      
       case 'UpdateCommand':
         const updateKey = {};
         Object.keys(input.Key).forEach(key => {
@@ -309,6 +330,21 @@ class DynamoDBDocumentClient {
         }
         break;
       
+      case 'PutCommand':
+        const putItem = {};
+        Object.keys(input.Item).forEach(key => {
+          putItem[key] = marshall(input.Item[key]);
+        });
+        input.Item = putItem;
+        if (input.ExpressionAttributeValues) {
+          const marshalledValues = {};
+          Object.keys(input.ExpressionAttributeValues).forEach(key => {
+            marshalledValues[key] = marshall(input.ExpressionAttributeValues[key]);
+          });
+          input.ExpressionAttributeValues = marshalledValues;
+        }
+        break;
+      
       case 'DeleteCommand':
         const deleteKey = {};
         Object.keys(input.Key).forEach(key => {
@@ -341,6 +377,49 @@ class DynamoDBDocumentClient {
         }
         break;
       
+      case 'BatchWriteCommand':
+        if (input.RequestItems) {
+          const requestItems = {};
+          Object.keys(input.RequestItems).forEach(tableName => {
+            requestItems[tableName] = input.RequestItems[tableName].map(request => {
+              if (request.PutRequest) {
+                const marshalledItem = {};
+                Object.keys(request.PutRequest.Item).forEach(key => {
+                  marshalledItem[key] = marshall(request.PutRequest.Item[key]);
+                });
+                return { PutRequest: { Item: marshalledItem } };
+              }
+              if (request.DeleteRequest) {
+                const marshalledKey = {};
+                Object.keys(request.DeleteRequest.Key).forEach(key => {
+                  marshalledKey[key] = marshall(request.DeleteRequest.Key[key]);
+                });
+                return { DeleteRequest: { Key: marshalledKey } };
+              }
+              return request;
+            });
+          });
+          input.RequestItems = requestItems;
+        }
+        break;
+      
+      case 'TransactGetCommand':
+        if (input.TransactItems) {
+          input.TransactItems = input.TransactItems.map(item => {
+            const getKey = {};
+            Object.keys(item.Get.Key).forEach(key => {
+              getKey[key] = marshall(item.Get.Key[key]);
+            });
+            return {
+              Get: {
+                ...item.Get,
+                Key: getKey
+              }
+            };
+          });
+        }
+        break;
+      
       case 'TransactWriteCommand':
         if (input.TransactItems) {
           input.TransactItems = input.TransactItems.map(item => {
@@ -396,6 +475,23 @@ class DynamoDBDocumentClient {
                 newItem.Delete.ExpressionAttributeValues = marshalledValues;
               }
             }
+            if (item.ConditionCheck) {
+              const conditionKey = {};
+              Object.keys(item.ConditionCheck.Key).forEach(key => {
+                conditionKey[key] = marshall(item.ConditionCheck.Key[key]);
+              });
+              newItem.ConditionCheck = {
+                ...item.ConditionCheck,
+                Key: conditionKey
+              };
+              if (item.ConditionCheck.ExpressionAttributeValues) {
+                const marshalledValues = {};
+                Object.keys(item.ConditionCheck.ExpressionAttributeValues).forEach(key => {
+                  marshalledValues[key] = marshall(item.ConditionCheck.ExpressionAttributeValues[key]);
+                });
+                newItem.ConditionCheck.ExpressionAttributeValues = marshalledValues;
+              }
+            }
             return newItem;
           });
         }
@@ -424,6 +520,7 @@ class DynamoDBDocumentClient {
         break;
       
       case 'QueryCommand':
+      case 'ScanCommand':
         if (result.Items) {
           result.Items = result.Items.map(item => {
             const unmarshalledItem = {};
@@ -452,6 +549,7 @@ class DynamoDBDocumentClient {
         }
         break;
       
+      case 'PutCommand':
       case 'DeleteCommand':
         if (result.Attributes) {
           const unmarshalledAttributes = {};
@@ -489,12 +587,92 @@ class DynamoDBDocumentClient {
           });
         }
         break;
+
+      case 'TransactGetCommand':
+        if (result.Responses) {
+          result.Responses = result.Responses.map(response => {
+            if (!response.Item) {
+              return response;
+            }
+            const unmarshalledItem = {};
+            Object.keys(response.Item).forEach(key => {
+              unmarshalledItem[key] = unmarshall(response.Item[key]);
+            });
+            return { ...response, Item: unmarshalledItem };
+          });
+        }
+        break;
+
+      case 'BatchWriteCommand':
+        if (result.UnprocessedItems) {
+          Object.keys(result.UnprocessedItems).forEach(tableName => {
+            result.UnprocessedItems[tableName] = result.UnprocessedItems[tableName].map(request => {
+              if (request.PutRequest) {
+                const unmarshalledItem = {};
+                Object.keys(request.PutRequest.Item).forEach(key => {
+                  unmarshalledItem[key] = unmarshall(request.PutRequest.Item[key]);
+                });
+                return { PutRequest: { Item: unmarshalledItem } };
+              }
+              if (request.DeleteRequest) {
+                const unmarshalledKey = {};
+                Object.keys(request.DeleteRequest.Key).forEach(key => {
+                  unmarshalledKey[key] = unmarshall(request.DeleteRequest.Key[key]);
+                });
+                return { DeleteRequest: { Key: unmarshalledKey } };
+              }
+              return request;
+            });
+          });
+        }
+        break;
     }
 
     return result;
   }
 }
 
+// Arrays are written as string, number or binary sets when their members
+// allow it. Arrays marked with asList() are always written as lists (L), and
+// lists read back are marked so they keep their type when written again.
+const LIST_MARKER = Symbol.for('dynamo-bao.list');
+
+function asList(array) {
+  Object.defineProperty(array, LIST_MARKER, { value: true });
+  return array;
+}
+
+function isList(value) {
+  return Array.isArray(value) && value[LIST_MARKER] === true;
+}
+
+// A number kept as its decimal text, so it's written as N without passing
+// through a JS float. Numbers read back that a JS number can't hold exactly
+// are returned as NumberValue too, so DecimalField can read them exactly;
+// other fields turn them back into numbers.
+class NumberValue {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+
+  valueOf() {
+    return Number(this.value);
+  }
+
+  toJSON() {
+    return this.value;
+  }
+}
+
+function unmarshallNumber(value) {
+  const number = Number(value);
+  return String(number) === value ? number : new NumberValue(value);
+}
+
 // Marshall JavaScript values to DynamoDB JSON
 function marshall(obj) {
   if (obj === null) return { NULL: true };
@@ -514,9 +692,12 @@ function marshall(obj) {
   if (obj instanceof Uint8Array || Buffer.isBuffer(obj)) {
     return { B: Buffer.from(obj).toString('base64') };
   }
+
+  if (obj instanceof NumberValue) return { N: obj.value };
   
   if (Array.isArray(obj)) {
     if (obj.length === 0) return { L: [] };
+    if (isList(obj)) return { L: obj.map(marshall) };
     
     const firstType = typeof obj[0];
     const isHomogeneous = obj.every(item => typeof item === firstType);
@@ -557,14 +738,14 @@ function unmarshall(obj) {
   
   switch (type) {
     case 'S': return value;
-    case 'N': return Number(value);
+    case 'N': return unmarshallNumber(value);
     case 'BOOL': return value;
     case 'NULL': return null;
     case 'B': return Buffer.from(value, 'base64');
     case 'SS': return value;
     case 'NS': return value.map(Number);
     case 'BS': return value.map(v => Buffer.from(v, 'base64'));
-    case 'L': return value.map(unmarshall);
+    case 'L': return asList(value.map(unmarshall));
     case 'M': {
       const result = {};
       for (const key in value) {
@@ -589,12 +770,24 @@ class QueryCommand {
   }
 }
 
+class ScanCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
 class UpdateCommand {
   constructor(input) {
     this.input = input;
   }
 }
 
+class PutCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
 class DeleteCommand {
   constructor(input) {
     this.input = input;
@@ -607,6 +800,18 @@ class BatchGetCommand {
   }
 }
 
+class BatchWriteCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+class TransactGetCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
 class TransactWriteCommand {
   constructor(input) {
     this.input = input;
@@ -654,9 +859,13 @@ module.exports = {
   DynamoDBDocumentClient,
   GetCommand,
   QueryCommand,
+  ScanCommand,
   UpdateCommand,
+  PutCommand,
   DeleteCommand,
   BatchGetCommand,
+  BatchWriteCommand,
+  TransactGetCommand,
   TransactWriteCommand,
   CreateTableCommand,
   ListTablesCommand,
@@ -665,5 +874,8 @@ module.exports = {
   DescribeTimeToLiveCommand,
   UpdateTableCommand,
   marshall,
-  unmarshall
+  unmarshall,
+  asList,
+  isList,
+  NumberValue
 };
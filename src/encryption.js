@@ -0,0 +1,229 @@
+// Client-side encryption for EncryptedField. Values are encrypted with
+// AES-256-GCM under keys from the key provider, which is set with
+// setKeyProvider() or the `encryption.keyProvider` option of initModels.
+//
+// Encrypted values are strings of the form
+//   bao1.<mode>.<keyId>.<base64url(iv + ciphertext + auth tag)>
+// where mode is "r" (random IV) or "d" (deterministic). The key ID is kept
+// with the value so values written under an earlier key can still be read
+// after the current key changes. The header is authenticated as well, so it
+// can't be altered without decryption failing.
+//
+// Deterministic mode derives the IV from an HMAC of the plaintext, so equal
+// values encrypted under the same key give equal ciphertext. This is what
+// lets encrypted fields back unique constraints and equality lookups, at the
+// cost of revealing which items share a value.
+
+const { ConfigurationError, DataFormatError } = require("./exceptions");
+
+const FORMAT_VERSION = "bao1";
+const KEY_ID_REGEX = /^[A-Za-z0-9_-]+$/;
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let keyProvider = null;
+
+// Loaded on first use, so the module can be required where node:crypto
+// isn't available as long as no field is encrypted
+let crypto;
+function getCrypto() {
+  if (!crypto) crypto = require("node:crypto");
+  return crypto;
+}
+
+/**
+ * Set the key provider used by every EncryptedField. A key provider has a
+ * `currentKeyId` (a string, or a function returning one) naming the key new
+ * values are encrypted with, and a synchronous `getKey(keyId)` returning that
+ * 32-byte key as a Buffer or Uint8Array. `getKey` is also called with the IDs
+ * of earlier keys to read values written before a rotation.
+ *
+ * @param {Object|null} provider - The key provider, or null to clear it
+ *
+ * @example
+ * setKeyProvider({
+ *   currentKeyId: "2024-06",
+ *   getKey: (keyId) => keyCache.get(keyId), // e.g. data keys loaded from KMS
+ * });
+ */
+function setKeyProvider(provider) {
+  if (
+    provider !== null &&
+    (!provider ||
+      typeof provider.getKey !== "function" ||
+      provider.currentKeyId === undefined)
+  ) {
+    throw new ConfigurationError(
+      "A key provider needs a currentKeyId and a getKey(keyId) function",
+    );
+  }
+  keyProvider = provider;
+}
+
+function getKeyProvider() {
+  return keyProvider;
+}
+
+/**
+ * Create a key provider from keys held in memory, e.g. read from environment
+ * variables or a secrets manager at startup.
+ *
+ * @param {Object} options
+ * @param {Object<string, string|Buffer>} options.keys - 32-byte keys by key
+ *   ID, as Buffers or base64 strings
+ * @param {string} options.currentKeyId - The key new values are encrypted with
+ * @returns {Object} A key provider for {@link setKeyProvider}
+ *
+ * @example
+ * const keyProvider = createStaticKeyProvider({
+ *   keys: { k1: process.env.PII_KEY_1, k2: process.env.PII_KEY_2 },
+ *   currentKeyId: "k2",
+ * });
+ */
+function createStaticKeyProvider({ keys = {}, currentKeyId } = {}) {
+  const buffers = new Map();
+  for (const [keyId, key] of Object.entries(keys)) {
+    const buffer = typeof key === "string" ? Buffer.from(key, "base64") : key;
+    checkKey(keyId, buffer);
+    buffers.set(keyId, Buffer.from(buffer));
+  }
+  if (!buffers.has(currentKeyId)) {
+    throw new ConfigurationError(
+      `currentKeyId "${currentKeyId}" is not one of the provided keys`,
+    );
+  }
+  return { currentKeyId, getKey: (keyId) => buffers.get(keyId) };
+}
+
+function checkKey(keyId, key) {
+  if (!KEY_ID_REGEX.test(keyId)) {
+    throw new ConfigurationError(
+      `Invalid encryption key ID "${keyId}". Use letters, digits, "-" and "_"`,
+    );
+  }
+  if (!(key instanceof Uint8Array) || key.length !== KEY_LENGTH) {
+    throw new ConfigurationError(
+      `Encryption key "${keyId}" must be ${KEY_LENGTH} bytes`,
+    );
+  }
+}
+
+function requireProvider() {
+  if (!keyProvider) {
+    throw new ConfigurationError(
+      "No encryption key provider is set. Pass `encryption.keyProvider` to initModels or call setKeyProvider()",
+    );
+  }
+  return keyProvider;
+}
+
+function getKey(keyId) {
+  const key = requireProvider().getKey(keyId);
+  if (!key) {
+    throw new ConfigurationError(`Unknown encryption key "${keyId}"`);
+  }
+  checkKey(keyId, key);
+  return Buffer.from(key);
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(`${FORMAT_VERSION}.`);
+}
+
+/**
+ * Encrypt a string with the provider's current key.
+ * @param {string} plaintext
+ * @param {Object} [options]
+ * @param {boolean} [options.deterministic=false] - Give equal plaintexts
+ *   equal ciphertext
+ * @returns {string} The encrypted value
+ */
+function encrypt(plaintext, { deterministic = false } = {}) {
+  const { createCipheriv, createHmac, hkdfSync, randomBytes } = getCrypto();
+  const provider = requireProvider();
+  const keyId =
+    typeof provider.currentKeyId === "function"
+      ? provider.currentKeyId()
+      : provider.currentKeyId;
+  const key = getKey(keyId);
+  const header = `${FORMAT_VERSION}.${deterministic ? "d" : "r"}.${keyId}`;
+
+  let iv;
+  if (deterministic) {
+    // A separate key for the IV, derived from the encryption key
+    const ivKey = Buffer.from(
+      hkdfSync("sha256", key, Buffer.alloc(0), "dynamo-bao iv", KEY_LENGTH),
+    );
+    iv = createHmac("sha256", ivKey)
+      .update(header)
+      .update("\0")
+      .update(plaintext)
+      .digest()
+      .subarray(0, IV_LENGTH);
+  } else {
+    iv = randomBytes(IV_LENGTH);
+  }
+
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(header));
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  const payload = Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+  return `${header}.${payload.toString("base64url")}`;
+}
+
+/**
+ * Decrypt a value returned by {@link encrypt}, using the key it names.
+ * @param {string} value
+ * @returns {string} The plaintext
+ * @throws {DataFormatError} If the value isn't encrypted or fails to decrypt
+ */
+function decrypt(value) {
+  const parts = isEncrypted(value) ? value.split(".") : [];
+  if (parts.length !== 4 || !["r", "d"].includes(parts[1])) {
+    throw new DataFormatError(
+      "Value is not an encrypted field value",
+      value,
+      `${FORMAT_VERSION}.<mode>.<keyId>.<payload>`,
+    );
+  }
+  const [, , keyId, encoded] = parts;
+  const key = getKey(keyId);
+  const payload = Buffer.from(encoded, "base64url");
+  const iv = payload.subarray(0, IV_LENGTH);
+  const tag = payload.subarray(payload.length - TAG_LENGTH);
+  const ciphertext = payload.subarray(IV_LENGTH, payload.length - TAG_LENGTH);
+
+  try {
+    const decipher = getCrypto().createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAAD(Buffer.from(parts.slice(0, 3).join(".")));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(ciphertext),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    throw new DataFormatError(
+      `Failed to decrypt value encrypted with key "${keyId}"`,
+      value,
+    );
+  }
+}
+
+// The ID of the key a value was encrypted with
+function getKeyId(value) {
+  return isEncrypted(value) ? value.split(".")[2] : null;
+}
+
+module.exports = {
+  setKeyProvider,
+  getKeyProvider,
+  createStaticKeyProvider,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  getKeyId,
+};
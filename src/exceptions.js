@@ -30,12 +30,15 @@ class ConfigurationError extends BaoError {
 /**
  * Thrown when field validation fails
  * Examples: required field missing, invalid ULID format, type validation failures
+ * When a save checks several fields, `errors` maps each failing field name to
+ * its message.
  */
 class ValidationError extends BaoError {
-  constructor(message, fieldName = null, value = null) {
+  constructor(message, fieldName = null, value = null, errors = null) {
     super(message);
     this.fieldName = fieldName;
     this.value = value;
+    this.errors = errors;
   }
 }
 
@@ -74,6 +77,25 @@ class ConditionalError extends BaoError {
   }
 }
 
+/**
+ * Thrown when a save is rejected because the item's version no longer matches
+ * the version it was loaded with (optimistic locking with a VersionField)
+ * `currentVersion` holds the version currently stored in DynamoDB
+ */
+class StaleObjectError extends ConditionalError {
+  constructor(
+    message,
+    primaryId = null,
+    expectedVersion = null,
+    currentVersion = null,
+  ) {
+    super(message, "update");
+    this.primaryId = primaryId;
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
 /**
  * Thrown when data parsing or conversion fails
  * Examples: invalid primary ID format, JSON parsing errors, type conversion failures
@@ -86,6 +108,32 @@ class DataFormatError extends BaoError {
   }
 }
 
+/**
+ * Thrown when DynamoDB cancels a transaction started with runTransaction
+ * The failing operation is identified by its position in the transaction; `code`
+ * holds DynamoDB's cancellation reason (e.g. ConditionalCheckFailed)
+ */
+class TransactionError extends BaoError {
+  constructor(message, code = null, operation = null, reasons = []) {
+    super(message, code);
+    this.operation = operation;
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * Thrown when a field whose value was offloaded to the blob store is read
+ * before the value is loaded with getOrLoadBlob() or loadBlobs()
+ * `blobKey` holds the key of the blob in the blob store
+ */
+class BlobNotLoadedError extends BaoError {
+  constructor(message, fieldName = null, blobKey = null) {
+    super(message);
+    this.fieldName = fieldName;
+    this.blobKey = blobKey;
+  }
+}
+
 module.exports = {
   BaoError,
   ConfigurationError,
@@ -93,5 +141,8 @@ module.exports = {
   QueryError,
   ItemNotFoundError,
   ConditionalError,
+  StaleObjectError,
   DataFormatError,
+  TransactionError,
+  BlobNotLoadedError,
 };
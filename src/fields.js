@@ -5,19 +5,217 @@
  */
 const { ulid, decodeTime } = require("ulid");
 const { defaultLogger: logger } = require("./utils/logger");
-const { ValidationError } = require("./exceptions");
+const { ValidationError, ConfigurationError } = require("./exceptions");
+const {
+  asList,
+  NumberValue,
+  marshall,
+  unmarshall,
+} = require("./dynamodb-client");
+const { encrypt, decrypt, isEncrypted } = require("./encryption");
+const { isBlobPointer } = require("./blob-store");
+const { parseRules, checkRules } = require("./validators");
+const { parseComputed } = require("./computed");
+const geohash = require("./utils/geohash");
+const compression = require("./utils/compression");
+
+// Also true for objects created in another realm, e.g. by structuredClone()
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+};
+
+// Values of MapField and ListField without a schema must be something
+// DynamoDB stores natively
+function validateDocumentValue(value, path, fieldType) {
+  if (
+    value === null ||
+    value === undefined ||
+    typeof value === "string" ||
+    typeof value === "boolean" ||
+    (typeof value === "number" && Number.isFinite(value)) ||
+    value instanceof NumberValue ||
+    value instanceof Uint8Array
+  ) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) =>
+      validateDocumentValue(item, `${path}[${index}]`, fieldType),
+    );
+    return;
+  }
+  if (isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      validateDocumentValue(item, `${path}.${key}`, fieldType);
+    }
+    return;
+  }
+  throw new ValidationError(
+    `${path}: Unsupported value in ${fieldType}`,
+    null,
+    value,
+  );
+}
+
+// Copy a value without a schema for storing. Arrays are marked so they are
+// stored as lists rather than sets, and null map values are left out.
+function toDyDocumentValue(value) {
+  if (Array.isArray(value)) {
+    return asList(value.map(toDyDocumentValue));
+  }
+  if (isPlainObject(value)) {
+    const dyMap = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== null && item !== undefined) {
+        dyMap[key] = toDyDocumentValue(item);
+      }
+    }
+    return dyMap;
+  }
+  return value;
+}
+
+// Deep copy a stored value so changes to it never reach the loaded data.
+// Numbers unmarshalled as NumberValue become plain numbers again.
+function fromDyDocumentValue(value) {
+  if (value instanceof NumberValue) {
+    return Number(value.value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromDyDocumentValue);
+  }
+  if (isPlainObject(value)) {
+    const map = {};
+    for (const [key, item] of Object.entries(value)) {
+      map[key] = fromDyDocumentValue(item);
+    }
+    return map;
+  }
+  return value;
+}
+
+// Proxy a MapField or ListField value so changes at any depth, including
+// through array methods such as push(), mark the field as dirty and update
+// the model's _dyData immediately
+function trackDocument(root, field, modelInstance, fieldName) {
+  const sync = () => {
+    modelInstance._changes.add(fieldName);
+    modelInstance._dyData[fieldName] = field.toDy(root);
+  };
+  const track = (target) =>
+    new Proxy(target, {
+      get(obj, prop) {
+        const value = obj[prop];
+        if (isPlainObject(value) || Array.isArray(value)) {
+          return track(value);
+        }
+        return value;
+      },
+      set(obj, prop, value) {
+        obj[prop] = value;
+        sync();
+        return true;
+      },
+      deleteProperty(obj, prop) {
+        delete obj[prop];
+        sync();
+        return true;
+      },
+    });
+
+  return track(root);
+}
+
+// StringField, BinaryField and MapField take a `compress` option
+function setCompressOptions(field, options) {
+  field.compress = options.compress || null;
+  field.compressThreshold =
+    options.compressThreshold ?? compression.DEFAULT_THRESHOLD;
+
+  if (field.compress && !compression.ALGORITHMS[field.compress]) {
+    throw new ConfigurationError(
+      `Invalid compress option "${field.compress}". Use "gzip" or "brotli"`,
+    );
+  }
+  if (
+    !Number.isInteger(field.compressThreshold) ||
+    field.compressThreshold < 0
+  ) {
+    throw new ConfigurationError(
+      "compressThreshold must be a non-negative integer (bytes)",
+    );
+  }
+}
+
+// StringField, BinaryField and MapField also take an `offload` option, which
+// is true or `{ thresholdBytes }`. Values are offloaded by the model when
+// it saves them (see src/mixins/blob-mixin.js), so the field only records
+// the threshold; reading a pointer back is handled by the model as well.
+const DEFAULT_OFFLOAD_THRESHOLD = 100 * 1024;
+function setOffloadOptions(field, options) {
+  const offload = options.offload;
+  if (!offload) {
+    field.offload = null;
+    return;
+  }
+
+  const thresholdBytes =
+    offload === true
+      ? DEFAULT_OFFLOAD_THRESHOLD
+      : (offload.thresholdBytes ?? DEFAULT_OFFLOAD_THRESHOLD);
+  if (
+    (offload !== true && !isPlainObject(offload)) ||
+    !Number.isInteger(thresholdBytes) ||
+    thresholdBytes < 0
+  ) {
+    throw new ConfigurationError(
+      "offload must be true or { thresholdBytes }, with thresholdBytes a non-negative integer",
+    );
+  }
+  field.offload = { thresholdBytes };
+}
+
+// Compress the bytes of a value if the field has the `compress` option and
+// they are large enough to be worth it. Returns the value to store, which is
+// `uncompressed` if the bytes were left as they are.
+function compressValue(field, bytes, uncompressed) {
+  if (!field.compress) return uncompressed;
+  const stored = compression.compress(
+    bytes,
+    field.compress,
+    field.compressThreshold,
+  );
+  return stored === bytes ? uncompressed : stored;
+}
+
+// Model getters convert the stored value on every read, so decompressed
+// values are cached by the stored buffer
+const decompressedValues = new WeakMap();
+function decompressValue(value, decode) {
+  if (!decompressedValues.has(value)) {
+    decompressedValues.set(value, decode(compression.decompress(value)));
+  }
+  return decompressedValues.get(value);
+}
 
 /**
  * @class BaoBaseField
  * @memberof BaoFields
  * @description
  * Base class for all fields. Do not instantiate this class directly.
+ * Every field accepts the validation rules `minLength`, `maxLength`,
+ * `pattern`, `min`, `max`, `oneOf` and `custom` (see src/validators.js), and
+ * the `computed` option (see src/computed.js).
  */
 class BaoBaseField {
   constructor(options = {}) {
     this.options = options;
     this.required = options.required || false;
     this.defaultValue = options.defaultValue;
+    this.rules = parseRules(options);
+    this.computed = parseComputed(options);
   }
 
   /**
@@ -49,6 +247,24 @@ class BaoBaseField {
     return true;
   }
 
+  /**
+   * @memberof BaoFields.BaoBaseField
+   * @description
+   * Check the JS field value against the field's validation rules
+   * (`minLength`, `maxLength`, `pattern`, `min`, `max`, `oneOf` and `custom`).
+   * Models call this after {@link validate}, so subclasses don't need to.
+   * @param {any} value - The value to check.
+   * @returns {boolean} True if the value is valid.
+   * @throws {ValidationError} If the value breaks a rule.
+   */
+  checkRules(value) {
+    const message = checkRules(this.rules, value, this);
+    if (message) {
+      throw new ValidationError(message, null, value);
+    }
+    return true;
+  }
+
   /**
    * @memberof BaoFields.BaoBaseField
    * @description
@@ -154,8 +370,34 @@ class BaoBaseField {
  * @memberof BaoFields
  * @description
  * A field that stores a string value.
+ *
+ * With `compress: "gzip"` or `compress: "brotli"`, values of at least
+ * `compressThreshold` bytes (1024 by default) are stored compressed, as a
+ * binary attribute. Smaller values, and values written before the option
+ * was added, are stored and read as plain strings. A compressed field can't
+ * be used in index keys or unique constraints, and filters only match values
+ * that are stored uncompressed.
+ *
+ * With `offload: { thresholdBytes }`, values of at least `thresholdBytes`
+ * bytes (100 KB by default, measured after compression) are written to the
+ * blob store set with `setBlobStore()`, and the item keeps only a pointer to
+ * them. An offloaded value is loaded with `getOrLoadBlob()` or
+ * `loadBlobs()`; reading the field before then throws a BlobNotLoadedError.
+ * The blob is deleted when the value is replaced or the item is deleted.
+ *
+ * @example
+ * static fields = {
+ *   body: StringField({ compress: "brotli" }),
+ *   transcript: StringField({ offload: { thresholdBytes: 64 * 1024 } }),
+ * };
  */
 class StringField extends BaoBaseField {
+  constructor(options = {}) {
+    super(options);
+    setCompressOptions(this, options);
+    setOffloadOptions(this, options);
+  }
+
   validate(value) {
     if (this.required && !value) {
       throw new ValidationError("Field is required", null, value);
@@ -169,6 +411,202 @@ class StringField extends BaoBaseField {
     }
     return true;
   }
+
+  toDy(value) {
+    if (typeof value !== "string") return value;
+    return compressValue(this, Buffer.from(value, "utf8"), value);
+  }
+
+  fromDy(value) {
+    if (compression.isCompressed(value)) {
+      return decompressValue(value, (bytes) => bytes.toString("utf8"));
+    }
+    return value;
+  }
+}
+
+/**
+ * @class EnumField
+ * @memberof BaoFields
+ * @description
+ * A field that stores one of a fixed list of string values. The value is
+ * checked when it's assigned to a model instance and when it's saved. It's
+ * stored as a plain string, so it can be used in indexes and filters like a
+ * {@link BaoFields.StringField}.
+ *
+ * Models generated from YAML also get a constant for each value, named after
+ * the field: a `status` field with values `draft` and `published` gives
+ * `Post.Status.DRAFT`, `Post.Status.PUBLISHED` and `Post.Status.values`.
+ *
+ * @example
+ * static fields = {
+ *   status: EnumField({ values: ["draft", "published", "archived"] }),
+ * };
+ *
+ * post.status = Post.Status.PUBLISHED;
+ * post.status = "deleted"; // throws ValidationError
+ */
+class EnumField extends BaoBaseField {
+  constructor(options = {}) {
+    super(options);
+    const values = options.values;
+    if (
+      !Array.isArray(values) ||
+      values.length === 0 ||
+      !values.every((value) => typeof value === "string")
+    ) {
+      throw new ConfigurationError(
+        "EnumField requires `values`, a non-empty array of strings",
+      );
+    }
+    this.values = Object.freeze([...values]);
+  }
+
+  validate(value) {
+    super.validate(value);
+
+    if (value === null || value === undefined) {
+      return true;
+    }
+
+    if (!this.values.includes(value)) {
+      throw new ValidationError(
+        `Invalid value "${value}". Expected one of: ${this.values.join(", ")}`,
+        null,
+        value,
+      );
+    }
+    return true;
+  }
+}
+
+// Base class for string fields with a canonical form. Subclasses implement
+// normalize(), returning the canonical string or null if the value is
+// invalid. Values are stored and indexed in canonical form, so unique
+// constraints, index queries and filters match however a value was written.
+// Values that can't be normalized, such as a partial value in a
+// $beginsWith filter, are passed through unchanged; validate() rejects them
+// on save.
+class FormattedStringField extends StringField {
+  validate(value) {
+    super.validate(value);
+    if (value && this.normalize(String(value)) === null) {
+      throw new ValidationError(this.invalidMessage, null, value);
+    }
+    return true;
+  }
+
+  toDy(value) {
+    if (value === undefined || value === null) return value;
+    return this.normalize(String(value)) ?? value;
+  }
+
+  toGsi(value) {
+    if (value === undefined || value === null) return "";
+    return this.normalize(String(value)) ?? String(value);
+  }
+}
+
+/**
+ * @class EmailField
+ * @memberof BaoFields
+ * @description
+ * A field that stores an email address. Surrounding whitespace is trimmed
+ * and the domain is lowercased, so `Ann@Example.COM` is stored, indexed and
+ * looked up as `Ann@example.com`. The part before the `@` keeps its case.
+ *
+ * @example
+ * static fields = {
+ *   email: EmailField({ required: true }),
+ * };
+ */
+class EmailField extends FormattedStringField {
+  get invalidMessage() {
+    return "Invalid email address";
+  }
+
+  normalize(value) {
+    const match = /^([^\s@]+)@([^\s@]+\.[^\s@.]+)$/.exec(value.trim());
+    if (!match || match[0].length > 254) return null;
+    return `${match[1]}@${match[2].toLowerCase()}`;
+  }
+}
+
+/**
+ * @class UrlField
+ * @memberof BaoFields
+ * @description
+ * A field that stores an absolute URL. Values are stored in the form the
+ * WHATWG URL parser gives them, so the scheme and host are lowercased and
+ * `https://Example.com` is stored as `https://example.com/`.
+ *
+ * Options:
+ * - `protocols` - The allowed schemes, `["http", "https"]` by default.
+ *
+ * @example
+ * static fields = {
+ *   website: UrlField(),
+ *   repo: UrlField({ protocols: ["https", "git"] }),
+ * };
+ */
+class UrlField extends FormattedStringField {
+  constructor(options = {}) {
+    super(options);
+    this.protocols = options.protocols || ["http", "https"];
+  }
+
+  get invalidMessage() {
+    return `Invalid URL. Expected a ${this.protocols.join(" or ")} URL`;
+  }
+
+  normalize(value) {
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch {
+      return null;
+    }
+    if (!this.protocols.includes(url.protocol.slice(0, -1))) return null;
+    return url.href;
+  }
+}
+
+/**
+ * @class PhoneField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a phone number in E.164 format, e.g. `+14155550123`.
+ * Spaces, dashes, dots and parentheses are removed, and a leading `00` is
+ * read as `+`, so `+1 (415) 555-0123` is stored as `+14155550123`.
+ *
+ * Options:
+ * - `defaultCountryCode` - The country calling code for numbers written
+ *   without one, e.g. `"44"`. A single leading trunk `0` is dropped, so
+ *   `020 7946 0018` becomes `+442079460018`. Without this option, numbers
+ *   must include their country code.
+ *
+ * @example
+ * static fields = {
+ *   phone: PhoneField({ defaultCountryCode: "1" }),
+ * };
+ */
+class PhoneField extends FormattedStringField {
+  constructor(options = {}) {
+    super(options);
+    this.defaultCountryCode = options.defaultCountryCode;
+  }
+
+  get invalidMessage() {
+    return "Invalid phone number. Expected E.164 format, e.g. +14155550123";
+  }
+
+  normalize(value) {
+    let number = value.replace(/[\s\-.()]/g, "").replace(/^00/, "+");
+    if (!number.startsWith("+") && this.defaultCountryCode) {
+      number = `+${this.defaultCountryCode}${number.replace(/^0/, "")}`;
+    }
+    return /^\+[1-9]\d{1,14}$/.test(number) ? number : null;
+  }
 }
 
 /**
@@ -313,104 +751,432 @@ class FloatField extends BaoBaseField {
   }
 }
 
-/**
- * @class CreateDateField
- * @memberof BaoFields
- * @description
- * A field that stores a date/time value based on when the object was created.
- */
-class CreateDateField extends DateTimeField {
-  constructor(options = {}) {
-    super({
-      ...options,
-      required: true,
-    });
-  }
+// DynamoDB numbers hold up to 38 significant digits
+const MAX_DECIMAL_DIGITS = 38;
+// Added to a decimal's exponent in its index form, so it's never negative
+const DECIMAL_GSI_EXPONENT_OFFSET = 500;
+
+// Parse decimal text into its sign, significant digits and exponent, e.g.
+// "-12.50" gives { negative: true, digits: "125", exponent: 2 } (0.125e2).
+// Zero has no digits. Returns null if the text isn't a decimal number.
+function parseDecimal(text) {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  const [, sign, intPart = "", fracPart = "", exp = "0"] = match;
+  const allDigits = intPart + fracPart;
+  const leadingZeros = allDigits.match(/^0*/)[0].length;
+  const digits = allDigits.slice(leadingZeros).replace(/0+$/, "");
+  if (!digits) {
+    return { negative: false, digits: "", exponent: 0 };
+  }
+  return {
+    negative: sign === "-",
+    digits,
+    exponent: intPart.length + Number(exp) - leadingZeros,
+  };
+}
 
-  getInitialValue() {
-    return new Date();
+// Format a parsed decimal as plain text, padding the fraction to `scale`
+function formatDecimal({ negative, digits, exponent }, scale) {
+  let text;
+  if (!digits) {
+    text = "0";
+  } else if (exponent <= 0) {
+    text = `0.${"0".repeat(-exponent)}${digits}`;
+  } else if (exponent >= digits.length) {
+    text = digits + "0".repeat(exponent - digits.length);
+  } else {
+    text = `${digits.slice(0, exponent)}.${digits.slice(exponent)}`;
   }
 
-  toDy(value) {
-    if (!value) {
-      return Date.now();
-    }
-    return value instanceof Date ? value.getTime() : value;
+  if (scale) {
+    const [intText, fracText = ""] = text.split(".");
+    text = `${intText}.${fracText.padEnd(scale, "0")}`;
   }
+  return negative ? `-${text}` : text;
 }
 
 /**
- * @class ModifiedDateField
+ * @class DecimalField
  * @memberof BaoFields
  * @description
- * A field that stores a date/time value based on when the object was last modified.
+ * A field that stores an exact decimal number, such as an amount of money.
+ * Values are strings in JS and are written to DynamoDB as numbers without
+ * passing through a JS float, so no precision is lost. Numbers, bigints and
+ * decimal objects with a `toFixed()` method (e.g. from decimal.js or big.js)
+ * are accepted too.
+ *
+ * Options:
+ * - `scale` - The number of digits allowed after the decimal point. Values
+ *   read back are padded to this many digits, e.g. "12.50".
+ * - `precision` - The number of digits allowed in total.
+ *
+ * Assign `{ $add: amount }` to add to the stored value atomically with a
+ * DynamoDB ADD; the amount can be negative. This isn't supported for fields
+ * used in an index key. In indexes, values are encoded so they sort in
+ * numeric order, negative values included.
+ *
+ * @example
+ * static fields = {
+ *   balance: DecimalField({ precision: 12, scale: 2 }),
+ * };
+ *
+ * account.balance = "1250.10";
+ * await Account.update(accountId, { balance: { $add: "-20.05" } });
  */
-class ModifiedDateField extends DateTimeField {
+class DecimalField extends BaoBaseField {
   constructor(options = {}) {
-    super({
-      ...options,
-      required: true,
-    });
+    super(options);
+    this.precision = options.precision;
+    this.scale = options.scale;
   }
 
-  getInitialValue() {
-    return new Date();
+  // Get the decimal text of any accepted value, or null
+  _toText(value) {
+    if (value instanceof NumberValue) return value.value;
+    if (typeof value === "string") return value.trim();
+    if (typeof value === "bigint") return String(value);
+    if (typeof value === "number") {
+      return Number.isFinite(value) ? String(value) : null;
+    }
+    if (value && typeof value.toFixed === "function") {
+      return value.toFixed();
+    }
+    return null;
   }
 
-  toDy(value) {
-    return Date.now();
+  _isIncrement(value) {
+    return (
+      isPlainObject(value) &&
+      Object.keys(value).length === 1 &&
+      value.$add !== undefined
+    );
   }
 
-  updateBeforeSave(value, currentObject) {
-    // Always update modified date before save
-    return Date.now();
+  _parse(value) {
+    const text = this._toText(value);
+    return text === null ? null : parseDecimal(text);
   }
-}
 
-/**
- * @class UlidField
- * @memberof BaoFields
- * @description
- * A field that stores a {@link https://github.com/ulid/spec ULID} value.
- */
-class UlidField extends BaoBaseField {
-  constructor(options = {}) {
-    super({
-      ...options,
-      required: true,
-    });
-    this.autoAssign = options.autoAssign || false;
-  }
+  validate(value) {
+    super.validate(value);
 
-  getInitialValue() {
-    if (this.autoAssign) {
-      return ulid();
+    if (value === null || value === undefined) {
+      return true;
     }
-    return super.getInitialValue();
-  }
 
-  validate(value) {
-    if (!value && !this.autoAssign) {
-      throw new ValidationError("ULID is required", null, value);
+    const parsed = this._parse(this._isIncrement(value) ? value.$add : value);
+    if (!parsed) {
+      throw new ValidationError(
+        "DecimalField value must be a decimal number",
+        null,
+        value,
+      );
     }
 
-    if (value) {
-      // Check if it's a valid ULID format
-      // ULIDs are 26 characters, uppercase alphanumeric
-      if (!/^[0-9A-Z]{26}$/.test(value)) {
-        throw new ValidationError("Invalid ULID format", null, value);
-      }
-
-      try {
-        // Attempt to decode the timestamp to verify it's valid
-        decodeTime(value);
-      } catch (error) {
-        throw new ValidationError(
-          "Invalid ULID: could not decode timestamp",
-          null,
-          value,
-        );
-      }
+    if (parsed.digits.length > MAX_DECIMAL_DIGITS) {
+      throw new ValidationError(
+        `Value exceeds ${MAX_DECIMAL_DIGITS} significant digits`,
+        null,
+        value,
+      );
+    }
+
+    const intDigits = Math.max(parsed.exponent, 0);
+    const fracDigits = Math.max(parsed.digits.length - parsed.exponent, 0);
+    if (this.scale !== undefined && fracDigits > this.scale) {
+      throw new ValidationError(
+        `Value exceeds scale of ${this.scale} digits after the decimal point`,
+        null,
+        value,
+      );
+    }
+    if (
+      this.precision !== undefined &&
+      intDigits + fracDigits > this.precision
+    ) {
+      throw new ValidationError(
+        `Value exceeds precision of ${this.precision} digits`,
+        null,
+        value,
+      );
+    }
+    return true;
+  }
+
+  toDy(value) {
+    if (value === undefined || value === null) return value;
+
+    if (this._isIncrement(value)) {
+      return { $add: this.toDy(value.$add) };
+    }
+
+    const parsed = this._parse(value);
+    if (!parsed) {
+      throw new ValidationError(
+        "DecimalField value must be a decimal number",
+        null,
+        value,
+      );
+    }
+    return new NumberValue(formatDecimal(parsed));
+  }
+
+  fromDy(value) {
+    if (value === undefined || value === null) return null;
+
+    if (this._isIncrement(value)) {
+      return { $add: this.fromDy(value.$add) };
+    }
+
+    const parsed = this._parse(value);
+    return parsed ? formatDecimal(parsed, this.scale) : null;
+  }
+
+  /**
+   * @description
+   * Encode the value so index keys sort in numeric order: a sign class
+   * (0 negative, 1 zero, 2 positive), the exponent and the significant
+   * digits. For negative values the exponent and digits are inverted and the
+   * digits end with "~", so larger magnitudes sort first.
+   */
+  toGsi(value) {
+    if (value === undefined || value === null) return "";
+
+    // The new value is only known once DynamoDB has applied the ADD
+    if (this._isIncrement(value)) {
+      throw new ValidationError(
+        "$add cannot be used on a DecimalField that is part of an index key",
+        null,
+        value,
+      );
+    }
+
+    const parsed = this._parse(value);
+    if (!parsed) {
+      throw new ValidationError(
+        "DecimalField value must be a decimal number",
+        null,
+        value,
+      );
+    }
+    if (!parsed.digits) return "1";
+
+    const exponent = parsed.exponent + DECIMAL_GSI_EXPONENT_OFFSET;
+    if (!parsed.negative) {
+      return `2${String(exponent).padStart(3, "0")}${parsed.digits}`;
+    }
+    const invertedDigits = parsed.digits.replace(/\d/g, (d) => 9 - d);
+    return `0${String(999 - exponent).padStart(3, "0")}${invertedDigits}~`;
+  }
+
+  fromGsi(value) {
+    if (!value) return null;
+    if (value[0] === "1") return formatDecimal({ digits: "" }, this.scale);
+
+    const negative = value[0] === "0";
+    const exponentCode = Number(value.slice(1, 4));
+    let digits = value.slice(4);
+    if (negative) {
+      digits = digits.slice(0, -1).replace(/\d/g, (d) => 9 - d);
+    }
+    const exponent =
+      (negative ? 999 - exponentCode : exponentCode) -
+      DECIMAL_GSI_EXPONENT_OFFSET;
+    return formatDecimal({ negative, digits, exponent }, this.scale);
+  }
+
+  getUpdateExpression(fieldName, value) {
+    if (this._isIncrement(value)) {
+      const attributeName = `#${fieldName}`;
+      const attributeValue = `:${fieldName}`;
+      return {
+        type: "ADD",
+        expression: `${attributeName} ${attributeValue}`,
+        attrNameKey: attributeName,
+        attrValueKey: attributeValue,
+        fieldName: fieldName,
+        fieldValue: value.$add,
+      };
+    }
+    return super.getUpdateExpression(fieldName, value);
+  }
+}
+
+/**
+ * @class GeoPointField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a location as `{ lat, lng }` in decimal degrees. Values
+ * read back are frozen, so assign a new object to move a point.
+ *
+ * In an index key the point is written as a geohash. Give the index a
+ * `geohashPrecision` to partition it into geohash cells, which
+ * {@link BaoModel.queryNearbyByIndex} uses to find items within a radius.
+ *
+ * @example
+ * static fields = {
+ *   storeId: UlidField({ autoAssign: true }),
+ *   location: GeoPointField({ required: true }),
+ * };
+ * static indexes = {
+ *   byLocation: IndexConfig("location", "storeId", GSI_INDEX_ID1, {
+ *     geohashPrecision: 5,
+ *   }),
+ * };
+ */
+class GeoPointField extends BaoBaseField {
+  validate(value) {
+    super.validate(value);
+
+    if (value === null || value === undefined) {
+      return true;
+    }
+
+    const valid =
+      isPlainObject(value) &&
+      Number.isFinite(value.lat) &&
+      Number.isFinite(value.lng) &&
+      Math.abs(value.lat) <= 90 &&
+      Math.abs(value.lng) <= 180;
+    if (!valid) {
+      throw new ValidationError(
+        "GeoPointField value must be { lat, lng } with lat between -90 and 90 and lng between -180 and 180",
+        null,
+        value,
+      );
+    }
+    return true;
+  }
+
+  toDy(value) {
+    if (value === undefined || value === null) return value;
+    return { lat: value.lat, lng: value.lng };
+  }
+
+  fromDy(value) {
+    if (value === undefined || value === null) return null;
+    return Object.freeze({ lat: Number(value.lat), lng: Number(value.lng) });
+  }
+
+  /**
+   * @description
+   * Encode the point as a full-precision geohash. A geohash string is
+   * returned as it is, so a geohash cell can be passed to
+   * {@link BaoModel.queryByIndex}.
+   */
+  toGsi(value) {
+    if (value === undefined || value === null) return "";
+    if (geohash.isGeohash(value)) return value;
+    this.validate(value);
+    return geohash.encode(value.lat, value.lng);
+  }
+
+  fromGsi(value) {
+    if (!value) return null;
+    return Object.freeze(geohash.decode(value));
+  }
+}
+
+/**
+ * @class CreateDateField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a date/time value based on when the object was created.
+ */
+class CreateDateField extends DateTimeField {
+  constructor(options = {}) {
+    super({
+      ...options,
+      required: true,
+    });
+  }
+
+  getInitialValue() {
+    return new Date();
+  }
+
+  toDy(value) {
+    if (!value) {
+      return Date.now();
+    }
+    return value instanceof Date ? value.getTime() : value;
+  }
+}
+
+/**
+ * @class ModifiedDateField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a date/time value based on when the object was last modified.
+ */
+class ModifiedDateField extends DateTimeField {
+  constructor(options = {}) {
+    super({
+      ...options,
+      required: true,
+    });
+  }
+
+  getInitialValue() {
+    return new Date();
+  }
+
+  toDy(value) {
+    return Date.now();
+  }
+
+  updateBeforeSave(value, currentObject) {
+    // Always update modified date before save
+    return Date.now();
+  }
+}
+
+/**
+ * @class UlidField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a {@link https://github.com/ulid/spec ULID} value.
+ */
+class UlidField extends BaoBaseField {
+  constructor(options = {}) {
+    super({
+      ...options,
+      required: true,
+    });
+    this.autoAssign = options.autoAssign || false;
+  }
+
+  getInitialValue() {
+    if (this.autoAssign) {
+      return ulid();
+    }
+    return super.getInitialValue();
+  }
+
+  validate(value) {
+    if (!value && !this.autoAssign) {
+      throw new ValidationError("ULID is required", null, value);
+    }
+
+    if (value) {
+      // Check if it's a valid ULID format
+      // ULIDs are 26 characters, uppercase alphanumeric
+      if (!/^[0-9A-Z]{26}$/.test(value)) {
+        throw new ValidationError("Invalid ULID format", null, value);
+      }
+
+      try {
+        // Attempt to decode the timestamp to verify it's valid
+        decodeTime(value);
+      } catch (error) {
+        throw new ValidationError(
+          "Invalid ULID: could not decode timestamp",
+          null,
+          value,
+        );
+      }
     }
     return true;
   }
@@ -581,9 +1347,16 @@ class CounterField extends BaoBaseField {
  * @class BinaryField
  * @memberof BaoFields
  * @description
- * A field that stores a binary value.
+ * A field that stores a binary value. Takes the same `compress`,
+ * `compressThreshold` and `offload` options as {@link BaoFields.StringField}.
  */
 class BinaryField extends BaoBaseField {
+  constructor(options = {}) {
+    super(options);
+    setCompressOptions(this, options);
+    setOffloadOptions(this, options);
+  }
+
   getInitialValue() {
     if (this.defaultValue) {
       return typeof this.defaultValue === "function"
@@ -613,11 +1386,14 @@ class BinaryField extends BaoBaseField {
   toDy(value) {
     if (!value) return null;
 
-    return value;
+    return compressValue(this, Buffer.from(value), value);
   }
 
   fromDy(value) {
     if (!value) return null;
+    if (compression.isCompressed(value)) {
+      return decompressValue(value, (bytes) => bytes);
+    }
     return value;
   }
 
@@ -635,8 +1411,9 @@ class BinaryField extends BaoBaseField {
  * @memberof BaoFields
  * @description
  * A field that stores a ULID value that is used to track the version of the object.
- * You can use this field to implement optimistic locking by using the version field
- * as a condition in your update operation.
+ * A new version is generated on every save. Models with a VersionField use it for
+ * optimistic locking: {@link BaoModel#save} only writes if the stored version still
+ * matches the loaded one, and throws a StaleObjectError otherwise.
  */
 class VersionField extends BaoBaseField {
   constructor(options = {}) {
@@ -828,13 +1605,11 @@ class StringSetField extends BaoBaseField {
 
     // Accept both Set and Array, but prefer Set
     let setToValidate;
-    if (value instanceof Set) {
-      setToValidate = value;
-    } else if (Array.isArray(value)) {
-      setToValidate = new Set(value);
+    if (value instanceof Set || Array.isArray(value)) {
+      setToValidate = this._newSet(value);
     } else {
       throw new ValidationError(
-        "StringSetField value must be a Set or Array",
+        `${this.constructor.name} value must be a Set or Array`,
         null,
         value,
       );
@@ -843,36 +1618,70 @@ class StringSetField extends BaoBaseField {
     // Validate member count
     if (this.maxMemberCount && setToValidate.size > this.maxMemberCount) {
       throw new ValidationError(
-        `StringSet exceeds maximum member count of ${this.maxMemberCount}`,
+        `${this.constructor.name.replace(/Field$/, "")} exceeds maximum member count of ${this.maxMemberCount}`,
         null,
         value,
       );
     }
 
-    // Validate each string in the set
     for (const item of setToValidate) {
-      if (typeof item !== "string") {
-        throw new ValidationError(
-          "StringSetField can only contain string values",
-          null,
-          value,
-        );
-      }
-
-      if (this.maxStringLength && item.length > this.maxStringLength) {
-        throw new ValidationError(
-          `String in set exceeds maximum length of ${this.maxStringLength}`,
-          null,
-          value,
-        );
-      }
+      this._validateMember(item, value);
     }
 
     return true;
   }
 
+  /**
+   * @private
+   * @description
+   * Validate one member of the set. Subclasses for other set types override
+   * this.
+   * @param {any} item - The member to validate
+   * @param {any} value - The whole value, for the error
+   */
+  _validateMember(item, value) {
+    if (typeof item !== "string") {
+      throw new ValidationError(
+        "StringSetField can only contain string values",
+        null,
+        value,
+      );
+    }
+
+    if (this.maxStringLength && item.length > this.maxStringLength) {
+      throw new ValidationError(
+        `String in set exceeds maximum length of ${this.maxStringLength}`,
+        null,
+        value,
+      );
+    }
+  }
+
+  /**
+   * @private
+   * @description
+   * Create a Set of the given members, dropping duplicates. Subclasses whose
+   * members aren't compared by value override this.
+   * @param {Iterable} [members] - The members of the set
+   * @returns {Set} A plain Set object
+   */
+  _newSet(members) {
+    return new Set(members);
+  }
+
+  /**
+   * @private
+   * @description
+   * Get the key a member is compared by when diffing sets on save.
+   * @param {any} item - A stored member
+   * @returns {any} The member's key
+   */
+  _memberKey(item) {
+    return item;
+  }
+
   getInitialValue() {
-    return new Set();
+    return this._newSet();
   }
 
   toDy(value) {
@@ -892,13 +1701,11 @@ class StringSetField extends BaoBaseField {
 
     // Convert Set or Array to array for DynamoDB
     let arrayValue;
-    if (value instanceof Set) {
-      arrayValue = Array.from(value);
-    } else if (Array.isArray(value)) {
-      arrayValue = [...new Set(value)]; // Remove duplicates
+    if (value instanceof Set || Array.isArray(value)) {
+      arrayValue = Array.from(this._newSet(value)); // Remove duplicates
     } else {
       throw new ValidationError(
-        "StringSetField value must be a Set or Array",
+        `${this.constructor.name} value must be a Set or Array`,
         null,
         value,
       );
@@ -933,14 +1740,14 @@ class StringSetField extends BaoBaseField {
    */
   _createBaseSet(value) {
     if (value === undefined || value === null) {
-      return new Set(); // Return empty Set for missing or null values
+      return this._newSet(); // Return empty Set for missing or null values
     }
 
     if (Array.isArray(value)) {
-      return new Set(value);
+      return this._newSet(value);
     }
 
-    return new Set();
+    return this._newSet();
   }
 
   /**
@@ -986,7 +1793,7 @@ class StringSetField extends BaoBaseField {
 
   toGsi(value) {
     throw new ValidationError(
-      "StringSetField does not support GSI conversion (sets cannot be indexed)",
+      `${this.constructor.name} does not support GSI conversion (sets cannot be indexed)`,
       null,
       value,
     );
@@ -1027,13 +1834,15 @@ class StringSetField extends BaoBaseField {
       };
     }
 
-    // Convert to Sets for efficient comparison
-    const newSet = new Set(newArray);
-    const oldSet = new Set(oldArray);
+    // Convert to Sets of member keys for efficient comparison
+    const newSet = new Set(newArray.map((item) => this._memberKey(item)));
+    const oldSet = new Set(oldArray.map((item) => this._memberKey(item)));
 
     // Find items to add and delete
-    const toAdd = newArray.filter((item) => !oldSet.has(item));
-    const toDelete = oldArray.filter((item) => !newSet.has(item));
+    const toAdd = newArray.filter((item) => !oldSet.has(this._memberKey(item)));
+    const toDelete = oldArray.filter(
+      (item) => !newSet.has(this._memberKey(item)),
+    );
 
     // If no changes, return null
     if (toAdd.length === 0 && toDelete.length === 0) {
@@ -1089,6 +1898,748 @@ class StringSetField extends BaoBaseField {
   }
 }
 
+/**
+ * @class NumberSetField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a set of numbers. Behind the scenes this is backed by a
+ * DynamoDB number set. It works like {@link BaoFields.StringSetField}: changes
+ * made with `add()`, `delete()` and `clear()` are tracked, saves send only the
+ * added or removed members, empty sets are stored as null, and the field can
+ * be filtered with `$contains` and `$size` but not indexed. `maxMemberCount`
+ * limits the size of the set.
+ *
+ * @example
+ * doc.scores.add(42);
+ * await doc.save(); // ADD #scores :scores
+ */
+class NumberSetField extends StringSetField {
+  _validateMember(item, value) {
+    if (typeof item !== "number" || !Number.isFinite(item)) {
+      throw new ValidationError(
+        "NumberSetField can only contain finite numbers",
+        null,
+        value,
+      );
+    }
+  }
+}
+
+// A Set of binary values that treats Buffers with the same bytes as the
+// same member, so e.g. delete() works with a copy of a stored value
+class BinarySet extends Set {
+  _find(value) {
+    if (!(value instanceof Uint8Array)) return undefined;
+    for (const member of super.values()) {
+      if (Buffer.from(member).equals(Buffer.from(value))) return member;
+    }
+    return undefined;
+  }
+
+  add(value) {
+    return this._find(value) === undefined ? super.add(value) : this;
+  }
+
+  has(value) {
+    return this._find(value) !== undefined;
+  }
+
+  delete(value) {
+    const member = this._find(value);
+    return member !== undefined && super.delete(member);
+  }
+}
+
+/**
+ * @class BinarySetField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a set of binary values (Buffers or Uint8Arrays). Behind
+ * the scenes this is backed by a DynamoDB binary set. It works like
+ * {@link BaoFields.StringSetField}; members are compared by their bytes, so
+ * `has()` and `delete()` work with copies of stored values.
+ *
+ * @example
+ * doc.keys.add(Buffer.from("0a1b", "hex"));
+ * doc.keys.delete(Buffer.from("ffff", "hex"));
+ * await doc.save();
+ */
+class BinarySetField extends StringSetField {
+  _validateMember(item, value) {
+    if (!(item instanceof Uint8Array)) {
+      throw new ValidationError(
+        "BinarySetField can only contain Buffer or Uint8Array values",
+        null,
+        value,
+      );
+    }
+  }
+
+  _newSet(members) {
+    return new BinarySet(members);
+  }
+
+  _memberKey(item) {
+    return Buffer.from(item).toString("base64");
+  }
+}
+
+/**
+ * @class MapField
+ * @memberof BaoFields
+ * @description
+ * A field that stores a nested document as a native DynamoDB map. Without a
+ * schema the map can hold any JSON-style values: strings, numbers, booleans,
+ * buffers, arrays (stored as lists) and nested objects. With the `fields`
+ * option, the keys are limited to the given fields, and each value is
+ * validated and converted by its field like a top-level value would be.
+ * Null or undefined values are left out of the stored map.
+ *
+ * Changes made in place are tracked, like with {@link BaoFields.StringSetField}.
+ * When an existing item is saved, only the changed paths are written
+ * (`SET #address.#city = :value`), so concurrent updates to other keys of the
+ * same map are kept. Values that are not plain objects or arrays, such as the
+ * Date of a nested DateTimeField, must be assigned again to be tracked.
+ *
+ * This field cannot be indexed. Nested values can be used in filter
+ * expressions with a dotted path.
+ *
+ * With the `compress` option, maps of at least `compressThreshold` bytes
+ * (measured as DynamoDB JSON) are stored compressed, like a compressed
+ * {@link BaoFields.StringField}. A compressed map is always saved whole, and
+ * filters on its nested values don't match it. The same goes for maps
+ * offloaded to the blob store with the `offload` option.
+ *
+ * @example
+ * // Model definition
+ * static fields = {
+ *   address: MapField({
+ *     fields: {
+ *       street: StringField(),
+ *       city: StringField({ required: true }),
+ *     },
+ *   }),
+ *   settings: MapField(),
+ * };
+ *
+ * // Nested changes are saved as path updates
+ * user.address.city = "Austin";
+ * delete user.settings.theme;
+ * await user.save();
+ *
+ * // Filter on a nested value
+ * const results = await User.scan({
+ *   filter: { "address.city": "Austin" },
+ * });
+ */
+class MapField extends BaoBaseField {
+  constructor(options = {}) {
+    super(options);
+    this.fields = options.fields || null;
+    setCompressOptions(this, options);
+    setOffloadOptions(this, options);
+  }
+
+  validate(value) {
+    super.validate(value);
+
+    if (value === null || value === undefined) {
+      return true;
+    }
+
+    this._validateMap(value, "");
+    return true;
+  }
+
+  /**
+   * @private
+   * @description
+   * Validate a map against this field's schema. Errors name the path of the
+   * failing value, e.g. `city: Field is required` or `geo.lat: ...`.
+   * @param {Object} map - The map to validate
+   * @param {string} path - The path of the map, with a trailing dot, or ""
+   */
+  _validateMap(map, path) {
+    if (!isPlainObject(map)) {
+      throw new ValidationError(
+        path
+          ? `${path.slice(0, -1)}: MapField value must be an object`
+          : "MapField value must be an object",
+        null,
+        map,
+      );
+    }
+
+    if (!this.fields) {
+      for (const [key, value] of Object.entries(map)) {
+        validateDocumentValue(value, `${path}${key}`, "MapField");
+      }
+      return;
+    }
+
+    for (const [key, value] of Object.entries(map)) {
+      if (!this.fields[key] && value !== null && value !== undefined) {
+        throw new ValidationError(
+          `Unknown key in MapField: ${path}${key}`,
+          null,
+          map,
+        );
+      }
+    }
+
+    for (const [key, field] of Object.entries(this.fields)) {
+      const value = map[key];
+      if (field instanceof MapField) {
+        if (field.required && (value === null || value === undefined)) {
+          throw new ValidationError(
+            `${path}${key}: Field is required`,
+            null,
+            value,
+          );
+        }
+        if (value !== null && value !== undefined) {
+          field._validateMap(value, `${path}${key}.`);
+        }
+      }
+
+      try {
+        if (!(field instanceof MapField)) field.validate(value);
+        field.checkRules(value);
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          throw new ValidationError(
+            `${path}${key}: ${error.message}`,
+            null,
+            value,
+          );
+        }
+        throw error;
+      }
+    }
+  }
+
+  toDy(value) {
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+
+    // Filter values for the whole map (e.g. $contains) pass through as-is
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    const dyMap = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === null || item === undefined) continue;
+      const field = this.fields && this.fields[key];
+      const dyValue = field ? field.toDy(item) : toDyDocumentValue(item);
+      if (dyValue !== null && dyValue !== undefined) {
+        dyMap[key] = dyValue;
+      }
+    }
+    if (!this.compress) return dyMap;
+
+    // Kept as DynamoDB JSON, so lists, sets and numbers keep their type
+    const json = JSON.stringify(marshall(dyMap).M);
+    return compressValue(this, Buffer.from(json, "utf8"), dyMap);
+  }
+
+  fromDy(value, modelInstance = null, fieldName = null) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (compression.isCompressed(value)) {
+      value = decompressValue(value, (bytes) =>
+        unmarshall({ M: JSON.parse(bytes.toString("utf8")) }),
+      );
+    }
+
+    const map = {};
+    for (const [key, item] of Object.entries(value)) {
+      const field = this.fields && this.fields[key];
+      map[key] = field ? field.fromDy(item) : fromDyDocumentValue(item);
+    }
+
+    // If no model context, return plain object (for non-property usage)
+    if (!modelInstance || !fieldName) {
+      return map;
+    }
+
+    return trackDocument(map, this, modelInstance, fieldName);
+  }
+
+  /**
+   * @description
+   * Find the field that describes a nested value.
+   * @param {string[]} path - The keys leading to the value, e.g. `["geo", "lat"]`
+   * @returns {BaoBaseField|null|undefined} The nested field, null if the path
+   *   leads into a map without a schema, or undefined if the schema has no
+   *   such key.
+   */
+  getNestedField(path) {
+    const [key, ...rest] = path;
+    if (!this.fields) return null;
+    const field = this.fields[key];
+    if (!field) return undefined;
+    if (rest.length === 0) return field;
+    return field instanceof MapField ? field.getNestedField(rest) : undefined;
+  }
+
+  toGsi(value) {
+    throw new ValidationError(
+      "MapField does not support GSI conversion (maps cannot be indexed)",
+      null,
+      value,
+    );
+  }
+
+  getUpdateExpression(fieldName, value, originalValue) {
+    if (value === undefined) return null;
+
+    const attributeName = `#${fieldName}`;
+    const valueAttributeKey = `:${fieldName}`;
+
+    if (value === null) {
+      return {
+        type: "REMOVE",
+        expression: `${attributeName}`,
+        attrNameKey: attributeName,
+        attrValueKey: null,
+        fieldName: fieldName,
+        fieldValue: null,
+      };
+    }
+
+    // Without a stored map there is nothing to update paths in, and a
+    // compressed or offloaded map is written whole
+    if (
+      !isPlainObject(originalValue) ||
+      !isPlainObject(value) ||
+      isBlobPointer(originalValue) ||
+      isBlobPointer(value)
+    ) {
+      return {
+        type: "SET",
+        expression: `${attributeName} = ${valueAttributeKey}`,
+        attrNameKey: attributeName,
+        attrValueKey: valueAttributeKey,
+        fieldName: fieldName,
+        fieldValue: value,
+      };
+    }
+
+    const changes = [];
+    this._diffMaps(originalValue, value, [], changes);
+    if (changes.length === 0) {
+      return null;
+    }
+
+    // Name placeholders are shared by paths that use the same key
+    const attrNames = {};
+    const nameKeys = new Map();
+    const nameKeyFor = (key) => {
+      if (!nameKeys.has(key)) {
+        const nameKey = `${attributeName}_k${nameKeys.size}`;
+        nameKeys.set(key, nameKey);
+        attrNames[nameKey] = key;
+      }
+      return nameKeys.get(key);
+    };
+
+    const operations = changes.map((change, index) => {
+      const path = [attributeName, ...change.path.map(nameKeyFor)].join(".");
+      if (change.remove) {
+        return {
+          type: "REMOVE",
+          expression: path,
+          attrNameKey: attributeName,
+          attrNames,
+          attrValueKey: null,
+          fieldName: fieldName,
+          fieldValue: null,
+        };
+      }
+      const pathValueKey = `${valueAttributeKey}_p${index}`;
+      return {
+        type: "SET",
+        expression: `${path} = ${pathValueKey}`,
+        attrNameKey: attributeName,
+        attrNames,
+        attrValueKey: pathValueKey,
+        fieldName: fieldName,
+        fieldValue: change.value,
+      };
+    });
+
+    return { type: "MULTIPLE", operations };
+  }
+
+  // Collect the paths that differ between two stored maps. Nested maps
+  // present on both sides are compared key by key; anything else that
+  // changed, including lists, is replaced whole.
+  _diffMaps(oldMap, newMap, path, changes) {
+    for (const [key, newValue] of Object.entries(newMap)) {
+      const oldValue = oldMap[key];
+      if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+        this._diffMaps(oldValue, newValue, [...path, key], changes);
+      } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ path: [...path, key], value: newValue });
+      }
+    }
+    for (const key of Object.keys(oldMap)) {
+      if (!(key in newMap)) {
+        changes.push({ path: [...path, key], remove: true });
+      }
+    }
+  }
+}
+
+/**
+ * @class ListField
+ * @memberof BaoFields
+ * @description
+ * A field that stores an ordered list as a native DynamoDB list. Without the
+ * `itemField` option the list can hold any JSON-style values, like a
+ * {@link BaoFields.MapField} without a schema. With it, each element is
+ * validated and converted by that field. `maxLength` limits the number of
+ * elements.
+ *
+ * Changes made in place are tracked. When an existing item is saved, appends
+ * and prepends are written with `list_append` and removed elements with
+ * `REMOVE #items[3]`, so only the delta is sent. Any other change rewrites
+ * the whole list. Removal is by position, so an element removed from a stale
+ * copy of the item may not be the one at that position anymore.
+ *
+ * This field cannot be indexed. Filters can check for an element with
+ * `$contains` or on the length with `$size`.
+ *
+ * @example
+ * // Model definition
+ * static fields = {
+ *   items: ListField({ itemField: StringField(), maxLength: 100 }),
+ * };
+ *
+ * post.items.push("new");    // SET #items = list_append(#items, :items)
+ * post.items.unshift("top"); // SET #items = list_append(:items, #items)
+ * post.items.splice(3, 1);   // REMOVE #items[3]
+ * await post.save();
+ */
+class ListField extends BaoBaseField {
+  constructor(options = {}) {
+    super(options);
+    this.itemField = options.itemField || null;
+    this.maxLength = options.maxLength;
+  }
+
+  validate(value) {
+    super.validate(value);
+
+    if (value === null || value === undefined) {
+      return true;
+    }
+
+    if (!Array.isArray(value)) {
+      throw new ValidationError(
+        "ListField value must be an Array",
+        null,
+        value,
+      );
+    }
+
+    if (this.maxLength && value.length > this.maxLength) {
+      throw new ValidationError(
+        `List exceeds maximum length of ${this.maxLength}`,
+        null,
+        value,
+      );
+    }
+
+    value.forEach((item, index) => {
+      if (!this.itemField) {
+        validateDocumentValue(item, `[${index}]`, "ListField");
+      } else {
+        const isMap = this.itemField instanceof MapField && item != null;
+        if (isMap) {
+          this.itemField._validateMap(item, `[${index}].`);
+        }
+        try {
+          if (!isMap) this.itemField.validate(item);
+          this.itemField.checkRules(item);
+        } catch (error) {
+          if (error instanceof ValidationError) {
+            throw new ValidationError(
+              `[${index}]: ${error.message}`,
+              null,
+              item,
+            );
+          }
+          throw error;
+        }
+      }
+    });
+
+    return true;
+  }
+
+  getInitialValue() {
+    const initialValue = super.getInitialValue();
+    return initialValue === undefined ? [] : initialValue;
+  }
+
+  toDy(value) {
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+
+    // Filter values (e.g. $contains) are single elements
+    if (!Array.isArray(value)) {
+      return this.itemField ? this.itemField.toDy(value) : value;
+    }
+
+    return asList(
+      value.map((item) => {
+        if (item === null || item === undefined) return null;
+        return this.itemField
+          ? this.itemField.toDy(item)
+          : toDyDocumentValue(item);
+      }),
+    );
+  }
+
+  fromDy(value, modelInstance = null, fieldName = null) {
+    const list = Array.isArray(value)
+      ? value.map((item) => {
+          if (item === null) return null;
+          return this.itemField
+            ? this.itemField.fromDy(item)
+            : fromDyDocumentValue(item);
+        })
+      : []; // Missing lists read as empty
+
+    // If no model context, return plain array (for non-property usage)
+    if (!modelInstance || !fieldName) {
+      return list;
+    }
+
+    return trackDocument(list, this, modelInstance, fieldName);
+  }
+
+  toGsi(value) {
+    throw new ValidationError(
+      "ListField does not support GSI conversion (lists cannot be indexed)",
+      null,
+      value,
+    );
+  }
+
+  getUpdateExpression(fieldName, value, originalValue) {
+    if (value === undefined) return null;
+
+    const attributeName = `#${fieldName}`;
+    const valueAttributeKey = `:${fieldName}`;
+
+    if (value === null) {
+      return {
+        type: "REMOVE",
+        expression: `${attributeName}`,
+        attrNameKey: attributeName,
+        attrValueKey: null,
+        fieldName: fieldName,
+        fieldValue: null,
+      };
+    }
+
+    const setList = {
+      type: "SET",
+      expression: `${attributeName} = ${valueAttributeKey}`,
+      attrNameKey: attributeName,
+      attrValueKey: valueAttributeKey,
+      fieldName: fieldName,
+      fieldValue: value,
+    };
+
+    // Without a stored list there is nothing to append to or remove from
+    if (!Array.isArray(originalValue)) {
+      return setList;
+    }
+
+    const newKeys = value.map((item) => JSON.stringify(item));
+    const oldKeys = originalValue.map((item) => JSON.stringify(item));
+    const startsWith = (keys, prefix) =>
+      prefix.every((key, index) => keys[index] === key);
+
+    if (newKeys.length === oldKeys.length && startsWith(newKeys, oldKeys)) {
+      return null;
+    }
+
+    if (newKeys.length > oldKeys.length) {
+      const added = newKeys.length - oldKeys.length;
+      if (startsWith(newKeys, oldKeys)) {
+        return {
+          ...setList,
+          expression: `${attributeName} = list_append(${attributeName}, ${valueAttributeKey})`,
+          fieldValue: asList(value.slice(oldKeys.length)),
+        };
+      }
+      if (startsWith(newKeys.slice(added), oldKeys)) {
+        return {
+          ...setList,
+          expression: `${attributeName} = list_append(${valueAttributeKey}, ${attributeName})`,
+          fieldValue: asList(value.slice(0, added)),
+        };
+      }
+      return setList;
+    }
+
+    // A shorter list that keeps the order of the rest had elements removed.
+    // Indexes refer to the stored list; DynamoDB applies them all at once.
+    const removedIndexes = [];
+    let next = 0;
+    oldKeys.forEach((key, index) => {
+      if (next < newKeys.length && newKeys[next] === key) {
+        next++;
+      } else {
+        removedIndexes.push(index);
+      }
+    });
+    if (next < newKeys.length) {
+      return setList;
+    }
+
+    return {
+      type: "MULTIPLE",
+      operations: removedIndexes.map((index) => ({
+        type: "REMOVE",
+        expression: `${attributeName}[${index}]`,
+        attrNameKey: attributeName,
+        attrValueKey: null,
+        fieldName: fieldName,
+        fieldValue: null,
+      })),
+    };
+  }
+}
+
+/**
+ * @class EncryptedField
+ * @memberof BaoFields
+ * @description
+ * A field that encrypts the value of another field on the client, so
+ * DynamoDB only stores ciphertext. Values are encrypted with AES-256-GCM when
+ * they're saved and decrypted when they're read, using keys from the key
+ * provider passed to `initModels` as `encryption.keyProvider` (see
+ * {@link createStaticKeyProvider}).
+ *
+ * Each value records the ID of the key it was encrypted with, so keys can be
+ * rotated: set the provider's `currentKeyId` to a new key and keep the old
+ * ones available to `getKey`. Values are re-encrypted with the current key
+ * the next time they're assigned and saved.
+ *
+ * By default every save uses a random IV, so the stored value reveals
+ * nothing about the plaintext, and the field can't be used in index keys,
+ * unique constraints or comparison filters. With `deterministic: true` equal
+ * values give equal ciphertext, which allows index partition keys, unique
+ * constraints and `$eq`, `$ne` and `$in` filters, but shows which items share
+ * a value. Deterministic lookups only find values encrypted with the current
+ * key, so re-save existing items after rotating the key of a deterministic
+ * field.
+ *
+ * @example
+ * static fields = {
+ *   ssn: EncryptedField(),
+ *   email: EncryptedField({
+ *     field: EmailField({ required: true }),
+ *     deterministic: true,
+ *   }),
+ * };
+ */
+class EncryptedField extends BaoBaseField {
+  constructor(options = {}) {
+    const field = options.field || new StringField();
+    super({
+      ...options,
+      required: field.required,
+      computed: options.computed ?? field.computed,
+    });
+    this.field = field;
+    this.deterministic = options.deterministic || false;
+
+    const unsupported = [
+      StringSetField,
+      MapField,
+      ListField,
+      CounterField,
+      RelatedField,
+      VersionField,
+      TtlField,
+      EncryptedField,
+    ];
+    if (!(field instanceof BaoBaseField)) {
+      throw new ConfigurationError("EncryptedField `field` must be a field");
+    }
+    if (unsupported.some((FieldClass) => field instanceof FieldClass)) {
+      throw new ConfigurationError(
+        `${field.constructor.name} cannot be encrypted`,
+      );
+    }
+  }
+
+  getInitialValue() {
+    return this.field.getInitialValue();
+  }
+
+  validate(value) {
+    if (isPlainObject(value) && value.$add !== undefined) {
+      throw new ValidationError(
+        "$add cannot be used on an EncryptedField",
+        null,
+        value,
+      );
+    }
+    return this.field.validate(value);
+  }
+
+  checkRules(value) {
+    return this.field.checkRules(value);
+  }
+
+  toDy(value) {
+    if (value === undefined || value === null) return value;
+    const dyValue = this.field.toDy(value);
+    if (dyValue === undefined || dyValue === null) return dyValue;
+    // Kept as DynamoDB JSON, so numbers and binary values keep their type
+    const serialized = JSON.stringify(
+      dyValue === "" ? { S: "" } : marshall(dyValue),
+    );
+    return encrypt(serialized, { deterministic: this.deterministic });
+  }
+
+  fromDy(value) {
+    if (value === undefined || value === null) return null;
+    return this.field.fromDy(unmarshall(JSON.parse(decrypt(value))));
+  }
+
+  /**
+   * @description
+   * Deterministic fields are indexed by their ciphertext, so index queries
+   * find the items whose value encrypts to the same ciphertext with the
+   * current key. Values that are already encrypted are returned as they are.
+   */
+  toGsi(value) {
+    if (!this.deterministic) {
+      throw new ValidationError(
+        "Only deterministic EncryptedFields can be used in an index",
+        null,
+        value,
+      );
+    }
+    if (value === undefined || value === null) return "";
+    return isEncrypted(value) ? value : this.toDy(value);
+  }
+
+  updateBeforeSave(value, currentObject) {
+    return this.field.updateBeforeSave(value, currentObject);
+  }
+}
+
 // Factory functions for creating field instances
 const createStringField = (options) => new StringField(options);
 const createDateTimeField = (options) => new DateTimeField(options);
@@ -1099,12 +2650,23 @@ const createRelatedField = (modelName, options) =>
   new RelatedField(modelName, options);
 const createIntegerField = (options) => new IntegerField(options);
 const createFloatField = (options) => new FloatField(options);
+const createDecimalField = (options) => new DecimalField(options);
+const createGeoPointField = (options) => new GeoPointField(options);
 const createCounterField = (options) => new CounterField(options);
 const createBinaryField = (options) => new BinaryField(options);
 const createVersionField = (options) => new VersionField(options);
 const createBooleanField = (options) => new BooleanField(options);
 const createTtlField = (options) => new TtlField(options);
 const createStringSetField = (options) => new StringSetField(options);
+const createEnumField = (options) => new EnumField(options);
+const createEmailField = (options) => new EmailField(options);
+const createUrlField = (options) => new UrlField(options);
+const createPhoneField = (options) => new PhoneField(options);
+const createNumberSetField = (options) => new NumberSetField(options);
+const createBinarySetField = (options) => new BinarySetField(options);
+const createMapField = (options) => new MapField(options);
+const createListField = (options) => new ListField(options);
+const createEncryptedField = (options) => new EncryptedField(options);
 
 // Export both the factory functions and the classes
 module.exports = {
@@ -1117,12 +2679,23 @@ module.exports = {
   RelatedField: createRelatedField,
   IntegerField: createIntegerField,
   FloatField: createFloatField,
+  DecimalField: createDecimalField,
+  GeoPointField: createGeoPointField,
   CounterField: createCounterField,
   BinaryField: createBinaryField,
   VersionField: createVersionField,
   BooleanField: createBooleanField,
   TtlField: createTtlField,
   StringSetField: createStringSetField,
+  EnumField: createEnumField,
+  EmailField: createEmailField,
+  UrlField: createUrlField,
+  PhoneField: createPhoneField,
+  NumberSetField: createNumberSetField,
+  BinarySetField: createBinarySetField,
+  MapField: createMapField,
+  ListField: createListField,
+  EncryptedField: createEncryptedField,
 
   // Classes (for instanceof checks)
   StringFieldClass: StringField,
@@ -1133,10 +2706,21 @@ module.exports = {
   RelatedFieldClass: RelatedField,
   IntegerFieldClass: IntegerField,
   FloatFieldClass: FloatField,
+  DecimalFieldClass: DecimalField,
+  GeoPointFieldClass: GeoPointField,
   CounterFieldClass: CounterField,
   BinaryFieldClass: BinaryField,
   VersionFieldClass: VersionField,
   BooleanFieldClass: BooleanField,
   TtlFieldClass: TtlField,
   StringSetFieldClass: StringSetField,
+  EnumFieldClass: EnumField,
+  EmailFieldClass: EmailField,
+  UrlFieldClass: UrlField,
+  PhoneFieldClass: PhoneField,
+  NumberSetFieldClass: NumberSetField,
+  BinarySetFieldClass: BinarySetField,
+  MapFieldClass: MapField,
+  ListFieldClass: ListField,
+  EncryptedFieldClass: EncryptedField,
 };
@@ -1,10 +1,17 @@
 const { defaultLogger: logger } = require("./utils/logger");
 const { QueryError, ValidationError } = require("./exceptions");
-const { SEARCH_TEXT_FIELD } = require("./constants");
+const {
+  SEARCH_TEXT_FIELD,
+  DELETED_AT_FIELD,
+  VERSIONED_AT_FIELD,
+} = require("./constants");
+const { MapFieldClass, EncryptedFieldClass } = require("./fields");
 
 // System fields that don't appear in `model.fields` but are still allowed
 // targets for FilterExpressions. _searchText is the auto-populated search
-// column on `searchable` models — see src/utils/search-text.js. The values
+// column on `searchable` models — see src/utils/search-text.js; _deletedAt is
+// the soft delete marker on `softDelete` models; _versionedAt marks the
+// snapshot rows of `versioned` models. The values
 // here describe how to convert the user-supplied filter value into the
 // shape stored on the row, since system fields don't have a Field instance
 // with `.toDy()` to do that for us.
@@ -23,8 +30,35 @@ const SYSTEM_FILTERABLE_FIELDS = {
       return String(value);
     },
   },
+  [DELETED_AT_FIELD]: {
+    convertValue(value) {
+      // Stored as epoch milliseconds
+      return value instanceof Date ? value.getTime() : Number(value);
+    },
+  },
+  [VERSIONED_AT_FIELD]: {
+    convertValue(value) {
+      return value instanceof Date ? value.getTime() : Number(value);
+    },
+  },
 };
 
+// Resolve a dotted filter key like "address.city" into the keys of the path
+// and the nested field of the MapField it starts at. Returns null if the key
+// isn't such a path. `field` is null for paths into a map without a schema,
+// and undefined for keys the schema doesn't have.
+function resolveMapPath(fieldName, model) {
+  if (model.fields[fieldName] || !fieldName.includes(".")) {
+    return null;
+  }
+  const keys = fieldName.split(".");
+  const mapField = model.fields[keys[0]];
+  if (!(mapField instanceof MapFieldClass)) {
+    return null;
+  }
+  return { keys, field: mapField.getNestedField(keys.slice(1)) };
+}
+
 /**
  * Supporting class for building DynamoDB filter expressions.
  * @class
@@ -49,6 +83,16 @@ class FilterExpressionBuilder {
     return key;
   }
 
+  // Generate the name placeholders for a field, or for a path like
+  // "address.city" into a MapField
+  generatePath(fieldName, model) {
+    const path = resolveMapPath(fieldName, model);
+    if (!path) {
+      return this.generateName(fieldName);
+    }
+    return path.keys.map((key) => this.generateName(key)).join(".");
+  }
+
   // Generate unique value placeholder
   generateValue(value) {
     const key = `:v${++this.valueCount}`;
@@ -62,13 +106,18 @@ class FilterExpressionBuilder {
     if (systemField) {
       return systemField.convertValue(value, model);
     }
+    const path = resolveMapPath(fieldName, model);
+    if (path) {
+      // Nested values without a schema field are stored as given
+      return path.field ? path.field.toDy(value) : value;
+    }
     const field = model.fields[fieldName];
     return field.toDy(value);
   }
 
   // Build expression for a single comparison
   buildComparison(fieldName, operator, value, model) {
-    const nameKey = this.generateName(fieldName);
+    const nameKey = this.generatePath(fieldName, model);
 
     switch (operator) {
       case "$eq":
@@ -162,7 +211,7 @@ class FilterExpressionBuilder {
   // Build expression for a field
   buildFieldExpression(fieldName, condition, model) {
     if (condition === null) {
-      const nameKey = this.generateName(fieldName);
+      const nameKey = this.generatePath(fieldName, model);
       return `attribute_not_exists(${nameKey})`;
     }
 
@@ -230,6 +279,7 @@ class FilterExpressionBuilder {
    *   - Comparison operators: { fieldName: { $eq: value, $ne: value, $gt: value, $gte: value, $lt: value, $lte: value } }
    *   - String operators: { fieldName: { $beginsWith: value, $contains: value } }
    *   - Collection operators: { fieldName: { $size: value } } for sets, lists, or maps
+   *   - Nested values of a MapField by dotted path: { "address.city": value }
    *   - Logical operators:
    *     - $and: [{condition1}, {condition2}] - All conditions must match
    *     - $or: [{condition1}, {condition2}] - At least one condition must match
@@ -303,7 +353,8 @@ class FilterExpressionBuilder {
         if (!isSystemField) {
           // Validate field exists in model
           const field = model.fields[key];
-          if (!field) {
+          const path = field ? null : resolveMapPath(key, model);
+          if (!field && (!path || path.field === undefined)) {
             throw new QueryError(`Unknown field in filter: ${key}`);
           }
         }
@@ -335,6 +386,30 @@ class FilterExpressionBuilder {
             }
           });
         }
+
+        // Ciphertext can only be compared for equality, and only when it's
+        // deterministic
+        const field = model.fields[key];
+        if (field instanceof EncryptedFieldClass) {
+          const operators =
+            value &&
+            typeof value === "object" &&
+            !Array.isArray(value) &&
+            !(value instanceof Date)
+              ? Object.keys(value)
+              : ["$eq"];
+          const allowed = field.deterministic
+            ? ["$eq", "$ne", "$in", "$exists"]
+            : ["$exists"];
+          const invalid = operators.find((op) => !allowed.includes(op));
+          if (invalid) {
+            throw new QueryError(
+              `Operator ${invalid} cannot be used on ${
+                field.deterministic ? "" : "non-deterministic "
+              }EncryptedField ${key}`,
+            );
+          }
+        }
       }
     };
 
@@ -342,4 +417,136 @@ class FilterExpressionBuilder {
   }
 }
 
-module.exports = { FilterExpressionBuilder };
+// The fields a filter refers to. Paths into a MapField refer to the map.
+function getFilterFields(filter) {
+  const fieldNames = new Set();
+  const collect = (condition) => {
+    for (const [key, value] of Object.entries(condition)) {
+      if (key === "$and" || key === "$or") {
+        value.forEach(collect);
+      } else if (key === "$not") {
+        collect(value);
+      } else {
+        fieldNames.add(key.split(".")[0]);
+      }
+    }
+  };
+  collect(filter);
+  return [...fieldNames];
+}
+
+const isEqual = (a, b) => {
+  if (a instanceof Set && b instanceof Set) {
+    return a.size === b.size && [...a].every((value) => b.has(value));
+  }
+  if (a !== null && b !== null && typeof a === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+const sizeOf = (value) => {
+  if (value instanceof Set || value instanceof Map) return value.size;
+  if (typeof value === "string" || Array.isArray(value)) return value.length;
+  if (value instanceof Uint8Array) return value.length;
+  return typeof value === "object" ? Object.keys(value).length : undefined;
+};
+
+// Only values of the same type are ordered, as in DynamoDB
+const compareWith = (operator, a, b) => {
+  if (typeof a !== typeof b || !["number", "string"].includes(typeof a)) {
+    return false;
+  }
+  switch (operator) {
+    case "$gt":
+      return a > b;
+    case "$gte":
+      return a >= b;
+    case "$lt":
+      return a < b;
+    case "$lte":
+      return a <= b;
+    default:
+      return isEqual(a, b);
+  }
+};
+
+/**
+ * Check an item against a filter without querying, the way DynamoDB would
+ * evaluate the filter's expression. Takes the same syntax as
+ * {@link FilterExpressionBuilder#build}, and the item's values as they're
+ * stored. Used for the `when` condition of sparse indexes.
+ * @param {Object} filter - The filter
+ * @param {Object} item - The item's DynamoDB values by field name
+ * @param {BaoModel} model - The model of the item
+ * @returns {boolean} Whether the item matches
+ */
+function matchesFilter(filter, item, model) {
+  const builder = new FilterExpressionBuilder();
+
+  const matchesField = (fieldName, condition) => {
+    const path = resolveMapPath(fieldName, model);
+    const actual = path
+      ? path.keys.reduce((value, key) => value?.[key], item)
+      : item[fieldName];
+    const exists = actual !== undefined && actual !== null;
+
+    if (condition === null) return !exists;
+    if (typeof condition !== "object" || condition instanceof Date) {
+      condition = { $eq: condition };
+    }
+
+    return Object.entries(condition).every(([operator, value]) => {
+      const expected = () => builder.convertValue(value, model, fieldName);
+      switch (operator) {
+        case "$eq":
+          return exists && isEqual(actual, expected());
+        case "$ne":
+          return !exists || !isEqual(actual, expected());
+        case "$gt":
+        case "$gte":
+        case "$lt":
+        case "$lte":
+          return exists && compareWith(operator, actual, expected());
+        case "$in":
+          return (
+            exists &&
+            value.some((v) =>
+              isEqual(actual, builder.convertValue(v, model, fieldName)),
+            )
+          );
+        case "$contains":
+          if (typeof actual === "string") return actual.includes(expected());
+          if (actual instanceof Set) return actual.has(value);
+          return Array.isArray(actual) && actual.some((v) => isEqual(v, value));
+        case "$beginsWith":
+          return typeof actual === "string" && actual.startsWith(expected());
+        case "$exists":
+          return exists === value;
+        case "$size": {
+          const size = exists ? sizeOf(actual) : undefined;
+          if (size === undefined) return false;
+          if (typeof value === "number") return size === value;
+          const [[sizeOperator, sizeValue]] = Object.entries(value);
+          return sizeOperator === "$ne"
+            ? size !== sizeValue
+            : compareWith(sizeOperator, size, sizeValue);
+        }
+        default:
+          throw new QueryError(`Unsupported operator: ${operator}`);
+      }
+    });
+  };
+
+  const matches = (condition) =>
+    Object.entries(condition).every(([key, value]) => {
+      if (key === "$and") return value.every(matches);
+      if (key === "$or") return value.some(matches);
+      if (key === "$not") return !matches(value);
+      return matchesField(key, value);
+    });
+
+  return matches(filter);
+}
+
+module.exports = { FilterExpressionBuilder, getFilterFields, matchesFilter };
@@ -20,7 +20,15 @@ const { TenantContext } = require("./tenant-context");
 const {
   runWithBatchContext,
   getBatchContextCapacity,
+  transactFind,
 } = require("./mixins/batch-loading-mixin");
+const { runTransaction } = require("./transaction");
+const { retryOnConflict } = require("./utils/retry-helper");
+const { runWithPrincipal, getCurrentPrincipal } = require("./audit-context");
+const { setKeyProvider, createStaticKeyProvider } = require("./encryption");
+const { setBlobStore, LocalBlobStore } = require("./blob-store");
+const { registerValidator, registerModelValidator } = require("./validators");
+const { registerComputeFunction } = require("./computed");
 
 function findModelFiles(dir) {
   let results = [];
@@ -180,6 +188,16 @@ function initModels(userConfig = {}) {
     TenantContext.validateTenantRequired(finalConfig);
   }
 
+  // Keys for EncryptedFields
+  if (finalConfig.encryption?.keyProvider) {
+    setKeyProvider(finalConfig.encryption.keyProvider);
+  }
+
+  // Storage for fields with the `offload` option
+  if (finalConfig.blobStore) {
+    setBlobStore(finalConfig.blobStore);
+  }
+
   const modelsDir = finalConfig.paths.modelsDir;
 
   // Get/create manager instance with tenantId
@@ -220,6 +238,32 @@ const firstExport = {
   runWithBatchContext,
   getBatchContextCapacity,
 
+  // Cross-model transactions
+  runTransaction,
+  transactFind,
+
+  // Optimistic locking
+  retryOnConflict,
+
+  // Audit history
+  runWithPrincipal,
+  getCurrentPrincipal,
+
+  // Field encryption
+  setKeyProvider,
+  createStaticKeyProvider,
+
+  // Blob storage for offloaded fields
+  setBlobStore,
+  LocalBlobStore,
+
+  // Field and model validators
+  registerValidator,
+  registerModelValidator,
+
+  // Computed fields
+  registerComputeFunction,
+
   // Configurations
   PrimaryKeyConfig,
   IndexConfig,
@@ -1,5 +1,23 @@
 const { defaultLogger: logger } = require("./utils/logger");
 const { QueryError } = require("./exceptions");
+const { COMPOSITE_KEY_UPPER_BOUND } = require("./constants");
+
+const SORT_KEY_OPERATORS = [
+  "$eq",
+  "$beginsWith",
+  "$between",
+  "$gt",
+  "$gte",
+  "$lt",
+  "$lte",
+];
+
+// Operators are given as plain objects, so dates and other values aren't
+// mistaken for them
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === "object" &&
+  Object.getPrototypeOf(condition) === Object.prototype;
 
 class KeyConditionBuilder {
   constructor() {
@@ -182,10 +200,19 @@ class KeyConditionBuilder {
       throw new QueryError("Invalid condition format");
     }
 
+    const index = model.indexes[indexName];
+    if (index && Array.isArray(index.sk)) {
+      return this.buildCompositeKeyCondition(
+        model,
+        indexName,
+        condition,
+        gsiSortKeyName,
+      );
+    }
+
     const [[fieldName, fieldCondition]] = Object.entries(condition);
 
     // Validate that this field is the sort key for the index
-    const index = model.indexes[indexName];
     if (!index || index.sk !== fieldName) {
       throw new QueryError(
         `Field "${fieldName}" is not the sort key for index "${indexName}"`,
@@ -205,16 +232,7 @@ class KeyConditionBuilder {
       const value = fieldCondition[operator];
 
       // Validate operator before processing
-      const validOperators = [
-        "$eq",
-        "$beginsWith",
-        "$between",
-        "$gt",
-        "$gte",
-        "$lt",
-        "$lte",
-      ];
-      if (!validOperators.includes(operator)) {
+      if (!SORT_KEY_OPERATORS.includes(operator)) {
         throw new QueryError(`Unsupported sort key operator: ${operator}`);
       }
 
@@ -267,6 +285,140 @@ class KeyConditionBuilder {
       };
     }
   }
+
+  /**
+   * Build the condition on a composite sort key. The condition gives values
+   * for the key's leading fields, which must all be matched exactly except
+   * the last of them. That one may also use any sort key operator:
+   * `{ priority: 1, createdAt: { $gt: date } }` on a `[priority, createdAt]`
+   * key finds items of priority 1 created after the date.
+   *
+   * A composite key ends each field's value with a delimiter that sorts
+   * before any other character, so the items matching the leading fields are
+   * a contiguous range, and the ranges are bounded with
+   * COMPOSITE_KEY_UPPER_BOUND, which sorts just after the delimiter.
+   */
+  buildCompositeKeyCondition(model, indexName, condition, gsiSortKeyName) {
+    const skFields = model.indexes[indexName].sk;
+    const fieldNames = Object.keys(condition);
+    const leading = skFields.slice(0, fieldNames.length);
+    const unknown = fieldNames.find(
+      (fieldName) => !leading.includes(fieldName),
+    );
+    if (fieldNames.length === 0 || unknown !== undefined) {
+      throw new QueryError(
+        `Sort key conditions on index "${indexName}" must give its leading fields, of ${skFields.join(", ")}`,
+        indexName,
+        unknown,
+      );
+    }
+
+    const lastField = leading[leading.length - 1];
+    const equalities = {};
+    for (const fieldName of leading.slice(0, -1)) {
+      let value = condition[fieldName];
+      if (isOperatorObject(value)) {
+        if (!("$eq" in value) || Object.keys(value).length !== 1) {
+          throw new QueryError(
+            `Field "${fieldName}" must be matched exactly, as it comes before "${lastField}" in the sort key of index "${indexName}"`,
+            indexName,
+            fieldName,
+          );
+        }
+        value = value.$eq;
+      }
+      equalities[fieldName] = value;
+    }
+
+    // The key of the leading equalities, and of them and a value of the last
+    // field, with or without its delimiter
+    const prefix = model._formatCompositeKey(leading.slice(0, -1), equalities);
+    const keyOf = (value) =>
+      model._formatCompositeKey(leading, { ...equalities, [lastField]: value });
+    const upTo = (value) => keyOf(value).slice(0, -1);
+    // Past every key starting with the prefix
+    const prefixEnd = prefix && prefix.slice(0, -1) + COMPOSITE_KEY_UPPER_BOUND;
+
+    const nameKey = "#sk";
+    const names = { "#sk": gsiSortKeyName };
+    const between = (start, end) => ({
+      condition: `${nameKey} BETWEEN :sortKeyStart AND :sortKeyEnd`,
+      names,
+      values: { ":sortKeyStart": start, ":sortKeyEnd": end },
+    });
+    const compare = (operator, value) => ({
+      condition: `${nameKey} ${operator} :sortKeyValue`,
+      names,
+      values: { ":sortKeyValue": value },
+    });
+
+    let fieldCondition = condition[lastField];
+    if (fieldCondition === undefined) {
+      throw new QueryError("Sort key condition value cannot be undefined");
+    }
+    let operator = "$eq";
+    if (isOperatorObject(fieldCondition)) {
+      [operator] = Object.keys(fieldCondition);
+      fieldCondition = fieldCondition[operator];
+      if (!SORT_KEY_OPERATORS.includes(operator)) {
+        throw new QueryError(`Unsupported sort key operator: ${operator}`);
+      }
+    }
+
+    switch (operator) {
+      case "$eq":
+        // Every field given matches one key, otherwise a range of them
+        return leading.length === skFields.length
+          ? compare("=", keyOf(fieldCondition))
+          : {
+              condition: `begins_with(${nameKey}, :sortKeyValue)`,
+              names,
+              values: { ":sortKeyValue": keyOf(fieldCondition) },
+            };
+
+      case "$beginsWith":
+        return {
+          condition: `begins_with(${nameKey}, :sortKeyValue)`,
+          names,
+          values: { ":sortKeyValue": upTo(fieldCondition) },
+        };
+
+      case "$between":
+        if (!Array.isArray(fieldCondition) || fieldCondition.length !== 2) {
+          throw new QueryError(
+            "$between requires an array with exactly 2 elements",
+          );
+        }
+        return between(
+          upTo(fieldCondition[0]),
+          upTo(fieldCondition[1]) + COMPOSITE_KEY_UPPER_BOUND,
+        );
+
+      // Keys of items whose field equals the value start with upTo(value)
+      // and the delimiter, so they sort after upTo(value) and before
+      // upTo(value) + COMPOSITE_KEY_UPPER_BOUND
+      case "$gt":
+      case "$gte": {
+        const start =
+          operator === "$gt"
+            ? upTo(fieldCondition) + COMPOSITE_KEY_UPPER_BOUND
+            : upTo(fieldCondition);
+        return prefix ? between(start, prefixEnd) : compare(">=", start);
+      }
+
+      case "$lt":
+      case "$lte": {
+        const end =
+          operator === "$lte"
+            ? upTo(fieldCondition) + COMPOSITE_KEY_UPPER_BOUND
+            : upTo(fieldCondition);
+        return prefix ? between(prefix, end) : compare("<=", end);
+      }
+
+      default:
+        throw new QueryError(`Unsupported sort key operator: ${operator}`);
+    }
+  }
 }
 
 module.exports = { KeyConditionBuilder };
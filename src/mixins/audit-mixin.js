@@ -0,0 +1,229 @@
+const { monotonicFactory } = require("ulid");
+const { QueryCommand } = require("../dynamodb-client");
+const { retryOperation } = require("../utils/retry-helper");
+const { getCurrentPrincipal } = require("../audit-context");
+const { CounterFieldClass } = require("../fields");
+const { ValidationError } = require("../exceptions");
+const { _accumulateCapacityToContext } = require("./batch-loading-mixin");
+
+// Monotonic so entries written within the same millisecond keep their order
+const nextHistoryId = monotonicFactory();
+
+// History stores values as they are saved, except that sets become sorted
+// lists: they compare by value that way, and an empty set can't be stored
+function _historyValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Set) return [...value].sort();
+  return value;
+}
+
+// Maps can come back from DynamoDB with their keys in a different order, so
+// values are compared by content rather than serialized
+function _sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") {
+    return false;
+  }
+  if (a instanceof Uint8Array || b instanceof Uint8Array) {
+    return (
+      a instanceof Uint8Array &&
+      b instanceof Uint8Array &&
+      Buffer.compare(a, b) === 0
+    );
+  }
+  if (a instanceof Set || b instanceof Set) {
+    return (
+      a instanceof Set &&
+      b instanceof Set &&
+      a.size === b.size &&
+      [...a].every((member) => b.has(member))
+    );
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(b, key) &&
+        _sameValue(a[key], b[key]),
+    )
+  );
+}
+
+function _encodeHistoryCursor(lastEvaluatedKey) {
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString("base64url");
+}
+
+function _decodeHistoryCursor(cursor, historyKey) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (e) {
+    throw new ValidationError("Invalid history cursor", null, cursor);
+  }
+  if (key?._pk !== historyKey || typeof key._sk !== "string") {
+    throw new ValidationError(
+      "History cursor was generated for a different item",
+      null,
+      cursor,
+    );
+  }
+  return key;
+}
+
+const AuditMethods = {
+  /**
+   * Compare two sets of stored values field by field.
+   * @param {Object|null} before - Stored values before a write
+   * @param {Object|null} after - Stored values after the write
+   * @returns {Object} Maps each changed field to `{ before, after }`
+   */
+  _diffFields(before, after) {
+    const changes = {};
+    for (const [fieldName, field] of Object.entries(this.fields)) {
+      const beforeValue = _historyValue(before?.[fieldName]);
+      let afterValue = _historyValue(after?.[fieldName]);
+      if (
+        field instanceof CounterFieldClass &&
+        typeof afterValue === "string"
+      ) {
+        // Relative counter updates ("+1") are recorded as their result
+        afterValue = (beforeValue || 0) + parseInt(afterValue, 10);
+      }
+      if (!_sameValue(beforeValue, afterValue)) {
+        changes[fieldName] = { before: beforeValue, after: afterValue };
+      }
+    }
+    return changes;
+  },
+
+  /**
+   * Build the history row written alongside a change to an audited model.
+   * Returns an empty array if the model isn't audited, or if an update
+   * leaves every field as it was.
+   * @param {string} primaryId - The primary ID of the changed item
+   * @param {string} operation - create, update, upsert, replace, delete,
+   *   restore or purge
+   * @param {Object|null} before - The item's stored values before the write
+   * @param {Object|null} after - The item's stored values after the write
+   * @returns {Object[]} Transact items to add to the write
+   */
+  _buildHistoryItems(primaryId, operation, before, after) {
+    if (!this.audit) return [];
+
+    const changes = this._diffFields(before, after);
+    if (operation === "update" && !Object.keys(changes).length) return [];
+
+    const item = {
+      _pk: this._formatHistoryKey(primaryId),
+      _sk: nextHistoryId(),
+      relatedId: primaryId,
+      relatedModel: this.name,
+      operation,
+      actor: getCurrentPrincipal(),
+      timestamp: Date.now(),
+      changes,
+    };
+    const testId = this.manager.getTestId();
+    if (testId) {
+      item._gsi_test_id = testId;
+    }
+
+    return [
+      {
+        Put: {
+          TableName: this.table,
+          Item: item,
+          // History is append-only
+          ConditionExpression: "attribute_not_exists(#pk)",
+          ExpressionAttributeNames: { "#pk": "_pk" },
+        },
+      },
+    ];
+  },
+
+  _toHistoryEntry(item) {
+    const changes = {};
+    for (const [fieldName, change] of Object.entries(item.changes || {})) {
+      const field = this.fields[fieldName];
+      const fromDy = (value) =>
+        value == null || !field ? value : field.fromDy(value);
+      changes[fieldName] = {
+        before: fromDy(change.before),
+        after: fromDy(change.after),
+      };
+    }
+
+    return {
+      historyId: item._sk,
+      operation: item.operation,
+      actor: item.actor ?? null,
+      timestamp: new Date(item.timestamp),
+      changes,
+    };
+  },
+
+  /**
+   * @memberof BaoModel
+   * @description
+   * Page through the audit history of an item, newest first. History is only
+   * recorded for models with `audit` enabled; every create, update, delete
+   * and restore writes one entry in the same transaction as the change.
+   * Entries outlive the item, so the history of a deleted item can still be
+   * read.
+   * @param {string} primaryId - The primary ID of the item
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum entries to return (default: model.defaultQueryLimit)
+   * @param {string|null} [options.cursor=null] - Cursor from a previous call, to get the next page
+   * @returns {Promise<Object>} Resolves to `{ items, cursor, consumedCapacity }`.
+   *   Each item is `{ historyId, operation, actor, timestamp, changes }`, where
+   *   `changes` maps each changed field to `{ before, after }`. `cursor` is null
+   *   on the last page.
+   * @throws {ValidationError} If the cursor is malformed or belongs to another item
+   * @example
+   * let cursor = null;
+   * do {
+   *   const page = await User.getHistory(userId, { limit: 20, cursor });
+   *   page.items.forEach(({ operation, actor, timestamp, changes }) => {
+   *     console.log(timestamp, actor, operation, Object.keys(changes));
+   *   });
+   *   cursor = page.cursor;
+   * } while (cursor);
+   */
+  async getHistory(primaryId, options = {}) {
+    const { limit = this.defaultQueryLimit, cursor = null } = options;
+    const historyKey = this._formatHistoryKey(primaryId);
+
+    const params = {
+      TableName: this.table,
+      KeyConditionExpression: "#pk = :pk",
+      ExpressionAttributeNames: { "#pk": "_pk" },
+      ExpressionAttributeValues: { ":pk": historyKey },
+      ScanIndexForward: false,
+      Limit: limit,
+      ReturnConsumedCapacity: "TOTAL",
+    };
+    if (cursor) {
+      params.ExclusiveStartKey = _decodeHistoryCursor(cursor, historyKey);
+    }
+
+    const response = await retryOperation(() =>
+      this.documentClient.send(new QueryCommand(params)),
+    );
+    _accumulateCapacityToContext(
+      response.ConsumedCapacity?.CapacityUnits || 0,
+      "read",
+    );
+
+    return {
+      items: (response.Items || []).map((item) => this._toHistoryEntry(item)),
+      cursor: response.LastEvaluatedKey
+        ? _encodeHistoryCursor(response.LastEvaluatedKey)
+        : null,
+      consumedCapacity: response.ConsumedCapacity,
+    };
+  },
+};
+
+module.exports = AuditMethods;
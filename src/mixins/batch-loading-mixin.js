@@ -1,7 +1,13 @@
 const { defaultLogger: logger } = require("../utils/logger");
 const { ObjectNotFound } = require("../object-not-found");
 const { pluginManager } = require("../plugin-manager");
-const { BatchGetCommand, GetCommand } = require("../dynamodb-client");
+const {
+  BatchGetCommand,
+  GetCommand,
+  TransactGetCommand,
+} = require("../dynamodb-client");
+const { retryOperation } = require("../utils/retry-helper");
+const { TransactionError, ValidationError } = require("../exceptions");
 const defaultConfig = require("../config");
 
 // Import AsyncLocalStorage for request-scoped batching
@@ -18,6 +24,23 @@ const batchContext = AsyncLocalStorage ? new AsyncLocalStorage() : null;
 
 const DEFAULT_BATCH_DELAY_MS = 5;
 const BATCH_REQUEST_TIMEOUT = 10000; // 10 seconds max lifetime for a batch
+const MAX_TRANSACT_GET_ITEMS = 100;
+
+// Strongly consistent loads are cached under their own key so a consistent
+// find is never answered with an eventually consistent copy. They are also
+// cached under the plain primary id, since they are at least as fresh.
+const CONSISTENT_CACHE_SEPARATOR = "##__CONSISTENT__##";
+
+function _getCacheKey(primaryId, consistent) {
+  return consistent ? `${primaryId}${CONSISTENT_CACHE_SEPARATOR}` : primaryId;
+}
+
+function _cacheLoadedItem(loaderContext, primaryId, instance, consistent) {
+  loaderContext.set(primaryId, instance);
+  if (consistent) {
+    loaderContext.set(_getCacheKey(primaryId, true), instance);
+  }
+}
 
 /**
  * Accumulate capacity units to the current batch context.
@@ -102,6 +125,31 @@ const BatchLoadingMethods = {
     return !!(context && context.batchRequests);
   },
 
+  /**
+   * Drop an item from the batch-context cache once it has been written, so
+   * the next find in the request reads it again. Both the plain and the
+   * strongly consistent copies are dropped.
+   * @param {string} primaryId - The primary ID of the written item
+   */
+  _clearCachedItem(primaryId) {
+    const loaderContext = batchContext?.getStore()?.loaderContext;
+    if (loaderContext) {
+      loaderContext.delete(_getCacheKey(primaryId, false));
+      loaderContext.delete(_getCacheKey(primaryId, true));
+    }
+  },
+
+  /**
+   * True if the instance is a soft-deleted row that reads should hide.
+   * @param {Object} instance - A loaded instance or ObjectNotFound
+   * @returns {boolean}
+   */
+  _isHiddenDeleted(instance) {
+    return (
+      !!this._getSoftDeleteConfig() && instance.exists() && instance.isDeleted()
+    );
+  },
+
   /**
    * @memberof BaoModel
    * @description
@@ -109,11 +157,29 @@ const BatchLoadingMethods = {
    * This function should only be used when {@link BaoModel.find} or {@link BaoModel#loadRelatedData} is not sufficient.
    *
    * @param {string[]} primaryIds - The primary IDs of the items to load
+   * @param {Object} [options={}] - Optional configuration for the load
+   * @param {boolean} [options.consistent=false] - If true, uses strongly consistent reads and
+   *                                              ignores items cached by eventually consistent loads
+   * @param {boolean} [options.includeDeleted=false] - If true, soft-deleted items are returned
+   *                                                  instead of being left out
    * @returns {Promise<Object>} Returns a promise that resolves to the loaded items and their consumed capacity
    */
-  async batchFind(primaryIds) {
+  async batchFind(primaryIds, options = {}) {
     if (!primaryIds?.length) return { items: {}, ConsumedCapacity: [] };
 
+    if (!options.includeDeleted && this._getSoftDeleteConfig()) {
+      const result = await this.batchFind(primaryIds, {
+        ...options,
+        includeDeleted: true,
+      });
+      for (const [primaryId, item] of Object.entries(result.items)) {
+        if (item.isDeleted()) delete result.items[primaryId];
+      }
+      return result;
+    }
+
+    const consistent = options.consistent ?? false;
+
     // Get batch context and loader context - will be null if not in batch context
     const batchRequests = this._getBatchRequests();
     const context = batchContext?.getStore();
@@ -150,9 +216,10 @@ const BatchLoadingMethods = {
     // First check loaderContext for existing items
     if (loaderContext) {
       primaryIds.forEach((id) => {
-        if (loaderContext.has(id)) {
+        const cacheKey = _getCacheKey(id, consistent);
+        if (loaderContext.has(cacheKey)) {
           const instance = this._createFromDyItem(
-            loaderContext.get(id)._dyData,
+            loaderContext.get(cacheKey)._dyData,
           );
           results[id] = instance;
         } else {
@@ -193,6 +260,7 @@ const BatchLoadingMethods = {
               RequestItems: {
                 [this.table]: {
                   Keys: unprocessedKeys,
+                  ...(consistent && { ConsistentRead: true }),
                 },
               },
               ReturnConsumedCapacity: "TOTAL",
@@ -209,7 +277,7 @@ const BatchLoadingMethods = {
 
             // Add to loader context if provided
             if (loaderContext) {
-              loaderContext.set(primaryId, instance);
+              _cacheLoadedItem(loaderContext, primaryId, instance, consistent);
             }
           });
         }
@@ -265,12 +333,31 @@ const BatchLoadingMethods = {
    * @param {number} [options.batchDelay=5] - Delay in milliseconds before executing batch request.
    *                                         Set to 0 for immediate individual requests
    * @param {boolean} [options.bypassCache=false] - If true, bypasses both batching and caching entirely
+   * @param {boolean} [options.consistent=false] - If true, uses a strongly consistent read. Items cached by
+   *                                              eventually consistent loads are not reused, so a read after
+   *                                              a write in the same request sees the write
+   * @param {boolean} [options.includeDeleted=false] - If true, a soft-deleted item is returned
+   *                                                  instead of ObjectNotFound
    * @returns {Promise<Object>} Returns a promise that resolves to the found item instance or ObjectNotFound
    * @throws {Error} If the batch request times out or other errors occur during the operation
    */
   async find(primaryId, options = {}) {
+    if (!options.includeDeleted && this._getSoftDeleteConfig()) {
+      const item = await this.find(primaryId, {
+        ...options,
+        includeDeleted: true,
+      });
+      return this._isHiddenDeleted(item)
+        ? new ObjectNotFound({
+            TableName: this.table,
+            CapacityUnits: item.getNumericConsumedCapacity("read"),
+          })
+        : item;
+    }
+
     const batchDelay = options.batchDelay ?? DEFAULT_BATCH_DELAY_MS;
     const bypassCache = options.bypassCache ?? false;
+    const consistent = options.consistent ?? false;
 
     // Ensure we're within a batch context (unless bypassing everything for AsyncLocalStorage availability check)
     if (!batchContext) {
@@ -294,7 +381,7 @@ const BatchLoadingMethods = {
       }
 
       // Fallback behavior: direct execution without batching or caching
-      return this._executeFindDirect(primaryId);
+      return this._executeFindDirect(primaryId, { consistent });
     }
 
     // Get automatic loaderContext from batch context
@@ -304,8 +391,9 @@ const BatchLoadingMethods = {
     }
 
     // Check loader context first (unless bypassing cache)
-    if (!bypassCache && loaderContext && loaderContext.has(primaryId)) {
-      const cachedItem = loaderContext.get(primaryId);
+    const cacheKey = _getCacheKey(primaryId, consistent);
+    if (!bypassCache && loaderContext && loaderContext.has(cacheKey)) {
+      const cachedItem = loaderContext.get(cacheKey);
       // Return the exact same cached object instance for true caching
       return cachedItem;
     }
@@ -319,6 +407,7 @@ const BatchLoadingMethods = {
           TableName: this.table,
           Key: dyKey,
           ReturnConsumedCapacity: "TOTAL",
+          ...(consistent && { ConsistentRead: true }),
         }),
       );
 
@@ -337,7 +426,7 @@ const BatchLoadingMethods = {
 
       // Add to loader context if provided (unless bypassing cache)
       if (!bypassCache && loaderContext) {
-        loaderContext.set(primaryId, instance);
+        _cacheLoadedItem(loaderContext, primaryId, instance, consistent);
       }
 
       return instance;
@@ -345,7 +434,8 @@ const BatchLoadingMethods = {
 
     // Batch request logic
     return new Promise((resolve, reject) => {
-      const batchKey = `${this.name}-${batchDelay}`;
+      // Consistent and eventually consistent loads go in separate requests
+      const batchKey = `${this.name}-${batchDelay}${consistent ? "-consistent" : ""}`;
       const batchRequests = this._getBatchRequests();
       let batchRequest = batchRequests.get(batchKey);
 
@@ -370,10 +460,10 @@ const BatchLoadingMethods = {
             const batchIds = currentBatch.items.map((item) => item.id);
 
             // Execute bulk find
-            const { items, ConsumedCapacity } = await this.batchFind(
-              batchIds,
-              loaderContext,
-            );
+            const { items, ConsumedCapacity } = await this.batchFind(batchIds, {
+              consistent,
+              includeDeleted: true,
+            });
 
             // total callbacks
             const totalCallbacks = currentBatch.items.reduce(
@@ -459,9 +549,11 @@ const BatchLoadingMethods = {
   /**
    * Execute find operation directly without batching or caching
    * @param {string} primaryId - The primary ID to find
+   * @param {Object} [options={}] - Optional configuration
+   * @param {boolean} [options.consistent=false] - If true, uses a strongly consistent read
    * @returns {Promise<Object>} The found item or ObjectNotFound
    */
-  async _executeFindDirect(primaryId) {
+  async _executeFindDirect(primaryId, options = {}) {
     const pkSk = this._parsePrimaryId(primaryId);
     const dyKey = this._getDyKeyForPkSk(pkSk);
     const result = await this.documentClient.send(
@@ -469,6 +561,7 @@ const BatchLoadingMethods = {
         TableName: this.table,
         Key: dyKey,
         ReturnConsumedCapacity: "TOTAL",
+        ...(options.consistent && { ConsistentRead: true }),
       }),
     );
 
@@ -482,6 +575,123 @@ const BatchLoadingMethods = {
   },
 };
 
+/**
+ * Read several items, possibly from different models, as one atomic snapshot
+ * using TransactGetItems. Unlike {@link BaoModel.batchFind}, no item reflects a
+ * write that another returned item does not.
+ *
+ * The items are always read from DynamoDB, never from the batch-context cache,
+ * and the loaded instances replace any cached copies so later find() calls in
+ * the same context see the snapshot. Consumed capacity is split across the
+ * returned instances and added to the batch-context total.
+ *
+ * @param {Array<Array>} requests - `[Model, primaryId]` pairs, at most 100
+ * @returns {Promise<Object>} Resolves to `{ items, consumedCapacity }`. `items` holds
+ *   one instance per request, in order, or an {@link ObjectNotFound} for missing items.
+ * @throws {TransactionError} If DynamoDB cancels the read, e.g. because one of the
+ *   items is being written by a transaction
+ *
+ * @example
+ * import { transactFind } from "dynamo-bao";
+ *
+ * const { items } = await transactFind([
+ *   [Order, orderId],
+ *   [Inventory, itemId],
+ * ]);
+ * const [order, inventory] = items;
+ */
+async function transactFind(requests) {
+  if (!requests?.length) return { items: [], consumedCapacity: [] };
+
+  if (requests.length > MAX_TRANSACT_GET_ITEMS) {
+    throw new ValidationError(
+      `transactFind accepts at most ${MAX_TRANSACT_GET_ITEMS} items, got ${requests.length}`,
+    );
+  }
+
+  const transactItems = requests.map(([Model, primaryId], index) => {
+    if (typeof Model?._getDyKeyForPkSk !== "function") {
+      throw new ValidationError(
+        `transactFind request ${index} must be a [Model, primaryId] pair`,
+      );
+    }
+    return {
+      Get: {
+        TableName: Model.table,
+        Key: Model._getDyKeyForPkSk(Model._parsePrimaryId(primaryId)),
+      },
+    };
+  });
+
+  const { documentClient } = requests[0][0];
+  let response;
+  try {
+    response = await retryOperation(() =>
+      documentClient.send(
+        new TransactGetCommand({
+          TransactItems: transactItems,
+          ReturnConsumedCapacity: "TOTAL",
+        }),
+      ),
+    );
+  } catch (error) {
+    if (error.name === "TransactionCanceledException") {
+      const reasons = error.CancellationReasons || [];
+      const index = reasons.findIndex(
+        (reason) => reason?.Code && reason.Code !== "None",
+      );
+      if (index !== -1) {
+        const [Model, primaryId] = requests[index];
+        throw new TransactionError(
+          `Transactional read cancelled: get of ${Model.name} ${primaryId} ` +
+            `failed with ${reasons[index].Code}`,
+          reasons[index].Code,
+          { index, type: "get", modelName: Model.name, primaryId },
+          reasons,
+        );
+      }
+    }
+    throw error;
+  }
+
+  const consumedCapacity = [].concat(response.ConsumedCapacity || []);
+  const totalCapacity = consumedCapacity.reduce(
+    (sum, cap) => sum + (cap?.CapacityUnits || 0),
+    0,
+  );
+  _accumulateCapacityToContext(totalCapacity, "read");
+
+  // Split the capacity across the items, as batched find() does
+  const itemCapacity = {
+    TableName: transactItems[0].Get.TableName,
+    CapacityUnits: totalCapacity / requests.length,
+  };
+
+  const loaderContext = batchContext?.getStore()?.loaderContext;
+  const items = requests.map(([Model, primaryId], index) => {
+    const dyItem = response.Responses?.[index]?.Item;
+    let instance;
+    if (dyItem) {
+      instance = Model._createFromDyItem(dyItem);
+      instance._addConsumedCapacity(itemCapacity, "read", false, true);
+    } else {
+      instance = new ObjectNotFound(itemCapacity);
+    }
+
+    // TransactGetItems reads are strongly consistent. Misses aren't cached,
+    // so an item created later in the request is found
+    if (loaderContext && dyItem) {
+      _cacheLoadedItem(loaderContext, primaryId, instance, true);
+    }
+    // Soft-deleted rows stay cached for includeDeleted finds but read as missing
+    return Model._isHiddenDeleted(instance)
+      ? new ObjectNotFound(itemCapacity)
+      : instance;
+  });
+
+  return { items, consumedCapacity };
+}
+
 /**
  * Initialize batch context for request-scoped batching.
  * This should be called at the beginning of each request in Cloudflare Workers.
@@ -506,10 +716,24 @@ function runWithBatchContext(fn) {
   return batchContext.run(context, fn);
 }
 
+/**
+ * Run a function in the current batch context, or in a new one if there is
+ * none, so the finds it makes are batched.
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+function runInBatchContext(fn) {
+  return batchContext?.getStore()?.batchRequests
+    ? fn()
+    : runWithBatchContext(fn);
+}
+
 module.exports = {
   BatchLoadingMethods,
   runWithBatchContext,
+  runInBatchContext,
   getBatchContextCapacity,
+  transactFind,
   _accumulateCapacityToContext,
   DEFAULT_BATCH_DELAY_MS,
   BATCH_REQUEST_TIMEOUT,
@@ -0,0 +1,620 @@
+const {
+  BatchWriteCommand,
+  TransactWriteCommand,
+  UpdateCommand,
+} = require("../dynamodb-client");
+const { defaultLogger: logger } = require("../utils/logger");
+const { pluginManager } = require("../plugin-manager");
+const { retryOperation } = require("../utils/retry-helper");
+const {
+  _accumulateCapacityToContext,
+  runInBatchContext,
+} = require("./batch-loading-mixin");
+const {
+  BaoError,
+  ConditionalError,
+  ItemNotFoundError,
+  ValidationError,
+} = require("../exceptions");
+const { computeSearchTextUpdate } = require("../utils/search-text");
+const { SEARCH_TEXT_FIELD, VERSION_NUMBER_FIELD } = require("../constants");
+
+// DynamoDB rejects BatchWriteItem requests with more than 25 operations
+const MAX_BATCH_WRITE_SIZE = 25;
+const DEFAULT_MAX_RETRIES = 5;
+
+function _keyId(key) {
+  return JSON.stringify([key._pk, key._sk]);
+}
+
+function _toFailure(entry, error) {
+  const failure = { index: entry.index, primaryId: entry.primaryId };
+  if (entry.data !== undefined) {
+    failure.data = entry.data;
+  }
+  failure.error = error;
+  return failure;
+}
+
+const BatchWriteMethods = {
+  /**
+   * @memberof BaoModel
+   * @description
+   * Create many items using BatchWriteItem, 25 items per request. Index keys,
+   * iteration keys and search text are populated the same way {@link BaoModel.create}
+   * populates them, and unprocessed items are retried with exponential backoff.
+   *
+   * BatchWriteItem does not support conditions, so unlike {@link BaoModel.create}
+   * an existing item with the same primary key is overwritten. Models with unique
+   * constraints (or `audit` enabled) are written one transaction per item instead,
+   * which keeps the constraint and history rows consistent and rejects items that
+   * already exist.
+   *
+   * Failures are reported per item rather than thrown, so one bad item does not
+   * prevent the rest of the batch from being written.
+   *
+   * @param {Object[]} items - The data for each item to create.
+   * @param {Object} [options] - Additional options.
+   * @param {number} [options.maxRetries=5] - How many times to retry unprocessed items.
+   * @returns {Promise<Object>} Returns a promise that resolves to
+   *   `{ items, failed, consumedCapacity }`. `items` holds the created instances
+   *   in input order; each entry in `failed` is `{ index, primaryId, data, error }`.
+   * @example
+   * const { items, failed } = await User.batchCreate([
+   *   { name: "Alice", email: "alice@example.com" },
+   *   { name: "Bob", email: "bob@example.com" },
+   * ]);
+   */
+  async batchCreate(items, options = {}) {
+    return this._batchPutItems(items, { ...options, isNew: true });
+  },
+
+  /**
+   * @memberof BaoModel
+   * @description
+   * Write many complete items using BatchWriteItem, replacing any existing item
+   * with the same primary key. Fields that are not provided are not kept from the
+   * existing item; they are reset to their initial value or left empty.
+   * Behaves like {@link BaoModel.batchCreate} otherwise, including the
+   * transactional fallback for models with unique constraints.
+   *
+   * @param {Object[]} items - The full data for each item to write.
+   * @param {Object} [options] - Additional options.
+   * @param {number} [options.maxRetries=5] - How many times to retry unprocessed items.
+   * @returns {Promise<Object>} Returns a promise that resolves to
+   *   `{ items, failed, consumedCapacity }`.
+   */
+  async batchPut(items, options = {}) {
+    return this._batchPutItems(items, { ...options, isNew: false });
+  },
+
+  /**
+   * @memberof BaoModel
+   * @description
+   * Delete many items using BatchWriteItem, 25 items per request. Deleting an
+   * item that does not exist is not an error. Models with unique constraints
+   * load each item and delete it together with its constraint rows in a
+   * transaction. Models with `softDelete` mark each item as deleted with its
+   * own UpdateItem (or transaction, when constraint rows are released).
+   *
+   * @param {string[]} primaryIds - The primary IDs of the items to delete.
+   * @param {Object} [options] - Additional options.
+   * @param {number} [options.maxRetries=5] - How many times to retry unprocessed items.
+   * @returns {Promise<Object>} Returns a promise that resolves to
+   *   `{ primaryIds, failed, consumedCapacity }`. `primaryIds` holds the deleted
+   *   ids in input order; each entry in `failed` is `{ index, primaryId, error }`.
+   */
+  async batchDelete(primaryIds, options = {}) {
+    const { maxRetries = DEFAULT_MAX_RETRIES } = options;
+    const result = { primaryIds: [], failed: [], consumedCapacity: [] };
+    if (!primaryIds?.length) return result;
+
+    const entries = [];
+    const seenKeys = new Set();
+
+    for (let index = 0; index < primaryIds.length; index++) {
+      const primaryId = primaryIds[index];
+      const entry = { index, primaryId };
+      try {
+        entry.key = this._getDyKeyForPkSk(this._parsePrimaryId(primaryId));
+        entry.keyId = _keyId(entry.key);
+        if (seenKeys.has(entry.keyId)) {
+          throw new ValidationError(
+            `Duplicate item in batch: ${primaryId}`,
+            null,
+            primaryId,
+          );
+        }
+        seenKeys.add(entry.keyId);
+
+        await pluginManager.executeHooks(
+          this.name,
+          "beforeDelete",
+          primaryId,
+          {},
+        );
+        entry.request = { DeleteRequest: { Key: entry.key } };
+        entries.push(entry);
+      } catch (error) {
+        result.failed.push(_toFailure(entry, error));
+      }
+    }
+
+    let deleted;
+    if (this._getSoftDeleteConfig()) {
+      deleted = await this._transactWriteEntries(entries, "softDelete", result);
+    } else if (this._needsTransactWrites()) {
+      deleted = await this._transactWriteEntries(entries, "delete", result);
+    } else {
+      deleted = await this._sendBatchWrites(entries, result, maxRetries);
+    }
+
+    for (const entry of deleted) {
+      this._clearCachedItem(entry.primaryId);
+      await pluginManager.executeHooks(
+        this.name,
+        "afterDelete",
+        entry.primaryId,
+        {},
+      );
+      result.primaryIds.push(entry.primaryId);
+    }
+
+    result.failed.sort((a, b) => a.index - b.index);
+    return result;
+  },
+
+  async _batchPutItems(items, options = {}) {
+    const { isNew, maxRetries = DEFAULT_MAX_RETRIES } = options;
+    const result = { items: [], failed: [], consumedCapacity: [] };
+    if (!items?.length) return result;
+
+    const prepared = [];
+    const seenKeys = new Set();
+
+    for (let index = 0; index < items.length; index++) {
+      const entry = { index, data: items[index] };
+      try {
+        const jsData = { ...items[index] };
+        await pluginManager.executeHooks(this.name, "beforeSave", jsData, {
+          isNew,
+        });
+
+        const { primaryId, dyItem } = this._buildPutItem(jsData);
+        entry.primaryId = primaryId;
+        entry.dyItem = dyItem;
+        entry.keyId = _keyId(dyItem);
+        if (seenKeys.has(entry.keyId)) {
+          throw new ValidationError(
+            `Duplicate item in batch: ${primaryId}`,
+            null,
+            primaryId,
+          );
+        }
+        seenKeys.add(entry.keyId);
+        prepared.push(entry);
+      } catch (error) {
+        result.failed.push(_toFailure(entry, error));
+      }
+    }
+
+    // Validated together, so the validators' lookups for every item are
+    // batched in one batch context
+    const validations = this._hasModelValidators()
+      ? await runInBatchContext(() =>
+          Promise.allSettled(
+            prepared.map((entry) =>
+              this._runModelValidators(
+                this._createFromDyItem({ ...entry.dyItem }),
+                { isNew },
+              ),
+            ),
+          ),
+        )
+      : [];
+
+    const entries = [];
+    for (const [idx, entry] of prepared.entries()) {
+      try {
+        if (validations[idx]?.status === "rejected") {
+          throw validations[idx].reason;
+        }
+        if (this._hasOffloadedFields()) {
+          entry.blobs = await this._offloadBlobs(entry.dyItem);
+        }
+        entry.request = { PutRequest: { Item: entry.dyItem } };
+        entries.push(entry);
+      } catch (error) {
+        result.failed.push(_toFailure(entry, error));
+      }
+    }
+
+    const written = this._needsTransactWrites()
+      ? await this._transactWriteEntries(
+          entries,
+          isNew ? "create" : "put",
+          result,
+        )
+      : await this._sendBatchWrites(entries, result, maxRetries);
+
+    for (const entry of entries) {
+      if (entry.blobs && !written.includes(entry)) {
+        await this._deleteBlobs(entry.blobs.created);
+      }
+    }
+
+    for (const entry of written) {
+      this._clearCachedItem(entry.primaryId);
+      const savedItem = this._createFromDyItem(entry.dyItem);
+      if (entry.blobs) {
+        Object.assign(savedItem._blobValues, entry.blobs.values);
+      }
+      await pluginManager.executeHooks(this.name, "afterSave", savedItem, {
+        isNew,
+      });
+      result.items.push(savedItem);
+    }
+
+    result.failed.sort((a, b) => a.index - b.index);
+    return result;
+  },
+
+  /**
+   * @private
+   * Build the complete DynamoDB item for a put, including primary, index,
+   * iteration and search text attributes.
+   */
+  _buildPutItem(jsData) {
+    for (const [fieldName, field] of Object.entries(this.fields)) {
+      if (jsData[fieldName] === undefined && !field.computed) {
+        const initialValue = field.getInitialValue();
+        if (initialValue !== undefined) {
+          jsData[fieldName] = initialValue;
+        }
+      }
+    }
+    this._validateFieldValues(jsData, { isNew: true });
+
+    const computedValues = this._computeFieldValues(jsData, null, {
+      recompute: true,
+    });
+    this._validateFieldValues(computedValues, { isNew: true, computed: true });
+    Object.assign(jsData, computedValues);
+
+    const dyItem = {};
+    Object.entries(jsData).forEach(([fieldName, value]) => {
+      const field = this._getField(fieldName);
+      if (value === undefined || value === null) return;
+
+      const dyValue = field.toDy(value);
+      if (dyValue !== undefined && dyValue !== null) {
+        dyItem[fieldName] = dyValue;
+      }
+    });
+
+    const primaryId = this._createNewPrimaryId(jsData);
+    Object.assign(
+      dyItem,
+      this._getDyKeyForPkSk(this._parsePrimaryId(primaryId)),
+      this._getIndexKeys(dyItem),
+    );
+
+    if (this.iterable) {
+      Object.assign(dyItem, this._getIterationKeys(primaryId, dyItem));
+    }
+
+    if (this.searchable && this.searchConfig) {
+      const searchTextValue = computeSearchTextUpdate({
+        searchConfig: this.searchConfig,
+        dyUpdatesToSave: dyItem,
+        currentItem: null,
+        isNew: true,
+      });
+      if (searchTextValue) {
+        dyItem[SEARCH_TEXT_FIELD] = searchTextValue;
+      }
+    }
+
+    return { primaryId, dyItem };
+  },
+
+  /**
+   * @private
+   * Build the operations that move an item's unique constraint rows from the
+   * values in currentItem to the values in dyItem. Either may be null when the
+   * item is being created or deleted.
+   */
+  async _uniqueConstraintChanges(primaryId, currentItem, dyItem) {
+    const transactItems = [];
+
+    for (const constraint of Object.values(this.uniqueConstraints || {})) {
+      const fieldName = constraint.field;
+      const dyCurrentValue = currentItem?._loadedDyData[fieldName];
+      const dyNewValue = dyItem?.[fieldName];
+      if (dyCurrentValue === dyNewValue) continue;
+
+      if (dyCurrentValue != null) {
+        transactItems.push(
+          await this._removeUniqueConstraint(
+            fieldName,
+            dyCurrentValue,
+            primaryId,
+            constraint.constraintId,
+          ),
+        );
+      }
+      if (dyNewValue != null) {
+        transactItems.push(
+          await this._createUniqueConstraint(
+            fieldName,
+            dyNewValue,
+            primaryId,
+            constraint.constraintId,
+          ),
+        );
+      }
+    }
+
+    return transactItems;
+  },
+
+  _hasUniqueConstraints() {
+    return Object.keys(this.uniqueConstraints || {}).length > 0;
+  },
+
+  // Unique constraint rows, audit history and version snapshots must be
+  // written with the item, which BatchWriteItem can't guarantee. Offloaded
+  // values are cleaned up from the stored item, which it doesn't return.
+  _needsTransactWrites() {
+    return (
+      this._hasUniqueConstraints() ||
+      this.audit ||
+      Boolean(this._getVersioningConfig()) ||
+      this._hasOffloadedFields()
+    );
+  },
+
+  _trackWriteCapacity(consumedCapacity, result) {
+    if (!consumedCapacity) return;
+    const capacityArray = [].concat(consumedCapacity);
+    result.consumedCapacity.push(...capacityArray);
+    for (const cap of capacityArray) {
+      _accumulateCapacityToContext(cap?.CapacityUnits || 0, "write");
+    }
+  },
+
+  /**
+   * @private
+   * Send entries in BatchWriteItem chunks, retrying unprocessed items with
+   * exponential backoff. Returns the entries that were written and records the
+   * rest in result.failed.
+   */
+  async _sendBatchWrites(entries, result, maxRetries) {
+    const written = [];
+
+    for (let i = 0; i < entries.length; i += MAX_BATCH_WRITE_SIZE) {
+      let pending = entries.slice(i, i + MAX_BATCH_WRITE_SIZE);
+      let retryCount = 0;
+
+      while (pending.length > 0) {
+        let response;
+        try {
+          response = await retryOperation(() =>
+            this.documentClient.send(
+              new BatchWriteCommand({
+                RequestItems: {
+                  [this.table]: pending.map((entry) => entry.request),
+                },
+                ReturnConsumedCapacity: "TOTAL",
+              }),
+            ),
+          );
+        } catch (error) {
+          logger.error(`BatchWriteItem failed for ${this.name}:`, error);
+          pending.forEach((entry) =>
+            result.failed.push(_toFailure(entry, error)),
+          );
+          break;
+        }
+
+        this._trackWriteCapacity(response.ConsumedCapacity, result);
+
+        const unprocessedKeys = new Set(
+          (response.UnprocessedItems?.[this.table] || []).map((request) =>
+            _keyId(request.PutRequest?.Item || request.DeleteRequest?.Key),
+          ),
+        );
+        written.push(
+          ...pending.filter((entry) => !unprocessedKeys.has(entry.keyId)),
+        );
+        pending = pending.filter((entry) => unprocessedKeys.has(entry.keyId));
+
+        if (pending.length > 0) {
+          if (retryCount >= maxRetries) {
+            const error = new BaoError(
+              `Item was not processed after ${maxRetries} retries`,
+              "UnprocessedItems",
+            );
+            pending.forEach((entry) =>
+              result.failed.push(_toFailure(entry, error)),
+            );
+            break;
+          }
+          retryCount++;
+          await new Promise((resolve) =>
+            setTimeout(resolve, Math.pow(2, retryCount) * 100),
+          );
+        }
+      }
+    }
+
+    return written.sort((a, b) => a.index - b.index);
+  },
+
+  /**
+   * @private
+   * Write each entry in its own transaction together with the unique
+   * constraint rows it adds or releases and its audit history row.
+   * BatchWriteItem cannot do this because it has no conditions and no way to
+   * group writes.
+   */
+  async _transactWriteEntries(entries, mode, result) {
+    const written = [];
+
+    for (let i = 0; i < entries.length; i += MAX_BATCH_WRITE_SIZE) {
+      const chunk = entries.slice(i, i + MAX_BATCH_WRITE_SIZE);
+      const outcomes = await Promise.allSettled(
+        chunk.map((entry) =>
+          mode === "softDelete"
+            ? this._softDeleteEntry(entry, result)
+            : this._transactWriteEntry(entry, mode, result),
+        ),
+      );
+
+      outcomes.forEach((outcome, idx) => {
+        if (outcome.status === "fulfilled") {
+          written.push(chunk[idx]);
+        } else {
+          result.failed.push(_toFailure(chunk[idx], outcome.reason));
+        }
+      });
+    }
+
+    return written;
+  },
+
+  async _transactWriteEntry(entry, mode, result) {
+    let found = null;
+    let currentItem = null;
+    if (mode !== "create") {
+      found = await this.find(entry.primaryId, {
+        batchDelay: 0,
+        includeDeleted: true,
+      });
+      found = found.exists() ? found : null;
+      currentItem = found?._holdsUniqueConstraints() ? found : null;
+    }
+
+    // Nothing to delete, matching BatchWriteItem's behaviour
+    if (mode === "delete" && !found) return;
+
+    const transactItems = [];
+    if (mode === "delete") {
+      transactItems.push(
+        { Delete: { TableName: this.table, Key: entry.key } },
+        ...(await this._versionDeleteItems(entry.primaryId)),
+      );
+    } else {
+      const put = { TableName: this.table, Item: entry.dyItem };
+      if (mode === "create") {
+        put.ConditionExpression = "attribute_not_exists(#pk)";
+        put.ExpressionAttributeNames = { "#pk": "_pk" };
+      }
+      const versionWrite = this._buildVersionWrite(
+        entry.primaryId,
+        found,
+        entry.dyItem,
+      );
+      if (versionWrite?.versionNumber != null) {
+        entry.dyItem[VERSION_NUMBER_FIELD] = versionWrite.versionNumber;
+      }
+      this._addVersionNumberCheck(put, versionWrite?.condition);
+      transactItems.push({ Put: put }, ...(versionWrite?.transactItems || []));
+    }
+
+    transactItems.push(
+      ...(await this._uniqueConstraintChanges(
+        entry.primaryId,
+        currentItem,
+        mode === "delete" ? null : entry.dyItem,
+      )),
+      ...this._buildHistoryItems(
+        entry.primaryId,
+        mode === "put" ? "upsert" : mode,
+        found?._dyData || null,
+        mode === "delete" ? null : entry.dyItem,
+      ),
+    );
+
+    try {
+      const response = await retryOperation(() =>
+        this.documentClient.send(
+          new TransactWriteCommand({
+            TransactItems: transactItems,
+            ReturnConsumedCapacity: "TOTAL",
+          }),
+        ),
+      );
+      this._trackWriteCapacity(response.ConsumedCapacity, result);
+    } catch (error) {
+      if (
+        error.name === "TransactionCanceledException" &&
+        error.CancellationReasons?.some(
+          (reason) => reason.Code === "ConditionalCheckFailed",
+        )
+      ) {
+        throw new ConditionalError(
+          "Transaction cancelled due to condition check failure",
+          mode,
+          error,
+        );
+      }
+      throw error;
+    }
+
+    await this._deleteBlobs(
+      this._collectBlobKeys(
+        found?._dyData,
+        mode === "delete" ? null : entry.dyItem,
+      ),
+    );
+  },
+
+  // Soft deletes are conditional updates, which BatchWriteItem can't send
+  async _softDeleteEntry(entry, result) {
+    let transactItems;
+    try {
+      ({ transactItems } = await this._prepareDelete(entry.primaryId));
+    } catch (error) {
+      // Nothing to delete, matching BatchWriteItem's behaviour
+      if (error instanceof ItemNotFoundError) return;
+      throw error;
+    }
+
+    const command =
+      transactItems.length > 1
+        ? new TransactWriteCommand({
+            TransactItems: transactItems,
+            ReturnConsumedCapacity: "TOTAL",
+          })
+        : new UpdateCommand({
+            ...transactItems[0].Update,
+            ReturnConsumedCapacity: "TOTAL",
+          });
+
+    try {
+      const response = await retryOperation(() =>
+        this.documentClient.send(command),
+      );
+      this._trackWriteCapacity(response.ConsumedCapacity, result);
+    } catch (error) {
+      // Deleted by someone else since it was loaded
+      if (error.name === "ConditionalCheckFailedException") return;
+      if (
+        error.name === "TransactionCanceledException" &&
+        error.CancellationReasons?.some(
+          (reason) => reason.Code === "ConditionalCheckFailed",
+        )
+      ) {
+        throw new ConditionalError(
+          "Transaction cancelled due to condition check failure",
+          "delete",
+          error,
+        );
+      }
+      throw error;
+    }
+  },
+};
+
+module.exports = BatchWriteMethods;
@@ -0,0 +1,101 @@
+const { ulid } = require("ulid");
+const { defaultLogger: logger } = require("../utils/logger");
+const { getBlobStore, isBlobPointer, encodeBlob } = require("../blob-store");
+
+const BlobMethods = {
+  _hasOffloadedFields() {
+    return Object.values(this.fields).some((field) => field.offload);
+  },
+
+  /**
+   * @memberof BaoModel
+   * @private
+   * @description
+   * Write the values of offloaded fields that reach the field's
+   * `thresholdBytes` to the blob store, and replace them in `dyValues` with
+   * pointers. Values that are already pointers are left as they are. If a
+   * write fails, the blobs written so far are deleted again.
+   * @param {Object} dyValues - Stored values by field name. Modified in place.
+   * @returns {Promise<Object>} Resolves to `{ created, values }`: the keys of
+   *   the new blobs, and `{ key, value }` by field name for each offloaded
+   *   value, so saved instances can be read without loading them again.
+   */
+  async _offloadBlobs(dyValues) {
+    const blobs = { created: [], values: {} };
+    const tenantId = this.manager.getTenantId();
+
+    try {
+      for (const [fieldName, field] of Object.entries(this.fields)) {
+        const value = dyValues[fieldName];
+        if (!field.offload || value == null || isBlobPointer(value)) continue;
+
+        const { type, bytes } = encodeBlob(value);
+        if (bytes.length < field.offload.thresholdBytes) continue;
+
+        const key = [tenantId, this.modelPrefix, fieldName, ulid()]
+          .filter(Boolean)
+          .join("/");
+        await getBlobStore().put(key, bytes);
+        blobs.created.push(key);
+        blobs.values[fieldName] = { key, value };
+        dyValues[fieldName] = { _baoBlob: key, type, size: bytes.length };
+      }
+    } catch (error) {
+      await this._deleteBlobs(blobs.created);
+      throw error;
+    }
+
+    return blobs;
+  },
+
+  /**
+   * @memberof BaoModel
+   * @private
+   * @description
+   * The keys of the blobs that stored values point to.
+   * @param {Object|null} dyData - Stored values by field name
+   * @param {Object|null} [keep] - Stored values that are still saved. Blobs
+   *   they point to are left out.
+   * @returns {string[]} The blob keys
+   */
+  _collectBlobKeys(dyData, keep = null) {
+    const kept = new Set(
+      Object.values(keep || {})
+        .filter(isBlobPointer)
+        .map((pointer) => pointer._baoBlob),
+    );
+    return Object.entries(dyData || {})
+      .filter(
+        ([fieldName, value]) =>
+          this.fields[fieldName]?.offload &&
+          isBlobPointer(value) &&
+          !kept.has(value._baoBlob),
+      )
+      .map(([, pointer]) => pointer._baoBlob);
+  },
+
+  /**
+   * @memberof BaoModel
+   * @private
+   * @description
+   * Delete blobs that are no longer referenced. The item has already been
+   * written by then, so failures are logged rather than thrown; the blobs
+   * are left behind.
+   * @param {string[]} keys - The blob keys
+   */
+  async _deleteBlobs(keys) {
+    const outcomes = await Promise.allSettled(
+      keys.map(async (key) => getBlobStore().delete(key)),
+    );
+    outcomes.forEach((outcome, idx) => {
+      if (outcome.status === "rejected") {
+        logger.warn(
+          `Failed to delete blob "${keys[idx]}" of ${this.name}:`,
+          outcome.reason,
+        );
+      }
+    });
+  },
+};
+
+module.exports = BlobMethods;
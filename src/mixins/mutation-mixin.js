@@ -1,20 +1,31 @@
 const {
   TransactWriteCommand,
   UpdateCommand,
+  PutCommand,
   DeleteCommand,
 } = require("../dynamodb-client");
 const { defaultLogger: logger } = require("../utils/logger");
 const { pluginManager } = require("../plugin-manager");
 const { retryOperation } = require("../utils/retry-helper");
 const assert = require("assert");
-const { FilterExpressionBuilder } = require("../filter-expression");
+const {
+  FilterExpressionBuilder,
+  getFilterFields,
+  matchesFilter,
+} = require("../filter-expression");
 const {
   ItemNotFoundError,
   ConditionalError,
+  StaleObjectError,
   ValidationError,
 } = require("../exceptions");
 const { computeSearchTextUpdate } = require("../utils/search-text");
-const { SEARCH_TEXT_FIELD } = require("../constants");
+const {
+  SEARCH_TEXT_FIELD,
+  DELETED_AT_FIELD,
+  TTL_FIELD,
+  VERSION_NUMBER_FIELD,
+} = require("../constants");
 
 const MutationMethods = {
   /**
@@ -52,9 +63,12 @@ const MutationMethods = {
    *   - Existence check: { fieldName: { $exists: true|false } }
    *   - Logical operators: $and, $or, $not
    * @param {boolean} [options.forceReindex=false] - When true, repopulates all index attributes even if the source fields are unchanged.
+   * @param {string} [options.expectedVersion] - For models with a {@link BaoFields.VersionField}, only update
+   *   the item if its stored version equals this value.
    * @returns {Promise<Object>} Returns a promise that resolves to the updated item.
    * @throws {Error} "Item not found" if the item doesn't exist
    * @throws {Error} "Condition check failed" if the condition isn't satisfied
+   * @throws {StaleObjectError} If expectedVersion doesn't match the stored version
    */
   async update(primaryId, jsUpdates, options = {}) {
     const updateOptions = {
@@ -86,9 +100,93 @@ const MutationMethods = {
   /**
    *@memberof BaoModel
    * @description
-   * Delete an existing item in the database.
+   * Create an item, or overwrite it if an item with the same primary key
+   * already exists, in a single PutItem request. The primary key is taken
+   * from the data. Index keys, iteration keys and search text are rebuilt
+   * from the data, and fields that are not provided are reset to their
+   * initial value or removed, as with {@link BaoModel.replace}.
+   *
+   * Models with unique constraints load the existing item first and write
+   * the item and its constraint rows in one transaction.
+   * @param {Object} jsData - The full data for the item.
+   * @param {Object} [options] - Additional options for the upsert operation.
+   * @param {Object} [options.condition] - Condition that must be met for the write to succeed,
+   *   using the same operators as {@link BaoModel.update}. The condition is checked against
+   *   the existing item, so use `{ field: { $exists: false } }` style conditions to allow
+   *   the item to be created.
+   * @returns {Promise<Object>} Returns a promise that resolves to the saved item.
+   * @throws {ConditionalError} If the condition isn't satisfied or a unique constraint is violated
+   * @example
+   * const user = await User.upsert({ userId, name: "Alice", status: "active" });
+   */
+  async upsert(jsData, options = {}) {
+    const putOptions = { isNew: false, upsert: true, ...options };
+
+    await pluginManager.executeHooks(
+      this.name,
+      "beforeSave",
+      jsData,
+      putOptions,
+    );
+    const result = await this._putItem(null, jsData, putOptions);
+
+    logger.debug("upsert() - result", result);
+    await pluginManager.executeHooks(
+      this.name,
+      "afterSave",
+      result,
+      putOptions,
+    );
+    return result;
+  },
+
+  /**
+   *@memberof BaoModel
+   * @description
+   * Overwrite an existing item with PutItem semantics: the stored item is
+   * replaced by exactly the given data, so attributes that are not provided
+   * are removed (or reset to their initial value). Primary key fields may be
+   * omitted from the data; they are taken from primaryId.
+   * @param {string} primaryId - The primary ID of the item to replace.
+   * @param {Object} jsData - The full data for the item.
+   * @param {Object} [options] - Additional options for the replace operation.
+   * @param {Object} [options.condition] - Condition that must be met for the replace to succeed,
+   *   using the same operators as {@link BaoModel.update}.
+   * @returns {Promise<Object>} Returns a promise that resolves to the saved item.
+   * @throws {ItemNotFoundError} If the item doesn't exist
+   * @throws {ConditionalError} If the condition isn't satisfied or a unique constraint is violated
+   * @throws {ValidationError} If primary key fields in the data don't match primaryId
+   */
+  async replace(primaryId, jsData, options = {}) {
+    const putOptions = { isNew: false, replace: true, ...options };
+
+    await pluginManager.executeHooks(
+      this.name,
+      "beforeSave",
+      jsData,
+      putOptions,
+    );
+    const result = await this._putItem(primaryId, jsData, putOptions);
+
+    logger.debug("replace() - result", result);
+    await pluginManager.executeHooks(
+      this.name,
+      "afterSave",
+      result,
+      putOptions,
+    );
+    return result;
+  },
+
+  /**
+   *@memberof BaoModel
+   * @description
+   * Delete an existing item in the database. On models with `softDelete`
+   * enabled the item is only marked as deleted (see {@link BaoModel.restore}
+   * and {@link BaoModel.purge}); reads skip it unless `includeDeleted` is passed.
    * @param {string} primaryId - The primary ID of the item to delete.
    * @param {Object} [options] - Additional options for the delete operation.
+   * @param {boolean} [options.purge=false] - Remove the row even if the model uses soft delete.
    * @param {Object} [options.condition] - Condition that must be met for the delete to succeed.
    *   The condition supports the same operators as filter expressions:
    *   - Simple field comparisons: { fieldName: value } for exact matches
@@ -111,7 +209,7 @@ const MutationMethods = {
    *     ]
    *   }
    * });
-   * @throws {Error} "Item not found" if the item doesn't exist
+   * @throws {Error} "Item not found" if the item doesn't exist (or is already soft deleted)
    * @throws {Error} "Delete condition not met" if the condition isn't satisfied
    * @returns {Promise<Object>} Returns a promise that resolves to the deleted item.
    */
@@ -123,66 +221,15 @@ const MutationMethods = {
       options,
     );
 
-    const item = await this.find(primaryId, { batchDelay: 0 });
-    if (!item.exists()) {
-      throw new ItemNotFoundError("Item not found", primaryId);
-    }
-
-    // Check if we need to clean up any unique constraints
-    const uniqueConstraints = Object.values(this.uniqueConstraints || {});
-    const hasConstraintsToClean = uniqueConstraints.some((constraint) => {
-      const value = item[constraint.field];
-      return value != null;
-    });
+    const { item, transactItems, hasConstraintsToClean } =
+      await this._prepareDelete(primaryId, options);
 
     try {
       let response;
+      const useTransaction = transactItems.length > 1;
 
-      if (hasConstraintsToClean) {
-        // Transaction path - handle unique constraint cleanup
-        const transactItems = [
-          {
-            Delete: {
-              TableName: this.table,
-              Key: {
-                _pk: item._dyData._pk,
-                _sk: item._dyData._sk,
-              },
-            },
-          },
-        ];
-
-        // Add condition if specified
-        if (options.condition) {
-          const builder = new FilterExpressionBuilder();
-          const filterExpression = builder.build(options.condition, this);
-
-          if (filterExpression) {
-            transactItems[0].Delete = {
-              ...transactItems[0].Delete,
-              ConditionExpression: filterExpression.FilterExpression,
-              ExpressionAttributeNames:
-                filterExpression.ExpressionAttributeNames,
-              ExpressionAttributeValues:
-                filterExpression.ExpressionAttributeValues,
-            };
-          }
-        }
-
-        // Add unique constraint cleanup operations
-        for (const constraint of uniqueConstraints) {
-          const value = item[constraint.field];
-          if (value) {
-            const constraintOp = await this._removeUniqueConstraint(
-              constraint.field,
-              value,
-              item.getPrimaryId(),
-              constraint.constraintId,
-            );
-            transactItems.push(constraintOp);
-          }
-        }
-
+      if (useTransaction) {
+        // Transaction path - handle unique constraint cleanup and history
         response = await retryOperation(() =>
           this.documentClient.send(
             new TransactWriteCommand({
@@ -191,37 +238,30 @@ const MutationMethods = {
             }),
           ),
         );
+      } else if (transactItems[0].Update) {
+        // Fast path - soft delete marks the item
+        response = await retryOperation(() =>
+          this.documentClient.send(
+            new UpdateCommand({
+              ...transactItems[0].Update,
+              ReturnValues: "ALL_NEW",
+              ReturnConsumedCapacity: "TOTAL",
+            }),
+          ),
+        );
       } else {
         // Fast path - simple delete
         const deleteParams = {
-          TableName: this.table,
-          Key: {
-            _pk: item._dyData._pk,
-            _sk: item._dyData._sk,
-          },
+          ...transactItems[0].Delete,
           ReturnValues: "ALL_OLD",
           ReturnConsumedCapacity: "TOTAL",
         };
 
-        // Add condition if specified
-        if (options.condition) {
-          const builder = new FilterExpressionBuilder();
-          const filterExpression = builder.build(options.condition, this);
-
-          if (filterExpression) {
-            deleteParams.ConditionExpression =
-              filterExpression.FilterExpression;
-            deleteParams.ExpressionAttributeNames =
-              filterExpression.ExpressionAttributeNames;
-            deleteParams.ExpressionAttributeValues =
-              filterExpression.ExpressionAttributeValues;
-          }
-        }
-
         response = await retryOperation(() =>
           this.documentClient.send(new DeleteCommand(deleteParams)),
         );
       }
+      this._clearCachedItem(primaryId);
 
       await pluginManager.executeHooks(
         this.name,
@@ -232,7 +272,7 @@ const MutationMethods = {
 
       // For transaction path, we already have the item
       // For fast path, we get it from the response
-      const deletedItem = hasConstraintsToClean
+      const deletedItem = useTransaction
         ? item
         : this._createFromDyItem(response.Attributes);
       deletedItem._setConsumedCapacity(
@@ -241,21 +281,573 @@ const MutationMethods = {
         false,
       );
 
+      // Soft deleted items keep their offloaded values until purged
+      if (!transactItems[0].Update) {
+        await this._deleteBlobs(this._collectBlobKeys(deletedItem._dyData));
+      }
+
       return deletedItem;
     } catch (error) {
       if (
-        error.name === "ConditionalCheckFailedException" ||
-        (error.name === "TransactionCanceledException" &&
-          error.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed")
+        error.name === "ConditionalCheckFailedException" ||
+        (error.name === "TransactionCanceledException" &&
+          error.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed")
+      ) {
+        // A soft delete also requires the item to still be there and live
+        if (transactItems[0].Update && !options.condition) {
+          throw new ItemNotFoundError("Item not found", primaryId);
+        }
+        throw new ConditionalError(
+          "Delete condition not met",
+          "delete",
+          options.condition,
+        );
+      }
+      throw error;
+    }
+  },
+
+  /**
+   *@memberof BaoModel
+   * @private
+   * @description
+   * Load an item and build the delete operations for it without sending them:
+   * the Delete for the item itself (with the optional condition) followed by
+   * the removal of any unique constraint rows it owns. Soft delete models get
+   * an Update that marks the item instead, unless options.purge is set.
+   * @param {string} primaryId - The primary ID of the item to delete.
+   * @param {Object} [options] - The same options accepted by {@link BaoModel.delete}.
+   * @returns {Promise<Object>} Resolves to `{ item, transactItems, hasConstraintsToClean }`.
+   * @throws {ItemNotFoundError} If the item doesn't exist
+   */
+  async _prepareDelete(primaryId, options = {}) {
+    const softDelete = !options.purge && this._getSoftDeleteConfig();
+    if (softDelete) {
+      return this._prepareSoftDelete(primaryId, options, softDelete);
+    }
+
+    const item = await this.find(primaryId, {
+      batchDelay: 0,
+      includeDeleted: true,
+    });
+    if (!item.exists()) {
+      throw new ItemNotFoundError("Item not found", primaryId);
+    }
+
+    // Check if we need to clean up any unique constraints. A soft delete
+    // may already have released them.
+    const uniqueConstraints = item._holdsUniqueConstraints()
+      ? Object.values(this.uniqueConstraints || {})
+      : [];
+    const hasConstraintsToClean = uniqueConstraints.some((constraint) => {
+      const value = item[constraint.field];
+      return value != null;
+    });
+
+    const transactItems = [
+      {
+        Delete: {
+          TableName: this.table,
+          Key: {
+            _pk: item._dyData._pk,
+            _sk: item._dyData._sk,
+          },
+        },
+      },
+    ];
+
+    // Add condition if specified
+    if (options.condition) {
+      const builder = new FilterExpressionBuilder();
+      const filterExpression = builder.build(options.condition, this);
+
+      if (filterExpression) {
+        transactItems[0].Delete = {
+          ...transactItems[0].Delete,
+          ConditionExpression: filterExpression.FilterExpression,
+          ExpressionAttributeNames: filterExpression.ExpressionAttributeNames,
+          ExpressionAttributeValues: filterExpression.ExpressionAttributeValues,
+        };
+      }
+    }
+
+    // Add unique constraint cleanup operations
+    for (const constraint of uniqueConstraints) {
+      const value = item[constraint.field];
+      if (value) {
+        const constraintOp = await this._removeUniqueConstraint(
+          constraint.field,
+          value,
+          item.getPrimaryId(),
+          constraint.constraintId,
+        );
+        transactItems.push(constraintOp);
+      }
+    }
+
+    transactItems.push(
+      ...(await this._versionDeleteItems(item.getPrimaryId())),
+      ...this._buildHistoryItems(
+        item.getPrimaryId(),
+        options.purge ? "purge" : "delete",
+        item._dyData,
+        null,
+      ),
+    );
+
+    return { item, transactItems, hasConstraintsToClean };
+  },
+
+  /**
+   *@memberof BaoModel
+   * @private
+   * @description
+   * Build the Update that soft deletes an item: it sets the deletion marker
+   * (and the TTL, if configured) and, under the "release" policy, frees the
+   * item's unique constraint rows. The returned item reflects the marked state.
+   * @param {string} primaryId - The primary ID of the item to delete.
+   * @param {Object} options - The same options accepted by {@link BaoModel.delete}.
+   * @param {Object} config - The model's soft delete settings.
+   * @returns {Promise<Object>} Resolves to `{ item, transactItems, hasConstraintsToClean }`.
+   * @throws {ItemNotFoundError} If the item doesn't exist or is already deleted
+   */
+  async _prepareSoftDelete(primaryId, options, config) {
+    // Read past the batch-context cache, which may hold an older copy
+    const item = await this.find(primaryId, {
+      batchDelay: 0,
+      bypassCache: true,
+      consistent: true,
+    });
+    if (!item.exists()) {
+      throw new ItemNotFoundError("Item not found", primaryId);
+    }
+
+    const deletedAt = Date.now();
+    const deletedData = { ...item._dyData, [DELETED_AT_FIELD]: deletedAt };
+    const update = {
+      TableName: this.table,
+      Key: { _pk: item._dyData._pk, _sk: item._dyData._sk },
+      UpdateExpression: "SET #deletedAt = :deletedAt",
+      ConditionExpression:
+        "attribute_exists(#pk) AND attribute_not_exists(#deletedAt)",
+      ExpressionAttributeNames: {
+        "#pk": "_pk",
+        "#deletedAt": DELETED_AT_FIELD,
+      },
+      ExpressionAttributeValues: { ":deletedAt": deletedAt },
+    };
+
+    if (config.ttlDays) {
+      // TTL attributes hold epoch seconds
+      const ttl = Math.floor(deletedAt / 1000) + config.ttlDays * 24 * 60 * 60;
+      deletedData[TTL_FIELD] = ttl;
+      update.UpdateExpression += ", #ttl = :ttl";
+      update.ExpressionAttributeNames["#ttl"] = TTL_FIELD;
+      update.ExpressionAttributeValues[":ttl"] = ttl;
+    }
+
+    if (options.condition) {
+      const builder = new FilterExpressionBuilder();
+      const filterExpression = builder.build(options.condition, this);
+
+      if (filterExpression) {
+        update.ConditionExpression += ` AND (${filterExpression.FilterExpression})`;
+        Object.assign(
+          update.ExpressionAttributeNames,
+          filterExpression.ExpressionAttributeNames,
+        );
+        Object.assign(
+          update.ExpressionAttributeValues,
+          filterExpression.ExpressionAttributeValues,
+        );
+      }
+    }
+
+    const transactItems = [{ Update: update }];
+    if (config.uniqueConstraints === "release") {
+      for (const constraint of Object.values(this.uniqueConstraints || {})) {
+        const value = item[constraint.field];
+        if (value) {
+          transactItems.push(
+            await this._removeUniqueConstraint(
+              constraint.field,
+              value,
+              item.getPrimaryId(),
+              constraint.constraintId,
+            ),
+          );
+        }
+      }
+    }
+
+    const hasConstraintsToClean = transactItems.length > 1;
+    transactItems.push(
+      ...this._buildHistoryItems(
+        item.getPrimaryId(),
+        "delete",
+        item._dyData,
+        deletedData,
+      ),
+    );
+
+    return {
+      item: this._createFromDyItem(deletedData),
+      transactItems,
+      hasConstraintsToClean,
+    };
+  },
+
+  /**
+   *@memberof BaoModel
+   * @description
+   * Bring back a soft-deleted item by removing its deletion marker (and the
+   * TTL set by the soft delete). Under the "release" unique constraint policy
+   * the constraint rows are claimed again in the same transaction, which fails
+   * if another item has taken one of the values in the meantime. Restoring an
+   * item that isn't deleted returns it unchanged.
+   * @param {string} primaryId - The primary ID of the item to restore.
+   * @returns {Promise<Object>} Returns a promise that resolves to the restored item.
+   * @throws {ValidationError} If the model doesn't use soft delete
+   * @throws {ItemNotFoundError} If the item doesn't exist
+   * @throws {ConditionalError} If a unique value is now used by another item
+   * @example
+   * await User.delete(userId);
+   * const user = await User.restore(userId);
+   */
+  async restore(primaryId) {
+    const config = this._getSoftDeleteConfig();
+    if (!config) {
+      throw new ValidationError(`${this.name} does not use soft delete`);
+    }
+
+    const item = await this.find(primaryId, {
+      batchDelay: 0,
+      bypassCache: true,
+      consistent: true,
+      includeDeleted: true,
+    });
+    if (!item.exists()) {
+      throw new ItemNotFoundError("Item not found", primaryId);
+    }
+    if (!item.isDeleted()) {
+      return item;
+    }
+
+    const restoredData = { ...item._dyData };
+    delete restoredData[DELETED_AT_FIELD];
+    const update = {
+      TableName: this.table,
+      Key: { _pk: item._dyData._pk, _sk: item._dyData._sk },
+      UpdateExpression: "REMOVE #deletedAt",
+      ConditionExpression: "attribute_exists(#deletedAt)",
+      ExpressionAttributeNames: { "#deletedAt": DELETED_AT_FIELD },
+    };
+    if (config.ttlDays) {
+      delete restoredData[TTL_FIELD];
+      update.UpdateExpression += ", #ttl";
+      update.ExpressionAttributeNames["#ttl"] = TTL_FIELD;
+    }
+
+    const transactItems = [{ Update: update }];
+    const constraints = [];
+    if (config.uniqueConstraints === "release") {
+      for (const constraint of Object.values(this.uniqueConstraints || {})) {
+        const value = item[constraint.field];
+        if (value) {
+          constraints.push(constraint);
+          transactItems.push(
+            await this._createUniqueConstraint(
+              constraint.field,
+              value,
+              primaryId,
+              constraint.constraintId,
+            ),
+          );
+        }
+      }
+    }
+    transactItems.push(
+      ...this._buildHistoryItems(
+        primaryId,
+        "restore",
+        item._dyData,
+        restoredData,
+      ),
+    );
+
+    let response;
+    try {
+      if (transactItems.length > 1) {
+        response = await retryOperation(() =>
+          this.documentClient.send(
+            new TransactWriteCommand({
+              TransactItems: transactItems,
+              ReturnConsumedCapacity: "TOTAL",
+            }),
+          ),
+        );
+      } else {
+        response = await retryOperation(() =>
+          this.documentClient.send(
+            new UpdateCommand({
+              ...update,
+              ReturnValues: "ALL_NEW",
+              ReturnConsumedCapacity: "TOTAL",
+            }),
+          ),
+        );
+      }
+    } catch (error) {
+      const reasons = error.CancellationReasons || [];
+      const failedIndex = reasons.findIndex(
+        (reason) => reason?.Code === "ConditionalCheckFailed",
+      );
+      if (
+        error.name === "TransactionCanceledException" &&
+        failedIndex > 0 &&
+        failedIndex <= constraints.length
+      ) {
+        throw new ConditionalError(
+          `Cannot restore: ${constraints[failedIndex - 1].field} must be unique`,
+          "restore",
+          error,
+        );
+      }
+      if (
+        error.name === "ConditionalCheckFailedException" ||
+        failedIndex === 0
+      ) {
+        throw new ConditionalError("Item is no longer deleted", "restore");
+      }
+      throw error;
+    }
+    this._clearCachedItem(primaryId);
+
+    const restoredItem = this._createFromDyItem(
+      response.Attributes || restoredData,
+    );
+    restoredItem._setConsumedCapacity(
+      response.ConsumedCapacity,
+      "write",
+      false,
+    );
+    return restoredItem;
+  },
+
+  /**
+   *@memberof BaoModel
+   * @description
+   * Permanently delete an item, whether or not it has been soft deleted, along
+   * with any unique constraint rows it still holds. On models without
+   * `softDelete` this is the same as {@link BaoModel.delete}.
+   * @param {string} primaryId - The primary ID of the item to remove.
+   * @param {Object} [options] - The same options accepted by {@link BaoModel.delete}.
+   * @returns {Promise<Object>} Returns a promise that resolves to the removed item.
+   * @throws {ItemNotFoundError} If the item doesn't exist
+   */
+  async purge(primaryId, options = {}) {
+    return this.delete(primaryId, { ...options, purge: true });
+  },
+
+  /**
+   *@memberof BaoModel
+   * @private
+   * @description
+   * Write a complete item with PutItem. When primaryId is given the item must
+   * already exist (replace); otherwise it is created or overwritten (upsert).
+   * @param {string|null} primaryId - The primary ID of the item to replace, or null to upsert.
+   * @param {Object} jsData - The full data for the item.
+   * @param {Object} [options] - The options passed to {@link BaoModel.upsert} or {@link BaoModel.replace}.
+   * @returns {Promise<Object>} Returns a promise that resolves to the saved item.
+   */
+  async _putItem(primaryId, jsData, options = {}) {
+    const data = { ...jsData };
+    let expectedKey = null;
+
+    if (primaryId !== null) {
+      const pkSk = this._parsePrimaryId(primaryId);
+      expectedKey = this._getDyKeyForPkSk(pkSk);
+      if (
+        this.primaryKey.pk !== "modelPrefix" &&
+        data[this.primaryKey.pk] === undefined
+      ) {
+        data[this.primaryKey.pk] = pkSk.pk;
+      }
+      if (
+        this.primaryKey.sk !== "modelPrefix" &&
+        data[this.primaryKey.sk] === undefined
+      ) {
+        data[this.primaryKey.sk] = pkSk.sk;
+      }
+    }
+
+    const { primaryId: savedId, dyItem } = this._buildPutItem(data);
+    if (
+      expectedKey &&
+      (expectedKey._pk !== dyItem._pk || expectedKey._sk !== dyItem._sk)
+    ) {
+      throw new ValidationError(
+        `Primary key fields in data do not match primaryId ${primaryId}`,
+        null,
+        primaryId,
+      );
+    }
+    if (this._hasModelValidators()) {
+      await this._runModelValidators(this._createFromDyItem({ ...dyItem }), {
+        isNew: false,
+      });
+    }
+
+    const putParams = { TableName: this.table, Item: dyItem };
+    const conditionExpressions = [];
+    if (expectedKey) {
+      conditionExpressions.push("attribute_exists(#pk)");
+      putParams.ExpressionAttributeNames = { "#pk": "_pk" };
+      if (this._getSoftDeleteConfig()) {
+        // A soft-deleted item can't be replaced, only restored or upserted
+        conditionExpressions.push("attribute_not_exists(#deletedAt)");
+        putParams.ExpressionAttributeNames["#deletedAt"] = DELETED_AT_FIELD;
+      }
+    }
+    if (options.condition) {
+      const builder = new FilterExpressionBuilder();
+      const filterExpression = builder.build(options.condition, this);
+
+      if (filterExpression) {
+        conditionExpressions.push(`(${filterExpression.FilterExpression})`);
+        putParams.ExpressionAttributeNames = {
+          ...putParams.ExpressionAttributeNames,
+          ...filterExpression.ExpressionAttributeNames,
+        };
+        putParams.ExpressionAttributeValues =
+          filterExpression.ExpressionAttributeValues;
+      }
+    }
+    if (conditionExpressions.length > 0) {
+      putParams.ConditionExpression = conditionExpressions.join(" AND ");
+    }
+
+    let consumedCapacity = [];
+    let transactItems = null;
+    // The stored item being overwritten, when known, for its offloaded values
+    let previousDyItem = null;
+
+    if (
+      this._hasUniqueConstraints() ||
+      this.audit ||
+      this._getVersioningConfig()
+    ) {
+      // Constraint rows can only be moved, and changes recorded, by knowing
+      // the current values
+      const found = await this.find(savedId, {
+        batchDelay: 0,
+        includeDeleted: true,
+      });
+      if (found.exists()) {
+        consumedCapacity = found.getConsumedCapacity();
+      }
+      if (expectedKey && (!found.exists() || found.isDeleted())) {
+        throw new ItemNotFoundError("Item not found", primaryId);
+      }
+      const currentItem =
+        found.exists() && found._holdsUniqueConstraints() ? found : null;
+      previousDyItem = found.exists() ? found._dyData : null;
+
+      // Overwriting an item replaces its version number too, so carry it on
+      const versionWrite = this._buildVersionWrite(
+        savedId,
+        found.exists() ? found : null,
+        dyItem,
+      );
+      if (versionWrite?.versionNumber != null) {
+        dyItem[VERSION_NUMBER_FIELD] = versionWrite.versionNumber;
+      }
+      this._addVersionNumberCheck(putParams, versionWrite?.condition);
+
+      await this._validateUniqueConstraints(data, savedId);
+      transactItems = [
+        { Put: putParams },
+        ...(versionWrite?.transactItems || []),
+        ...(await this._uniqueConstraintChanges(savedId, currentItem, dyItem)),
+        ...this._buildHistoryItems(
+          savedId,
+          options.replace ? "replace" : "upsert",
+          found.exists() ? found._dyData : null,
+          dyItem,
+        ),
+      ];
+    }
+
+    const blobs = this._hasOffloadedFields()
+      ? await this._offloadBlobs(dyItem)
+      : { created: [], values: {} };
+
+    let response;
+    try {
+      if (transactItems && transactItems.length > 1) {
+        response = await retryOperation(() =>
+          this.documentClient.send(
+            new TransactWriteCommand({
+              TransactItems: transactItems,
+              ReturnConsumedCapacity: "TOTAL",
+            }),
+          ),
+        );
+      } else {
+        // The overwritten item is needed to delete its offloaded values
+        if (this._hasOffloadedFields()) {
+          putParams.ReturnValues = "ALL_OLD";
+        }
+        response = await retryOperation(() =>
+          this.documentClient.send(
+            new PutCommand({
+              ...putParams,
+              ReturnConsumedCapacity: "TOTAL",
+            }),
+          ),
+        );
+        previousDyItem = previousDyItem || response.Attributes || null;
+      }
+    } catch (error) {
+      logger.error(`Error in _putItem for ${savedId}:`, error);
+      await this._deleteBlobs(blobs.created);
+      const itemConditionFailed =
+        error.name === "ConditionalCheckFailedException" ||
+        (error.name === "TransactionCanceledException" &&
+          error.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed");
+
+      if (itemConditionFailed) {
+        if (expectedKey && !options.condition) {
+          throw new ItemNotFoundError("Item not found", primaryId);
+        }
+        throw new ConditionalError(
+          "Condition check failed",
+          options.replace ? "replace" : "upsert",
+          options.condition,
+        );
+      }
+      if (
+        error.name === "TransactionCanceledException" &&
+        error.CancellationReasons?.some(
+          (reason) => reason.Code === "ConditionalCheckFailed",
+        )
       ) {
         throw new ConditionalError(
-          "Delete condition not met",
-          "delete",
-          options.condition,
+          "Transaction cancelled due to unique constraint violation",
+          options.replace ? "replace" : "upsert",
+          error,
         );
       }
       throw error;
     }
+    this._clearCachedItem(savedId);
+    await this._deleteBlobs(this._collectBlobKeys(previousDyItem, dyItem));
+
+    const savedItem = this._createFromDyItem(dyItem);
+    savedItem._setConsumedCapacity(response.ConsumedCapacity, "write", false);
+    savedItem._addConsumedCapacity(consumedCapacity, "read", false);
+    Object.assign(savedItem._blobValues, blobs.values);
+    return savedItem;
   },
 
   _createNewPrimaryId(jsUpdates) {
@@ -288,269 +880,21 @@ const MutationMethods = {
    */
   async _saveItem(primaryId, jsUpdates, options = {}) {
     try {
-      const {
-        isNew = false,
-        instanceObj = null,
-        forceReindex = false,
-      } = options;
-
-      logger.debug("saveItem", primaryId, isNew, instanceObj);
-      let consumedCapacity = [];
-
-      let currentItem = instanceObj;
-      if (isNew) {
-        currentItem = null;
-      } else if (!currentItem) {
-        currentItem = await this.find(primaryId, { batchDelay: 0 });
-        if (currentItem && currentItem.exists()) {
-          consumedCapacity = [
-            ...consumedCapacity,
-            ...currentItem.getConsumedCapacity(),
-          ];
-        } else {
-          throw new ItemNotFoundError("Item not found", primaryId);
-        }
-      }
-
-      if (!isNew && !currentItem) {
-        throw new ItemNotFoundError("Item not found", primaryId);
-      }
-
-      const transactItems = [];
-      const dyUpdatesToSave = {};
-      const indexComputationData = {};
-      let hasUniqueConstraintChanges = false;
-
-      logger.debug("jsUpdates", jsUpdates);
-
-      // Generate Dynamo Updates to save
-      for (const [key, field] of Object.entries(this.fields)) {
-        if (isNew && jsUpdates[key] === undefined) {
-          // Only set initial values during creation
-          const initialValue = field.getInitialValue();
-          if (initialValue !== undefined) {
-            jsUpdates[key] = initialValue;
-          }
-        }
-
-        if (jsUpdates[key] !== undefined) {
-          field.validate(jsUpdates[key]);
-          const dyValue = field.toDy(jsUpdates[key]);
-          dyUpdatesToSave[key] = dyValue;
-          indexComputationData[key] = dyValue;
-        } else {
-          if (typeof field.updateBeforeSave === "function") {
-            const newValue = field.updateBeforeSave(jsUpdates[key]);
-            if (newValue !== jsUpdates[key]) {
-              const dyValue = field.toDy(newValue);
-              dyUpdatesToSave[key] = dyValue;
-              indexComputationData[key] = dyValue;
-            }
-          }
-        }
-      }
-
-      // Backfill from currentItem for GSI consistency
-      if (!isNew && currentItem) {
-        if (forceReindex) {
-          // forceReindex: backfill all fields from current item
-          Object.keys(this.fields).forEach((fieldName) => {
-            const currentValue = currentItem._dyData[fieldName];
-            if (
-              currentValue !== undefined &&
-              indexComputationData[fieldName] === undefined
-            ) {
-              indexComputationData[fieldName] = currentValue;
-            }
-          });
-        } else {
-          // Regular update: backfill GSI counterpart fields so indexes
-          // stay consistent when only one field of a key pair is updated
-          Object.entries(this.indexes).forEach(([, index]) => {
-            const pkField = index.pk;
-            const skField = index.sk;
-            const pkInUpdate =
-              pkField === "modelPrefix" ||
-              indexComputationData[pkField] !== undefined;
-            const skInUpdate =
-              skField === "modelPrefix" ||
-              indexComputationData[skField] !== undefined;
-
-            if (pkInUpdate && !skInUpdate && skField !== "modelPrefix") {
-              const currentValue = currentItem._dyData[skField];
-              if (currentValue !== undefined) {
-                indexComputationData[skField] = currentValue;
-              }
-            }
-            if (skInUpdate && !pkInUpdate && pkField !== "modelPrefix") {
-              const currentValue = currentItem._dyData[pkField];
-              if (currentValue !== undefined) {
-                indexComputationData[pkField] = currentValue;
-              }
-            }
-          });
-        }
-      }
-
-      if (isNew) {
-        primaryId = this._createNewPrimaryId(jsUpdates);
-
-        // validate required fields
-        for (const [fieldName, field] of Object.entries(this.fields)) {
-          if (
-            field.required &&
-            (jsUpdates[fieldName] === undefined ||
-              jsUpdates[fieldName] === null)
-          ) {
-            throw new ValidationError(
-              `Field is required: ${fieldName}`,
-              fieldName,
-              jsUpdates[fieldName],
-            );
-          }
-        }
-      }
-
-      Object.entries(jsUpdates).forEach(([fieldName, value]) => {
-        const field = this._getField(fieldName);
-        if (field) {
-          field.validate(value, fieldName);
-        }
-      });
-
-      // Validate unique constraints before attempting save
-      await this._validateUniqueConstraints(
+      const { isNew = false } = options;
+      const prepared = await this._prepareSaveItem(
+        primaryId,
         jsUpdates,
-        isNew ? null : primaryId,
-      );
-
-      // Handle unique constraints
-      for (const constraint of Object.values(this.uniqueConstraints || {})) {
-        const fieldName = constraint.field;
-        const field = this._getField(fieldName);
-        const dyNewValue = dyUpdatesToSave[fieldName];
-        const dyCurrentValue = currentItem?._loadedDyData[fieldName];
-
-        logger.debug("uniqueConstraint", field, dyCurrentValue, dyNewValue);
-
-        if (dyNewValue !== undefined && dyNewValue !== dyCurrentValue) {
-          hasUniqueConstraintChanges = true;
-
-          // Remove old constraint if updating
-          if (currentItem && dyCurrentValue) {
-            transactItems.push(
-              await this._removeUniqueConstraint(
-                fieldName,
-                dyCurrentValue,
-                primaryId,
-                constraint.constraintId,
-              ),
-            );
-          }
-
-          // Add new constraint unless value is null (clearing field removes constraint)
-          if (dyNewValue !== null) {
-            transactItems.push(
-              await this._createUniqueConstraint(
-                fieldName,
-                dyNewValue,
-                primaryId,
-                constraint.constraintId,
-              ),
-            );
-          }
-        }
-      }
-
-      // Add GSI keys
-      const indexSourceData = Object.keys(indexComputationData).length
-        ? indexComputationData
-        : dyUpdatesToSave;
-
-      const indexKeys = this._getIndexKeys(indexSourceData, {
-        isUpdate: !isNew,
-      });
-      logger.debug("indexKeys", indexKeys);
-      Object.assign(dyUpdatesToSave, indexKeys);
-
-      // Add iteration keys if model is iterable
-      if (this.iterable) {
-        const iterationKeys = this._getIterationKeys(
-          primaryId,
-          dyUpdatesToSave,
-        );
-        Object.assign(dyUpdatesToSave, iterationKeys);
-      }
-
-      // Compute _searchText if the model is searchable. Returns undefined to
-      // skip the write entirely, null to REMOVE, or a string to SET.
-      if (this.searchable && this.searchConfig) {
-        const searchTextValue = computeSearchTextUpdate({
-          searchConfig: this.searchConfig,
-          dyUpdatesToSave,
-          currentItem,
-          isNew,
-          forceReindex,
-        });
-        if (searchTextValue !== undefined) {
-          dyUpdatesToSave[SEARCH_TEXT_FIELD] = searchTextValue;
-        }
-      }
-
-      // Build the update expression first
-      const { updateExpression, names, values } = this._buildUpdateExpression(
-        dyUpdatesToSave,
-        currentItem,
+        options,
       );
-
-      // Create the base update params
-      const updateParams = {
-        TableName: this.table,
-        Key: this._getDyKeyForPkSk(this._parsePrimaryId(primaryId)),
-        UpdateExpression: updateExpression,
-        ReturnValues: "ALL_NEW",
-      };
-
-      if (Object.keys(names).length > 0) {
-        updateParams.ExpressionAttributeNames = {
-          ...names,
-        };
-      }
-
-      if (Object.keys(values).length > 0) {
-        updateParams.ExpressionAttributeValues = {
-          ...values,
-        };
-      }
-
-      // Build the condition expression for the update/put
-      const conditionExpressions = [];
-      const conditionNames = {};
-      const conditionValues = {};
-
-      if (options.condition) {
-        const builder = new FilterExpressionBuilder();
-        const filterExpression = builder.build(options.condition, this);
-
-        if (filterExpression) {
-          updateParams.ConditionExpression = filterExpression.FilterExpression;
-          updateParams.ExpressionAttributeNames = {
-            ...updateParams.ExpressionAttributeNames,
-            ...filterExpression.ExpressionAttributeNames,
-          };
-          updateParams.ExpressionAttributeValues = {
-            ...updateParams.ExpressionAttributeValues,
-            ...filterExpression.ExpressionAttributeValues,
-          };
-        }
-      } else if (isNew) {
-        // For new items, ensure they don't already exist
-        updateParams.ConditionExpression = "attribute_not_exists(#pk)";
-        updateParams.ExpressionAttributeNames = {
-          ...updateParams.ExpressionAttributeNames,
-          "#pk": "_pk",
-        };
-      }
+      primaryId = prepared.primaryId;
+      const {
+        transactItems,
+        updateParams,
+        hasUniqueConstraintChanges,
+        consumedCapacity,
+        blobs,
+      } = prepared;
+      let written = false;
 
       const dyKey = this._getDyKeyForPkSk(this._parsePrimaryId(primaryId));
       logger.debug("dyKey", dyKey);
@@ -558,8 +902,8 @@ const MutationMethods = {
       try {
         let response;
 
-        if (hasUniqueConstraintChanges) {
-          // Use transaction if we have unique constraint changes
+        if (hasUniqueConstraintChanges || transactItems.length > 0) {
+          // Use transaction if we have unique constraint changes or history
           transactItems.push({
             Update: updateParams,
           });
@@ -574,17 +918,26 @@ const MutationMethods = {
               }),
             ),
           );
+          written = true;
 
           logger.debug("transactItems response", response);
           logger.debug("primaryId to load", primaryId);
+          this._clearCachedItem(primaryId);
 
-          // Fetch the item since transactWrite doesn't return values
-          let savedItem = await this.find(primaryId, { batchDelay: 0 });
+          // Fetch the item since transactWrite doesn't return values. Skip
+          // the batch-context cache, which still holds the pre-save copy.
+          let savedItem = await this.find(primaryId, {
+            batchDelay: 0,
+            bypassCache: true,
+          });
 
           // if the item doesn't exist, sleep for 200ms and try again
           if (!savedItem.exists()) {
             await new Promise((resolve) => setTimeout(resolve, 200));
-            savedItem = await this.find(primaryId, { batchDelay: 0 });
+            savedItem = await this.find(primaryId, {
+              batchDelay: 0,
+              bypassCache: true,
+            });
           }
 
           logger.debug("savedItem", savedItem);
@@ -602,6 +955,8 @@ const MutationMethods = {
           );
           savedItem._addConsumedCapacity(consumedCapacity, "read", false);
 
+          await this._deleteBlobs(blobs.replaced);
+          Object.assign(savedItem._blobValues, blobs.values);
           return savedItem;
         } else {
           // Use simple update if no unique constraints are changing
@@ -620,6 +975,8 @@ const MutationMethods = {
             logger.error(`DynamoDB update failed for ${primaryId}:`, error);
             throw error;
           }
+          written = true;
+          this._clearCachedItem(primaryId);
 
           const savedItem = this._createFromDyItem(response.Attributes);
           logger.debug("savedItem", savedItem);
@@ -635,10 +992,24 @@ const MutationMethods = {
             throw new ConditionalError("Failed to fetch saved item", "update");
           }
 
+          await this._deleteBlobs(blobs.replaced);
+          Object.assign(savedItem._blobValues, blobs.values);
           return savedItem;
         }
       } catch (error) {
         logger.error("Error in _saveItem", error);
+        // Blobs written for a save that didn't go through aren't referenced
+        if (!written) {
+          await this._deleteBlobs(blobs.created);
+        }
+        if (
+          !isNew &&
+          options.expectedVersion != null &&
+          (error.name === "ConditionalCheckFailedException" ||
+            error.name === "TransactionCanceledException")
+        ) {
+          await this._throwIfStale(primaryId, options.expectedVersion);
+        }
         if (error.name === "ConditionalCheckFailedException") {
           throw new ConditionalError("Condition check failed", "update", error);
         }
@@ -671,6 +1042,388 @@ const MutationMethods = {
     }
   },
 
+  /**
+   *@memberof BaoModel
+   * @private
+   * @description
+   * Build everything needed to save an item without sending it: the UpdateItem
+   * params for the item itself and the unique constraint operations that must
+   * be written in the same transaction. Used by {@link BaoModel._saveItem} and
+   * by transactions, which combine several saves into one request.
+   * @param {string} primaryId - The primary ID of the item to save.
+   * @param {Object} jsUpdates - The data to save the item with.
+   * @param {Object} [options] - The same options accepted by {@link BaoModel._saveItem}.
+   * @returns {Promise<Object>} Resolves to `{ primaryId, currentItem, transactItems,
+   *   hasUniqueConstraintChanges, updateParams, consumedCapacity, blobs }`, where
+   *   blobs holds the keys of the blobs `created` for offloaded fields and of
+   *   those `replaced` by the save.
+   */
+  async _prepareSaveItem(primaryId, jsUpdates, options = {}) {
+    const { isNew = false, instanceObj = null, forceReindex = false } = options;
+
+    logger.debug("saveItem", primaryId, isNew, instanceObj);
+    let consumedCapacity = [];
+
+    let currentItem = instanceObj;
+    if (isNew) {
+      currentItem = null;
+    } else if (!currentItem) {
+      // Read past the batch-context cache: unique constraint, history and
+      // version changes are worked out from the stored item
+      currentItem = await this.find(primaryId, {
+        batchDelay: 0,
+        bypassCache: true,
+        consistent: true,
+      });
+      if (currentItem && currentItem.exists()) {
+        consumedCapacity = [
+          ...consumedCapacity,
+          ...currentItem.getConsumedCapacity(),
+        ];
+      } else {
+        throw new ItemNotFoundError("Item not found", primaryId);
+      }
+    }
+
+    if (!isNew && !currentItem) {
+      throw new ItemNotFoundError("Item not found", primaryId);
+    }
+
+    const transactItems = [];
+    const dyUpdatesToSave = {};
+    const indexComputationData = {};
+    let hasUniqueConstraintChanges = false;
+
+    logger.debug("jsUpdates", jsUpdates);
+
+    // Only set initial values during creation
+    if (isNew) {
+      for (const [key, field] of Object.entries(this.fields)) {
+        if (jsUpdates[key] === undefined && !field.computed) {
+          const initialValue = field.getInitialValue();
+          if (initialValue !== undefined) {
+            jsUpdates[key] = initialValue;
+          }
+        }
+      }
+    }
+
+    // Check every field first, so all failures are reported together
+    this._validateFieldValues(jsUpdates, { isNew });
+
+    // Recalculate the computed fields whose sources change. Copied, so the
+    // caller's data doesn't gain the computed values.
+    const computedValues = this._computeFieldValues(jsUpdates, currentItem, {
+      recompute: isNew || forceReindex,
+    });
+    this._validateFieldValues(computedValues, { isNew, computed: true });
+    jsUpdates = { ...jsUpdates, ...computedValues };
+
+    // Generate Dynamo Updates to save
+    for (const [key, field] of Object.entries(this.fields)) {
+      if (jsUpdates[key] !== undefined) {
+        const dyValue = field.toDy(jsUpdates[key]);
+        dyUpdatesToSave[key] = dyValue;
+        indexComputationData[key] = dyValue;
+      } else {
+        if (typeof field.updateBeforeSave === "function") {
+          const newValue = field.updateBeforeSave(jsUpdates[key]);
+          if (newValue !== jsUpdates[key]) {
+            const dyValue = field.toDy(newValue);
+            dyUpdatesToSave[key] = dyValue;
+            indexComputationData[key] = dyValue;
+          }
+        }
+      }
+    }
+
+    if (this._hasModelValidators()) {
+      await this._runModelValidators(
+        this._previewSavedItem(jsUpdates, dyUpdatesToSave, currentItem),
+        { isNew },
+      );
+    }
+
+    // Backfill from currentItem for GSI consistency
+    if (!isNew && currentItem) {
+      if (forceReindex) {
+        // forceReindex: backfill all fields from current item
+        Object.keys(this.fields).forEach((fieldName) => {
+          const currentValue = currentItem._dyData[fieldName];
+          if (
+            currentValue !== undefined &&
+            indexComputationData[fieldName] === undefined
+          ) {
+            indexComputationData[fieldName] = currentValue;
+          }
+        });
+      } else {
+        // Regular update: backfill the other fields of an index's keys, and
+        // of its `when` condition, so indexes stay consistent when only some
+        // of them are updated
+        Object.values(this.indexes).forEach((index) => {
+          const keyFields = this._getIndexFields(index);
+          const inUpdate = (fieldName) =>
+            fieldName === "modelPrefix" ||
+            indexComputationData[fieldName] !== undefined;
+          if (!keyFields.some(inUpdate)) return;
+
+          keyFields.forEach((fieldName) => {
+            if (inUpdate(fieldName)) return;
+            const currentValue = currentItem._dyData[fieldName];
+            if (currentValue !== undefined) {
+              indexComputationData[fieldName] = currentValue;
+            }
+          });
+        });
+      }
+    }
+
+    if (isNew) {
+      primaryId = this._createNewPrimaryId(jsUpdates);
+    }
+
+    // Validate unique constraints before attempting save
+    await this._validateUniqueConstraints(jsUpdates, isNew ? null : primaryId);
+
+    // Handle unique constraints
+    for (const constraint of Object.values(this.uniqueConstraints || {})) {
+      const fieldName = constraint.field;
+      const field = this._getField(fieldName);
+      const dyNewValue = dyUpdatesToSave[fieldName];
+      const dyCurrentValue = currentItem?._loadedDyData[fieldName];
+
+      logger.debug("uniqueConstraint", field, dyCurrentValue, dyNewValue);
+
+      if (dyNewValue !== undefined && dyNewValue !== dyCurrentValue) {
+        hasUniqueConstraintChanges = true;
+
+        // Remove old constraint if updating
+        if (currentItem && dyCurrentValue) {
+          transactItems.push(
+            await this._removeUniqueConstraint(
+              fieldName,
+              dyCurrentValue,
+              primaryId,
+              constraint.constraintId,
+            ),
+          );
+        }
+
+        // Add new constraint unless value is null (clearing field removes constraint)
+        if (dyNewValue !== null) {
+          transactItems.push(
+            await this._createUniqueConstraint(
+              fieldName,
+              dyNewValue,
+              primaryId,
+              constraint.constraintId,
+            ),
+          );
+        }
+      }
+    }
+
+    // Add GSI keys
+    const indexSourceData = Object.keys(indexComputationData).length
+      ? indexComputationData
+      : dyUpdatesToSave;
+
+    const indexKeys = this._getIndexKeys(indexSourceData, {
+      isUpdate: !isNew,
+    });
+    logger.debug("indexKeys", indexKeys);
+    Object.assign(dyUpdatesToSave, indexKeys);
+
+    // Add iteration keys if model is iterable
+    if (this.iterable) {
+      const iterationKeys = this._getIterationKeys(primaryId, dyUpdatesToSave);
+      Object.assign(dyUpdatesToSave, iterationKeys);
+    }
+
+    // Compute _searchText if the model is searchable. Returns undefined to
+    // skip the write entirely, null to REMOVE, or a string to SET.
+    if (this.searchable && this.searchConfig) {
+      const searchTextValue = computeSearchTextUpdate({
+        searchConfig: this.searchConfig,
+        dyUpdatesToSave,
+        currentItem,
+        isNew,
+        forceReindex,
+      });
+      if (searchTextValue !== undefined) {
+        dyUpdatesToSave[SEARCH_TEXT_FIELD] = searchTextValue;
+      }
+    }
+
+    // Large values of offloaded fields go to the blob store, and the item
+    // keeps a pointer in their place. Blobs of the values being replaced
+    // are deleted once the save succeeds.
+    const blobs = { created: [], values: {}, replaced: [] };
+    if (this._hasOffloadedFields()) {
+      Object.assign(blobs, await this._offloadBlobs(dyUpdatesToSave));
+      if (currentItem) {
+        const replacedData = {};
+        for (const fieldName of Object.keys(dyUpdatesToSave)) {
+          replacedData[fieldName] = currentItem._loadedDyData[fieldName];
+        }
+        blobs.replaced = this._collectBlobKeys(replacedData, dyUpdatesToSave);
+      }
+    }
+
+    // Audited models record the change in the same transaction
+    const before = isNew ? null : currentItem._loadedDyData;
+    const after = { ...before, ...dyUpdatesToSave };
+    transactItems.push(
+      ...this._buildHistoryItems(
+        primaryId,
+        isNew ? "create" : "update",
+        before,
+        after,
+      ),
+    );
+
+    // Versioned models keep the version being replaced next to the item
+    const versionWrite = this._buildVersionWrite(primaryId, currentItem, after);
+    if (versionWrite?.condition) {
+      transactItems.push(...versionWrite.transactItems);
+      dyUpdatesToSave[VERSION_NUMBER_FIELD] = versionWrite.versionNumber;
+    }
+
+    // Build the update expression first
+    const { updateExpression, names, values } = this._buildUpdateExpression(
+      dyUpdatesToSave,
+      currentItem,
+    );
+
+    // Create the base update params
+    const updateParams = {
+      TableName: this.table,
+      Key: this._getDyKeyForPkSk(this._parsePrimaryId(primaryId)),
+      UpdateExpression: updateExpression,
+      ReturnValues: "ALL_NEW",
+    };
+
+    if (Object.keys(names).length > 0) {
+      updateParams.ExpressionAttributeNames = {
+        ...names,
+      };
+    }
+
+    if (Object.keys(values).length > 0) {
+      updateParams.ExpressionAttributeValues = {
+        ...values,
+      };
+    }
+
+    // Build the condition expression for the update/put
+    const conditionExpressions = [];
+    const conditionNames = {};
+    const conditionValues = {};
+
+    const condition = isNew
+      ? options.condition
+      : this._withVersionCondition(options.condition, options.expectedVersion);
+
+    if (condition) {
+      const builder = new FilterExpressionBuilder();
+      const filterExpression = builder.build(condition, this);
+
+      if (filterExpression) {
+        updateParams.ConditionExpression = filterExpression.FilterExpression;
+        updateParams.ExpressionAttributeNames = {
+          ...updateParams.ExpressionAttributeNames,
+          ...filterExpression.ExpressionAttributeNames,
+        };
+        updateParams.ExpressionAttributeValues = {
+          ...updateParams.ExpressionAttributeValues,
+          ...filterExpression.ExpressionAttributeValues,
+        };
+      }
+    } else if (isNew) {
+      // For new items, ensure they don't already exist
+      updateParams.ConditionExpression = "attribute_not_exists(#pk)";
+      updateParams.ExpressionAttributeNames = {
+        ...updateParams.ExpressionAttributeNames,
+        "#pk": "_pk",
+      };
+    }
+    this._addVersionNumberCheck(updateParams, versionWrite?.condition);
+
+    return {
+      primaryId,
+      currentItem,
+      transactItems,
+      hasUniqueConstraintChanges,
+      updateParams,
+      consumedCapacity,
+      blobs,
+    };
+  },
+
+  /**
+   *@memberof BaoModel
+   * @private
+   * @description
+   * Add the optimistic locking check on the model's VersionField to a save
+   * condition. Returns the condition unchanged when no version is expected.
+   * @param {Object} [condition] - The caller's condition, if any.
+   * @param {string|null} [expectedVersion] - The version the stored item must have.
+   * @returns {Object|undefined} The combined condition.
+   * @throws {ValidationError} If a version is expected but the model has no VersionField
+   */
+  _withVersionCondition(condition, expectedVersion) {
+    if (expectedVersion == null) return condition;
+
+    const versionField = this._getVersionFieldName();
+    if (!versionField) {
+      throw new ValidationError(
+        `expectedVersion requires a VersionField on ${this.name}`,
+        null,
+        expectedVersion,
+      );
+    }
+
+    const versionCondition = { [versionField]: expectedVersion };
+    return condition
+      ? { $and: [condition, versionCondition] }
+      : versionCondition;
+  },
+
+  /**
+   *@memberof BaoModel
+   * @private
+   * @description
+   * After a failed conditional save, reload the item with a consistent read to
+   * find out whether the version check was what failed. The reload also
+   * refreshes the batch-context cache, so a retry sees the current item.
+   * @param {string} primaryId - The primary ID of the item that was saved.
+   * @param {string} expectedVersion - The version the save expected.
+   * @throws {StaleObjectError} If the stored version differs from expectedVersion
+   * @throws {ItemNotFoundError} If the item no longer exists
+   */
+  async _throwIfStale(primaryId, expectedVersion) {
+    this._clearCachedItem(primaryId);
+    const current = await this.find(primaryId, {
+      batchDelay: 0,
+      consistent: true,
+    });
+    if (!current.exists()) {
+      throw new ItemNotFoundError("Item not found", primaryId);
+    }
+
+    const currentVersion = current._dyData[this._getVersionFieldName()];
+    if (currentVersion !== expectedVersion) {
+      throw new StaleObjectError(
+        `${this.name} ${primaryId} was modified by another writer: ` +
+          `expected version ${expectedVersion}, found ${currentVersion}`,
+        primaryId,
+        expectedVersion,
+        currentVersion,
+      );
+    }
+  },
+
   _buildUpdateExpression(dyUpdatesToSave, currentItem = null) {
     const names = {};
     const values = {};
@@ -695,9 +1448,19 @@ const MutationMethods = {
           fieldValue: null,
         });
       } else {
-        // For StringSetField, pass the original value for diffing
-        const { StringSetFieldClass } = require("../fields");
-        if (field instanceof StringSetFieldClass && currentItem) {
+        // For set fields (StringSetField and its subclasses), MapField and
+        // ListField, pass the original value for diffing
+        const {
+          StringSetFieldClass,
+          MapFieldClass,
+          ListFieldClass,
+        } = require("../fields");
+        if (
+          (field instanceof StringSetFieldClass ||
+            field instanceof MapFieldClass ||
+            field instanceof ListFieldClass) &&
+          currentItem
+        ) {
           const originalValue = currentItem._loadedDyData[fieldName];
           const updateExpression = field.getUpdateExpression(
             fieldName,
@@ -705,8 +1468,9 @@ const MutationMethods = {
             originalValue,
           );
 
-          // Handle ADD_DELETE operations (multiple operations for the same field)
-          if (updateExpression && updateExpression.type === "ADD_DELETE") {
+          // Handle multiple operations for the same field (ADD_DELETE for
+          // sets, MULTIPLE for map paths and list removals)
+          if (updateExpression && updateExpression.operations) {
             expressions.push(...updateExpression.operations);
           } else if (updateExpression) {
             expressions.push(updateExpression);
@@ -741,6 +1505,11 @@ const MutationMethods = {
         names[expression.attrNameKey] = expression.fieldName;
       }
 
+      // Map path updates name each nested key separately
+      if (expression.attrNames) {
+        Object.assign(names, expression.attrNames);
+      }
+
       if (expression.fieldValue !== null && expression.attrValueKey) {
         values[expression.attrValueKey] = expression.fieldValue;
       }
@@ -762,26 +1531,74 @@ const MutationMethods = {
     };
   },
 
+  // The fields an index's keys are made from, and those of its `when`
+  // condition
+  _getIndexFields(index) {
+    return [
+      ...index.getPkFields(),
+      ...index.getSkFields(),
+      ...(index.when ? getFilterFields(index.when) : []),
+    ];
+  },
+
   _getIndexKeys(data, { isUpdate = false } = {}) {
     const indexKeys = {};
 
+    // A composite key's value, or undefined unless all its fields are given.
+    // Updates must give all of them, or none.
+    const getCompositeKeyValue = (fieldNames, indexName) => {
+      const missing = fieldNames.filter(
+        (fieldName) => data[fieldName] === undefined,
+      );
+      if (missing.length === 0) {
+        return this._formatCompositeKey(fieldNames, data);
+      }
+      if (isUpdate && missing.length < fieldNames.length) {
+        throw new Error(
+          `Update includes part of composite key "${fieldNames.join(", ")}" for index "${indexName}" ` +
+            `but is missing "${missing.join(", ")}". Include every field of the key or use forceReindex.`,
+        );
+      }
+      return undefined;
+    };
+
     Object.entries(this.indexes).forEach(([indexName, index]) => {
       let pkValue, skValue;
 
+      // Sparse indexes only hold items matching their condition. Others get
+      // no keys, and updated items that stop matching lose theirs.
+      if (index.when) {
+        const affected = this._getIndexFields(index).some(
+          (fieldName) =>
+            fieldName === "modelPrefix" || data[fieldName] !== undefined,
+        );
+        if (affected && !matchesFilter(index.when, data, this)) {
+          if (isUpdate) {
+            indexKeys[`_${index.indexId}_pk`] = null;
+            indexKeys[`_${index.indexId}_sk`] = null;
+          }
+          return;
+        }
+      }
+
       // Handle partition key
       if (index.pk === "modelPrefix") {
         pkValue = this.modelPrefix;
+      } else if (Array.isArray(index.pk)) {
+        pkValue = getCompositeKeyValue(index.pk, indexName);
       } else {
         const pkField = this._getField(index.pk);
         pkValue = data[index.pk];
         if (pkValue !== undefined) {
-          pkValue = pkField.toGsi(pkValue);
+          pkValue = index.formatPkGsiValue(pkField.toGsi(pkValue));
         }
       }
 
       // Handle sort key
       if (index.sk === "modelPrefix") {
         skValue = this.modelPrefix;
+      } else if (Array.isArray(index.sk)) {
+        skValue = getCompositeKeyValue(index.sk, indexName);
       } else {
         const skField = this._getField(index.sk);
         skValue = data[index.sk];
@@ -798,14 +1615,14 @@ const MutationMethods = {
           index.sk === "modelPrefix" || skValue !== undefined;
         if (pkProvided && !skProvided) {
           throw new Error(
-            `Update includes GSI partition key "${index.pk}" for index "${indexName}" ` +
-              `but is missing sort key "${index.sk}". Include both fields or use forceReindex.`,
+            `Update includes GSI partition key "${index.getPkFields().join(", ")}" for index "${indexName}" ` +
+              `but is missing sort key "${index.getSkFields().join(", ")}". Include both fields or use forceReindex.`,
           );
         }
         if (skProvided && !pkProvided) {
           throw new Error(
-            `Update includes GSI sort key "${index.sk}" for index "${indexName}" ` +
-              `but is missing partition key "${index.pk}". Include both fields or use forceReindex.`,
+            `Update includes GSI sort key "${index.getSkFields().join(", ")}" for index "${indexName}" ` +
+              `but is missing partition key "${index.getPkFields().join(", ")}". Include both fields or use forceReindex.`,
           );
         }
       }
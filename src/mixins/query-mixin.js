@@ -5,8 +5,14 @@ const { ObjectNotFound } = require("../object-not-found");
 const { PrimaryKeyConfig } = require("../model-config");
 const assert = require("assert");
 const { retryOperation } = require("../utils/retry-helper");
-const { QueryCommand } = require("../dynamodb-client");
+const { QueryCommand, ScanCommand } = require("../dynamodb-client");
 const { QueryError } = require("../exceptions");
+const { DELETED_AT_FIELD, VERSIONED_AT_FIELD } = require("../constants");
+const { GeoPointFieldClass } = require("../fields");
+const { coveringCells, haversineKm } = require("../utils/geohash");
+
+// Proximity queries read one index partition per geohash cell
+const DEFAULT_MAX_NEARBY_CELLS = 64;
 const {
   _accumulateCapacityToContext,
 } = require("./batch-loading-mixin");
@@ -94,10 +100,13 @@ const QueryMethods = {
    * another index and paying for the write overhead of the index.
    *
    * @param {string} indexName - The name of the index to query based on the model definition
-   * @param {string|Object} pkValue - The partition key value to query.
+   * @param {string|Object} pkValue - The partition key value to query. For a composite partition key,
+   *                                   an object with a value for each of its fields
    * @param {Object|null} skCondition - Optional sort key condition in the format: { fieldName: value } or { fieldName: { $operator: value } }
    *                                   Supported operators: $between, $beginsWith
    *                                   Example: { status: 'active' } or { createdAt: { $between: [date1, date2] } }
+   *                                   For a composite sort key, give its leading fields. All but the last of
+   *                                   them are matched exactly: { priority: 1, createdAt: { $gt: date } }
    * @param {Object} options - Additional query options
    * @param {number} options.limit - Maximum number of items to return (default: model.defaultQueryLimit)
    * @param {string} options.direction - Sort direction, 'ASC' or 'DESC' (default: 'ASC')
@@ -109,6 +118,11 @@ const QueryMethods = {
    * @param {string[]} options.relatedFields - Array of field names to load related data for (used with loadRelated)
    * @param {boolean} options.relatedOnly - Used by mapping tables to return only target objects;
    *                                        loadRelated and a single entry in relatedFields must be provided
+   * @param {boolean} options.consistent - If true, uses a strongly consistent read. Only supported when
+   *                                       the index is the primary key; global secondary indexes are
+   *                                       always eventually consistent
+   * @param {boolean} options.includeDeleted - If true, soft-deleted items are returned. They are
+   *                                           otherwise filtered out on `softDelete` models
    *
    * @returns {Promise<Object>} Returns an object containing:
    *   - items: Array of model instances or raw items
@@ -118,6 +132,7 @@ const QueryMethods = {
    *
    * @throws {Error} If index name is not found in model
    * @throws {Error} If sort key condition references wrong field
+   * @throws {QueryError} If consistent is requested on a global secondary index
    *
    * @example
    * // Basic query
@@ -128,6 +143,14 @@ const QueryMethods = {
    *   createdAt: { $between: [startDate, endDate] }
    * });
    *
+   * // Query an index with composite keys, e.g. pk [region, status] and
+   * // sk [priority, createdAt]
+   * const results = await Model.queryByIndex(
+   *   'byRegionStatus',
+   *   { region: 'eu', status: 'open' },
+   *   { priority: 1, createdAt: { $gt: since } }
+   * );
+   *
    * // Query with pagination
    * const results = await Model.queryByIndex('statusIndex', 'active', null, {
    *   limit: 10,
@@ -149,8 +172,9 @@ const QueryMethods = {
       );
     }
 
-    // Validate sort key field if condition is provided
-    if (skCondition) {
+    // Validate sort key field if condition is provided. Conditions on a
+    // composite sort key are checked as they're built.
+    if (skCondition && !Array.isArray(index.sk)) {
       const [[fieldName]] = Object.entries(skCondition);
       if (fieldName !== index.sk) {
         throw new QueryError(
@@ -165,9 +189,24 @@ const QueryMethods = {
     let formattedPk;
     if (index instanceof PrimaryKeyConfig) {
       formattedPk = this._formatPrimaryKey(this.modelPrefix, pkValue);
+    } else if (Array.isArray(index.pk)) {
+      const missing = index.pk.filter(
+        (fieldName) => pkValue?.[fieldName] === undefined,
+      );
+      if (missing.length > 0) {
+        throw new QueryError(
+          `Index "${indexName}" has a composite partition key, so pkValue must give ${index.pk.join(", ")}. Missing ${missing.join(", ")}`,
+          indexName,
+        );
+      }
+      formattedPk = this._formatGsiKey(
+        this.modelPrefix,
+        index.indexId,
+        this._formatCompositeKey(index.pk, pkValue),
+      );
     } else {
       const pkField = this._getField(index.pk);
-      const gsiValue = pkField.toGsi(pkValue);
+      const gsiValue = index.formatPkGsiValue(pkField.toGsi(pkValue));
       formattedPk = this._formatGsiKey(
         this.modelPrefix,
         index.indexId,
@@ -178,7 +217,9 @@ const QueryMethods = {
     const params = this._getBaseQueryParams(
       index instanceof PrimaryKeyConfig ? "_pk" : `_${index.indexId}_pk`,
       formattedPk,
-      skCondition ? { [index.sk]: skCondition[index.sk] } : null,
+      skCondition && !Array.isArray(index.sk)
+        ? { [index.sk]: skCondition[index.sk] }
+        : skCondition,
       {
         ...options,
         indexName,
@@ -226,6 +267,348 @@ const QueryMethods = {
     });
   },
 
+  /**
+   *@memberof BaoModel
+   *
+   * @description
+   * Finds items within a radius of a point, using an index whose partition key
+   * is a GeoPointField with a `geohashPrecision`. Every geohash cell that
+   * covers the circle is queried in parallel; the results are merged, items
+   * outside the radius are dropped by their exact (haversine) distance, and
+   * the rest are sorted nearest first.
+   *
+   * Each cell is read in full, so pick a precision whose cells are about the
+   * size of a typical radius: 5 characters is roughly 5km, 6 roughly 1km.
+   *
+   * @param {string} indexName - The name of the geo index
+   * @param {Object} center - The circle to search
+   * @param {number} center.lat - Latitude of the center
+   * @param {number} center.lng - Longitude of the center
+   * @param {number} center.radiusKm - Radius in kilometers
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum number of items to return, nearest first
+   * @param {Object} [options.filter] - Additional filter conditions. For full filter syntax, see {@link FilterExpressionBuilder#build}
+   * @param {number} [options.maxCells=64] - Maximum number of cells to query before giving up
+   * @param {boolean} [options.returnWrapped=true] - If false, returns raw DynamoDB items instead of model instances
+   * @param {boolean} [options.loadRelated] - If true, loads related models for RelatedFields
+   * @param {string[]} [options.relatedFields] - Array of field names to load related data for (used with loadRelated)
+   * @param {boolean} [options.includeDeleted=false] - If true, soft-deleted items are returned
+   *
+   * @returns {Promise<Object>} Returns an object containing items, count,
+   *   distances (in kilometers, one per item) and consumedCapacity
+   *
+   * @throws {QueryError} If the index isn't a geo index, the center is
+   *   invalid, or the circle covers more than maxCells cells
+   *
+   * @example
+   * const { items, distances } = await Store.queryNearbyByIndex("byLocation", {
+   *   lat: 37.7749,
+   *   lng: -122.4194,
+   *   radiusKm: 3,
+   * });
+   */
+  async queryNearbyByIndex(indexName, center, options = {}) {
+    const index = this.indexes[indexName];
+    if (!index) {
+      throw new QueryError(
+        `Index "${indexName}" not found in ${this.name} model`,
+        indexName,
+      );
+    }
+    const field = this._getField(index.pk);
+    if (!index.geohashPrecision || !(field instanceof GeoPointFieldClass)) {
+      throw new QueryError(
+        `Index "${indexName}" is not a geo index. Its partition key must be a GeoPointField and it needs a geohashPrecision`,
+        indexName,
+      );
+    }
+
+    const { lat, lng, radiusKm } = center || {};
+    try {
+      field.validate({ lat, lng });
+    } catch (error) {
+      throw new QueryError(error.message, indexName);
+    }
+    if (!(radiusKm > 0)) {
+      throw new QueryError("radiusKm must be a positive number", indexName);
+    }
+
+    const maxCells = options.maxCells ?? DEFAULT_MAX_NEARBY_CELLS;
+    const cells = coveringCells(
+      { lat, lng, radiusKm },
+      index.geohashPrecision,
+      maxCells,
+    );
+    if (!cells) {
+      throw new QueryError(
+        `A radius of ${radiusKm}km covers more than ${maxCells} geohash cells in index "${indexName}". ` +
+          `Use a smaller radius, raise maxCells, or index with a lower geohashPrecision`,
+        indexName,
+      );
+    }
+
+    // Read every page of each cell's partition
+    const queryCell = async (cell) => {
+      const params = this._getBaseQueryParams(
+        `_${index.indexId}_pk`,
+        this._formatGsiKey(this.modelPrefix, index.indexId, cell),
+        null,
+        { ...options, limit: null, indexName, gsiIndexId: index.indexId },
+      );
+      const items = [];
+      let capacityUnits = 0;
+      let startKey;
+      do {
+        const response = await retryOperation(() =>
+          this.documentClient.send(
+            new QueryCommand({ ...params, ExclusiveStartKey: startKey }),
+          ),
+        );
+        items.push(...(response.Items || []));
+        capacityUnits += response.ConsumedCapacity?.CapacityUnits || 0;
+        startKey = response.LastEvaluatedKey;
+      } while (startKey);
+      return { items, capacityUnits };
+    };
+    const responses = await Promise.all(cells.map(queryCell));
+
+    // Keep items inside the circle, nearest first
+    const found = [];
+    const seen = new Set();
+    let capacityUnits = 0;
+    for (const response of responses) {
+      capacityUnits += response.capacityUnits;
+      for (const item of response.items) {
+        const key = `${item._pk}|${item._sk}`;
+        const point = item[index.pk];
+        if (seen.has(key) || !point) continue;
+        seen.add(key);
+        const distance = haversineKm({ lat, lng }, point);
+        if (distance <= radiusKm) found.push({ item, distance });
+      }
+    }
+    found.sort((a, b) => a.distance - b.distance);
+    const nearest = options.limit ? found.slice(0, options.limit) : found;
+
+    const result = await this._processQueryResponse(
+      {
+        Items: nearest.map(({ item }) => item),
+        Count: nearest.length,
+        ConsumedCapacity: {
+          TableName: this.table,
+          CapacityUnits: capacityUnits,
+        },
+      },
+      { ...options, countOnly: false },
+    );
+    return { ...result, distances: nearest.map(({ distance }) => distance) };
+  },
+
+  /**
+   *@memberof BaoModel
+   *
+   * @description
+   * Scans the table for items belonging to this model. Only rows whose
+   * partition key carries this model's prefix (and the current tenant, if
+   * any) are returned, so unique constraint rows and other models sharing
+   * the table are skipped.
+   *
+   * A scan reads every item in the table (or segment) and is billed for all
+   * of them, even those removed by the model or user filter. Prefer
+   * queryByIndex or iterateAll for anything on a request path; scan is meant
+   * for one-off admin jobs and backfills.
+   *
+   * Parallel scans are supported by passing `totalSegments`. Every segment
+   * listed in `segments` (all of them by default) is scanned concurrently,
+   * one page per segment per call. In this mode `startKey` and the returned
+   * `lastEvaluatedKey` are objects keyed by segment number; segments that
+   * have been fully scanned are omitted, and `lastEvaluatedKey` is undefined
+   * once every segment is exhausted. To split the work across processes,
+   * give each worker its own `segments` list.
+   *
+   * @param {Object} [options] - Scan options
+   * @param {Object} [options.filter] - Filter conditions. For full filter syntax, see {@link FilterExpressionBuilder#build}
+   * @param {number} [options.limit] - Maximum number of items to evaluate per segment (default: model.defaultQueryLimit)
+   * @param {Object} [options.startKey] - Exclusive start key for pagination
+   * @param {number} [options.totalSegments] - Number of segments to divide the table into for a parallel scan
+   * @param {number[]} [options.segments] - Segments to scan in this call (used with totalSegments)
+   * @param {boolean} [options.returnWrapped=true] - If false, returns raw DynamoDB items instead of model instances
+   * @param {boolean} [options.loadRelated] - If true, loads related models for RelatedFields
+   * @param {string[]} [options.relatedFields] - Array of field names to load related data for (used with loadRelated)
+   * @param {boolean} [options.includeDeleted=false] - If true, soft-deleted items are returned
+   *
+   * @returns {Promise<Object>} Returns an object containing items, count, lastEvaluatedKey, and consumedCapacity
+   *
+   * @throws {QueryError} If the segment options are invalid
+   *
+   * @example
+   * // Single scan with a filter
+   * const { items, lastEvaluatedKey } = await User.scan({
+   *   filter: { tags: { $contains: "premium" } },
+   * });
+   *
+   * // Parallel scan across 4 segments, draining every page
+   * let startKey = null;
+   * do {
+   *   const page = await User.scan({ totalSegments: 4, startKey });
+   *   await processUsers(page.items);
+   *   startKey = page.lastEvaluatedKey;
+   * } while (startKey);
+   */
+  async scan(options = {}) {
+    const { totalSegments, startKey } = options;
+
+    if (totalSegments === undefined) {
+      if (options.segments !== undefined) {
+        throw new QueryError("segments requires totalSegments to be set");
+      }
+      const response = await retryOperation(() =>
+        this.documentClient.send(new ScanCommand(this._getScanParams(options))),
+      );
+      return this._processQueryResponse(response, options);
+    }
+
+    if (!Number.isInteger(totalSegments) || totalSegments < 1) {
+      throw new QueryError("totalSegments must be a positive integer");
+    }
+
+    let segments = options.segments;
+    if (segments === undefined) {
+      segments = startKey
+        ? Object.keys(startKey).map((segment) => parseInt(segment, 10))
+        : Array.from({ length: totalSegments }, (_, segment) => segment);
+    } else if (startKey) {
+      segments = segments.filter((segment) => startKey[segment] !== undefined);
+    }
+
+    segments.forEach((segment) => {
+      if (
+        !Number.isInteger(segment) ||
+        segment < 0 ||
+        segment >= totalSegments
+      ) {
+        throw new QueryError(
+          `Invalid segment ${segment}. Must be 0-${totalSegments - 1}`,
+        );
+      }
+    });
+
+    const responses = await Promise.all(
+      segments.map((segment) =>
+        retryOperation(() =>
+          this.documentClient.send(
+            new ScanCommand(
+              this._getScanParams({
+                ...options,
+                segment,
+                startKey: startKey ? startKey[segment] : null,
+              }),
+            ),
+          ),
+        ),
+      ),
+    );
+
+    // Merge the segment pages into a single response so related loading and
+    // capacity accounting go through the same path as a query.
+    const lastEvaluatedKey = {};
+    let capacityUnits = 0;
+    const items = [];
+    responses.forEach((response, i) => {
+      items.push(...(response.Items || []));
+      capacityUnits += response.ConsumedCapacity?.CapacityUnits || 0;
+      if (response.LastEvaluatedKey) {
+        lastEvaluatedKey[segments[i]] = response.LastEvaluatedKey;
+      }
+    });
+
+    return this._processQueryResponse(
+      {
+        Items: items,
+        Count: items.length,
+        LastEvaluatedKey: Object.keys(lastEvaluatedKey).length
+          ? lastEvaluatedKey
+          : undefined,
+        ConsumedCapacity: {
+          TableName: this.table,
+          CapacityUnits: capacityUnits,
+        },
+      },
+      options,
+    );
+  },
+
+  _getScanParams(options = {}) {
+    const params = {
+      TableName: this.table,
+      ExpressionAttributeNames: { "#modelPk": "_pk" },
+      ReturnConsumedCapacity: "TOTAL",
+      Limit: options.limit || this.defaultQueryLimit,
+    };
+
+    // Restrict the scan to this model's rows. Models keyed on modelPrefix
+    // share a single partition; everything else is prefixed with it.
+    let modelCondition;
+    if (this.primaryKey.pk === "modelPrefix") {
+      modelCondition = "#modelPk = :modelPk";
+      params.ExpressionAttributeValues = { ":modelPk": this.modelPrefix };
+    } else {
+      modelCondition = "begins_with(#modelPk, :modelPk)";
+      params.ExpressionAttributeValues = {
+        ":modelPk": this._formatPrimaryKey(this.modelPrefix, ""),
+      };
+    }
+
+    params.FilterExpression = modelCondition;
+    const filter = this._withVersionRowFilter(
+      this._withSoftDeleteFilter(options),
+      options,
+    );
+    if (filter) {
+      const filterBuilder = new FilterExpressionBuilder();
+      const filterExpression = filterBuilder.build(filter, this);
+
+      if (filterExpression) {
+        params.FilterExpression = `(${modelCondition}) AND (${filterExpression.FilterExpression})`;
+        Object.assign(
+          params.ExpressionAttributeNames,
+          filterExpression.ExpressionAttributeNames,
+        );
+        Object.assign(
+          params.ExpressionAttributeValues,
+          filterExpression.ExpressionAttributeValues,
+        );
+      }
+    }
+
+    if (options.segment !== undefined) {
+      params.Segment = options.segment;
+      params.TotalSegments = options.totalSegments;
+    }
+
+    if (options.startKey) {
+      params.ExclusiveStartKey = options.startKey;
+    }
+
+    return params;
+  },
+
+  // Soft-deleted rows are left out of queries and scans unless the caller
+  // passes includeDeleted
+  _withSoftDeleteFilter({ filter, includeDeleted }) {
+    if (includeDeleted || !this._getSoftDeleteConfig()) return filter;
+    const notDeleted = { [DELETED_AT_FIELD]: { $exists: false } };
+    return filter ? { $and: [filter, notDeleted] } : notDeleted;
+  },
+
+  // Snapshot rows of versioned models share the item's partition, so reads of
+  // the table rather than a GSI have to leave them out
+  _withVersionRowFilter(filter, { gsiIndexId }) {
+    if (gsiIndexId || !this._getVersioningConfig()) return filter;
+    const notSnapshot = { [VERSIONED_AT_FIELD]: { $exists: false } };
+    return filter ? { $and: [filter, notSnapshot] } : notSnapshot;
+  },
+
   _getBaseQueryParams(pkFieldName, pkValue, skCondition, options = {}) {
     const keyBuilder = new KeyConditionBuilder();
     let keyConditionExpression = `#pk = :pk`;
@@ -273,14 +656,28 @@ const QueryMethods = {
       params.IndexName = options.gsiIndexId;
     }
 
+    if (options.consistent) {
+      if (options.gsiIndexId) {
+        throw new QueryError(
+          `Consistent reads are not supported on global secondary index "${options.indexName}"`,
+          options.indexName,
+        );
+      }
+      params.ConsistentRead = true;
+    }
+
     if (options.startKey) {
       params.ExclusiveStartKey = options.startKey;
     }
 
     // Add filter expression if provided
-    if (options.filter) {
+    const filter = this._withVersionRowFilter(
+      this._withSoftDeleteFilter(options),
+      options,
+    );
+    if (filter) {
       const filterBuilder = new FilterExpressionBuilder();
-      const filterExpression = filterBuilder.build(options.filter, this);
+      const filterExpression = filterBuilder.build(filter, this);
 
       if (filterExpression) {
         params.FilterExpression = filterExpression.FilterExpression;
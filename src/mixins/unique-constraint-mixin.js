@@ -19,8 +19,11 @@ const UniqueConstraintMethods = {
     const tableName = this.manager.tableName;
 
     for (const [name, constraint] of Object.entries(this.uniqueConstraints)) {
-      const value = data[constraint.field];
-      if (!value) continue;
+      if (!data[constraint.field]) continue;
+      // Check the stored form, which is what the constraint is keyed on
+      const value = this._getField(constraint.field).toDy(
+        data[constraint.field],
+      );
 
       try {
         const key = this._formatUniqueConstraintKey.call(
@@ -1,7 +1,23 @@
 const { defaultLogger: logger } = require("../utils/logger");
-const { TtlFieldClass, StringSetFieldClass } = require("../fields");
+const {
+  TtlFieldClass,
+  StringSetFieldClass,
+  MapFieldClass,
+  ListFieldClass,
+  GeoPointFieldClass,
+  EncryptedFieldClass,
+} = require("../fields");
+const { MAX_PRECISION: MAX_GEOHASH_PRECISION } = require("../utils/geohash");
 const { PrimaryKeyConfig } = require("../model-config");
-const { ConfigurationError } = require("../exceptions");
+const { ConfigurationError, ValidationError } = require("../exceptions");
+const { pluginManager } = require("../plugin-manager");
+const { getModelValidator, isUpdateOperator } = require("../validators");
+const { computeValue } = require("../computed");
+const { runInBatchContext } = require("./batch-loading-mixin");
+const {
+  FilterExpressionBuilder,
+  getFilterFields,
+} = require("../filter-expression");
 const {
   GSI_INDEX_ID1,
   GSI_INDEX_ID2,
@@ -13,7 +29,223 @@ const {
   UNIQUE_CONSTRAINT_ID3,
 } = require("../constants");
 
+// Key of the `errors` entry for messages about the item as a whole
+const MODEL_ERROR_KEY = "_model";
+
+// One ValidationError for all the failures, with each field's message in
+// `errors`. The field name and value are only set when one field failed.
+function toValidationError(errors, valueOf) {
+  const failed = Object.keys(errors);
+  return new ValidationError(
+    failed
+      .map((key) =>
+        key === MODEL_ERROR_KEY ? errors[key] : `${key}: ${errors[key]}`,
+      )
+      .join("; "),
+    failed.length === 1 && failed[0] !== MODEL_ERROR_KEY ? failed[0] : null,
+    failed.length === 1 ? (valueOf(failed[0]) ?? null) : null,
+    errors,
+  );
+}
+
+// Add what a model validator returned or threw to `errors`
+function addModelErrors(errors, result) {
+  if (result instanceof ValidationError) {
+    if (result.errors) return addModelErrors(errors, result.errors);
+    return addModelErrors(
+      errors,
+      result.fieldName
+        ? { [result.fieldName]: result.message }
+        : result.message,
+    );
+  }
+  if (result === false) result = "Validation failed";
+  if (typeof result === "string") result = { [MODEL_ERROR_KEY]: result };
+  if (result === null || typeof result !== "object") return;
+  for (const [key, message] of Object.entries(result)) {
+    if (message && errors[key] === undefined) errors[key] = String(message);
+  }
+}
+
 const ValidationMethods = {
+  /**
+   * @memberof BaoModel
+   * @private
+   * @description
+   * Check the values about to be saved. Every field is checked before
+   * anything is thrown, so a single ValidationError reports all of the
+   * failures: its `errors` maps each failing field name to its message.
+   * @param {Object} jsData - JS values by field name
+   * @param {Object} [options]
+   * @param {boolean} [options.isNew=false] - Whether the item is being
+   *   created, in which case required fields must have a value
+   * @param {boolean} [options.computed=false] - Check the values of computed
+   *   fields, calculated by {@link BaoModel._computeFieldValues}, rather than
+   *   the values of the other fields. Otherwise computed fields must not be
+   *   set at all.
+   * @throws {ConfigurationError} If jsData has a field the model doesn't
+   * @throws {ValidationError} If any value is invalid
+   */
+  _validateFieldValues(jsData, { isNew = false, computed = false } = {}) {
+    Object.keys(jsData).forEach((fieldName) => this._getField(fieldName));
+
+    const errors = {};
+    for (const [fieldName, field] of Object.entries(this.fields)) {
+      const value = jsData[fieldName];
+      if (!computed && field.computed && value !== undefined) {
+        errors[fieldName] = "Computed fields can't be set";
+        continue;
+      }
+      if (computed !== !!field.computed) continue;
+      if (isNew && field.required && (value === undefined || value === null)) {
+        errors[fieldName] = "Field is required";
+        continue;
+      }
+      if (value === undefined) continue;
+
+      try {
+        field.validate(value, fieldName);
+        field.checkRules(value);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors[fieldName] = error.message;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw toValidationError(errors, (fieldName) => jsData[fieldName]);
+    }
+  },
+
+  /**
+   * @memberof BaoModel
+   * @private
+   * @description
+   * Calculate the computed fields a save changes: all of them when
+   * `recompute` is set (for new items and reindexing), otherwise those
+   * computed from a field in jsUpdates. Each function receives the new
+   * values of the fields it's computed from, with stored values for the
+   * fields the save doesn't change.
+   * @param {Object} jsUpdates - JS values by field name
+   * @param {Object|null} currentItem - The stored item, if any
+   * @param {Object} [options]
+   * @param {boolean} [options.recompute=false] - Calculate every computed
+   *   field
+   * @returns {Object} The computed values by field name
+   * @throws {ValidationError} If a field it depends on is updated with an
+   *   update operator such as `{ $add: 1 }`, whose result isn't known yet
+   */
+  _computeFieldValues(jsUpdates, currentItem, { recompute = false } = {}) {
+    const computedValues = {};
+    for (const [fieldName, field] of Object.entries(this.fields)) {
+      if (!field.computed) continue;
+      const { from } = field.computed;
+      if (!recompute && from.every((name) => jsUpdates[name] === undefined)) {
+        continue;
+      }
+
+      const values = {};
+      for (const sourceName of from) {
+        const value = jsUpdates[sourceName];
+        if (isUpdateOperator(value)) {
+          throw new ValidationError(
+            `${fieldName} can't be computed while ${sourceName} is updated with an operator`,
+            fieldName,
+            value,
+          );
+        }
+        if (value === undefined) {
+          values[sourceName] = currentItem ? currentItem[sourceName] : null;
+        } else {
+          // The value as it will read back, e.g. a Date rather than a string
+          const source = this.fields[sourceName];
+          values[sourceName] =
+            value === null ? null : source.fromDy(source.toDy(value));
+        }
+      }
+      computedValues[fieldName] = computeValue(field.computed, values) ?? null;
+    }
+    return computedValues;
+  },
+
+  _hasModelValidators() {
+    return (
+      this.validators.length > 0 ||
+      pluginManager.getHooks(this.name, "validate").length > 0
+    );
+  },
+
+  /**
+   * @memberof BaoModel
+   * @private
+   * @description
+   * Build the item as it will be after a save, for model validators: the
+   * current stored values with the new ones applied. Update operators such
+   * as `{ $add: 1 }` are left out, so those fields keep their current value.
+   * @param {Object} jsUpdates - JS values by field name
+   * @param {Object} dyUpdates - The same values converted for storage
+   * @param {Object|null} currentItem - The stored item, if any
+   * @returns {Object} A model instance
+   */
+  _previewSavedItem(jsUpdates, dyUpdates, currentItem) {
+    const dyData = { ...currentItem?._dyData };
+    for (const [fieldName, dyValue] of Object.entries(dyUpdates)) {
+      if (!isUpdateOperator(jsUpdates[fieldName])) dyData[fieldName] = dyValue;
+    }
+    const instance = this._createFromDyItem(dyData);
+    Object.assign(instance._blobValues, currentItem?._blobValues);
+    return instance;
+  },
+
+  /**
+   * @memberof BaoModel
+   * @private
+   * @description
+   * Run the model's validators, listed in its static `validators` (functions
+   * or names added with registerModelValidator()), and the `validate` hooks
+   * of its plugins. They run together inside a batch context, so their
+   * lookups are batched; one is started if the save isn't already in one.
+   * All of their failures are reported in one ValidationError, with
+   * messages about the whole item under `errors._model`.
+   * @param {Object} instance - The item as it will be saved
+   * @param {Object} [options]
+   * @param {boolean} [options.isNew=false] - Whether the item is being created
+   * @throws {ValidationError} If any validator rejects the item
+   */
+  async _runModelValidators(instance, { isNew = false } = {}) {
+    const validators = [
+      ...this.validators.map((validator) =>
+        typeof validator === "function"
+          ? validator
+          : getModelValidator(validator),
+      ),
+      ...pluginManager.getHooks(this.name, "validate"),
+    ];
+    if (validators.length === 0) return;
+
+    const outcomes = await runInBatchContext(() =>
+      Promise.allSettled(
+        validators.map(async (validate) => validate(instance, { isNew })),
+      ),
+    );
+
+    const errors = {};
+    for (const outcome of outcomes) {
+      if (outcome.status === "fulfilled") {
+        addModelErrors(errors, outcome.value);
+      } else if (outcome.reason instanceof ValidationError) {
+        addModelErrors(errors, outcome.reason);
+      } else {
+        throw outcome.reason;
+      }
+    }
+    if (Object.keys(errors).length > 0) {
+      throw toValidationError(errors, (fieldName) =>
+        this.fields[fieldName] ? instance[fieldName] : null,
+      );
+    }
+  },
+
   /**
    *
    * @function _validateConfiguration
@@ -41,8 +273,10 @@ const ValidationMethods = {
    * - Validates TTL field naming
    * - Ensures primary key fields are marked as required
    * - Validates field naming conventions
-   * - Validates index configurations
+   * - Validates index configurations, including geohash precision
    * - Validates unique constraints
+   * - Checks that model validators are functions or validator names
+   * - Checks what computed fields are computed from
    */
   _validateConfiguration() {
     if (!this.modelPrefix) {
@@ -59,6 +293,20 @@ const ValidationMethods = {
       );
     }
 
+    if (
+      !Array.isArray(this.validators) ||
+      !this.validators.every(
+        (validator) =>
+          typeof validator === "function" ||
+          (typeof validator === "string" && validator),
+      )
+    ) {
+      throw new ConfigurationError(
+        `${this.name}.validators must be an array of functions or validator names`,
+        this.name,
+      );
+    }
+
     // Update to use TtlFieldClass instead of TtlField
     Object.entries(this.fields).forEach(([fieldName, field]) => {
       if (field instanceof TtlFieldClass && fieldName !== "ttl") {
@@ -69,6 +317,26 @@ const ValidationMethods = {
       }
     });
 
+    // A soft delete with ttlDays sets the `ttl` attribute, and restore()
+    // removes it, so neither can keep the expiry of a TtlField
+    const softDelete = this._getSoftDeleteConfig();
+    if (
+      softDelete?.ttlDays &&
+      Object.values(this.fields).some((field) => field instanceof TtlFieldClass)
+    ) {
+      throw new ConfigurationError(
+        `softDelete.ttlDays cannot be used in ${this.name}, since it has a TtlField`,
+        this.name,
+      );
+    }
+    // TTL removes the item without releasing its retained constraint rows
+    if (softDelete?.ttlDays && softDelete.uniqueConstraints === "retain") {
+      throw new ConfigurationError(
+        `softDelete.ttlDays cannot be used with uniqueConstraints "retain" in ${this.name}, since the values would stay reserved after DynamoDB removes the item`,
+        this.name,
+      );
+    }
+
     // Ensure primary key fields are required
     const pkField = this._getField(this.primaryKey.pk);
     if (!pkField.required) {
@@ -96,6 +364,71 @@ const ValidationMethods = {
       }
     });
 
+    // The primary key is read back from every item and used in related
+    // fields, so it can't be encrypted, compressed or offloaded
+    [this.primaryKey.pk, this.primaryKey.sk].forEach((fieldName) => {
+      if (fieldName === "modelPrefix") return;
+      const field = this._getField(fieldName);
+      if (field instanceof EncryptedFieldClass) {
+        throw new ConfigurationError(
+          `EncryptedField '${fieldName}' cannot be part of the primary key in ${this.name}`,
+          this.name,
+        );
+      }
+      if (field.compress) {
+        throw new ConfigurationError(
+          `Compressed field '${fieldName}' cannot be part of the primary key in ${this.name}`,
+          this.name,
+        );
+      }
+      if (field.offload) {
+        throw new ConfigurationError(
+          `Offloaded field '${fieldName}' cannot be part of the primary key in ${this.name}`,
+          this.name,
+        );
+      }
+      if (field.computed) {
+        throw new ConfigurationError(
+          `Computed field '${fieldName}' cannot be part of the primary key in ${this.name}`,
+          this.name,
+        );
+      }
+    });
+
+    // Computed fields are calculated from fields the save has at hand
+    Object.entries(this.fields).forEach(([fieldName, field]) => {
+      if (!field.computed) return;
+      field.computed.from.forEach((sourceName) => {
+        const source = this.fields[sourceName];
+        if (!source || source.computed || source.offload) {
+          throw new ConfigurationError(
+            `Computed field '${fieldName}' in ${this.name} must be computed from fields that aren't computed or offloaded, not '${sourceName}'`,
+            this.name,
+          );
+        }
+      });
+    });
+
+    // History rows and version snapshots copy the item, and their copies
+    // would point to blobs that are deleted when the value changes
+    if (
+      this._hasOffloadedFields() &&
+      (this.audit || this._getVersioningConfig())
+    ) {
+      throw new ConfigurationError(
+        `Offloaded fields cannot be used in ${this.name}, since it is ${this.audit ? "audited" : "versioned"}`,
+        this.name,
+      );
+    }
+    // TTL removes soft deleted items without a purge, which would leave
+    // their blobs behind
+    if (this._hasOffloadedFields() && this._getSoftDeleteConfig()?.ttlDays) {
+      throw new ConfigurationError(
+        `Offloaded fields cannot be used in ${this.name}, since its soft deleted items expire with ttlDays`,
+        this.name,
+      );
+    }
+
     const validIndexIds = [
       GSI_INDEX_ID1,
       GSI_INDEX_ID2,
@@ -115,19 +448,38 @@ const ValidationMethods = {
         );
       }
 
+      // A composite key is a list of fields of the model
+      [
+        [index.pk, "partition"],
+        [index.sk, "sort"],
+      ].forEach(([key, keyType]) => {
+        if (
+          Array.isArray(key) &&
+          (key.length === 0 ||
+            key.some(
+              (fieldName) =>
+                typeof fieldName !== "string" || fieldName === "modelPrefix",
+            ) ||
+            new Set(key).size !== key.length)
+        ) {
+          throw new ConfigurationError(
+            `Composite ${keyType} key of index '${indexName}' in ${this.name} must list different fields of the model`,
+            this.name,
+          );
+        }
+      });
+      const pkFields = index.getPkFields();
+      const skFields = index.getSkFields();
+
       // Check if referenced fields start with underscore
-      if (index.pk !== "modelPrefix" && index.pk.startsWith("_")) {
-        throw new ConfigurationError(
-          `Index '${indexName}' references invalid field '${index.pk}' (cannot start with underscore)`,
-          this.name,
-        );
-      }
-      if (index.sk !== "modelPrefix" && index.sk.startsWith("_")) {
-        throw new ConfigurationError(
-          `Index '${indexName}' references invalid field '${index.sk}' (cannot start with underscore)`,
-          this.name,
-        );
-      }
+      [...pkFields, ...skFields].forEach((fieldName) => {
+        if (fieldName !== "modelPrefix" && fieldName.startsWith("_")) {
+          throw new ConfigurationError(
+            `Index '${indexName}' references invalid field '${fieldName}' (cannot start with underscore)`,
+            this.name,
+          );
+        }
+      });
 
       // Check if this index matches the primary key configuration
       const isPrimaryKeyIndex =
@@ -143,21 +495,123 @@ const ValidationMethods = {
       }
 
       // These will throw errors if the fields don't exist
-      const idxPkField = this._getField(index.pk);
-      const idxSkField = this._getField(index.sk);
+      const keyFields = [
+        ...pkFields.map((fieldName) => [fieldName, "partition"]),
+        ...skFields.map((fieldName) => [fieldName, "sort"]),
+      ].map(([fieldName, keyType]) => [
+        this._getField(fieldName),
+        fieldName,
+        keyType,
+      ]);
 
-      // StringSetField cannot be indexed
-      if (idxPkField instanceof StringSetFieldClass) {
+      keyFields.forEach(([field, fieldName, keyType]) => {
+        // Set fields (StringSetField and its subclasses), MapField and
+        // ListField cannot be indexed
+        if (
+          field instanceof StringSetFieldClass ||
+          field instanceof MapFieldClass ||
+          field instanceof ListFieldClass
+        ) {
+          throw new ConfigurationError(
+            `${field.constructor.name} '${fieldName}' cannot be used as ${keyType} key in index '${indexName}' in ${this.name}`,
+            this.name,
+          );
+        }
+
+        // Compressed values are stored as binary, and offloaded values as a
+        // pointer, neither of which can be a key
+        if (field.compress) {
+          throw new ConfigurationError(
+            `Compressed field '${fieldName}' cannot be used as ${keyType} key in index '${indexName}' in ${this.name}`,
+            this.name,
+          );
+        }
+        if (field.offload) {
+          throw new ConfigurationError(
+            `Offloaded field '${fieldName}' cannot be used as ${keyType} key in index '${indexName}' in ${this.name}`,
+            this.name,
+          );
+        }
+
+        // Ciphertext only supports equality, and only deterministic
+        // ciphertext can be looked up at all
+        if (field instanceof EncryptedFieldClass) {
+          if (keyType === "sort") {
+            throw new ConfigurationError(
+              `EncryptedField '${fieldName}' cannot be used as sort key in index '${indexName}' in ${this.name}`,
+              this.name,
+            );
+          }
+          if (!field.deterministic) {
+            throw new ConfigurationError(
+              `EncryptedField '${fieldName}' must be deterministic to be used as partition key in index '${indexName}' in ${this.name}`,
+              this.name,
+            );
+          }
+        }
+      });
+
+      // A GeoPointField partition key is only useful cut to geohash cells,
+      // and the cells only make sense for a GeoPointField
+      const geoPkField = keyFields.find(
+        ([field, , keyType]) =>
+          keyType === "partition" && field instanceof GeoPointFieldClass,
+      );
+      if (index.geohashPrecision !== undefined) {
+        if (!geoPkField || pkFields.length !== 1) {
+          throw new ConfigurationError(
+            `Index '${indexName}' in ${this.name} has a geohashPrecision, so its partition key must be a GeoPointField`,
+            this.name,
+          );
+        }
+        if (
+          !Number.isInteger(index.geohashPrecision) ||
+          index.geohashPrecision < 1 ||
+          index.geohashPrecision > MAX_GEOHASH_PRECISION
+        ) {
+          throw new ConfigurationError(
+            `geohashPrecision must be an integer between 1 and ${MAX_GEOHASH_PRECISION} in index '${indexName}' in ${this.name}`,
+            this.name,
+          );
+        }
+      } else if (geoPkField) {
         throw new ConfigurationError(
-          `StringSetField '${index.pk}' cannot be used as partition key in index '${indexName}' in ${this.name}`,
+          `GeoPointField '${geoPkField[1]}' can only be used as partition key in index '${indexName}' in ${this.name} with a geohashPrecision`,
           this.name,
         );
       }
-      if (idxSkField instanceof StringSetFieldClass) {
-        throw new ConfigurationError(
-          `StringSetField '${index.sk}' cannot be used as sort key in index '${indexName}' in ${this.name}`,
-          this.name,
+
+      // The condition of a sparse index is a filter on fields of the model,
+      // checked against each item as it's saved
+      if (index.when !== undefined) {
+        if (
+          !index.when ||
+          typeof index.when !== "object" ||
+          Array.isArray(index.when) ||
+          Object.keys(index.when).length === 0
+        ) {
+          throw new ConfigurationError(
+            `when in index '${indexName}' in ${this.name} must be a filter object`,
+            this.name,
+          );
+        }
+        try {
+          new FilterExpressionBuilder().validateFields(index.when, this);
+        } catch (error) {
+          throw new ConfigurationError(
+            `Invalid when condition in index '${indexName}' in ${this.name}: ${error.message}`,
+            this.name,
+          );
+        }
+        const unknown = getFilterFields(index.when).find(
+          (fieldName) => !this.fields[fieldName],
         );
+        if (unknown !== undefined) {
+          throw new ConfigurationError(
+            `The when condition of index '${indexName}' in ${this.name} can only use fields of the model, not '${unknown}'`,
+            this.name,
+          );
+        }
       }
     });
 
@@ -221,6 +675,27 @@ const ValidationMethods = {
             this.name,
           );
         }
+        if (fieldDef.compress) {
+          throw new ConfigurationError(
+            `${this.name} \`searchConfig.fields\` cannot include compressed field ` +
+              `"${fieldName}", since its search text would not be compressed.`,
+            this.name,
+          );
+        }
+        if (fieldDef.offload) {
+          throw new ConfigurationError(
+            `${this.name} \`searchConfig.fields\` cannot include offloaded field ` +
+              `"${fieldName}", since its search text would be stored in the item.`,
+            this.name,
+          );
+        }
+        if (fieldDef instanceof EncryptedFieldClass) {
+          throw new ConfigurationError(
+            `${this.name} \`searchConfig.fields\` cannot include EncryptedField ` +
+              `"${fieldName}", since its plaintext would be stored in the search text.`,
+            this.name,
+          );
+        }
       }
     }
 
@@ -245,6 +720,29 @@ const ValidationMethods = {
           this.name,
         );
       }
+
+      const constraintField = this._getField(constraint.field);
+      if (constraintField.compress) {
+        throw new ConfigurationError(
+          `Compressed field '${constraint.field}' cannot be used in a unique constraint in ${this.name}`,
+          this.name,
+        );
+      }
+      if (constraintField.offload) {
+        throw new ConfigurationError(
+          `Offloaded field '${constraint.field}' cannot be used in a unique constraint in ${this.name}`,
+          this.name,
+        );
+      }
+      if (
+        constraintField instanceof EncryptedFieldClass &&
+        !constraintField.deterministic
+      ) {
+        throw new ConfigurationError(
+          `EncryptedField '${constraint.field}' must be deterministic to be used in a unique constraint in ${this.name}`,
+          this.name,
+        );
+      }
     });
   },
 };
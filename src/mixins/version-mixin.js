@@ -0,0 +1,284 @@
+const { GetCommand, QueryCommand } = require("../dynamodb-client");
+const { retryOperation } = require("../utils/retry-helper");
+const { ObjectNotFound } = require("../object-not-found");
+const { ItemNotFoundError } = require("../exceptions");
+const { ModifiedDateFieldClass, VersionFieldClass } = require("../fields");
+const { VERSION_NUMBER_FIELD, VERSIONED_AT_FIELD } = require("../constants");
+const { _accumulateCapacityToContext } = require("./batch-loading-mixin");
+
+const VersionMethods = {
+  /**
+   * Build the snapshot of the stored item that a save of a versioned model
+   * writes next to it, and the check that keeps the snapshot accurate: the
+   * save only goes through if nobody saved a newer version in the meantime.
+   * Returns null if the model isn't versioned or the item is new. If the save
+   * changes no field, no snapshot is taken and the version number is kept.
+   * @param {string} primaryId - The primary ID of the item being saved
+   * @param {Object|null} currentItem - The stored item, as loaded
+   * @param {Object} after - The item's stored values after the save
+   * @returns {Object|null} `{ transactItems, versionNumber, condition }`, where
+   *   versionNumber is the number to save the item with and condition is
+   *   `{ expression, names, values }` or null
+   */
+  _buildVersionWrite(primaryId, currentItem, after) {
+    const config = this._getVersioningConfig();
+    if (!config || !currentItem) return null;
+
+    const loaded = currentItem._loadedDyData;
+    const storedNumber = loaded[VERSION_NUMBER_FIELD];
+    if (!Object.keys(this._diffFields(loaded, after)).length) {
+      return {
+        transactItems: [],
+        versionNumber: storedNumber,
+        condition: null,
+      };
+    }
+
+    // Items saved before versioning was enabled count as version 1
+    const currentNumber = storedNumber ?? 1;
+    const key = this._getDyKeyForPkSk(this._parsePrimaryId(primaryId));
+    const snapshot = {
+      _pk: key._pk,
+      _sk: this._formatVersionSk(key._sk, currentNumber),
+    };
+    for (const fieldName of Object.keys(this.fields)) {
+      if (loaded[fieldName] != null) {
+        snapshot[fieldName] = loaded[fieldName];
+      }
+    }
+    snapshot[VERSION_NUMBER_FIELD] = currentNumber;
+    snapshot[VERSIONED_AT_FIELD] = Date.now();
+    const testId = this.manager.getTestId();
+    if (testId) {
+      snapshot._gsi_test_id = testId;
+    }
+
+    const transactItems = [{ Put: { TableName: this.table, Item: snapshot } }];
+
+    // Each save adds one snapshot, so at most one falls out of the window
+    const expiredNumber = currentNumber - config.keep;
+    if (expiredNumber >= 1) {
+      transactItems.push({
+        Delete: {
+          TableName: this.table,
+          Key: {
+            _pk: key._pk,
+            _sk: this._formatVersionSk(key._sk, expiredNumber),
+          },
+        },
+      });
+    }
+
+    const condition =
+      storedNumber == null
+        ? {
+            expression: "attribute_not_exists(#versionNumber)",
+            names: { "#versionNumber": VERSION_NUMBER_FIELD },
+            values: {},
+          }
+        : {
+            expression: "#versionNumber = :expectedVersionNumber",
+            names: { "#versionNumber": VERSION_NUMBER_FIELD },
+            values: { ":expectedVersionNumber": storedNumber },
+          };
+
+    return { transactItems, versionNumber: currentNumber + 1, condition };
+  },
+
+  // AND the version number check from _buildVersionWrite into Update or Put params
+  _addVersionNumberCheck(params, condition) {
+    if (!condition) return;
+    params.ConditionExpression = params.ConditionExpression
+      ? `(${params.ConditionExpression}) AND ${condition.expression}`
+      : condition.expression;
+    params.ExpressionAttributeNames = {
+      ...params.ExpressionAttributeNames,
+      ...condition.names,
+    };
+    if (Object.keys(condition.values).length > 0) {
+      params.ExpressionAttributeValues = {
+        ...params.ExpressionAttributeValues,
+        ...condition.values,
+      };
+    }
+  },
+
+  // Load every snapshot row of an item, newest first
+  async _queryVersionRows(primaryId) {
+    const key = this._getDyKeyForPkSk(this._parsePrimaryId(primaryId));
+    const prefix = this._formatVersionSk(key._sk, null);
+    const rows = [];
+    let capacityUnits = 0;
+    let lastEvaluatedKey;
+
+    do {
+      const response = await retryOperation(() =>
+        this.documentClient.send(
+          new QueryCommand({
+            TableName: this.table,
+            KeyConditionExpression: "#pk = :pk AND begins_with(#sk, :prefix)",
+            ExpressionAttributeNames: { "#pk": "_pk", "#sk": "_sk" },
+            ExpressionAttributeValues: { ":pk": key._pk, ":prefix": prefix },
+            ScanIndexForward: false,
+            ReturnConsumedCapacity: "TOTAL",
+            ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey }),
+          }),
+        ),
+      );
+      capacityUnits += response.ConsumedCapacity?.CapacityUnits || 0;
+      // The prefix also matches snapshots of items whose sort key extends
+      // this one's
+      rows.push(
+        ...(response.Items || []).filter((row) =>
+          /^\d+$/.test(row._sk.slice(prefix.length)),
+        ),
+      );
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    _accumulateCapacityToContext(capacityUnits, "read");
+    return { key, rows, capacityUnits };
+  },
+
+  /**
+   * Build the Deletes that remove an item's snapshots along with the item.
+   * Returns an empty array if the model isn't versioned.
+   * @param {string} primaryId - The primary ID of the item being deleted
+   * @returns {Promise<Object[]>} Transact items to add to the delete
+   */
+  async _versionDeleteItems(primaryId) {
+    if (!this._getVersioningConfig()) return [];
+
+    const { rows } = await this._queryVersionRows(primaryId);
+    return rows.map((row) => ({
+      Delete: {
+        TableName: this.table,
+        Key: { _pk: row._pk, _sk: row._sk },
+      },
+    }));
+  },
+
+  // Snapshots are loaded with the live item's key, so getPrimaryId() and
+  // related lookups work as they do on the item
+  _createFromVersionRow(row, key) {
+    return this._createFromDyItem({ ...row, _pk: key._pk, _sk: key._sk });
+  },
+
+  /**
+   * @memberof BaoModel
+   * @description
+   * List the stored earlier versions of an item, newest first. Versions are
+   * only kept for models with `versioned` enabled; each save that changes the
+   * item stores the version it replaces, up to the model's `keep` limit. The
+   * current version is the item itself and is not included.
+   * @param {string} primaryId - The primary ID of the item
+   * @returns {Promise<Object>} Resolves to `{ items, consumedCapacity }`. Each
+   *   item is a model instance; see {@link BaoModel#getVersionNumber} and
+   *   {@link BaoModel#getVersionedAt}.
+   * @example
+   * const { items } = await Article.listVersions(articleId);
+   * items.forEach((version) => {
+   *   console.log(version.getVersionNumber(), version.getVersionedAt(), version.title);
+   * });
+   */
+  async listVersions(primaryId) {
+    const { key, rows, capacityUnits } =
+      await this._queryVersionRows(primaryId);
+
+    return {
+      items: rows.map((row) => this._createFromVersionRow(row, key)),
+      consumedCapacity: {
+        TableName: this.table,
+        CapacityUnits: capacityUnits,
+      },
+    };
+  },
+
+  /**
+   * @memberof BaoModel
+   * @description
+   * Load one version of an item. Passing the current version number returns
+   * the item itself.
+   * @param {string} primaryId - The primary ID of the item
+   * @param {number} versionNumber - The version to load
+   * @returns {Promise<Object>} The version as a model instance, or
+   *   {@link ObjectNotFound} if it isn't stored
+   */
+  async findVersion(primaryId, versionNumber) {
+    const key = this._getDyKeyForPkSk(this._parsePrimaryId(primaryId));
+    const result = await retryOperation(() =>
+      this.documentClient.send(
+        new GetCommand({
+          TableName: this.table,
+          Key: {
+            _pk: key._pk,
+            _sk: this._formatVersionSk(key._sk, versionNumber),
+          },
+          ReturnConsumedCapacity: "TOTAL",
+        }),
+      ),
+    );
+    _accumulateCapacityToContext(
+      result.ConsumedCapacity?.CapacityUnits || 0,
+      "read",
+    );
+
+    if (result.Item) {
+      const version = this._createFromVersionRow(result.Item, key);
+      version._addConsumedCapacity(result.ConsumedCapacity, "read", false);
+      return version;
+    }
+
+    // A cached copy may predate the version being asked for
+    const item = await this.find(primaryId, {
+      batchDelay: 0,
+      bypassCache: true,
+    });
+    if (item.exists() && item.getVersionNumber() === versionNumber) {
+      item._addConsumedCapacity(result.ConsumedCapacity, "read", false);
+      return item;
+    }
+    return new ObjectNotFound(result.ConsumedCapacity);
+  },
+
+  /**
+   * @memberof BaoModel
+   * @description
+   * Save an earlier version's field values over the current item. This is a
+   * normal update, so the version being replaced is kept as a new version.
+   * Key fields, modified dates and VersionFields are not reverted.
+   * @param {string} primaryId - The primary ID of the item
+   * @param {number} versionNumber - The version to revert to
+   * @param {Object} [options] - Options passed to {@link BaoModel.update}
+   * @returns {Promise<Object>} The updated item
+   * @throws {ItemNotFoundError} If the version isn't stored
+   */
+  async revertTo(primaryId, versionNumber, options = {}) {
+    const version = await this.findVersion(primaryId, versionNumber);
+    if (!version.exists()) {
+      throw new ItemNotFoundError(
+        `Version ${versionNumber} not found`,
+        primaryId,
+      );
+    }
+
+    const jsUpdates = {};
+    for (const [fieldName, field] of Object.entries(this.fields)) {
+      if (
+        fieldName === this.primaryKey.pk ||
+        fieldName === this.primaryKey.sk ||
+        field instanceof ModifiedDateFieldClass ||
+        field instanceof VersionFieldClass ||
+        field.computed
+      ) {
+        continue;
+      }
+      const dyValue = version._dyData[fieldName];
+      jsUpdates[fieldName] = dyValue == null ? null : field.fromDy(dyValue);
+    }
+
+    return this.update(primaryId, jsUpdates, options);
+  },
+};
+
+module.exports = VersionMethods;
@@ -11,13 +11,34 @@ class PrimaryKeyConfig {
   getSkFieldName() {
     return "_sk";
   }
+
+  getPkFields() {
+    return [this.pk];
+  }
+
+  getSkFields() {
+    return [this.sk];
+  }
+
+  formatPkGsiValue(gsiValue) {
+    return gsiValue;
+  }
 }
 
+// A list of one field is the same as the field itself
+const singleField = (key) =>
+  Array.isArray(key) && key.length === 1 ? key[0] : key;
+
 class IndexConfig {
-  constructor(pk, sk, indexId) {
-    this.pk = pk;
-    this.sk = sk;
+  // pk and sk are a field name, or a list of field names for a composite key
+  constructor(pk, sk, indexId, options = {}) {
+    this.pk = singleField(pk);
+    this.sk = singleField(sk);
     this.indexId = indexId;
+    // Partition a GeoPointField index into geohash cells of this length
+    this.geohashPrecision = options.geohashPrecision;
+    // Only index items matching this filter, making the index sparse
+    this.when = options.when;
   }
 
   getIndexName() {
@@ -31,6 +52,22 @@ class IndexConfig {
   getSkFieldName() {
     return `_${this.indexId}_sk`;
   }
+
+  // The fields of the partition key, more than one for a composite key
+  getPkFields() {
+    return [].concat(this.pk);
+  }
+
+  getSkFields() {
+    return [].concat(this.sk);
+  }
+
+  // The partition key's index value, cut to the geohash cell for geo indexes
+  formatPkGsiValue(gsiValue) {
+    return this.geohashPrecision
+      ? gsiValue.slice(0, this.geohashPrecision)
+      : gsiValue;
+  }
 }
 
 class UniqueConstraintConfig {
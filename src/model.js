@@ -7,6 +7,10 @@ const {
   RelatedFieldClass,
   StringField,
   StringSetFieldClass,
+  MapFieldClass,
+  ListFieldClass,
+  EnumFieldClass,
+  VersionFieldClass,
 } = require("./fields");
 const { ModelManager } = require("./model-manager");
 const { defaultLogger: logger } = require("./utils/logger");
@@ -15,6 +19,10 @@ const ValidationMethods = require("./mixins/validation-mixin");
 const UniqueConstraintMethods = require("./mixins/unique-constraint-mixin");
 const QueryMethods = require("./mixins/query-mixin");
 const MutationMethods = require("./mixins/mutation-mixin");
+const BatchWriteMethods = require("./mixins/batch-write-mixin");
+const AuditMethods = require("./mixins/audit-mixin");
+const VersionMethods = require("./mixins/version-mixin");
+const BlobMethods = require("./mixins/blob-mixin");
 const {
   BatchLoadingMethods,
   BATCH_REQUESTS,
@@ -31,19 +39,28 @@ const {
 const GID_SEPARATOR = "##__SK__##";
 const {
   UNIQUE_CONSTRAINT_KEY,
+  AUDIT_HISTORY_KEY,
+  VERSION_KEY,
   SYSTEM_FIELDS,
   ITERATION_INDEX_NAME,
   SEARCH_INDEX_NAME,
   ITERATION_PK_FIELD,
   ITERATION_SK_FIELD,
   SEARCH_TEXT_FIELD,
+  DELETED_AT_FIELD,
+  VERSION_NUMBER_FIELD,
+  VERSIONED_AT_FIELD,
+  COMPOSITE_KEY_DELIMITER,
 } = require("./constants");
 const {
   ConfigurationError,
   ValidationError,
   QueryError,
   DataFormatError,
+  ItemNotFoundError,
+  BlobNotLoadedError,
 } = require("./exceptions");
+const { getBlobStore, isBlobPointer, decodeBlob } = require("./blob-store");
 
 /**
  * @description
@@ -67,6 +84,10 @@ class BaoModel {
   static iterationBuckets = 100;
   static searchable = false;
   static searchConfig = null;
+  static softDelete = false;
+  static audit = false;
+  static versioned = false;
+  static validators = [];
 
   static defaultQueryLimit = 100;
 
@@ -77,6 +98,10 @@ class BaoModel {
     Object.assign(BaoModel, QueryMethods);
     Object.assign(BaoModel, MutationMethods);
     Object.assign(BaoModel, BatchLoadingMethods);
+    Object.assign(BaoModel, BatchWriteMethods);
+    Object.assign(BaoModel, AuditMethods);
+    Object.assign(BaoModel, VersionMethods);
+    Object.assign(BaoModel, BlobMethods);
   }
 
   /**
@@ -122,6 +147,39 @@ class BaoModel {
     return fieldDef;
   }
 
+  static _getVersionFieldName() {
+    return (
+      Object.keys(this.fields).find(
+        (fieldName) => this.fields[fieldName] instanceof VersionFieldClass,
+      ) || null
+    );
+  }
+
+  /**
+   * The soft delete settings with defaults applied, or null if the model
+   * deletes rows outright.
+   * @returns {{ttlDays: (number|null), uniqueConstraints: string}|null}
+   */
+  static _getSoftDeleteConfig() {
+    if (!this.softDelete) return null;
+    const config = this.softDelete === true ? {} : this.softDelete;
+    return {
+      ttlDays: config.ttlDays ?? null,
+      uniqueConstraints: config.uniqueConstraints || "release",
+    };
+  }
+
+  /**
+   * The versioning settings with defaults applied, or null if the model
+   * doesn't keep earlier versions.
+   * @returns {{keep: number}|null}
+   */
+  static _getVersioningConfig() {
+    if (!this.versioned) return null;
+    const config = this.versioned === true ? {} : this.versioned;
+    return { keep: config.keep ?? 10 };
+  }
+
   static _getPkValue(data) {
     if (!data) {
       throw new ValidationError(
@@ -166,6 +224,25 @@ class BaoModel {
     return tenantId ? `[${tenantId}]#${baseKey}` : baseKey;
   }
 
+  // The index value of a composite key: each field's toGsi value followed by
+  // the delimiter, so items sort by the first field, then the next, and so
+  // on. Also used for the leading fields of a sort key condition.
+  static _formatCompositeKey(fieldNames, data) {
+    let key = "";
+    for (const fieldName of fieldNames) {
+      const gsiValue = String(this._getField(fieldName).toGsi(data[fieldName]));
+      if (/[\u0000\u0001]/.test(gsiValue)) {
+        throw new ValidationError(
+          `${fieldName} is part of a composite key, so it can't contain the characters \\u0000 or \\u0001`,
+          fieldName,
+          data[fieldName],
+        );
+      }
+      key += gsiValue + COMPOSITE_KEY_DELIMITER;
+    }
+    return key;
+  }
+
   static _formatPrimaryKey(modelPrefix, value) {
     const tenantId = this.manager.getTenantId();
     const baseKey = `${modelPrefix}#${value}`;
@@ -178,6 +255,21 @@ class BaoModel {
     return tenantId ? `[${tenantId}]#${baseKey}` : baseKey;
   }
 
+  static _formatHistoryKey(primaryId) {
+    const tenantId = this.manager.getTenantId();
+    const baseKey = `${AUDIT_HISTORY_KEY}#${this.modelPrefix}#${primaryId}`;
+    return tenantId ? `[${tenantId}]#${baseKey}` : baseKey;
+  }
+
+  // Snapshot rows sort after the item's own sort key, zero-padded so they
+  // sort by version number. Without a number, returns the prefix they share.
+  static _formatVersionSk(sk, versionNumber) {
+    const prefix = `${VERSION_KEY}#${sk}#`;
+    return versionNumber == null
+      ? prefix
+      : `${prefix}${String(versionNumber).padStart(10, "0")}`;
+  }
+
   static _getDyKeyForPkSk(pkSk) {
     if (this.primaryKey.sk === "modelPrefix") {
       return {
@@ -242,18 +334,20 @@ class BaoModel {
       throw new Error(`Model ${this.name} is not configured as iterable`);
     }
 
-    const { batchSize = 100, filter = null } = options;
+    const { batchSize = 100, filter = null, includeDeleted = false } = options;
 
     if (this.iterationBuckets === 1) {
       yield* this._iterateSingleBucket(null, {
         batchSize,
         filter,
+        includeDeleted,
       });
     } else {
       for (let bucket = 0; bucket < this.iterationBuckets; bucket++) {
         yield* this._iterateSingleBucket(bucket, {
           batchSize,
           filter,
+          includeDeleted,
         });
       }
     }
@@ -339,6 +433,10 @@ class BaoModel {
    * @param {Object} [options.filter] - Additional filter combined via AND
    *   with the search predicate. Must reference only attributes projected
    *   on `iter_search_index` (i.e., `_searchText` and the index/base keys).
+   * @param {boolean} [options.includeDeleted=false] - On `softDelete`
+   *   models, also return soft-deleted items. They are otherwise dropped
+   *   when the matches are loaded, so a page can hold fewer than `limit`
+   *   items even though more remain.
    * @returns {Promise<{items: BaoModel[], cursor: string|null}>} `items` is
    *   never longer than `limit`. `cursor` is `null` when the search is
    *   fully exhausted; otherwise pass it back to get the next page.
@@ -425,6 +523,7 @@ class BaoModel {
       maxQueriesPerBucket = 50,
       parallel = true,
       cursor: incomingCursor = null,
+      includeDeleted = false,
     } = options;
 
     validateLimit(limit);
@@ -503,7 +602,9 @@ class BaoModel {
     // Preserve insertion order from the original pendingItemKeys list so
     // the user sees a deterministic page-to-page sequence.
     if (pendingItemKeys.length > 0) {
-      const { items: found } = await this.batchFind(pendingItemKeys);
+      const { items: found } = await this.batchFind(pendingItemKeys, {
+        includeDeleted,
+      });
       for (const k of pendingItemKeys) {
         if (found[k]) items.push(found[k]);
       }
@@ -524,6 +625,7 @@ class BaoModel {
         filter,
         searchPredicate,
         exclusiveStartKey: lek || null,
+        includeDeleted,
       });
       if (page.lek) bucketCursors[bucketIdx] = page.lek;
       else delete bucketCursors[bucketIdx]; // exhausted
@@ -741,6 +843,7 @@ class BaoModel {
       filter = null,
       searchPredicate = null,
       exclusiveStartKey = null,
+      includeDeleted = false,
     } = options;
     const iterPk = this._getIterationPk(bucketNum);
     const indexName = this.manager.getIterationIndexName();
@@ -799,14 +902,21 @@ class BaoModel {
     let items = [];
     if (response.Items && response.Items.length > 0) {
       const objectIds = response.Items.map((item) => item[ITERATION_SK_FIELD]);
-      const { items: found } = await this.batchFind(objectIds);
+      const { items: found } = await this.batchFind(objectIds, {
+        includeDeleted,
+      });
       items = Object.values(found);
     }
     return { items, lek: response.LastEvaluatedKey || null };
   }
 
   static async *_iterateSingleBucket(bucketNum, options = {}) {
-    const { batchSize = 100, filter = null, searchPredicate = null } = options;
+    const {
+      batchSize = 100,
+      filter = null,
+      searchPredicate = null,
+      includeDeleted = false,
+    } = options;
     const iterPk = this._getIterationPk(bucketNum);
     const indexName = this.manager.getIterationIndexName();
 
@@ -874,7 +984,7 @@ class BaoModel {
           (item) => item[ITERATION_SK_FIELD],
         );
 
-        const { items } = await this.batchFind(objectIds);
+        const { items } = await this.batchFind(objectIds, { includeDeleted });
         const batch = Object.values(items);
 
         if (batch.length > 0) {
@@ -902,6 +1012,7 @@ class BaoModel {
     this._loadedDyData = {};
     this._changes = new Set();
     this._relatedObjects = {};
+    this._blobValues = {};
     this._consumedCapacity = [];
 
     // Initialize fields with data
@@ -916,13 +1027,30 @@ class BaoModel {
       // Define property getter/setter that always works with _dyData
       Object.defineProperty(this, fieldName, {
         get: () => {
-          // For StringSetField, pass model context to enable proxy
-          if (field instanceof StringSetFieldClass) {
-            return field.fromDy(this._dyData[fieldName], this, fieldName);
+          // For set fields (StringSetField and its number and binary
+          // subclasses), MapField and ListField, pass model context to
+          // enable proxy
+          if (
+            field instanceof StringSetFieldClass ||
+            field instanceof MapFieldClass ||
+            field instanceof ListFieldClass
+          ) {
+            return field.fromDy(this._readDyValue(fieldName), this, fieldName);
           }
-          return field.fromDy(this._dyData[fieldName]);
+          return field.fromDy(this._readDyValue(fieldName));
         },
         set: (newValue) => {
+          if (field.computed) {
+            throw new ValidationError(
+              `${fieldName} is computed and can't be set`,
+              fieldName,
+              newValue,
+            );
+          }
+          // Enum values are checked on assignment, not only on save
+          if (field instanceof EnumFieldClass && newValue != null) {
+            field.validate(newValue);
+          }
           const oldDyValue = this._dyData[fieldName];
           const newDyValue = field.toDy(newValue);
           if (newDyValue !== oldDyValue) {
@@ -937,6 +1065,26 @@ class BaoModel {
     });
   }
 
+  // The stored value of a field. For a value offloaded to the blob store,
+  // that's the value loaded by getOrLoadBlob(), not the pointer.
+  _readDyValue(fieldName) {
+    const value = this._dyData[fieldName];
+    const field = this.constructor.fields[fieldName];
+    if (!field.offload || !isBlobPointer(value)) {
+      return value;
+    }
+
+    const loaded = this._blobValues[fieldName];
+    if (loaded?.key === value._baoBlob) {
+      return loaded.value;
+    }
+    throw new BlobNotLoadedError(
+      `Field ${fieldName} is stored in the blob store. Load it with getOrLoadBlob("${fieldName}") first`,
+      fieldName,
+      value._baoBlob,
+    );
+  }
+
   static _createFromDyItem(dyItem) {
     const newObj = new this();
     newObj._dyData = dyItem;
@@ -1069,6 +1217,12 @@ class BaoModel {
   _getAllData() {
     const allData = {};
     for (const [fieldName, field] of Object.entries(this.constructor.fields)) {
+      // Computed values are recalculated by the save
+      if (field.computed) continue;
+      // Offloaded values are left in the blob store
+      if (field.offload && isBlobPointer(this._dyData[fieldName])) {
+        continue;
+      }
       allData[fieldName] = field.fromDy(this._dyData[fieldName]);
     }
     return allData;
@@ -1134,7 +1288,11 @@ class BaoModel {
    * the current item's loaded state. This is often used for optimistic locking in conjunction
    * with a {@link BaoFields.VersionField} field.
    * @param {boolean} [options.forceReindex=false] - When true, repopulates all index attributes even if no tracked changes exist.
+   * @param {string|null} [options.expectedVersion] - For models with a {@link BaoFields.VersionField}, the
+   * version the stored item must have. Defaults to the version this object was loaded with; pass null
+   * to save without the check.
    * @returns {Promise<Object>} Returns a promise that resolves to the updated item.
+   * @throws {StaleObjectError} If the item was changed by someone else since it was loaded
    */
   async save(options = {}) {
     const { forceReindex = false, ...otherOptions } = options;
@@ -1156,6 +1314,16 @@ class BaoModel {
       changes = this._getChanges();
     }
 
+    // Optimistic locking: only save over the version this object was loaded with
+    const versionField = this.constructor._getVersionFieldName();
+    if (
+      versionField &&
+      !updateOptions.isNew &&
+      updateOptions.expectedVersion === undefined
+    ) {
+      updateOptions.expectedVersion = this._loadedDyData[versionField];
+    }
+
     logger.debug("save() - changes", changes);
     const updatedObj = await this.constructor.update(
       this.getPrimaryId(),
@@ -1165,6 +1333,7 @@ class BaoModel {
 
     logger.debug("save() - updatedObj", updatedObj);
     this._dyData = updatedObj._dyData;
+    Object.assign(this._blobValues, updatedObj._blobValues);
     logger.debug("save() - this", this);
 
     // Reset change tracking after successful save
@@ -1263,6 +1432,69 @@ class BaoModel {
     return this._relatedObjects[fieldName];
   }
 
+  /**
+   * @description
+   * Get a field whose value may have been offloaded to the blob store (see
+   * the `offload` field option), loading the value first if needed. Once
+   * loaded, the field can also be read directly until the value is replaced.
+   * @param {string} fieldName - The name of the field.
+   * @returns {Promise<any>} Returns a promise that resolves to the field's value.
+   * @throws {ItemNotFoundError} If the blob is missing from the blob store
+   */
+  async getOrLoadBlob(fieldName) {
+    const field = this.constructor.fields[fieldName];
+    if (!field || field.offload === undefined) {
+      throw new ConfigurationError(
+        `Field ${fieldName} is not a field that can be offloaded`,
+        this.constructor.name,
+      );
+    }
+
+    const pointer = this._dyData[fieldName];
+    if (
+      field.offload &&
+      isBlobPointer(pointer) &&
+      this._blobValues[fieldName]?.key !== pointer._baoBlob
+    ) {
+      const bytes = await getBlobStore().get(pointer._baoBlob);
+      if (!bytes) {
+        throw new ItemNotFoundError(
+          `Blob "${pointer._baoBlob}" for field ${fieldName} not found`,
+          this.getPrimaryId(),
+        );
+      }
+      this._blobValues[fieldName] = {
+        key: pointer._baoBlob,
+        value: decodeBlob(pointer, bytes),
+      };
+    }
+    return this[fieldName];
+  }
+
+  /**
+   * @description
+   * Load the values of fields that were offloaded to the blob store, so the
+   * fields can be read directly.
+   * @param {string[]} [fieldNames] - The names of the fields to load. If not provided, all offloaded fields will be loaded.
+   * @returns {Promise<Object>} Returns a promise that resolves to this instance.
+   */
+  async loadBlobs(fieldNames = null) {
+    const promises = [];
+
+    for (const [fieldName, field] of Object.entries(this.constructor.fields)) {
+      if (fieldNames && !fieldNames.includes(fieldName)) {
+        continue;
+      }
+
+      if (field.offload && isBlobPointer(this._dyData[fieldName])) {
+        promises.push(this.getOrLoadBlob(fieldName));
+      }
+    }
+
+    await Promise.all(promises);
+    return this;
+  }
+
   /**
    * @description
    * Find an object by a unique constraint. Any unique constraint can also be used
@@ -1291,7 +1523,7 @@ class BaoModel {
       constraint.constraintId,
       this.modelPrefix,
       constraint.field,
-      value,
+      this._getField(constraint.field).toDy(value),
     );
 
     const { GetCommand } = require("./dynamodb-client");
@@ -1331,6 +1563,94 @@ class BaoModel {
     return true;
   }
 
+  /**
+   * @description
+   * Page through the audit history of this object, newest first. See
+   * {@link BaoModel.getHistory}.
+   * @param {Object} [options] - `{ limit, cursor }`
+   * @returns {Promise<Object>} Resolves to `{ items, cursor, consumedCapacity }`.
+   */
+  async getHistory(options = {}) {
+    return this.constructor.getHistory(this.getPrimaryId(), options);
+  }
+
+  /**
+   * @description
+   * List the stored earlier versions of this object, newest first. See
+   * {@link BaoModel.listVersions}.
+   * @returns {Promise<Object>} Resolves to `{ items, consumedCapacity }`.
+   */
+  async listVersions() {
+    return this.constructor.listVersions(this.getPrimaryId());
+  }
+
+  /**
+   * @description
+   * Save an earlier version's field values over this object, and update this
+   * object to match. See {@link BaoModel.revertTo}.
+   * @param {number} versionNumber - The version to revert to.
+   * @param {Object} [options] - Options passed to {@link BaoModel.update}.
+   * @returns {Promise<Object>} Returns a promise that resolves to this object.
+   */
+  async revertTo(versionNumber, options = {}) {
+    const reverted = await this.constructor.revertTo(
+      this.getPrimaryId(),
+      versionNumber,
+      options,
+    );
+    this._dyData = reverted._dyData;
+    this._resetChangeTracking();
+    return this;
+  }
+
+  /**
+   * @description
+   * Returns the version number of this object on a versioned model. Items
+   * start at version 1 and every save that changes a field adds one.
+   * @returns {number} The version number.
+   */
+  getVersionNumber() {
+    return this._dyData[VERSION_NUMBER_FIELD] ?? 1;
+  }
+
+  /**
+   * @description
+   * Returns when this version was replaced by the next one.
+   * @returns {Date|null} The time, or null if this is the current version.
+   */
+  getVersionedAt() {
+    const versionedAt = this._dyData[VERSIONED_AT_FIELD];
+    return versionedAt == null ? null : new Date(versionedAt);
+  }
+
+  /**
+   * @description
+   * Returns true if the object has been soft deleted. Soft-deleted objects are
+   * only returned when `includeDeleted: true` is passed to a read.
+   * @returns {boolean} True if the object carries a deletion marker.
+   */
+  isDeleted() {
+    return this._dyData[DELETED_AT_FIELD] != null;
+  }
+
+  /**
+   * @description
+   * Returns when the object was soft deleted.
+   * @returns {Date|null} The deletion time, or null if it is not deleted.
+   */
+  getDeletedAt() {
+    const deletedAt = this._dyData[DELETED_AT_FIELD];
+    return deletedAt == null ? null : new Date(deletedAt);
+  }
+
+  // Unique constraint rows stay with the item unless a soft delete released them
+  _holdsUniqueConstraints() {
+    return (
+      !this.isDeleted() ||
+      this.constructor._getSoftDeleteConfig()?.uniqueConstraints === "retain"
+    );
+  }
+
   _setConsumedCapacity(capacity, type = "read", fromContext = false) {
     this.clearConsumedCapacity();
     this._addConsumedCapacity(capacity, type, fromContext);
@@ -1447,7 +1767,8 @@ class BaoModel {
 
 // Factory functions to maintain compatibility
 const PrimaryKeyConfig = (pk, sk) => new PrimaryKeyConfigClass(pk, sk);
-const IndexConfig = (pk, sk, indexId) => new IndexConfigClass(pk, sk, indexId);
+const IndexConfig = (pk, sk, indexId, options) =>
+  new IndexConfigClass(pk, sk, indexId, options);
 const UniqueConstraintConfig = (field, constraintId) =>
   new UniqueConstraintConfigClass(field, constraintId);
 
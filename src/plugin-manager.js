@@ -29,6 +29,15 @@ class PluginManager {
     }
   }
 
+  // The hook functions of a model's plugins, bound to their plugin, for hooks
+  // whose results the caller uses
+  getHooks(modelName, hookName) {
+    const plugins = this.plugins.get(modelName) || [];
+    return plugins
+      .filter((plugin) => typeof plugin[hookName] === "function")
+      .map((plugin) => plugin[hookName].bind(plugin));
+  }
+
   applyMethodsToInstance(modelName, instance) {
     const modelMethods = this.methods.get(modelName);
     if (!modelMethods) return;
@@ -0,0 +1,366 @@
+const { TransactWriteCommand } = require("./dynamodb-client");
+const { defaultLogger: logger } = require("./utils/logger");
+const { pluginManager } = require("./plugin-manager");
+const { retryOperation } = require("./utils/retry-helper");
+const { FilterExpressionBuilder } = require("./filter-expression");
+const {
+  _accumulateCapacityToContext,
+} = require("./mixins/batch-loading-mixin");
+const { TransactionError, ValidationError } = require("./exceptions");
+const { UNIQUE_CONSTRAINT_KEY } = require("./constants");
+
+// DynamoDB rejects TransactWriteItems requests with more than 100 items
+const MAX_TRANSACTION_ITEMS = 100;
+
+// How a cancellation on each kind of row is described
+const ROW_DESCRIPTIONS = {
+  item: "",
+  uniqueConstraint: " on a unique constraint",
+  history: " on its history row",
+  version: " on a version snapshot",
+};
+
+// The kind of row a transact item writes: the operation's item, or a unique
+// constraint, history or version snapshot row written alongside it
+function getRowKind(Model, primaryId, itemKey, transactItem) {
+  const { Key, Item } = Object.values(transactItem)[0];
+  const key = Key || Item;
+  if (key._sk === UNIQUE_CONSTRAINT_KEY) return "uniqueConstraint";
+  if (Model.audit && key._pk === Model._formatHistoryKey(primaryId)) {
+    return "history";
+  }
+  if (
+    key._pk === itemKey._pk &&
+    key._sk.startsWith(Model._formatVersionSk(itemKey._sk, null))
+  ) {
+    return "version";
+  }
+  return "item";
+}
+
+/**
+ * @class Transaction
+ * @description
+ * Collects create, update, delete and condition check operations across models
+ * so they can be written atomically by {@link runTransaction}. Operations are
+ * only recorded when called; nothing is sent until the transaction callback
+ * returns.
+ */
+class Transaction {
+  constructor() {
+    this._operations = [];
+    this._committed = false;
+  }
+
+  /**
+   * Create a new item as part of the transaction. Fails the transaction if an
+   * item with the same primary key already exists.
+   * @param {Function} Model - The model class.
+   * @param {Object} data - The data to create the item with.
+   */
+  create(Model, data) {
+    this._addOperation({ type: "create", Model, data });
+  }
+
+  /**
+   * Update an existing item as part of the transaction.
+   * @param {Function} Model - The model class.
+   * @param {string} primaryId - The primary ID of the item to update.
+   * @param {Object} data - The data to update the item with.
+   * @param {Object} [options] - The same options accepted by {@link BaoModel.update}.
+   */
+  update(Model, primaryId, data, options = {}) {
+    this._addOperation({ type: "update", Model, primaryId, data, options });
+  }
+
+  /**
+   * Delete an existing item as part of the transaction.
+   * @param {Function} Model - The model class.
+   * @param {string} primaryId - The primary ID of the item to delete.
+   * @param {Object} [options] - The same options accepted by {@link BaoModel.delete}.
+   */
+  delete(Model, primaryId, options = {}) {
+    this._addOperation({ type: "delete", Model, primaryId, options });
+  }
+
+  /**
+   * Require a condition to hold on an item without writing it.
+   * @param {Function} Model - The model class.
+   * @param {string} primaryId - The primary ID of the item to check.
+   * @param {Object} condition - A condition using the filter expression syntax.
+   */
+  conditionCheck(Model, primaryId, condition) {
+    if (!condition) {
+      throw new ValidationError("conditionCheck requires a condition");
+    }
+    this._addOperation({ type: "conditionCheck", Model, primaryId, condition });
+  }
+
+  _addOperation(operation) {
+    if (this._committed) {
+      throw new ValidationError(
+        "Cannot add operations to a transaction that has already been committed",
+      );
+    }
+    if (typeof operation.Model?._prepareSaveItem !== "function") {
+      throw new ValidationError(
+        `Transaction ${operation.type} requires a model class`,
+      );
+    }
+    this._operations.push(operation);
+  }
+
+  /**
+   * Build the transact items for every operation, remembering which items
+   * belong to which operation, and what kind of row each one writes, so
+   * cancellation reasons can be mapped back.
+   */
+  async _prepare() {
+    const transactItems = [];
+
+    for (const operation of this._operations) {
+      const { type, Model } = operation;
+      operation.start = transactItems.length;
+
+      if (type === "create" || type === "update") {
+        operation.saveOptions = {
+          isNew: type === "create",
+          ...operation.options,
+        };
+        await pluginManager.executeHooks(
+          Model.name,
+          "beforeSave",
+          operation.data,
+          operation.saveOptions,
+        );
+
+        const prepared = await Model._prepareSaveItem(
+          type === "create" ? null : operation.primaryId,
+          operation.data,
+          operation.saveOptions,
+        );
+        operation.primaryId = prepared.primaryId;
+        operation.blobs = prepared.blobs;
+        transactItems.push({ Update: prepared.updateParams });
+        transactItems.push(...prepared.transactItems);
+      } else if (type === "delete") {
+        await pluginManager.executeHooks(
+          Model.name,
+          "beforeDelete",
+          operation.primaryId,
+          operation.options,
+        );
+
+        const prepared = await Model._prepareDelete(
+          operation.primaryId,
+          operation.options,
+        );
+        operation.item = prepared.item;
+        // Soft deletes keep the item's offloaded values
+        operation.blobKeys = prepared.transactItems[0].Update
+          ? []
+          : Model._collectBlobKeys(prepared.item._dyData);
+        transactItems.push(...prepared.transactItems);
+      } else {
+        const builder = new FilterExpressionBuilder();
+        const filterExpression = builder.build(operation.condition, Model);
+        transactItems.push({
+          ConditionCheck: {
+            TableName: Model.table,
+            Key: Model._getDyKeyForPkSk(
+              Model._parsePrimaryId(operation.primaryId),
+            ),
+            ConditionExpression: filterExpression.FilterExpression,
+            ExpressionAttributeNames: filterExpression.ExpressionAttributeNames,
+            ExpressionAttributeValues:
+              filterExpression.ExpressionAttributeValues,
+          },
+        });
+      }
+
+      operation.end = transactItems.length;
+      // The operation's own item always comes first
+      const [itemRow, ...otherRows] = transactItems.slice(operation.start);
+      const itemKey = Object.values(itemRow)[0].Key;
+      operation.rows = [
+        "item",
+        ...otherRows.map((transactItem) =>
+          getRowKind(Model, operation.primaryId, itemKey, transactItem),
+        ),
+      ];
+    }
+
+    return transactItems;
+  }
+
+  /**
+   * Turn a TransactionCanceledException into a TransactionError that names
+   * the operation whose item failed.
+   */
+  _mapCancellation(error) {
+    const reasons = error.CancellationReasons || [];
+    const failedIndex = reasons.findIndex(
+      (reason) => reason?.Code && reason.Code !== "None",
+    );
+    const index = this._operations.findIndex(
+      (operation) =>
+        failedIndex >= operation.start && failedIndex < operation.end,
+    );
+    if (index === -1) return error;
+
+    const { type, Model, primaryId, start, rows } = this._operations[index];
+    const code = reasons[failedIndex].Code;
+    const row = rows[failedIndex - start];
+    const operation = {
+      index,
+      type,
+      modelName: Model.name,
+      primaryId,
+      row,
+      uniqueConstraint: row === "uniqueConstraint",
+    };
+
+    return new TransactionError(
+      `Transaction cancelled: ${type} of ${Model.name} ${primaryId || ""} ` +
+        `failed with ${code}${ROW_DESCRIPTIONS[row]}`,
+      code,
+      operation,
+      reasons,
+    );
+  }
+
+  /**
+   * Delete the blobs written for offloaded fields, which nothing references
+   * when the transaction isn't written.
+   */
+  async _discardBlobs() {
+    for (const { Model, blobs } of this._operations) {
+      if (blobs) await Model._deleteBlobs(blobs.created);
+    }
+  }
+
+  async _commit() {
+    this._committed = true;
+    const result = { items: [], consumedCapacity: [] };
+    if (!this._operations.length) return result;
+
+    let transactItems;
+    try {
+      transactItems = await this._prepare();
+      if (transactItems.length > MAX_TRANSACTION_ITEMS) {
+        throw new ValidationError(
+          `Transaction has ${transactItems.length} items, including unique ` +
+            `constraint rows; DynamoDB allows at most ${MAX_TRANSACTION_ITEMS}`,
+        );
+      }
+    } catch (error) {
+      await this._discardBlobs();
+      throw error;
+    }
+
+    const { documentClient } = this._operations[0].Model;
+    let response;
+    try {
+      response = await retryOperation(() =>
+        documentClient.send(
+          new TransactWriteCommand({
+            TransactItems: transactItems,
+            ReturnConsumedCapacity: "TOTAL",
+          }),
+        ),
+      );
+    } catch (error) {
+      logger.error("Error in runTransaction", error);
+      await this._discardBlobs();
+      if (error.name === "TransactionCanceledException") {
+        throw this._mapCancellation(error);
+      }
+      throw error;
+    }
+
+    if (response.ConsumedCapacity) {
+      result.consumedCapacity = [].concat(response.ConsumedCapacity);
+      for (const cap of result.consumedCapacity) {
+        _accumulateCapacityToContext(cap?.CapacityUnits || 0, "write");
+      }
+    }
+
+    for (const operation of this._operations) {
+      const { type, Model, primaryId } = operation;
+      if (type !== "conditionCheck") {
+        Model._clearCachedItem(primaryId);
+      }
+
+      if (type === "create" || type === "update") {
+        // TransactWriteItems doesn't return values, so load the saved item
+        const savedItem = await Model.find(primaryId, {
+          batchDelay: 0,
+          bypassCache: true,
+        });
+        await Model._deleteBlobs(operation.blobs.replaced);
+        if (savedItem.exists()) {
+          Object.assign(savedItem._blobValues, operation.blobs.values);
+        }
+        await pluginManager.executeHooks(
+          Model.name,
+          "afterSave",
+          savedItem,
+          operation.saveOptions,
+        );
+        result.items.push(savedItem);
+      } else if (type === "delete") {
+        await Model._deleteBlobs(operation.blobKeys);
+        await pluginManager.executeHooks(
+          Model.name,
+          "afterDelete",
+          primaryId,
+          operation.options,
+        );
+        result.items.push(operation.item);
+      } else {
+        result.items.push(null);
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Run several writes across models atomically with a single TransactWriteItems
+ * call. The callback receives a {@link Transaction}; every operation recorded on
+ * it, including the unique constraint rows each operation maintains, is written
+ * together once the callback returns, or not at all.
+ *
+ * beforeSave/beforeDelete plugin hooks run while the transaction is prepared and
+ * afterSave/afterDelete hooks run once it has been written. If DynamoDB cancels
+ * the transaction a {@link TransactionError} is thrown that identifies the
+ * failing operation.
+ *
+ * @param {Function} fn - Async function that records operations on the transaction
+ * @returns {Promise<Object>} Resolves to `{ items, consumedCapacity }`. `items` has one
+ *   entry per operation in the order they were recorded: the saved instance for
+ *   create and update, the deleted instance for delete, and null for condition checks.
+ *
+ * @example
+ * import { runTransaction } from "dynamo-bao";
+ *
+ * const { items } = await runTransaction(async (tx) => {
+ *   tx.create(Order, { orderId, customerId, total });
+ *   tx.update(Inventory, itemId, { quantity: "-1" }, {
+ *     condition: { quantity: { $gt: 0 } },
+ *   });
+ *   tx.create(OrderLine, { orderId, itemId, quantity: 1 });
+ * });
+ * const [order] = items;
+ */
+async function runTransaction(fn) {
+  const tx = new Transaction();
+  await fn(tx);
+  return tx._commit();
+}
+
+module.exports = {
+  Transaction,
+  runTransaction,
+};
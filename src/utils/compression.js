@@ -0,0 +1,86 @@
+// Compression for fields with the `compress` option. A compressed value is
+// stored as a binary attribute that starts with a marker, so values written
+// before compression was turned on, or too small to compress, still read
+// back as they are:
+//   0x00 "bz" 0x01 | algorithm (1 = gzip, 2 = brotli) | compressed bytes
+
+const { DataFormatError } = require("../exceptions");
+
+const MARKER = Buffer.from([0x00, 0x62, 0x7a, 0x01]);
+const ALGORITHMS = { gzip: 1, brotli: 2 };
+const DEFAULT_THRESHOLD = 1024;
+
+// Loaded on first use, like node:crypto in src/encryption.js
+let zlib;
+function getZlib() {
+  if (!zlib) zlib = require("node:zlib");
+  return zlib;
+}
+
+function isCompressed(value) {
+  return (
+    value instanceof Uint8Array &&
+    value.length > MARKER.length &&
+    Buffer.from(value.buffer, value.byteOffset, MARKER.length).equals(MARKER)
+  );
+}
+
+/**
+ * Compress bytes with a marker header. Returns the bytes unchanged if they
+ * are smaller than the threshold or don't get any smaller.
+ * @param {Buffer} bytes
+ * @param {string} algorithm - "gzip" or "brotli"
+ * @param {number} [threshold] - The smallest size in bytes to compress
+ * @returns {Buffer} The compressed value, or `bytes`
+ */
+function compress(bytes, algorithm, threshold = DEFAULT_THRESHOLD) {
+  if (bytes.length < threshold) return bytes;
+
+  const { gzipSync, brotliCompressSync } = getZlib();
+  const compressed =
+    algorithm === "brotli" ? brotliCompressSync(bytes) : gzipSync(bytes);
+  if (compressed.length + MARKER.length + 1 >= bytes.length) return bytes;
+
+  return Buffer.concat([
+    MARKER,
+    Buffer.from([ALGORITHMS[algorithm]]),
+    compressed,
+  ]);
+}
+
+/**
+ * Decompress a value returned by {@link compress}. The algorithm is read
+ * from the header, so values still decompress after the field's algorithm
+ * changes.
+ * @param {Uint8Array} value - A value for which isCompressed() is true
+ * @returns {Buffer} The original bytes
+ * @throws {DataFormatError} If the value can't be decompressed
+ */
+function decompress(value) {
+  const { gunzipSync, brotliDecompressSync } = getZlib();
+  const buffer = Buffer.from(value.buffer, value.byteOffset, value.length);
+  const payload = buffer.subarray(MARKER.length + 1);
+  const algorithm = buffer[MARKER.length];
+  try {
+    if (algorithm === ALGORITHMS.gzip) return gunzipSync(payload);
+    if (algorithm === ALGORITHMS.brotli) return brotliDecompressSync(payload);
+  } catch (error) {
+    throw new DataFormatError(
+      `Failed to decompress value: ${error.message}`,
+      value,
+    );
+  }
+  throw new DataFormatError(
+    `Unknown compression algorithm ${algorithm}`,
+    value,
+    "gzip (1) or brotli (2)",
+  );
+}
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULT_THRESHOLD,
+  isCompressed,
+  compress,
+  decompress,
+};
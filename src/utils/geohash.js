@@ -0,0 +1,154 @@
+// Pure helpers for geohash encoding and distance math used by GeoPointField
+// and proximity queries. A geohash interleaves longitude and latitude bits
+// (longitude first) and writes them 5 bits per base32 character, so every
+// prefix of a hash names a cell that contains it.
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const GEOHASH_REGEX = /^[0123456789bcdefghjkmnpqrstuvwxyz]{1,12}$/;
+const MAX_PRECISION = 12;
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+function isGeohash(value) {
+  return typeof value === "string" && GEOHASH_REGEX.test(value);
+}
+
+// Size of a cell in degrees at the given precision
+function cellSize(precision) {
+  const bits = precision * 5;
+  const lngBits = Math.ceil(bits / 2);
+  const latBits = Math.floor(bits / 2);
+  return {
+    lat: 180 / 2 ** latBits,
+    lng: 360 / 2 ** lngBits,
+    rows: 2 ** latBits,
+    columns: 2 ** lngBits,
+  };
+}
+
+function encode(lat, lng, precision = MAX_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = "";
+  let bit = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    if (value >= mid) {
+      charIndex = charIndex * 2 + 1;
+      range[0] = mid;
+    } else {
+      charIndex = charIndex * 2;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += BASE32[charIndex];
+      bit = 0;
+      charIndex = 0;
+    }
+  }
+  return hash;
+}
+
+// Returns the center of the cell named by the hash
+function decode(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const charIndex = BASE32.indexOf(char);
+    for (let shift = 4; shift >= 0; shift--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((charIndex >> shift) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+  return {
+    lat: (latRange[0] + latRange[1]) / 2,
+    lng: (lngRange[0] + lngRange[1]) / 2,
+  };
+}
+
+// Great-circle distance between two points in kilometers
+function haversineKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// The cells at the given precision that cover a circle. Works from the
+// circle's bounding box, so some cells only touch its corners; callers
+// filter results by exact distance. The box is widened to every longitude
+// when it reaches a pole, and wraps at the antimeridian. Returns null if more
+// than maxCells cells would be needed.
+function coveringCells({ lat, lng, radiusKm }, precision, maxCells = Infinity) {
+  const size = cellSize(precision);
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const minLat = Math.max(-90, lat - latDelta);
+  const maxLat = Math.min(90, lat + latDelta);
+
+  // Longitude degrees are shortest at the box edge nearest a pole
+  const widestLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  const lngDelta =
+    widestLat >= 90
+      ? 180
+      : radiusKm / (KM_PER_DEGREE * Math.cos((widestLat * Math.PI) / 180));
+
+  const rowOf = (value) =>
+    Math.min(size.rows - 1, Math.floor((value + 90) / size.lat));
+  const firstRow = rowOf(minLat);
+  const lastRow = rowOf(maxLat);
+
+  let firstColumn = 0;
+  let columnCount = size.columns;
+  if (lngDelta < 180) {
+    firstColumn = Math.floor((lng - lngDelta + 180) / size.lng);
+    const lastColumn = Math.floor((lng + lngDelta + 180) / size.lng);
+    columnCount = Math.min(size.columns, lastColumn - firstColumn + 1);
+  }
+
+  if ((lastRow - firstRow + 1) * columnCount > maxCells) return null;
+
+  const cells = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let i = 0; i < columnCount; i++) {
+      const column =
+        (((firstColumn + i) % size.columns) + size.columns) % size.columns;
+      cells.push(
+        encode(
+          -90 + (row + 0.5) * size.lat,
+          -180 + (column + 0.5) * size.lng,
+          precision,
+        ),
+      );
+    }
+  }
+  return cells;
+}
+
+module.exports = {
+  MAX_PRECISION,
+  isGeohash,
+  encode,
+  decode,
+  haversineKm,
+  coveringCells,
+};
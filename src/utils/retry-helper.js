@@ -1,3 +1,5 @@
+const { StaleObjectError } = require("../exceptions");
+
 const retryOperation = async (operation, maxRetries = 3) => {
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
@@ -21,4 +23,39 @@ const retryOperation = async (operation, maxRetries = 3) => {
   }
 };
 
-module.exports = { retryOperation };
+/**
+ * Run a read-modify-write function, running it again when it fails with a
+ * StaleObjectError because another writer saved the item first. The function
+ * should load the items it changes on every call; the failed save has already
+ * refreshed the batch-context cache, so the next load sees the current version.
+ *
+ * @param {Function} fn - Async function to run; receives the attempt number, starting at 1
+ * @param {Object} [options] - Additional options.
+ * @param {number} [options.attempts=3] - Maximum number of times to run fn.
+ * @returns {Promise<*>} Resolves to the value returned by fn.
+ * @throws {StaleObjectError} If every attempt conflicted
+ *
+ * @example
+ * const { retryOnConflict } = require("dynamo-bao");
+ *
+ * await retryOnConflict(async () => {
+ *   const account = await Account.find(accountId);
+ *   account.balance = account.balance + 10;
+ *   await account.save();
+ * });
+ */
+const retryOnConflict = async (fn, options = {}) => {
+  const { attempts = 3 } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!(error instanceof StaleObjectError) || attempt >= attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = { retryOperation, retryOnConflict };
@@ -0,0 +1,262 @@
+// Declarative validation rules for fields. Every field takes these options,
+// which are checked after the field's own type checks:
+//   minLength, maxLength  length of a string, list or buffer, or size of a set
+//   pattern               a RegExp (or regular expression source) a string
+//                         value must match
+//   min, max              bounds of a number, decimal or date
+//   oneOf                 the values the field may hold
+//   custom                a validator function, or the name of one added with
+//                         registerValidator()
+// Null and undefined values are left to the `required` option, and update
+// operators such as `{ $add: 1 }` aren't checked.
+//
+// Models can also list validators of their own, which check the item as a
+// whole (see registerModelValidator()).
+
+const { ConfigurationError } = require("./exceptions");
+
+const RULE_NAMES = [
+  "minLength",
+  "maxLength",
+  "pattern",
+  "min",
+  "max",
+  "oneOf",
+  "custom",
+];
+
+const validators = new Map();
+const modelValidators = new Map();
+
+/**
+ * Add a validator that fields can name in their `custom` option, including
+ * fields generated from YAML (`custom: slug`). A validator receives the
+ * value and the field, and returns true (or nothing) if the value is valid.
+ * To reject it, return false, return a message, or throw a ValidationError.
+ * It must be synchronous; checks that need to wait belong in a model
+ * validator (see registerModelValidator()).
+ *
+ * @param {string} name - The name fields refer to the validator by
+ * @param {Function} fn - `(value, field) => true | false | string | void`
+ *
+ * @example
+ * registerValidator("slug", (value) =>
+ *   /^[a-z0-9-]+$/.test(value) || "Must be lowercase letters, digits and dashes",
+ * );
+ */
+function registerValidator(name, fn) {
+  if (typeof name !== "string" || !name || typeof fn !== "function") {
+    throw new ConfigurationError(
+      "registerValidator requires a name and a validator function",
+    );
+  }
+  validators.set(name, fn);
+}
+
+function getValidator(name) {
+  const fn = validators.get(name);
+  if (!fn) {
+    throw new ConfigurationError(
+      `Unknown validator "${name}". Add it with registerValidator()`,
+    );
+  }
+  return fn;
+}
+
+/**
+ * Add a validator that models can name in their `validators` list, including
+ * models generated from YAML (`validators: [endsAfterStart]`). It receives
+ * the item as it will be saved and `{ isNew }`, and may be async. Lookups it
+ * makes with find() are batched with those of the model's other validators.
+ *
+ * To accept the item, return nothing (or true). To reject it, return a
+ * message about the whole item, an object mapping field names to messages,
+ * or throw a ValidationError.
+ *
+ * @param {string} name - The name models refer to the validator by
+ * @param {Function} fn - `async (instance, { isNew }) => void | string | Object`
+ *
+ * @example
+ * registerModelValidator("endsAfterStart", (event) => {
+ *   if (event.endDate <= event.startDate) {
+ *     return { endDate: "Must be after startDate" };
+ *   }
+ * });
+ */
+function registerModelValidator(name, fn) {
+  if (typeof name !== "string" || !name || typeof fn !== "function") {
+    throw new ConfigurationError(
+      "registerModelValidator requires a name and a validator function",
+    );
+  }
+  modelValidators.set(name, fn);
+}
+
+function getModelValidator(name) {
+  const fn = modelValidators.get(name);
+  if (!fn) {
+    throw new ConfigurationError(
+      `Unknown model validator "${name}". Add it with registerModelValidator()`,
+    );
+  }
+  return fn;
+}
+
+/**
+ * Read the validation rules from a field's options.
+ * @param {Object} options - The field's options
+ * @returns {Object|null} The rules, with `pattern` as a RegExp, or null if
+ *   the field has none
+ * @throws {ConfigurationError} If a rule is malformed
+ */
+function parseRules(options) {
+  const rules = {};
+  for (const name of RULE_NAMES) {
+    if (options[name] !== undefined && options[name] !== null) {
+      rules[name] = options[name];
+    }
+  }
+  if (Object.keys(rules).length === 0) return null;
+
+  for (const name of ["minLength", "maxLength"]) {
+    if (
+      rules[name] !== undefined &&
+      (!Number.isInteger(rules[name]) || rules[name] < 0)
+    ) {
+      throw new ConfigurationError(`${name} must be a non-negative integer`);
+    }
+  }
+  if (rules.pattern !== undefined) {
+    if (typeof rules.pattern === "string") {
+      try {
+        rules.pattern = new RegExp(rules.pattern);
+      } catch (error) {
+        throw new ConfigurationError(`Invalid pattern: ${error.message}`);
+      }
+    } else if (!(rules.pattern instanceof RegExp)) {
+      throw new ConfigurationError("pattern must be a RegExp or a string");
+    }
+  }
+  for (const name of ["min", "max"]) {
+    if (rules[name] !== undefined && Number.isNaN(toComparable(rules[name]))) {
+      throw new ConfigurationError(`${name} must be a number or a date`);
+    }
+  }
+  if (
+    rules.oneOf !== undefined &&
+    (!Array.isArray(rules.oneOf) || rules.oneOf.length === 0)
+  ) {
+    throw new ConfigurationError("oneOf must be a non-empty array");
+  }
+  if (
+    rules.custom !== undefined &&
+    typeof rules.custom !== "function" &&
+    (typeof rules.custom !== "string" || !rules.custom)
+  ) {
+    throw new ConfigurationError(
+      "custom must be a validator function or the name of one",
+    );
+  }
+  return rules;
+}
+
+// Numbers, decimal strings, bigints and dates compare as numbers
+function toComparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string" && Number.isNaN(Number(value))) {
+    return new Date(value).getTime();
+  }
+  return Number(value?.value ?? value);
+}
+
+function lengthOf(value) {
+  if (value instanceof Set) return value.size;
+  if (typeof value === "string" || value instanceof Uint8Array) {
+    return value.length;
+  }
+  return Array.isArray(value) ? value.length : null;
+}
+
+const isUpdateOperator = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+/**
+ * Check a value against a field's rules.
+ * @param {Object|null} rules - Rules returned by {@link parseRules}
+ * @param {any} value - The JS value
+ * @param {Object} field - The field, passed to custom validators
+ * @returns {string|null} The message of the first rule the value breaks, or
+ *   null if it's valid
+ */
+function checkRules(rules, value, field) {
+  if (!rules || value === null || value === undefined) return null;
+  if (isUpdateOperator(value)) return null;
+
+  const length = lengthOf(value);
+  if (length !== null) {
+    if (rules.minLength !== undefined && length < rules.minLength) {
+      return `Value is shorter than minimum length of ${rules.minLength}`;
+    }
+    if (rules.maxLength !== undefined && length > rules.maxLength) {
+      return `Value exceeds maximum length of ${rules.maxLength}`;
+    }
+  }
+  // Tested with a copy, so the lastIndex of a global pattern isn't kept
+  if (
+    rules.pattern &&
+    typeof value === "string" &&
+    !new RegExp(rules.pattern).test(value)
+  ) {
+    return `Value does not match pattern ${rules.pattern}`;
+  }
+  if (rules.min !== undefined || rules.max !== undefined) {
+    const comparable = toComparable(value);
+    if (rules.min !== undefined && comparable < toComparable(rules.min)) {
+      return `Value is less than minimum of ${rules.min}`;
+    }
+    if (rules.max !== undefined && comparable > toComparable(rules.max)) {
+      return `Value exceeds maximum of ${rules.max}`;
+    }
+  }
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    return `Value must be one of: ${rules.oneOf.join(", ")}`;
+  }
+  if (rules.custom) {
+    const fn =
+      typeof rules.custom === "function"
+        ? rules.custom
+        : getValidator(rules.custom);
+    const result = fn(value, field);
+    // Field validators run while the item is checked, so they can't wait
+    if (typeof result?.then === "function") {
+      const name =
+        typeof rules.custom === "string"
+          ? `Validator "${rules.custom}"`
+          : "A custom validator";
+      throw new ConfigurationError(
+        `${name} returned a promise. Field validators must be synchronous; use a model validator for async checks`,
+      );
+    }
+    if (typeof result === "string") return result;
+    if (result === false) {
+      return typeof rules.custom === "string"
+        ? `Value failed the "${rules.custom}" validator`
+        : "Value failed custom validation";
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RULE_NAMES,
+  registerValidator,
+  getValidator,
+  registerModelValidator,
+  getModelValidator,
+  isUpdateOperator,
+  parseRules,
+  checkRules,
+};
@@ -0,0 +1,316 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { ValidationError } = require("../src/exceptions");
+const { AUDIT_HISTORY_KEY } = require("../src/constants");
+
+const { runWithPrincipal, getCurrentPrincipal, runWithBatchContext } =
+  dynamoBao;
+
+class AuDoc extends dynamoBao.BaoModel {
+  static modelPrefix = "aud";
+  static audit = true;
+  static fields = {
+    docId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+    views: dynamoBao.fields.CounterField(),
+    meta: dynamoBao.fields.MapField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("docId");
+}
+
+class AuNote extends dynamoBao.BaoModel {
+  static modelPrefix = "aun";
+  static audit = true;
+  static softDelete = true;
+  static fields = {
+    noteId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("noteId");
+}
+
+class AuPlain extends dynamoBao.BaoModel {
+  static modelPrefix = "aup";
+  static fields = {
+    plainId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("plainId");
+}
+
+describe("audit history", () => {
+  let testId, Doc, Note, Plain, table;
+
+  const historyPuts = (command) =>
+    command.input.TransactItems.filter((item) =>
+      item.Put?.Item._pk.includes(AUDIT_HISTORY_KEY),
+    ).map((item) => item.Put);
+
+  const store = (Model, data) => {
+    const instance = new Model(data);
+    const key = Model._getDyKeyForPkSk(
+      Model._parsePrimaryId(instance.getPrimaryId()),
+    );
+    table.putRow({ ...key, ...data });
+  };
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(AuDoc);
+    manager.registerModel(AuNote);
+    manager.registerModel(AuPlain);
+    Doc = manager.getModel("AuDoc");
+    Note = manager.getModel("AuNote");
+    Plain = manager.getModel("AuPlain");
+    table = stubDocumentClient(Doc);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("create writes a history row in the same transaction", async () => {
+    await runWithPrincipal({ userId: "u1" }, () =>
+      Doc.create({ docId: "d1", title: "Draft" }),
+    );
+
+    const [transaction] = table.sentOf("TransactWriteCommand");
+    expect(transaction.input.TransactItems).toHaveLength(2);
+    expect(
+      transaction.input.TransactItems.filter((item) => item.Update),
+    ).toHaveLength(1);
+
+    const [put] = historyPuts(transaction);
+    expect(put.ConditionExpression).toBe("attribute_not_exists(#pk)");
+    expect(put.Item).toMatchObject({
+      _pk: Doc._formatHistoryKey("d1"),
+      relatedId: "d1",
+      relatedModel: "AuDoc",
+      operation: "create",
+      actor: { userId: "u1" },
+      _gsi_test_id: testId,
+    });
+    expect(put.Item.changes.title).toEqual({ before: null, after: "Draft" });
+    expect(typeof put.Item.timestamp).toBe("number");
+  });
+
+  test("update records only the fields that changed", async () => {
+    store(Doc, { docId: "d1", title: "Draft", views: 2 });
+
+    await Doc.update("d1", { title: "Final", views: "+3" });
+
+    const [put] = historyPuts(table.sentOf("TransactWriteCommand")[0]);
+    expect(put.Item.operation).toBe("update");
+    expect(put.Item.actor).toBeNull();
+    expect(put.Item.changes).toEqual({
+      title: { before: "Draft", after: "Final" },
+      views: { before: 2, after: 5 },
+    });
+  });
+
+  test("an update that changes nothing writes no history", async () => {
+    store(Doc, { docId: "d1", title: "Draft" });
+
+    await Doc.update("d1", { title: "Draft" });
+
+    expect(table.sentOf("TransactWriteCommand")).toHaveLength(0);
+    expect(
+      [...table.rows.values()].filter((row) =>
+        row._pk.includes(AUDIT_HISTORY_KEY),
+      ),
+    ).toHaveLength(0);
+  });
+
+  test("map values compare regardless of key order", async () => {
+    store(Doc, { docId: "d1", meta: { a: 1, b: { c: 2, d: 3 } } });
+
+    await Doc.update("d1", { meta: { b: { d: 3, c: 2 }, a: 1 } });
+
+    expect(table.sentOf("TransactWriteCommand")).toHaveLength(0);
+  });
+
+  test("updates in one batch context record the values they replaced", async () => {
+    store(Doc, { docId: "d1", title: "v1" });
+
+    await runWithBatchContext(async () => {
+      await Doc.find("d1");
+      // Another writer changes the item after it was cached
+      store(Doc, { docId: "d1", title: "v2" });
+      await Doc.update("d1", { title: "v3" });
+      await Doc.update("d1", { title: "v4" });
+    });
+
+    const changes = table
+      .sentOf("TransactWriteCommand")
+      .map((command) => historyPuts(command)[0].Item.changes.title);
+    expect(changes).toEqual([
+      { before: "v2", after: "v3" },
+      { before: "v3", after: "v4" },
+    ]);
+  });
+
+  test("models without audit write no history", async () => {
+    await Plain.create({ plainId: "p1", title: "Draft" });
+
+    expect(table.sentOf("TransactWriteCommand")).toHaveLength(0);
+    expect(table.sentOf("UpdateCommand")).toHaveLength(1);
+    expect(Plain._buildHistoryItems("p1", "create", null, {})).toEqual([]);
+  });
+
+  test("delete, upsert and replace are recorded", async () => {
+    store(Doc, { docId: "d1", title: "Draft" });
+
+    await Doc.replace("d1", { docId: "d1", title: "Replaced" });
+    await Doc.upsert({ docId: "d2", title: "New" });
+    await Doc.delete("d1");
+
+    const [replaced, upserted, deleted] = table
+      .sentOf("TransactWriteCommand")
+      .map((command) => historyPuts(command)[0].Item);
+    expect(replaced.operation).toBe("replace");
+    expect(replaced.changes.title).toEqual({
+      before: "Draft",
+      after: "Replaced",
+    });
+    expect(upserted.operation).toBe("upsert");
+    expect(upserted.changes.title).toEqual({ before: null, after: "New" });
+    expect(deleted.operation).toBe("delete");
+    expect(deleted.changes.title).toEqual({ before: "Replaced", after: null });
+  });
+
+  test("soft delete, restore and purge are recorded", async () => {
+    store(Note, { noteId: "n1", title: "Draft" });
+
+    await runWithPrincipal("admin", async () => {
+      await Note.delete("n1");
+      await Note.restore("n1");
+      await Note.purge("n1");
+    });
+
+    const entries = table
+      .sentOf("TransactWriteCommand")
+      .map((command) => historyPuts(command)[0].Item);
+    expect(entries.map((entry) => entry.operation)).toEqual([
+      "delete",
+      "restore",
+      "purge",
+    ]);
+    expect(entries.every((entry) => entry.actor === "admin")).toBe(true);
+    expect(entries[2].changes.title).toEqual({ before: "Draft", after: null });
+  });
+
+  test("getHistory pages through entries newest first", async () => {
+    await runWithPrincipal("u1", async () => {
+      await Doc.create({ docId: "d1", title: "One" });
+      await Doc.update("d1", { title: "Two" });
+      await Doc.update("d1", { title: "Three" });
+    });
+
+    const first = await Doc.getHistory("d1", { limit: 2 });
+    expect(first.items.map((entry) => entry.operation)).toEqual([
+      "update",
+      "update",
+    ]);
+    expect(first.items[0].changes.title).toEqual({
+      before: "Two",
+      after: "Three",
+    });
+    expect(first.items[0].actor).toBe("u1");
+    expect(first.items[0].timestamp).toBeInstanceOf(Date);
+    expect(first.cursor).toEqual(expect.any(String));
+
+    const second = await Doc.getHistory("d1", {
+      limit: 2,
+      cursor: first.cursor,
+    });
+    expect(second.items.map((entry) => entry.operation)).toEqual(["create"]);
+    expect(second.cursor).toBeNull();
+
+    const doc = await Doc.find("d1");
+    const fromInstance = await doc.getHistory({ limit: 10 });
+    expect(fromInstance.items).toHaveLength(3);
+    expect(table.sentOf("QueryCommand").at(-1).input.ScanIndexForward).toBe(
+      false,
+    );
+  });
+
+  test("getHistory rejects cursors it did not issue", async () => {
+    await Doc.create({ docId: "d1", title: "One" });
+    await Doc.update("d1", { title: "Two" });
+    const { cursor } = await Doc.getHistory("d1", { limit: 1 });
+
+    await expect(
+      Doc.getHistory("d1", { cursor: "not-a-cursor" }),
+    ).rejects.toThrow(ValidationError);
+    await expect(Doc.getHistory("d2", { cursor })).rejects.toThrow(
+      /different item/,
+    );
+  });
+
+  test("runWithPrincipal scopes the actor to the callback", async () => {
+    expect(getCurrentPrincipal()).toBeNull();
+    const seen = await runWithPrincipal("u1", async () => {
+      await Promise.resolve();
+      return getCurrentPrincipal();
+    });
+    expect(seen).toBe("u1");
+    expect(getCurrentPrincipal()).toBeNull();
+  });
+});
+
+describe("audit model option", () => {
+  const makeNote = (audit) => ({
+    Note: {
+      modelPrefix: "n",
+      fields: { noteId: { type: "UlidField", autoAssign: true } },
+      primaryKey: { partitionKey: "noteId" },
+      ...(audit !== undefined && { audit }),
+    },
+  });
+
+  test("applyModelDefaults validates the option", () => {
+    expect(applyModelDefaults(makeNote()).Note.audit).toBe(false);
+    expect(applyModelDefaults(makeNote(true)).Note.audit).toBe(true);
+    expect(() => applyModelDefaults(makeNote("yes"))).toThrow(/audit/);
+  });
+
+  test("the generator emits the setting only when enabled", () => {
+    const outputDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+    );
+    try {
+      const resolver = new FieldResolver(builtInFields, null);
+      generateModelFiles(
+        applyModelDefaults(makeNote(true)),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const code = fs.readFileSync(path.join(outputDir, "note.js"), "utf8");
+      expect(code).toMatch(/static audit = true;/);
+
+      generateModelFiles(
+        applyModelDefaults(makeNote()),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const plain = fs.readFileSync(path.join(outputDir, "note.js"), "utf8");
+      expect(plain).not.toMatch(/static audit/);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
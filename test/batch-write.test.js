@@ -0,0 +1,207 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const {
+  BaoError,
+  ConditionalError,
+  ValidationError,
+} = require("../src/exceptions");
+const { GSI_INDEX_ID1, UNIQUE_CONSTRAINT_ID1 } = require("../src/constants");
+
+class BatchWriteUser extends dynamoBao.BaoModel {
+  static modelPrefix = "bwu";
+  static iterable = true;
+  static iterationBuckets = 1;
+  static searchable = true;
+  static searchConfig = { fields: ["name"] };
+  static fields = {
+    userId: dynamoBao.fields.UlidField({ autoAssign: true, required: true }),
+    name: dynamoBao.fields.StringField({ required: true }),
+    status: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("userId");
+  static indexes = {
+    byStatus: dynamoBao.IndexConfig("status", "name", GSI_INDEX_ID1),
+  };
+}
+
+class BatchWriteAccount extends dynamoBao.BaoModel {
+  static modelPrefix = "bwa";
+  static fields = {
+    accountId: dynamoBao.fields.StringField({ required: true }),
+    email: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("accountId");
+  static uniqueConstraints = {
+    uniqueEmail: dynamoBao.UniqueConstraintConfig(
+      "email",
+      UNIQUE_CONSTRAINT_ID1,
+    ),
+  };
+}
+
+describe("Model batch writes", () => {
+  let testId, User, Account, table, responder;
+
+  const batchRequests = () => table.sentOf("BatchWriteCommand");
+  const requestsFor = (command) =>
+    command.input.RequestItems[User.table] ||
+    command.input.RequestItems[Account.table];
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(BatchWriteUser);
+    manager.registerModel(BatchWriteAccount);
+    User = manager.getModel("BatchWriteUser");
+    Account = manager.getModel("BatchWriteAccount");
+
+    responder = () => undefined;
+    table = stubDocumentClient(User, (command) => responder(command));
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("batchCreate chunks requests into groups of 25", async () => {
+    const items = Array.from({ length: 30 }, (_, i) => ({ name: `user${i}` }));
+
+    const result = await User.batchCreate(items);
+
+    expect(batchRequests().map((c) => requestsFor(c).length)).toEqual([25, 5]);
+    expect(result.items).toHaveLength(30);
+    expect(result.items[0]).toBeInstanceOf(User);
+    expect(result.items.map((item) => item.name)).toEqual(
+      items.map((item) => item.name),
+    );
+    expect(result.failed).toEqual([]);
+  });
+
+  test("puts complete items with index, iteration and search attributes", async () => {
+    const userId = ulid();
+    await User.batchCreate([{ userId, name: "Alice Smith", status: "active" }]);
+
+    const item = requestsFor(table.sent[0])[0].PutRequest.Item;
+    expect(item._pk).toBe(`[${testId}]#bwu#${userId}`);
+    expect(item._sk).toBe("bwu");
+    expect(item._gsi1_pk).toBe(`[${testId}]#bwu#gsi1#active`);
+    expect(item._gsi1_sk).toBe("Alice Smith");
+    expect(item._iter_pk).toBe(`[${testId}]#bwu#iter`);
+    expect(item._iter_sk).toBe(userId);
+    expect(item._searchText).toBe("alice smith");
+  });
+
+  test("retries unprocessed items and reports them once retries run out", async () => {
+    let calls = 0;
+    responder = (command) => {
+      calls++;
+      const [first] = requestsFor(command);
+      return { UnprocessedItems: { [User.table]: [first] } };
+    };
+
+    const result = await User.batchCreate([{ name: "stuck" }, { name: "ok" }], {
+      maxRetries: 1,
+    });
+
+    expect(calls).toBe(2);
+    expect(requestsFor(table.sent[1])).toHaveLength(1);
+    expect(result.items.map((item) => item.name)).toEqual(["ok"]);
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0].index).toBe(0);
+    expect(result.failed[0].error).toBeInstanceOf(BaoError);
+  });
+
+  test("reports invalid and duplicate items without sending them", async () => {
+    const userId = ulid();
+    const result = await User.batchPut([
+      { userId, name: "first" },
+      { status: "missing name" },
+      { userId, name: "again" },
+    ]);
+
+    expect(requestsFor(table.sent[0])).toHaveLength(1);
+    expect(result.items.map((item) => item.name)).toEqual(["first"]);
+    expect(result.failed.map((f) => f.index)).toEqual([1, 2]);
+    expect(result.failed[0].error).toBeInstanceOf(ValidationError);
+    expect(result.failed[0].data).toEqual({ status: "missing name" });
+    expect(result.failed[1].error.message).toMatch(/Duplicate item in batch/);
+  });
+
+  test("fails the whole chunk when the request is rejected", async () => {
+    responder = () => {
+      const error = new Error("Item size has exceeded the maximum");
+      error.name = "ValidationException";
+      throw error;
+    };
+
+    const result = await User.batchCreate([{ name: "a" }, { name: "b" }]);
+
+    expect(result.items).toEqual([]);
+    expect(result.failed.map((f) => f.index)).toEqual([0, 1]);
+    expect(result.failed[0].error.name).toBe("ValidationException");
+  });
+
+  test("batchDelete sends delete requests for each key", async () => {
+    const ids = [ulid(), ulid()];
+
+    const result = await User.batchDelete(ids);
+
+    expect(requestsFor(table.sent[0])).toEqual(
+      ids.map((id) => ({
+        DeleteRequest: { Key: { _pk: `[${testId}]#bwu#${id}`, _sk: "bwu" } },
+      })),
+    );
+    expect(result.primaryIds).toEqual(ids);
+    expect(result.failed).toEqual([]);
+  });
+
+  test("writes unique-constraint models one transaction per item", async () => {
+    const result = await Account.batchCreate([
+      { accountId: "a1", email: "a1@example.com" },
+      { accountId: "a2" },
+    ]);
+
+    expect(batchRequests()).toHaveLength(0);
+    // Transactions within a chunk run concurrently, so match them by key
+    const byPk = {};
+    table.sent.forEach((c) => {
+      byPk[c.input.TransactItems[0].Put.Item._pk] = c.input.TransactItems;
+    });
+    expect(table.sent).toHaveLength(2);
+
+    const [put, constraint] = byPk[`[${testId}]#bwa#a1`];
+    expect(put.Put.ConditionExpression).toBe("attribute_not_exists(#pk)");
+    expect(constraint.Put.Item.relatedId).toBe("a1");
+    expect(byPk[`[${testId}]#bwa#a2`]).toHaveLength(1);
+    expect(result.items.map((item) => item.accountId)).toEqual(["a1", "a2"]);
+  });
+
+  test("maps cancelled transactions to per-item ConditionalErrors", async () => {
+    await Account.create({ accountId: "a0", email: "taken@example.com" });
+
+    const result = await Account.batchCreate([
+      { accountId: "a1", email: "taken@example.com" },
+    ]);
+
+    expect(result.items).toEqual([]);
+    expect(result.failed[0].error).toBeInstanceOf(ConditionalError);
+  });
+
+  test("releases unique constraints when deleting transactionally", async () => {
+    await Account.create({ accountId: "a1", email: "a1@example.com" });
+
+    const result = await Account.batchDelete(["a1"]);
+
+    const [del, constraint] = table.sentOf("TransactWriteCommand").at(-1)
+      .input.TransactItems;
+    expect(del.Delete.Key).toEqual({ _pk: `[${testId}]#bwa#a1`, _sk: "bwa" });
+    expect(constraint.Delete.ExpressionAttributeValues[":relatedId"]).toBe(
+      "a1",
+    );
+    expect(result.primaryIds).toEqual(["a1"]);
+  });
+});
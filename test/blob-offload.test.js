@@ -0,0 +1,367 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const compression = require("../src/utils/compression");
+const { isBlobPointer } = require("../src/blob-store");
+const {
+  BlobNotLoadedError,
+  ConfigurationError,
+  ItemNotFoundError,
+} = require("../src/exceptions");
+const { GSI_INDEX_ID1 } = require("../src/constants");
+
+const { StringField, BinaryField, MapField, IntegerField } = dynamoBao.fields;
+const { LocalBlobStore, setBlobStore, runWithBatchContext } = dynamoBao;
+
+class BlobDoc extends dynamoBao.BaoModel {
+  static modelPrefix = "bld";
+  static fields = {
+    docId: StringField({ required: true }),
+    title: StringField(),
+    body: StringField({ offload: { thresholdBytes: 1024 } }),
+    scan: BinaryField({ compress: "gzip", offload: { thresholdBytes: 256 } }),
+    meta: MapField({ offload: { thresholdBytes: 512 } }),
+    labels: MapField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("docId");
+}
+
+const longText = Array.from(
+  { length: 200 },
+  (_, i) => `Line ${i} of a long transcript.`,
+).join("\n");
+
+describe("Offloaded fields", () => {
+  let Doc, table, blobDir, store;
+
+  const blobExists = async (pointer) =>
+    (await store.get(pointer._baoBlob)) !== null;
+  const blobFiles = () =>
+    fs
+      .readdirSync(blobDir, { recursive: true })
+      .filter((entry) => fs.statSync(path.join(blobDir, entry)).isFile());
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(BlobDoc);
+    Doc = manager.getModel("BlobDoc");
+
+    blobDir = fs.mkdtempSync(path.join(os.tmpdir(), "dynamo-bao-blobs-"));
+    store = new LocalBlobStore({ directory: blobDir });
+    setBlobStore(store);
+
+    table = stubDocumentClient(Doc);
+  });
+
+  afterEach(() => {
+    table.restore();
+    setBlobStore(null);
+    fs.rmSync(blobDir, { recursive: true, force: true });
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("large values are stored as pointers and loaded on access", async () => {
+    const doc = await Doc.create({
+      docId: "d1",
+      title: "Short",
+      body: longText,
+    });
+
+    const values = table.lastUpdate().ExpressionAttributeValues;
+    expect(values[":title"]).toBe("Short");
+    const pointer = values[":body"];
+    expect(isBlobPointer(pointer)).toBe(true);
+    expect(pointer).toEqual({
+      _baoBlob: expect.stringMatching(/\/bld\/body\/[0-9A-Z]{26}$/),
+      type: "S",
+      size: Buffer.byteLength(longText),
+    });
+    expect(await blobExists(pointer)).toBe(true);
+
+    // The saved instance keeps the value it wrote
+    expect(doc.body).toBe(longText);
+
+    const loaded = await Doc.find(doc.getPrimaryId(), { batchDelay: 0 });
+    expect(loaded.title).toBe("Short");
+    expect(() => loaded.body).toThrow(BlobNotLoadedError);
+    expect(await loaded.getOrLoadBlob("body")).toBe(longText);
+    expect(loaded.body).toBe(longText);
+    expect(await loaded.getOrLoadBlob("title")).toBe("Short");
+
+    // Values below the threshold stay in the item
+    await Doc.update(doc.getPrimaryId(), { body: "Short body" });
+    expect(table.lastUpdate().ExpressionAttributeValues[":body"]).toBe(
+      "Short body",
+    );
+    expect(await blobExists(pointer)).toBe(false);
+  });
+
+  test("blobs are deleted when their value is replaced or the item is deleted", async () => {
+    const doc = await Doc.create({ docId: "d1", body: longText });
+    const first = table.lastUpdate().ExpressionAttributeValues[":body"];
+
+    const loaded = await Doc.find(doc.getPrimaryId(), { batchDelay: 0 });
+    loaded.body = `${longText}\nAnd one more line.`;
+    await loaded.save();
+    const second = table.lastUpdate().ExpressionAttributeValues[":body"];
+    expect(second._baoBlob).not.toBe(first._baoBlob);
+    expect(await blobExists(first)).toBe(false);
+    expect(await blobExists(second)).toBe(true);
+    expect(loaded.body).toBe(`${longText}\nAnd one more line.`);
+
+    // Saving other fields, or reindexing, leaves the blob alone
+    loaded.title = "Renamed";
+    await loaded.save();
+    await loaded.save({ forceReindex: true });
+    expect(
+      table.lastUpdate().ExpressionAttributeValues[":body"],
+    ).toBeUndefined();
+    expect(await blobExists(second)).toBe(true);
+
+    await Doc.delete(doc.getPrimaryId());
+    expect(await blobExists(second)).toBe(false);
+  });
+
+  test("replacing a value twice in one batch context keeps only the last blob", async () => {
+    await Doc.create({ docId: "d1", body: longText });
+
+    await runWithBatchContext(async () => {
+      await Doc.find("d1");
+      // Another request replaces the value after the item was cached
+      await runWithBatchContext(() =>
+        Doc.update("d1", { body: `${longText}\nFrom elsewhere.` }),
+      );
+      await Doc.update("d1", { body: `${longText}\nFirst.` });
+      await Doc.update("d1", { body: `${longText}\nSecond.` });
+    });
+
+    expect(blobFiles()).toHaveLength(1);
+    const loaded = await Doc.find("d1", { batchDelay: 0 });
+    expect(await loaded.getOrLoadBlob("body")).toBe(`${longText}\nSecond.`);
+  });
+
+  test("upsert deletes the blobs of the item it overwrites", async () => {
+    await Doc.upsert({ docId: "d1", body: longText });
+    const first = table.sentOf("PutCommand").at(-1).input.Item.body;
+    expect(table.sentOf("PutCommand").at(-1).input.ReturnValues).toBe(
+      "ALL_OLD",
+    );
+
+    const saved = await Doc.upsert({ docId: "d1", body: `${longText}!` });
+    const second = table.sentOf("PutCommand").at(-1).input.Item.body;
+    expect(await blobExists(first)).toBe(false);
+    expect(await blobExists(second)).toBe(true);
+    expect(saved.body).toBe(`${longText}!`);
+  });
+
+  test("a failed save deletes the blobs it wrote", async () => {
+    await Doc.create({ docId: "d1", title: "Taken" });
+
+    await expect(Doc.create({ docId: "d1", body: longText })).rejects.toThrow(
+      "Condition check failed",
+    );
+    expect(blobFiles()).toEqual([]);
+  });
+
+  test("maps and compressed binary values are offloaded whole", async () => {
+    const meta = {
+      title: "Report",
+      pages: 12,
+      sections: longText.split("\n").slice(0, 40),
+    };
+    const scan = Buffer.from(longText);
+    const doc = await Doc.create({ docId: "d1", meta, scan });
+
+    const values = table.lastUpdate().ExpressionAttributeValues;
+    expect(values[":meta"].type).toBe("M");
+    // Compressed first, so the blob holds the compressed bytes
+    expect(values[":scan"].type).toBe("B");
+    const stored = await store.get(values[":scan"]._baoBlob);
+    expect(compression.isCompressed(stored)).toBe(true);
+
+    const loaded = await Doc.find(doc.getPrimaryId(), { batchDelay: 0 });
+    await loaded.loadBlobs();
+    expect(loaded.meta).toEqual(meta);
+    expect(Buffer.compare(loaded.scan, scan)).toBe(0);
+
+    // In-place edits write the whole map to a new blob
+    loaded.meta.pages = 13;
+    await loaded.save();
+    const update = table.lastUpdate();
+    expect(update.UpdateExpression).toBe("SET #meta = :meta");
+    expect(update.ExpressionAttributeValues[":meta"]._baoBlob).not.toBe(
+      values[":meta"]._baoBlob,
+    );
+    expect(loaded.meta.pages).toBe(13);
+    expect(await blobExists(values[":meta"])).toBe(false);
+  });
+
+  test("values shaped like pointers in other fields are left alone", async () => {
+    const key = "otherTenant/post/body/01ABC";
+    await store.put(key, Buffer.from("Someone else's post"));
+    const labels = { _baoBlob: key, type: "S" };
+    const doc = await Doc.create({ docId: "d1", labels });
+
+    const loaded = await Doc.find(doc.getPrimaryId(), { batchDelay: 0 });
+    expect(loaded.labels).toEqual(labels);
+    await loaded.loadBlobs();
+    expect(loaded.labels).toEqual(labels);
+    expect(await loaded.getOrLoadBlob("labels")).toEqual(labels);
+
+    await Doc.delete(doc.getPrimaryId());
+    expect(await store.get(key)).not.toBeNull();
+  });
+
+  test("missing blobs and stores are reported", async () => {
+    const doc = await Doc.create({ docId: "d1", body: longText });
+    const loaded = await Doc.find(doc.getPrimaryId(), { batchDelay: 0 });
+    await store.delete(
+      table.lastUpdate().ExpressionAttributeValues[":body"]._baoBlob,
+    );
+    await expect(loaded.getOrLoadBlob("body")).rejects.toThrow(
+      ItemNotFoundError,
+    );
+
+    setBlobStore(null);
+    await expect(Doc.create({ docId: "d2", body: longText })).rejects.toThrow(
+      "No blob store is set",
+    );
+    expect(() => setBlobStore({ put: () => {} })).toThrow(ConfigurationError);
+  });
+
+  test("LocalBlobStore keeps keys inside its directory", async () => {
+    await store.put("a/b", Buffer.from("hello"));
+    expect(fs.readFileSync(path.join(blobDir, "a", "b"), "utf8")).toBe("hello");
+    expect(await store.get("a/missing")).toBeNull();
+    await expect(store.delete("a/missing")).resolves.toBeUndefined();
+
+    for (const key of ["../escape", "a/../../b", "/abs", "a//b"]) {
+      await expect(store.put(key, Buffer.from("x"))).rejects.toThrow(
+        `Invalid blob key "${key}"`,
+      );
+    }
+  });
+
+  test("the offload option is validated", () => {
+    expect(() => StringField({ offload: { thresholdBytes: -1 } })).toThrow(
+      ConfigurationError,
+    );
+    expect(StringField({ offload: true }).offload).toEqual({
+      thresholdBytes: 100 * 1024,
+    });
+
+    const makeModel = (options) =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "bli";
+        static fields = {
+          itemId: StringField({ required: true }),
+          body: StringField({ offload: true }),
+          count: IntegerField(),
+        };
+        static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+        static indexes = options.indexes || {};
+        static audit = !!options.audit;
+        static softDelete = options.softDelete || false;
+      };
+
+    expect(() =>
+      makeModel({
+        indexes: {
+          byBody: dynamoBao.IndexConfig("body", "itemId", GSI_INDEX_ID1),
+        },
+      })._validateConfiguration(),
+    ).toThrow(/Offloaded field 'body' cannot be used as partition key/);
+    expect(() => makeModel({ audit: true })._validateConfiguration()).toThrow(
+      /since it is audited/,
+    );
+    expect(() =>
+      makeModel({ softDelete: { ttlDays: 30 } })._validateConfiguration(),
+    ).toThrow(/since its soft deleted items expire with ttlDays/);
+    expect(() =>
+      makeModel({ softDelete: true })._validateConfiguration(),
+    ).not.toThrow();
+  });
+
+  describe("YAML", () => {
+    const makeDoc = (fields, extra = {}) => ({
+      Doc: {
+        modelPrefix: "d",
+        fields: {
+          docId: { type: "UlidField", autoAssign: true },
+          ...fields,
+        },
+        primaryKey: { partitionKey: "docId" },
+        ...extra,
+      },
+    });
+
+    test("applyModelDefaults validates the offload option", () => {
+      expect(() =>
+        applyModelDefaults(
+          makeDoc({ count: { type: "IntegerField", offload: true } }),
+        ),
+      ).toThrow(/only supported on StringField, BinaryField and MapField/);
+      expect(() =>
+        applyModelDefaults(
+          makeDoc({
+            body: { type: "StringField", offload: { threshold: 10 } },
+          }),
+        ),
+      ).toThrow(/`offload` must be true or \{ thresholdBytes \}/);
+      expect(() =>
+        applyModelDefaults(
+          makeDoc(
+            { body: { type: "StringField", offload: true } },
+            { audit: true },
+          ),
+        ),
+      ).toThrow(/cannot be used on an audited or versioned model/);
+      expect(() =>
+        applyModelDefaults(
+          makeDoc(
+            { body: { type: "StringField", offload: true } },
+            { softDelete: { ttlDays: 30 } },
+          ),
+        ),
+      ).toThrow(/cannot be used with `softDelete.ttlDays`/);
+    });
+
+    test("the generator passes the option through and adds a getter", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeDoc({
+              body: {
+                type: "StringField",
+                offload: { thresholdBytes: 65536 },
+              },
+            }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "doc.js"), "utf8");
+        expect(code).toContain(
+          "body: StringField({ offload: { thresholdBytes: 65536 } }),",
+        );
+        expect(code).toContain("async getBody() {");
+        expect(code).toContain("return await this.getOrLoadBlob('body');");
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
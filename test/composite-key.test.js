@@ -0,0 +1,333 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const {
+  ValidationError,
+  ConfigurationError,
+  QueryError,
+} = require("../src/exceptions");
+const { GSI_INDEX_ID1, GSI_INDEX_ID2 } = require("../src/constants");
+
+const { StringField, IntegerField, DateTimeField, StringSetField } =
+  dynamoBao.fields;
+
+class CkOrder extends dynamoBao.BaoModel {
+  static modelPrefix = "cko";
+  static fields = {
+    orderId: StringField({ required: true }),
+    region: StringField(),
+    status: StringField(),
+    priority: IntegerField(),
+    createdAt: DateTimeField(),
+    note: StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("orderId");
+  static indexes = {
+    byRegionStatus: dynamoBao.IndexConfig(
+      ["region", "status"],
+      ["priority", "createdAt"],
+      GSI_INDEX_ID1,
+    ),
+    byStatus: dynamoBao.IndexConfig("status", ["region"], GSI_INDEX_ID2),
+  };
+}
+
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+describe("Composite index keys", () => {
+  let Order, table, testId;
+
+  const idsOf = (result) => result.items.map((order) => order.orderId);
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(CkOrder);
+    Order = manager.getModel("CkOrder");
+
+    table = stubDocumentClient(Order);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  const createOrders = async () => {
+    const orders = [
+      ["o1", 1, day(3)],
+      ["o2", 1, day(1)],
+      ["o3", 2, day(2)],
+      ["o4", 10, day(1)],
+      ["o5", 1, day(2)],
+    ];
+    for (const [orderId, priority, createdAt] of orders) {
+      await Order.create({
+        orderId,
+        region: "eu",
+        status: "open",
+        priority,
+        createdAt,
+      });
+    }
+    await Order.create({
+      orderId: "other",
+      region: "eu",
+      status: "closed",
+      priority: 1,
+      createdAt: day(2),
+    });
+  };
+
+  test("keys join the index values of their fields", async () => {
+    await Order.create({
+      orderId: "o1",
+      region: "eu",
+      status: "open",
+      priority: 7,
+      createdAt: day(1),
+    });
+
+    const { priority, createdAt } = Order.fields;
+    const values = table.lastUpdate().ExpressionAttributeValues;
+    expect(values[":_gsi1_pk"]).toBe(`[${testId}]#cko#gsi1#eu\u0001open\u0001`);
+    expect(values[":_gsi1_sk"]).toBe(
+      `${priority.toGsi(7)}\u0001${createdAt.toGsi(day(1))}\u0001`,
+    );
+
+    // A list of one field is the field itself
+    expect(Order.indexes.byStatus.sk).toBe("region");
+    expect(values[":_gsi2_sk"]).toBe("eu");
+
+    // Items missing a field of a key aren't indexed
+    await Order.create({ orderId: "o2", region: "eu", status: "open" });
+    expect(
+      table.lastUpdate().ExpressionAttributeValues[":_gsi1_pk"],
+    ).toBeUndefined();
+
+    await expect(
+      Order.create({
+        orderId: "o3",
+        region: "eu\u0001",
+        status: "open",
+        priority: 1,
+        createdAt: day(1),
+      }),
+    ).rejects.toThrow(ValidationError);
+  });
+
+  test("sort key conditions match the leading fields", async () => {
+    await createOrders();
+    const query = (skCondition) =>
+      Order.queryByIndex(
+        "byRegionStatus",
+        { region: "eu", status: "open" },
+        skCondition,
+      );
+
+    expect(idsOf(await query(null))).toEqual(["o2", "o5", "o1", "o3", "o4"]);
+    expect(idsOf(await query({ priority: 1 }))).toEqual(["o2", "o5", "o1"]);
+    expect(idsOf(await query({ priority: { $gt: 1 } }))).toEqual(["o3", "o4"]);
+    expect(idsOf(await query({ priority: { $gte: 2 } }))).toEqual(["o3", "o4"]);
+    expect(idsOf(await query({ priority: { $lt: 2 } }))).toEqual([
+      "o2",
+      "o5",
+      "o1",
+    ]);
+    expect(idsOf(await query({ priority: { $lte: 2 } }))).toEqual([
+      "o2",
+      "o5",
+      "o1",
+      "o3",
+    ]);
+    expect(idsOf(await query({ priority: { $between: [2, 10] } }))).toEqual([
+      "o3",
+      "o4",
+    ]);
+
+    // Ranges on a later field stay within the leading field's value
+    expect(
+      idsOf(await query({ priority: 1, createdAt: { $gt: day(1) } })),
+    ).toEqual(["o5", "o1"]);
+    expect(
+      idsOf(await query({ createdAt: { $lte: day(2) }, priority: 1 })),
+    ).toEqual(["o2", "o5"]);
+    expect(
+      idsOf(await query({ priority: { $eq: 1 }, createdAt: { $lt: day(2) } })),
+    ).toEqual(["o2"]);
+    expect(
+      idsOf(
+        await query({
+          priority: 1,
+          createdAt: { $between: [day(2), day(3)] },
+        }),
+      ),
+    ).toEqual(["o5", "o1"]);
+    expect(idsOf(await query({ priority: 1, createdAt: day(2) }))).toEqual([
+      "o5",
+    ]);
+    expect(
+      idsOf(await query({ priority: 2, createdAt: { $gte: day(2) } })),
+    ).toEqual(["o3"]);
+  });
+
+  test("malformed queries are rejected", async () => {
+    await expect(
+      Order.queryByIndex("byRegionStatus", { region: "eu" }),
+    ).rejects.toThrow(
+      'Index "byRegionStatus" has a composite partition key, so pkValue must give region, status. Missing status',
+    );
+
+    const pk = { region: "eu", status: "open" };
+    await expect(
+      Order.queryByIndex("byRegionStatus", pk, { createdAt: day(1) }),
+    ).rejects.toThrow(QueryError);
+    await expect(
+      Order.queryByIndex("byRegionStatus", pk, {
+        priority: { $gt: 1 },
+        createdAt: day(1),
+      }),
+    ).rejects.toThrow(
+      'Field "priority" must be matched exactly, as it comes before "createdAt"',
+    );
+    await expect(
+      Order.queryByIndex("byRegionStatus", pk, { priority: { $in: [1] } }),
+    ).rejects.toThrow("Unsupported sort key operator: $in");
+  });
+
+  test("partial updates keep keys complete", async () => {
+    await Order.create({
+      orderId: "o1",
+      region: "eu",
+      status: "open",
+      priority: 1,
+      createdAt: day(1),
+    });
+    const sk = table.lastUpdate().ExpressionAttributeValues[":_gsi1_sk"];
+
+    await Order.update("o1", { status: "closed" });
+    let values = table.lastUpdate().ExpressionAttributeValues;
+    expect(values[":_gsi1_pk"]).toBe(
+      `[${testId}]#cko#gsi1#eu\u0001closed\u0001`,
+    );
+    expect(values[":_gsi1_sk"]).toBe(sk);
+
+    await Order.update("o1", { createdAt: day(5) });
+    values = table.lastUpdate().ExpressionAttributeValues;
+    expect(values[":_gsi1_sk"]).toBe(
+      `${Order.fields.priority.toGsi(1)}\u0001${Order.fields.createdAt.toGsi(day(5))}\u0001`,
+    );
+
+    // Unrelated changes leave the keys alone
+    await Order.update("o1", { note: "rush" });
+    expect(table.lastUpdate().UpdateExpression).not.toContain("_gsi1");
+
+    // Fields missing from the stored item can't be filled in
+    await Order.create({ orderId: "o2", region: "eu", status: "open" });
+    await expect(Order.update("o2", { createdAt: day(2) })).rejects.toThrow(
+      'Update includes part of composite key "priority, createdAt" for index "byRegionStatus" but is missing "priority"',
+    );
+  });
+
+  test("composite keys are validated", () => {
+    const makeModel = (pk, sk, fields = {}) =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "ckx";
+        static fields = {
+          itemId: StringField({ required: true }),
+          a: StringField(),
+          b: StringField(),
+          ...fields,
+        };
+        static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+        static indexes = {
+          byAB: dynamoBao.IndexConfig(pk, sk, GSI_INDEX_ID1),
+        };
+      };
+
+    expect(() =>
+      makeModel(["a", "b"], ["itemId"])._validateConfiguration(),
+    ).not.toThrow();
+    expect(() =>
+      makeModel(["modelPrefix", "a"], "b")._validateConfiguration(),
+    ).toThrow(
+      /Composite partition key of index 'byAB' .*must list different fields/,
+    );
+    expect(() => makeModel("a", ["b", "b"])._validateConfiguration()).toThrow(
+      ConfigurationError,
+    );
+    expect(() =>
+      makeModel(["a", "missing"], "b")._validateConfiguration(),
+    ).toThrow(/missing/);
+    expect(() =>
+      makeModel(["a", "tags"], "b", {
+        tags: StringSetField(),
+      })._validateConfiguration(),
+    ).toThrow(
+      "StringSetField 'tags' cannot be used as partition key in index 'byAB'",
+    );
+  });
+
+  describe("YAML", () => {
+    const makeOrder = (index) => ({
+      Order: {
+        modelPrefix: "or",
+        fields: {
+          orderId: { type: "UlidField", autoAssign: true },
+          region: { type: "StringField" },
+          status: { type: "StringField" },
+          priority: { type: "IntegerField" },
+        },
+        primaryKey: { partitionKey: "orderId" },
+        indexes: { byRegionStatus: { indexId: "gsi1", ...index } },
+      },
+    });
+
+    test("applyModelDefaults checks the key fields", () => {
+      expect(() =>
+        applyModelDefaults(
+          makeOrder({ partitionKey: ["region", "zone"], sortKey: "priority" }),
+        ),
+      ).toThrow(
+        'Model "Order": index "byRegionStatus" partitionKey must be a field name, or a list of different fields of the model.',
+      );
+      expect(() =>
+        applyModelDefaults(makeOrder({ partitionKey: "region", sortKey: [] })),
+      ).toThrow(/sortKey must be a field name/);
+    });
+
+    test("the generator lists the key fields", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeOrder({
+              partitionKey: ["region", "status"],
+              sortKey: ["priority", "orderId"],
+            }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "order.js"), "utf8");
+        expect(code).toContain(
+          "byRegionStatus: IndexConfig(['region', 'status'], ['priority', 'orderId'], GSI_INDEX_ID1),",
+        );
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const compression = require("../src/utils/compression");
+const { marshall } = require("../src/dynamodb-client");
+const { ConfigurationError, DataFormatError } = require("../src/exceptions");
+const { GSI_INDEX_ID1 } = require("../src/constants");
+
+const { StringField, BinaryField, MapField, IntegerField } = dynamoBao.fields;
+
+class CpDoc extends dynamoBao.BaoModel {
+  static modelPrefix = "cpd";
+  static fields = {
+    docId: StringField({ required: true }),
+    body: StringField({ compress: "gzip" }),
+    summary: StringField({ compress: "brotli", compressThreshold: 64 }),
+    attachment: BinaryField({ compress: "brotli" }),
+    meta: MapField({ compress: "gzip" }),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("docId");
+}
+
+const longText = Array.from(
+  { length: 400 },
+  (_, i) => `Paragraph ${i} of a long article.`,
+).join("\n");
+
+describe("Compressed fields", () => {
+  let Doc, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(CpDoc);
+    Doc = manager.getModel("CpDoc");
+    table = stubDocumentClient(Doc);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("large strings are stored compressed and read back", async () => {
+    const doc = await Doc.create({
+      docId: "d1",
+      body: longText,
+      summary: "Short",
+    });
+
+    const values = table.lastUpdate().ExpressionAttributeValues;
+    expect(Buffer.isBuffer(values[":body"])).toBe(true);
+    expect(compression.isCompressed(values[":body"])).toBe(true);
+    expect(values[":body"].length).toBeLessThan(longText.length / 4);
+    expect(values[":body"][4]).toBe(compression.ALGORITHMS.gzip);
+    expect(marshall(values[":body"])).toHaveProperty("B");
+    // Below the threshold, so stored as a string
+    expect(values[":summary"]).toBe("Short");
+
+    expect(doc.body).toBe(longText);
+    expect(doc.summary).toBe("Short");
+
+    const summary = Doc.fields.summary.toDy("Summary ".repeat(20));
+    expect(summary[4]).toBe(compression.ALGORITHMS.brotli);
+    expect(Doc.fields.summary.fromDy(summary)).toBe("Summary ".repeat(20));
+  });
+
+  test("rows written before compression was turned on still read", () => {
+    const legacy = Doc._createFromDyItem({
+      docId: "d1",
+      body: longText,
+      meta: { title: "Old" },
+    });
+    expect(legacy.body).toBe(longText);
+    expect(legacy.meta).toEqual({ title: "Old" });
+
+    // Compressed values read back whatever the field's current options
+    const gzipped = Doc.fields.body.toDy(longText);
+    expect(StringField().fromDy(gzipped)).toBe(longText);
+    expect(StringField({ compress: "brotli" }).fromDy(gzipped)).toBe(longText);
+
+    // Values that don't get smaller are left as they are
+    const random = crypto.randomBytes(4096);
+    expect(BinaryField({ compress: "gzip" }).toDy(random)).toBe(random);
+
+    const corrupt = Buffer.from(gzipped);
+    corrupt[20] ^= 0xff;
+    expect(() => StringField().fromDy(corrupt)).toThrow(DataFormatError);
+  });
+
+  test("binary values are compressed", async () => {
+    const attachment = Buffer.from(longText);
+    const doc = await Doc.create({ docId: "d1", attachment });
+
+    const stored = table.lastUpdate().ExpressionAttributeValues[":attachment"];
+    expect(compression.isCompressed(stored)).toBe(true);
+    expect(Buffer.compare(doc.attachment, attachment)).toBe(0);
+
+    const small = Buffer.from("tiny");
+    expect(Doc.fields.attachment.toDy(small)).toBe(small);
+  });
+
+  test("large maps are stored compressed and saved whole", async () => {
+    const meta = {
+      title: "Report",
+      pages: 12,
+      tags: ["a", "b"],
+      sections: longText.split("\n").slice(0, 100),
+    };
+    const doc = await Doc.create({ docId: "d1", meta });
+
+    const stored = table.lastUpdate().ExpressionAttributeValues[":meta"];
+    expect(compression.isCompressed(stored)).toBe(true);
+    expect(doc.meta).toEqual(meta);
+    expect(doc.meta.pages).toBe(12);
+
+    doc.meta.title = "Final report";
+    await doc.save();
+    const update = table.lastUpdate();
+    expect(update.UpdateExpression).toBe("SET #meta = :meta");
+    expect(
+      Doc.fields.meta.fromDy(update.ExpressionAttributeValues[":meta"]).title,
+    ).toBe("Final report");
+
+    // Small maps are stored as maps and keep path updates
+    expect(
+      Doc.fields.meta.getUpdateExpression(
+        "meta",
+        Doc.fields.meta.toDy({ title: "B" }),
+        { title: "A" },
+      ).operations[0].expression,
+    ).toBe("#meta.#meta_k0 = :meta_p0");
+    expect(
+      Doc.fields.meta.getUpdateExpression("meta", stored, { title: "A" })
+        .expression,
+    ).toBe("#meta = :meta");
+  });
+
+  test("the compress option is validated", () => {
+    expect(() => StringField({ compress: "zip" })).toThrow(
+      'Invalid compress option "zip". Use "gzip" or "brotli"',
+    );
+    expect(() =>
+      BinaryField({ compress: "gzip", compressThreshold: -1 }),
+    ).toThrow(ConfigurationError);
+
+    const makeModel = (options) =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "cpi";
+        static fields = {
+          itemId: StringField({ required: true }),
+          body: StringField({ compress: "gzip" }),
+          count: IntegerField(),
+        };
+        static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+        static indexes = options.indexes || {};
+        static searchable = !!options.searchConfig;
+        static searchConfig = options.searchConfig;
+      };
+
+    expect(() =>
+      makeModel({
+        indexes: {
+          byBody: dynamoBao.IndexConfig("body", "itemId", GSI_INDEX_ID1),
+        },
+      })._validateConfiguration(),
+    ).toThrow(/Compressed field 'body' cannot be used as partition key/);
+    expect(() =>
+      makeModel({
+        searchConfig: { fields: ["body"] },
+      })._validateConfiguration(),
+    ).toThrow(/cannot include compressed field "body"/);
+  });
+
+  describe("YAML", () => {
+    const makeDoc = (fields, extra = {}) => ({
+      Doc: {
+        modelPrefix: "d",
+        fields: {
+          docId: { type: "UlidField", autoAssign: true },
+          ...fields,
+        },
+        primaryKey: { partitionKey: "docId" },
+        ...extra,
+      },
+    });
+
+    test("applyModelDefaults validates the compress option", () => {
+      expect(() =>
+        applyModelDefaults(
+          makeDoc({ count: { type: "IntegerField", compress: "gzip" } }),
+        ),
+      ).toThrow(/only supported on StringField, BinaryField and MapField/);
+      expect(() =>
+        applyModelDefaults(
+          makeDoc({ body: { type: "StringField", compress: "lz4" } }),
+        ),
+      ).toThrow(/`compress` must be gzip or brotli/);
+      expect(() =>
+        applyModelDefaults(
+          makeDoc(
+            { body: { type: "StringField", compress: "gzip" } },
+            {
+              indexes: {
+                byBody: {
+                  partitionKey: "body",
+                  sortKey: "docId",
+                  indexId: "gsi1",
+                },
+              },
+            },
+          ),
+        ),
+      ).toThrow(/compressed field "body" cannot be used in a primary key/);
+    });
+
+    test("the generator passes the options through", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeDoc({
+              body: {
+                type: "StringField",
+                compress: "brotli",
+                compressThreshold: 4096,
+              },
+              meta: { type: "MapField", compress: "gzip" },
+            }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "doc.js"), "utf8");
+        expect(code).toContain(
+          "body: StringField({ compress: 'brotli', compressThreshold: 4096 }),",
+        );
+        expect(code).toContain("meta: MapField({ compress: 'gzip' }),");
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
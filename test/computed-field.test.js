@@ -0,0 +1,271 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { ValidationError, ConfigurationError } = require("../src/exceptions");
+const { GSI_INDEX_ID1 } = require("../src/constants");
+
+const { StringField, IntegerField, DateTimeField, DecimalField } =
+  dynamoBao.fields;
+
+dynamoBao.registerComputeFunction("cfFullName", ({ firstName, lastName }) =>
+  [firstName, lastName].filter(Boolean).join(" "),
+);
+
+const sortableTitle = ({ title }) =>
+  title ? title.replace(/^(the|a|an)\s+/i, "").toLowerCase() : null;
+
+class CfPerson extends dynamoBao.BaoModel {
+  static modelPrefix = "cfp";
+  static iterable = true;
+  static iterationBuckets = 1;
+  static searchable = true;
+  static searchConfig = { fields: ["fullName"] };
+  static fields = {
+    personId: StringField({ required: true }),
+    firstName: StringField(),
+    lastName: StringField(),
+    title: StringField(),
+    visits: IntegerField(),
+    bornAt: DateTimeField(),
+    balance: DecimalField(),
+    fullName: StringField({
+      computed: { from: ["firstName", "lastName"], fn: "cfFullName" },
+    }),
+    sortTitle: StringField({
+      computed: { from: ["title"], fn: sortableTitle },
+    }),
+    bornYear: IntegerField({
+      computed: {
+        from: ["bornAt"],
+        fn: ({ bornAt }) => bornAt && bornAt.getUTCFullYear(),
+      },
+    }),
+    hasBalance: StringField({
+      computed: { from: ["balance"], fn: ({ balance }) => String(!!balance) },
+    }),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("personId");
+  static indexes = {
+    byName: dynamoBao.IndexConfig("modelPrefix", "fullName", GSI_INDEX_ID1),
+  };
+}
+
+describe("Computed fields", () => {
+  let Person, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(CfPerson);
+    Person = manager.getModel("CfPerson");
+    table = stubDocumentClient(Person);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("values are computed on create and feed indexes and search", async () => {
+    const person = await Person.create({
+      personId: "p1",
+      firstName: "Ada",
+      lastName: "Lovelace",
+      title: "The Analyst",
+      bornAt: "1815-12-10T00:00:00Z",
+    });
+
+    expect(person.fullName).toBe("Ada Lovelace");
+    expect(person.sortTitle).toBe("analyst");
+    expect(person.bornYear).toBe(1815);
+
+    const values = table.lastUpdate().ExpressionAttributeValues;
+    expect(values[":fullName"]).toBe("Ada Lovelace");
+    expect(values[":_gsi1_sk"]).toBe("Ada Lovelace");
+    expect(values[":_searchText"]).toBe("ada lovelace");
+
+    const partial = await Person.create({ personId: "p2", lastName: "Hopper" });
+    expect(partial.fullName).toBe("Hopper");
+    expect(partial.sortTitle).toBeUndefined();
+  });
+
+  test("values are recalculated when a source changes", async () => {
+    await Person.create({ personId: "p1", firstName: "Ada", lastName: "L" });
+
+    let person = await Person.update("p1", { lastName: "Lovelace" });
+    expect(person.fullName).toBe("Ada Lovelace");
+    expect(table.lastUpdate().ExpressionAttributeValues[":_gsi1_sk"]).toBe(
+      "Ada Lovelace",
+    );
+
+    // Unrelated changes leave computed fields alone
+    person = await Person.update("p1", { visits: 2 });
+    expect(table.lastUpdate().UpdateExpression).not.toContain("#fullName");
+    expect(person.fullName).toBe("Ada Lovelace");
+
+    person.firstName = "Augusta";
+    await person.save();
+    expect(person.fullName).toBe("Augusta Lovelace");
+
+    person.firstName = null;
+    person.lastName = null;
+    await person.save();
+    expect(person.fullName).toBe("");
+  });
+
+  test("computed fields are read-only", async () => {
+    const data = { personId: "p1", firstName: "Ada", fullName: "Someone" };
+    await expect(Person.create(data)).rejects.toMatchObject({
+      errors: { fullName: "Computed fields can't be set" },
+    });
+
+    const person = await Person.create({ personId: "p1", firstName: "Ada" });
+    expect(() => {
+      person.fullName = "Someone";
+    }).toThrow(ValidationError);
+
+    // The caller's data doesn't gain the computed values
+    const updates = { lastName: "Lovelace" };
+    await Person.update("p1", updates);
+    expect(updates).toEqual({ lastName: "Lovelace" });
+
+    // Nor can they be computed from the unknown result of an operator
+    await expect(
+      Person.update("p1", { balance: { $add: "5.00" } }),
+    ).rejects.toThrow(
+      "hasBalance can't be computed while balance is updated with an operator",
+    );
+  });
+
+  test("puts and batch writes compute every value", async () => {
+    const result = await Person.batchCreate([
+      { personId: "p1", firstName: "Ada", lastName: "Lovelace" },
+      { personId: "p2", firstName: "Grace", sortTitle: "x" },
+    ]);
+
+    expect(result.items.map((p) => p.fullName)).toEqual(["Ada Lovelace"]);
+    expect(result.failed[0].error.errors).toEqual({
+      sortTitle: "Computed fields can't be set",
+    });
+    const [put] =
+      table.sentOf("BatchWriteCommand")[0].input.RequestItems[Person.table];
+    expect(put.PutRequest.Item.fullName).toBe("Ada Lovelace");
+    expect(put.PutRequest.Item._gsi1_sk).toBe("Ada Lovelace");
+  });
+
+  test("the computed option is validated", () => {
+    expect(() => StringField({ computed: { from: [], fn: "x" } })).toThrow(
+      ConfigurationError,
+    );
+    expect(() => StringField({ computed: { from: ["a"] } })).toThrow(
+      "computed.fn must be a function or the name of one",
+    );
+
+    const makeModel = (fields, pk = "itemId") =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "cfx";
+        static fields = { itemId: StringField({ required: true }), ...fields };
+        static primaryKey = dynamoBao.PrimaryKeyConfig(pk);
+      };
+    const computedFrom = (...from) =>
+      StringField({ computed: { from, fn: "cfFullName" } });
+
+    expect(() =>
+      makeModel({ a: computedFrom("missing") })._validateConfiguration(),
+    ).toThrow(/must be computed from fields that aren't computed/);
+    expect(() =>
+      makeModel({
+        a: computedFrom("itemId"),
+        b: computedFrom("a"),
+      })._validateConfiguration(),
+    ).toThrow(/not 'a'/);
+    expect(() =>
+      makeModel({ a: computedFrom("itemId") }, "a")._validateConfiguration(),
+    ).toThrow("Computed field 'a' cannot be part of the primary key");
+    expect(() =>
+      StringField({ computed: { from: ["a"], fn: "cfMissing" } }),
+    ).not.toThrow();
+  });
+
+  describe("YAML", () => {
+    const makePerson = (fields, extra = {}) => ({
+      Person: {
+        modelPrefix: "pe",
+        fields: {
+          personId: { type: "UlidField", autoAssign: true },
+          firstName: { type: "StringField" },
+          lastName: { type: "StringField" },
+          ...fields,
+        },
+        primaryKey: { partitionKey: "personId" },
+        ...extra,
+      },
+    });
+
+    test("applyModelDefaults validates the computed option", () => {
+      expect(() =>
+        applyModelDefaults(
+          makePerson({
+            fullName: { type: "StringField", computed: { from: ["x"] } },
+          }),
+        ),
+      ).toThrow(/computed field "fullName" needs `computed: \{ from, fn \}`/);
+      expect(() =>
+        applyModelDefaults(
+          makePerson({
+            fullName: {
+              type: "StringField",
+              computed: { from: ["nickname"], fn: "fullName" },
+            },
+          }),
+        ),
+      ).toThrow(/aren't computed or offloaded, not "nickname"/);
+    });
+
+    test("the generator passes the option through", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makePerson(
+              {
+                fullName: {
+                  type: "StringField",
+                  computed: { from: ["firstName", "lastName"], fn: "fullName" },
+                },
+              },
+              {
+                indexes: {
+                  byName: {
+                    partitionKey: "modelPrefix",
+                    sortKey: "fullName",
+                    indexId: "gsi1",
+                  },
+                },
+              },
+            ),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "person.js"), "utf8");
+        expect(code).toContain(
+          `fullName: StringField({ computed: { from: ["firstName","lastName"], fn: 'fullName' } }),`,
+        );
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const { QueryError } = require("../src/exceptions");
+const { GSI_INDEX_ID1 } = require("../src/constants");
+
+const { runWithBatchContext } = dynamoBao;
+
+class CrUser extends dynamoBao.BaoModel {
+  static modelPrefix = "cru";
+  static fields = {
+    userId: dynamoBao.fields.StringField({ required: true }),
+    name: dynamoBao.fields.StringField(),
+    status: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("userId");
+  static indexes = {
+    byId: this.primaryKey,
+    byStatus: dynamoBao.IndexConfig("status", "userId", GSI_INDEX_ID1),
+  };
+}
+
+describe("consistent reads", () => {
+  let testId, User, table;
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(CrUser);
+    User = manager.getModel("CrUser");
+
+    table = stubDocumentClient(User);
+    for (const userId of ["u1", "u2"]) {
+      table.putRow({
+        ...User._getDyKeyForPkSk({ pk: userId }),
+        userId,
+        name: "first",
+      });
+    }
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("find passes ConsistentRead outside a batch context", async () => {
+    await User.find("u1", { consistent: true });
+    await User.find("u1");
+
+    const gets = table.sentOf("GetCommand");
+    expect(gets[0].input.ConsistentRead).toBe(true);
+    expect(gets[1].input.ConsistentRead).toBeUndefined();
+  });
+
+  test("a consistent find is not answered from an eventual load", async () => {
+    await runWithBatchContext(async () => {
+      await User.find("u1", { batchDelay: 0 });
+      const consistent = await User.find("u1", {
+        batchDelay: 0,
+        consistent: true,
+      });
+
+      const gets = table.sentOf("GetCommand");
+      expect(gets).toHaveLength(2);
+      expect(gets[1].input.ConsistentRead).toBe(true);
+
+      // The consistent copy now serves both kinds of find
+      expect(await User.find("u1", { batchDelay: 0 })).toBe(consistent);
+      expect(await User.find("u1", { consistent: true })).toBe(consistent);
+      expect(table.sentOf("GetCommand")).toHaveLength(2);
+    });
+  });
+
+  test("batched consistent and eventual finds go in separate requests", async () => {
+    await runWithBatchContext(async () => {
+      await Promise.all([
+        User.find("u1", { consistent: true }),
+        User.find("u2"),
+      ]);
+    });
+
+    const batches = table
+      .sentOf("BatchGetCommand")
+      .map((c) => c.input.RequestItems[User.table]);
+    expect(batches).toHaveLength(2);
+    const consistent = batches.find((b) => b.ConsistentRead);
+    const eventual = batches.find((b) => !b.ConsistentRead);
+    expect(consistent.Keys[0]._pk).toBe(`[${testId}]#cru#u1`);
+    expect(eventual.Keys[0]._pk).toBe(`[${testId}]#cru#u2`);
+  });
+
+  test("batchFind supports consistent reads", async () => {
+    await runWithBatchContext(async () => {
+      await User.batchFind(["u1"]);
+      await User.batchFind(["u1"], { consistent: true });
+    });
+
+    const batches = table.sentOf("BatchGetCommand");
+    expect(batches).toHaveLength(2);
+    expect(batches[1].input.RequestItems[User.table].ConsistentRead).toBe(true);
+  });
+
+  test("a write drops both cached copies of the item", async () => {
+    await runWithBatchContext(async () => {
+      await User.find("u1", { batchDelay: 0 });
+      await User.find("u1", { batchDelay: 0, consistent: true });
+      await User.update("u1", { name: "second", status: "active" });
+
+      expect((await User.find("u1", { batchDelay: 0 })).name).toBe("second");
+      const reloaded = await User.find("u1", {
+        batchDelay: 0,
+        consistent: true,
+      });
+      expect(reloaded.name).toBe("second");
+
+      await dynamoBao.runTransaction(async (tx) => {
+        tx.update(User, "u1", { name: "third" });
+      });
+      expect((await User.find("u1")).name).toBe("third");
+
+      await User.delete("u1");
+      expect((await User.find("u1")).exists()).toBe(false);
+    });
+  });
+
+  test("queries on the primary key accept consistent", async () => {
+    await User.queryByPrimaryKey("u1", null, { consistent: true });
+    await User.queryByIndex("byId", "u1", null, { consistent: true });
+
+    table.sentOf("QueryCommand").forEach((c) => {
+      expect(c.input.ConsistentRead).toBe(true);
+      expect(c.input.IndexName).toBeUndefined();
+    });
+  });
+
+  test("queries on a GSI reject consistent", async () => {
+    await expect(
+      User.queryByIndex("byStatus", "active", null, { consistent: true }),
+    ).rejects.toThrow(QueryError);
+    expect(table.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,189 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const { FilterExpressionBuilder } = require("../src/filter-expression");
+const { marshall, unmarshall, NumberValue } = require("../src/dynamodb-client");
+const { ValidationError } = require("../src/exceptions");
+const { GSI_INDEX_ID1 } = require("../src/constants");
+
+const { DecimalField, StringField, MapField, ListField } = dynamoBao.fields;
+
+class DcAccount extends dynamoBao.BaoModel {
+  static modelPrefix = "dca";
+  static fields = {
+    accountId: StringField({ required: true }),
+    owner: StringField(),
+    balance: DecimalField({ precision: 12, scale: 2 }),
+    rate: DecimalField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("accountId");
+  static indexes = {
+    byOwner: dynamoBao.IndexConfig("owner", "balance", GSI_INDEX_ID1),
+  };
+}
+
+describe("DecimalField", () => {
+  let Account, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(DcAccount);
+    Account = manager.getModel("DcAccount");
+
+    // Round-trip the saved values as DynamoDB would store them
+    table = stubDocumentClient(Account, async (command, memoryTable) => {
+      if (command.constructor.name !== "UpdateCommand") return undefined;
+      const { Attributes } = await memoryTable.send(command);
+      return { Attributes: unmarshall(marshall(Attributes)) };
+    });
+    table.putRow({
+      ...Account._getDyKeyForPkSk({ pk: "a1" }),
+      accountId: "a1",
+      balance: 100,
+    });
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("writes exact numbers and reads them back as strings", async () => {
+    const account = await Account.create({
+      accountId: "a2",
+      balance: "9999999999.99",
+    });
+
+    const value = table.lastUpdate().ExpressionAttributeValues[":balance"];
+    expect(marshall(value)).toEqual({ N: "9999999999.99" });
+    expect(account.balance).toBe("9999999999.99");
+
+    const rate = Account.fields.rate;
+    expect(marshall(rate.toDy("0.1000000000000000000000000001"))).toEqual({
+      N: "0.1000000000000000000000000001",
+    });
+    expect(rate.toDy(12.5)).toEqual(new NumberValue("12.5"));
+    expect(rate.toDy(10n ** 30n).value).toBe(`1${"0".repeat(30)}`);
+    expect(rate.toDy({ toFixed: () => "3.14" }).value).toBe("3.14");
+    expect(rate.fromDy(new NumberValue("-007.50"))).toBe("-7.5");
+    expect(Account.fields.balance.fromDy(12)).toBe("12.00");
+  });
+
+  test("large numbers are unmarshalled without losing precision", () => {
+    const exact = unmarshall({ N: "12345678901234567890.123456789" });
+    expect(exact).toBeInstanceOf(NumberValue);
+    expect(marshall(exact)).toEqual({ N: "12345678901234567890.123456789" });
+    expect(unmarshall({ N: "1.5" })).toBe(1.5);
+  });
+
+  test("numbers in maps and lists are read back as numbers", () => {
+    const map = MapField();
+    const list = ListField();
+    const stored = unmarshall({
+      M: {
+        a: { N: "0.0000001" },
+        b: { L: [{ N: "1e21" }, { N: "2" }] },
+      },
+    });
+
+    const value = map.fromDy(stored);
+    expect(value).toEqual({ a: 1e-7, b: [1e21, 2] });
+    expect(() => map.validate(value)).not.toThrow();
+    expect(() => map.validate(stored)).not.toThrow();
+
+    const items = list.fromDy(stored.b);
+    expect(items).toEqual([1e21, 2]);
+    expect(() => list.validate(items)).not.toThrow();
+  });
+
+  test("validates precision and scale", async () => {
+    await expect(
+      Account.create({ accountId: "a2", balance: "1.005" }),
+    ).rejects.toThrow(
+      "Value exceeds scale of 2 digits after the decimal point",
+    );
+    await expect(
+      Account.create({ accountId: "a2", balance: "123456789012.5" }),
+    ).rejects.toThrow("Value exceeds precision of 12 digits");
+    await expect(
+      Account.create({ accountId: "a2", balance: "abc" }),
+    ).rejects.toThrow("DecimalField value must be a decimal number");
+    await expect(
+      Account.create({ accountId: "a2", rate: "1".repeat(39) }),
+    ).rejects.toThrow("Value exceeds 38 significant digits");
+    await expect(
+      Account.create({ accountId: "a2", rate: Infinity }),
+    ).rejects.toThrow(ValidationError);
+    expect(table.sent).toHaveLength(0);
+
+    expect(Account.fields.balance.validate("-0012.10")).toBe(true);
+  });
+
+  test("$add is saved as an atomic ADD", async () => {
+    await Account.update("a1", { rate: { $add: "-0.0125" } });
+
+    const input = table.lastUpdate();
+    expect(input.UpdateExpression).toBe("ADD #rate :rate");
+    expect(marshall(input.ExpressionAttributeValues[":rate"])).toEqual({
+      N: "-0.0125",
+    });
+
+    const { balance } = Account.fields;
+    expect(balance.validate({ $add: "1.25" })).toBe(true);
+    expect(() => balance.validate({ $add: "0.001" })).toThrow(ValidationError);
+    await expect(
+      Account.update("a1", { balance: { $add: "1.25" } }),
+    ).rejects.toThrow("$add cannot be used on a DecimalField that is part");
+  });
+
+  test("index keys sort in numeric order", async () => {
+    const field = DecimalField({ scale: 3 });
+    const ordered = [
+      "-1000",
+      "-12.5",
+      "-12.45",
+      "-1",
+      "-0.001",
+      "0",
+      "0.001",
+      "0.5",
+      "1",
+      "12.45",
+      "12.5",
+      "1000",
+    ];
+    const keys = ordered.map((value) => field.toGsi(value));
+    expect([...keys].sort()).toEqual(keys);
+    expect(keys.map((key) => field.fromGsi(key))).toEqual([
+      "-1000.000",
+      "-12.500",
+      "-12.450",
+      "-1.000",
+      "-0.001",
+      "0.000",
+      "0.001",
+      "0.500",
+      "1.000",
+      "12.450",
+      "12.500",
+      "1000.000",
+    ]);
+
+    await Account.create({ accountId: "a2", owner: "o1", balance: "12.5" });
+    const values = table.lastUpdate().ExpressionAttributeValues;
+    expect(values[":_gsi1_sk"]).toBe(field.toGsi("12.5"));
+  });
+
+  test("filters compare exact numbers", () => {
+    const result = new FilterExpressionBuilder().build(
+      { balance: { $gte: "100.10" } },
+      Account,
+    );
+    expect(result.FilterExpression).toBe("#n1 >= :v1");
+    expect(marshall(result.ExpressionAttributeValues[":v1"])).toEqual({
+      N: "100.1",
+    });
+  });
+});
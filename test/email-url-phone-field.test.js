@@ -0,0 +1,170 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { FilterExpressionBuilder } = require("../src/filter-expression");
+const { ValidationError } = require("../src/exceptions");
+const { GSI_INDEX_ID1, UNIQUE_CONSTRAINT_ID1 } = require("../src/constants");
+
+const { EmailField, UrlField, PhoneField, StringField } = dynamoBao.fields;
+
+class EfContact extends dynamoBao.BaoModel {
+  static modelPrefix = "efc";
+  static fields = {
+    contactId: StringField({ required: true }),
+    email: EmailField({ required: true }),
+    website: UrlField(),
+    phone: PhoneField({ defaultCountryCode: "1" }),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("contactId");
+  static indexes = {
+    byPhone: dynamoBao.IndexConfig("phone", "contactId", GSI_INDEX_ID1),
+  };
+  static uniqueConstraints = {
+    uniqueEmail: dynamoBao.UniqueConstraintConfig(
+      "email",
+      UNIQUE_CONSTRAINT_ID1,
+    ),
+  };
+}
+
+describe("EmailField, UrlField and PhoneField", () => {
+  let Contact, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(EfContact);
+    Contact = manager.getModel("EfContact");
+    table = stubDocumentClient(Contact);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("normalizes values", () => {
+    const email = EmailField();
+    expect(email.toDy(" Ann@Example.COM ")).toBe("Ann@example.com");
+    expect(email.toGsi("Ann@Example.COM")).toBe("Ann@example.com");
+
+    const url = UrlField();
+    expect(url.toDy("HTTPS://Example.com")).toBe("https://example.com/");
+
+    const phone = PhoneField();
+    expect(phone.toDy("+1 (415) 555-0123")).toBe("+14155550123");
+    expect(phone.toDy("0044 20 7946 0018")).toBe("+442079460018");
+    expect(PhoneField({ defaultCountryCode: "44" }).toDy("020 7946 0018")).toBe(
+      "+442079460018",
+    );
+
+    // Partial values, e.g. in $beginsWith filters, are passed through
+    expect(email.toDy("ann")).toBe("ann");
+    expect(email.toDy(null)).toBeNull();
+  });
+
+  test("validates values", () => {
+    expect(() => EmailField().validate("ann@example")).toThrow(
+      "Invalid email address",
+    );
+    expect(() => EmailField().validate("ann @example.com")).toThrow(
+      ValidationError,
+    );
+    expect(() => UrlField().validate("example.com")).toThrow(
+      "Invalid URL. Expected a http or https URL",
+    );
+    expect(() => UrlField().validate("ftp://example.com")).toThrow(
+      ValidationError,
+    );
+    expect(UrlField({ protocols: ["ftp"] }).validate("ftp://example.com")).toBe(
+      true,
+    );
+    expect(() => PhoneField().validate("415 555 0123")).toThrow(
+      "Invalid phone number",
+    );
+    expect(() => PhoneField().validate("+0123")).toThrow(ValidationError);
+    expect(() => EmailField({ required: true }).validate("")).toThrow(
+      "Field is required",
+    );
+    expect(EmailField().validate(undefined)).toBe(true);
+  });
+
+  test("unique constraints use the normalized email", async () => {
+    await Contact.create({
+      contactId: "c1",
+      email: "Ann@EXAMPLE.com",
+      phone: "415-555-0123",
+    });
+
+    const [check] = table.sentOf("GetCommand");
+    expect(check.input.Key._pk).toMatch(/#email:Ann@example\.com$/);
+    const { TransactItems } = table.sentOf("TransactWriteCommand")[0].input;
+    const constraint = TransactItems.find((item) => item.Put);
+    expect(constraint.Put.Item._pk).toBe(check.input.Key._pk);
+    const update = TransactItems.find((item) => item.Update).Update;
+    expect(update.ExpressionAttributeValues[":phone"]).toBe("+14155550123");
+
+    const found = await Contact.findByUniqueConstraint(
+      "uniqueEmail",
+      "Ann@Example.Com",
+    );
+    expect(found.contactId).toBe("c1");
+  });
+
+  test("index queries and filters use the normalized form", async () => {
+    await Contact.queryByIndex("byPhone", "(415) 555-0123");
+    const query = table.sentOf("QueryCommand")[0].input;
+    expect(Object.values(query.ExpressionAttributeValues)).toContainEqual(
+      expect.stringMatching(/#efc#gsi1#\+14155550123$/),
+    );
+
+    const result = new FilterExpressionBuilder().build(
+      { email: "ann@Example.com", website: { $beginsWith: "https://" } },
+      Contact,
+    );
+    expect(result.ExpressionAttributeValues).toEqual({
+      ":v1": "ann@example.com",
+      ":v2": "https://",
+    });
+  });
+
+  test("the sample models.yaml generates", () => {
+    const outputDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+    );
+    try {
+      generateModelFiles(
+        applyModelDefaults({
+          User: {
+            modelPrefix: "u",
+            fields: {
+              userId: { type: "UlidField", autoAssign: true, required: true },
+              name: { type: "StringField", required: true },
+              email: { type: "EmailField", required: true },
+              website: { type: "UrlField", protocols: ["https"] },
+              phone: { type: "PhoneField", defaultCountryCode: "1" },
+            },
+            primaryKey: { partitionKey: "userId" },
+          },
+        }),
+        outputDir,
+        new FieldResolver(builtInFields, null),
+        "commonjs",
+      );
+      const code = fs.readFileSync(path.join(outputDir, "user.js"), "utf8");
+      expect(code).toContain("email: EmailField({ required: true }),");
+      expect(code).toContain(`website: UrlField({ protocols: ["https"] }),`);
+      expect(code).toContain("phone: PhoneField({ defaultCountryCode: '1' }),");
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,369 @@
+const crypto = require("crypto");
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { FilterExpressionBuilder } = require("../src/filter-expression");
+const encryption = require("../src/encryption");
+const {
+  ConfigurationError,
+  DataFormatError,
+  QueryError,
+  ValidationError,
+} = require("../src/exceptions");
+const { GSI_INDEX_ID1, UNIQUE_CONSTRAINT_ID1 } = require("../src/constants");
+
+const {
+  EncryptedField,
+  StringField,
+  EmailField,
+  IntegerField,
+  DateTimeField,
+  MapField,
+} = dynamoBao.fields;
+
+class EnPatient extends dynamoBao.BaoModel {
+  static modelPrefix = "enp";
+  static fields = {
+    patientId: StringField({ required: true }),
+    ssn: EncryptedField(),
+    email: EncryptedField({
+      field: EmailField({ required: true }),
+      deterministic: true,
+    }),
+    weight: EncryptedField({ field: IntegerField() }),
+    bornAt: EncryptedField({ field: DateTimeField() }),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("patientId");
+  static indexes = {
+    byEmail: dynamoBao.IndexConfig("email", "patientId", GSI_INDEX_ID1),
+  };
+  static uniqueConstraints = {
+    uniqueEmail: dynamoBao.UniqueConstraintConfig(
+      "email",
+      UNIQUE_CONSTRAINT_ID1,
+    ),
+  };
+}
+
+const keys = {
+  k1: crypto.randomBytes(32).toString("base64"),
+  k2: crypto.randomBytes(32),
+};
+
+describe("EncryptedField", () => {
+  let Patient, table;
+
+  const savedValues = () =>
+    table
+      .sentOf("TransactWriteCommand")
+      .at(-1)
+      .input.TransactItems.find((item) => item.Update).Update
+      .ExpressionAttributeValues;
+
+  beforeEach(() => {
+    dynamoBao.setKeyProvider(
+      dynamoBao.createStaticKeyProvider({ keys, currentKeyId: "k1" }),
+    );
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(EnPatient);
+    Patient = manager.getModel("EnPatient");
+    table = stubDocumentClient(Patient);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+    dynamoBao.setKeyProvider(null);
+  });
+
+  test("writes only ciphertext and decrypts on read", async () => {
+    const bornAt = new Date("1990-04-01T00:00:00Z");
+    await Patient.create({
+      patientId: "p1",
+      ssn: "123-45-6789",
+      email: "Ann@Example.COM",
+      weight: 72,
+      bornAt,
+    });
+
+    const values = savedValues();
+    for (const name of [":ssn", ":email", ":weight", ":bornAt"]) {
+      expect(values[name]).toMatch(/^bao1\.[rd]\.k1\./);
+    }
+    expect(JSON.stringify(values)).not.toContain("6789");
+
+    const patient = Patient._createFromDyItem({
+      ssn: values[":ssn"],
+      email: values[":email"],
+      weight: values[":weight"],
+      bornAt: values[":bornAt"],
+    });
+    expect(patient.ssn).toBe("123-45-6789");
+    expect(patient.email).toBe("Ann@example.com"); // Normalized first
+    expect(patient.weight).toBe(72);
+    expect(patient.bornAt).toEqual(bornAt);
+    expect(patient._getAllData().ssn).toBe("123-45-6789");
+
+    // A random IV each time, unless the field is deterministic
+    const { ssn, email } = Patient.fields;
+    expect(ssn.toDy("123-45-6789")).not.toBe(ssn.toDy("123-45-6789"));
+    expect(email.toDy("ann@example.com")).toBe(email.toDy("ann@example.com"));
+    expect(ssn.toDy(null)).toBeNull();
+    expect(ssn.fromDy(undefined)).toBeNull();
+  });
+
+  test("validates the plaintext value", async () => {
+    await expect(Patient.create({ patientId: "p1" })).rejects.toThrow(
+      "Field is required",
+    );
+    await expect(
+      Patient.create({ patientId: "p1", email: "not an email" }),
+    ).rejects.toThrow("Invalid email address");
+    expect(() => Patient.fields.weight.validate({ $add: 1 })).toThrow(
+      ValidationError,
+    );
+    expect(table.sent).toHaveLength(0);
+  });
+
+  test("deterministic fields back unique constraints and index queries", async () => {
+    await Patient.create({ patientId: "p1", email: "ann@example.com" });
+
+    const ciphertext = Patient.fields.email.toDy("ann@example.com");
+    const [check] = table.sentOf("GetCommand");
+    expect(check.input.Key._pk).toMatch(new RegExp(`#email:${ciphertext}$`));
+    expect(savedValues()[":_gsi1_pk"]).toMatch(
+      new RegExp(`#enp#gsi1#${ciphertext}$`),
+    );
+
+    const found = await Patient.findByUniqueConstraint(
+      "uniqueEmail",
+      "ann@EXAMPLE.com",
+    );
+    expect(found.patientId).toBe("p1");
+
+    await Patient.queryByIndex("byEmail", "ann@example.com");
+    const query = table.sentOf("QueryCommand")[0].input;
+    expect(Object.values(query.ExpressionAttributeValues)).toContainEqual(
+      expect.stringMatching(new RegExp(`#enp#gsi1#${ciphertext}$`)),
+    );
+  });
+
+  test("filters only compare deterministic ciphertext", () => {
+    const build = (filter) =>
+      new FilterExpressionBuilder().build(filter, Patient);
+
+    const result = build({
+      email: { $in: ["ann@example.com", "bob@example.com"] },
+      ssn: { $exists: true },
+    });
+    expect(result.ExpressionAttributeValues[":v1"]).toBe(
+      Patient.fields.email.toDy("ann@example.com"),
+    );
+
+    expect(() => build({ email: { $beginsWith: "ann" } })).toThrow(QueryError);
+    expect(() => build({ ssn: "123-45-6789" })).toThrow(
+      "Operator $eq cannot be used on non-deterministic EncryptedField ssn",
+    );
+    expect(() => build({ bornAt: new Date() })).toThrow(QueryError);
+  });
+
+  test("reads values written with earlier keys after rotation", () => {
+    const { ssn } = Patient.fields;
+    const old = ssn.toDy("123-45-6789");
+
+    dynamoBao.setKeyProvider(
+      dynamoBao.createStaticKeyProvider({ keys, currentKeyId: "k2" }),
+    );
+    expect(ssn.fromDy(old)).toBe("123-45-6789");
+    const rotated = ssn.toDy("123-45-6789");
+    expect(encryption.getKeyId(rotated)).toBe("k2");
+
+    // The header is authenticated with the ciphertext
+    expect(() => ssn.fromDy(old.replace(".k1.", ".k2."))).toThrow(
+      DataFormatError,
+    );
+    expect(() => ssn.fromDy(`${rotated.slice(0, -2)}AA`)).toThrow(
+      'Failed to decrypt value encrypted with key "k2"',
+    );
+    expect(() => ssn.fromDy("123-45-6789")).toThrow(DataFormatError);
+
+    dynamoBao.setKeyProvider(
+      dynamoBao.createStaticKeyProvider({
+        keys: { k2: keys.k2 },
+        currentKeyId: "k2",
+      }),
+    );
+    expect(() => ssn.fromDy(old)).toThrow('Unknown encryption key "k1"');
+
+    dynamoBao.setKeyProvider(null);
+    expect(() => ssn.toDy("x")).toThrow(/No encryption key provider is set/);
+  });
+
+  test("key providers are validated and set by initModels", () => {
+    expect(() =>
+      dynamoBao.createStaticKeyProvider({
+        keys: { k1: Buffer.alloc(16) },
+        currentKeyId: "k1",
+      }),
+    ).toThrow('Encryption key "k1" must be 32 bytes');
+    expect(() =>
+      dynamoBao.createStaticKeyProvider({ keys, currentKeyId: "k3" }),
+    ).toThrow(ConfigurationError);
+    expect(() =>
+      dynamoBao.createStaticKeyProvider({
+        keys: { "k.1": keys.k2 },
+        currentKeyId: "k.1",
+      }),
+    ).toThrow(/Invalid encryption key ID/);
+    expect(() => dynamoBao.setKeyProvider({ currentKeyId: "k1" })).toThrow(
+      ConfigurationError,
+    );
+
+    const keyProvider = {
+      currentKeyId: () => "k2",
+      getKey: (keyId) => Buffer.from(keys[keyId], "base64"),
+    };
+    dynamoBao.initModels({
+      ...testConfig,
+      models: {},
+      encryption: { keyProvider },
+    });
+    expect(encryption.getKeyProvider()).toBe(keyProvider);
+    expect(encryption.getKeyId(encryption.encrypt("x"))).toBe("k2");
+  });
+
+  test("encrypted fields are validated", () => {
+    const makeModel = (place, { index, constraint, primaryKey } = {}) =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "eni";
+        static fields = {
+          itemId: StringField({ required: true }),
+          name: StringField(),
+          place,
+        };
+        static primaryKey = dynamoBao.PrimaryKeyConfig(primaryKey || "itemId");
+        static indexes = index
+          ? { byPlace: dynamoBao.IndexConfig(...index, GSI_INDEX_ID1) }
+          : {};
+        static uniqueConstraints = constraint
+          ? {
+              uniquePlace: dynamoBao.UniqueConstraintConfig(
+                "place",
+                UNIQUE_CONSTRAINT_ID1,
+              ),
+            }
+          : {};
+      };
+
+    expect(() => EncryptedField({ field: MapField() })).toThrow(
+      "MapField cannot be encrypted",
+    );
+    expect(() =>
+      makeModel(EncryptedField(), {
+        index: ["place", "itemId"],
+      })._validateConfiguration(),
+    ).toThrow(/must be deterministic to be used as partition key/);
+    expect(() =>
+      makeModel(EncryptedField({ deterministic: true }), {
+        index: ["name", "place"],
+      })._validateConfiguration(),
+    ).toThrow(/cannot be used as sort key/);
+    expect(() =>
+      makeModel(EncryptedField(), {
+        constraint: true,
+      })._validateConfiguration(),
+    ).toThrow(/must be deterministic to be used in a unique constraint/);
+    expect(() =>
+      makeModel(EncryptedField({ deterministic: true }), {
+        primaryKey: "place",
+      })._validateConfiguration(),
+    ).toThrow(/cannot be part of the primary key/);
+    expect(() =>
+      makeModel(EncryptedField({ deterministic: true }), {
+        index: ["place", "itemId"],
+        constraint: true,
+      })._validateConfiguration(),
+    ).not.toThrow();
+  });
+
+  describe("YAML", () => {
+    const makeUser = (fields, extra = {}) => ({
+      User: {
+        modelPrefix: "u",
+        fields: {
+          userId: { type: "UlidField", autoAssign: true },
+          ...fields,
+        },
+        primaryKey: { partitionKey: "userId" },
+        ...extra,
+      },
+    });
+
+    test("applyModelDefaults validates the encrypted option", () => {
+      expect(() =>
+        applyModelDefaults(
+          makeUser({ ssn: { type: "StringField", encrypted: "yes" } }),
+        ),
+      ).toThrow(/`encrypted` must be true or \{ deterministic: true\|false \}/);
+      expect(() =>
+        applyModelDefaults(
+          makeUser({ tags: { type: "StringSetField", encrypted: true } }),
+        ),
+      ).toThrow(/StringSetField "tags" cannot be encrypted/);
+      expect(() =>
+        applyModelDefaults(
+          makeUser(
+            { email: { type: "EmailField", encrypted: true } },
+            {
+              uniqueConstraints: {
+                uniqueEmail: { field: "email", uniqueConstraintId: "uc1" },
+              },
+            },
+          ),
+        ),
+      ).toThrow(/needs field "email" to be `encrypted: \{ deterministic/);
+    });
+
+    test("the generator wraps encrypted fields", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeUser({
+              ssn: { type: "StringField", encrypted: true },
+              email: {
+                type: "EmailField",
+                required: true,
+                encrypted: { deterministic: true },
+              },
+            }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "user.js"), "utf8");
+        expect(code).toContain(
+          "ssn: EncryptedField({ field: StringField() }),",
+        );
+        expect(code).toContain(
+          "email: EncryptedField({ field: EmailField({ required: true }), deterministic: true }),",
+        );
+        expect(code).toMatch(/EncryptedField,[\s\S]*require\(/);
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { ValidationError, ConfigurationError } = require("../src/exceptions");
+const { GSI_INDEX_ID1 } = require("../src/constants");
+
+const { EnumField, StringField } = dynamoBao.fields;
+
+class EnPost extends dynamoBao.BaoModel {
+  static modelPrefix = "enp";
+  static fields = {
+    postId: StringField({ required: true }),
+    status: EnumField({
+      values: ["draft", "published", "archived"],
+      required: true,
+    }),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("postId");
+  static indexes = {
+    byStatus: dynamoBao.IndexConfig("status", "postId", GSI_INDEX_ID1),
+  };
+}
+
+describe("EnumField", () => {
+  let Post, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(EnPost);
+    Post = manager.getModel("EnPost");
+    table = stubDocumentClient(Post);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("validates values on assignment and on save", async () => {
+    const post = new Post({ postId: "p1", status: "draft" });
+    post.status = "published";
+    expect(post.status).toBe("published");
+    expect(() => {
+      post.status = "deleted";
+    }).toThrow(
+      'Invalid value "deleted". Expected one of: draft, published, archived',
+    );
+    expect(post.status).toBe("published");
+
+    await expect(
+      Post.create({ postId: "p2", status: "deleted" }),
+    ).rejects.toThrow(ValidationError);
+    await expect(Post.create({ postId: "p2" })).rejects.toThrow(
+      ValidationError,
+    );
+    expect(table.sent).toHaveLength(0);
+  });
+
+  test("can key an index", async () => {
+    expect(() => Post._validateConfiguration()).not.toThrow();
+
+    await Post.create({ postId: "p1", status: "published" });
+    const values = table.sent[0].input.ExpressionAttributeValues;
+    expect(values[":_gsi1_pk"]).toMatch(/#enp#gsi1#published$/);
+  });
+
+  test("requires a list of string values", () => {
+    expect(() => EnumField()).toThrow(ConfigurationError);
+    expect(() => EnumField({ values: [] })).toThrow(ConfigurationError);
+    expect(() => EnumField({ values: ["a", 1] })).toThrow(ConfigurationError);
+    expect(EnumField({ values: ["a"] }).values).toEqual(["a"]);
+  });
+
+  describe("YAML", () => {
+    const makePost = (values) => ({
+      Post: {
+        modelPrefix: "p",
+        fields: {
+          postId: { type: "UlidField", autoAssign: true },
+          status: { type: "EnumField", values },
+        },
+        primaryKey: { partitionKey: "postId" },
+      },
+    });
+
+    test("applyModelDefaults rejects invalid values", () => {
+      expect(() => applyModelDefaults(makePost())).toThrow(/values/);
+      expect(() => applyModelDefaults(makePost([]))).toThrow(/values/);
+      expect(() => applyModelDefaults(makePost(["a", "a"]))).toThrow(
+        /"a" more than once/,
+      );
+    });
+
+    test("the generator emits the field and constants", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        const resolver = new FieldResolver(builtInFields, null);
+        generateModelFiles(
+          applyModelDefaults(makePost(["draft", "inReview", "2fa-pending"])),
+          outputDir,
+          resolver,
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "post.js"), "utf8");
+        expect(code).toContain(
+          `status: EnumField({ values: ["draft","inReview","2fa-pending"] }),`,
+        );
+        expect(code).toContain(
+          `static Status = Object.freeze({ DRAFT: "draft", IN_REVIEW: "inReview", _2FA_PENDING: "2fa-pending", values: Object.freeze(["draft","inReview","2fa-pending"]) });`,
+        );
+
+        expect(() =>
+          generateModelFiles(
+            applyModelDefaults(makePost(["in-review", "in review"])),
+            outputDir,
+            resolver,
+            "commonjs",
+          ),
+        ).toThrow(/unique constant name/);
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
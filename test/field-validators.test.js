@@ -0,0 +1,286 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { ValidationError, ConfigurationError } = require("../src/exceptions");
+
+const {
+  StringField,
+  IntegerField,
+  DateTimeField,
+  StringSetField,
+  ListField,
+  MapField,
+} = dynamoBao.fields;
+
+dynamoBao.registerValidator("fvEven", (value) =>
+  value % 2 === 0 ? true : "Value must be even",
+);
+
+class FvUser extends dynamoBao.BaoModel {
+  static modelPrefix = "fvu";
+  static fields = {
+    userId: StringField({ required: true }),
+    handle: StringField({
+      required: true,
+      minLength: 3,
+      maxLength: 10,
+      pattern: "^[a-z0-9_]+$",
+    }),
+    age: IntegerField({ min: 13, max: 130 }),
+    plan: StringField({ oneOf: ["free", "pro"] }),
+    seats: IntegerField({ custom: "fvEven" }),
+    tags: StringSetField({ maxLength: 2 }),
+    address: MapField({
+      fields: { zip: StringField({ pattern: /^\d{5}$/ }) },
+    }),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("userId");
+}
+
+describe("Field validators", () => {
+  let User, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(FvUser);
+    User = manager.getModel("FvUser");
+    table = stubDocumentClient(User);
+    table.putRow({
+      ...User._getDyKeyForPkSk({ pk: "u1" }),
+      userId: "u1",
+      handle: "ann",
+    });
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("each rule is checked", () => {
+    const { fields } = User;
+    expect(fields.handle.checkRules("ann_1")).toBe(true);
+    expect(() => fields.handle.checkRules("an")).toThrow(
+      "Value is shorter than minimum length of 3",
+    );
+    expect(() => fields.handle.checkRules("a".repeat(11))).toThrow(
+      "Value exceeds maximum length of 10",
+    );
+    expect(() => fields.handle.checkRules("Ann")).toThrow(
+      "Value does not match pattern /^[a-z0-9_]+$/",
+    );
+    expect(() => fields.age.checkRules(12)).toThrow(
+      "Value is less than minimum of 13",
+    );
+    expect(() => fields.age.checkRules(131)).toThrow(
+      "Value exceeds maximum of 130",
+    );
+    expect(() => fields.plan.checkRules("team")).toThrow(
+      "Value must be one of: free, pro",
+    );
+    expect(() => fields.seats.checkRules(3)).toThrow("Value must be even");
+    expect(() => fields.tags.checkRules(new Set(["a", "b", "c"]))).toThrow(
+      "Value exceeds maximum length of 2",
+    );
+
+    // Null values are left to `required`, and update operators aren't checked
+    expect(fields.age.checkRules(null)).toBe(true);
+    expect(fields.age.checkRules({ $add: 500 })).toBe(true);
+
+    const since = DateTimeField({ min: "2020-01-01T00:00:00Z" });
+    expect(since.checkRules(new Date("2021-06-01"))).toBe(true);
+    expect(() => since.checkRules(new Date("2019-06-01"))).toThrow(
+      "Value is less than minimum of 2020-01-01T00:00:00Z",
+    );
+
+    const custom = StringField({ custom: (value) => value !== "root" });
+    expect(() => custom.checkRules("root")).toThrow(
+      "Value failed custom validation",
+    );
+
+    const items = ListField({ itemField: StringField({ maxLength: 2 }) });
+    expect(() => items.validate(["ok", "long"])).toThrow(
+      "[1]: Value exceeds maximum length of 2",
+    );
+  });
+
+  test("malformed rules and unknown validators are configuration errors", () => {
+    expect(() => StringField({ minLength: -1 })).toThrow(ConfigurationError);
+    expect(() => StringField({ pattern: "(" })).toThrow(/Invalid pattern/);
+    expect(() => IntegerField({ min: "soon" })).toThrow(
+      "min must be a number or a date",
+    );
+    expect(() => StringField({ oneOf: [] })).toThrow(
+      "oneOf must be a non-empty array",
+    );
+    expect(() => dynamoBao.registerValidator("x")).toThrow(ConfigurationError);
+    expect(() => StringField({ custom: "fvMissing" }).checkRules("a")).toThrow(
+      'Unknown validator "fvMissing"',
+    );
+
+    // Field validators can't be async
+    const pending = StringField({ custom: async () => false });
+    expect(() => pending.checkRules("x")).toThrow(ConfigurationError);
+    expect(() => pending.checkRules("x")).toThrow(
+      "A custom validator returned a promise",
+    );
+  });
+
+  test("create reports every failing field in one error", async () => {
+    let error;
+    try {
+      await User.create({
+        userId: "u1",
+        age: 9,
+        plan: "team",
+        seats: 3,
+        address: { zip: "abc" },
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual({
+      handle: "Field is required",
+      age: "Value is less than minimum of 13",
+      plan: "Value must be one of: free, pro",
+      seats: "Value must be even",
+      address: "zip: Value does not match pattern /^\\d{5}$/",
+    });
+    expect(error.message).toContain("handle: Field is required; age: ");
+    expect(error.fieldName).toBeNull();
+    expect(table.sent).toHaveLength(0);
+
+    await expect(
+      User.create({ userId: "u1", handle: "ann", age: 9 }),
+    ).rejects.toMatchObject({
+      fieldName: "age",
+      value: 9,
+      errors: { age: "Value is less than minimum of 13" },
+    });
+  });
+
+  test("updates and saves check only the changed fields", async () => {
+    await expect(
+      User.update("u1", { handle: "x", seats: 5 }),
+    ).rejects.toMatchObject({
+      errors: {
+        handle: "Value is shorter than minimum length of 3",
+        seats: "Value must be even",
+      },
+    });
+    expect(table.sentOf("UpdateCommand")).toEqual([]);
+
+    const user = await User.update("u1", { age: 40 });
+    user.plan = "gold";
+    await expect(user.save()).rejects.toThrow(
+      "plan: Value must be one of: free, pro",
+    );
+  });
+
+  test("batch writes report invalid items with their errors", async () => {
+    const result = await User.batchCreate([
+      { userId: "u1", handle: "ann" },
+      { userId: "u2", handle: "B", age: 200 },
+    ]);
+
+    expect(result.items).toHaveLength(1);
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0].index).toBe(1);
+    expect(result.failed[0].error.errors).toEqual({
+      handle: "Value is shorter than minimum length of 3",
+      age: "Value exceeds maximum of 130",
+    });
+  });
+
+  describe("YAML", () => {
+    const makeUser = (fields) => ({
+      User: {
+        modelPrefix: "u",
+        fields: {
+          userId: { type: "UlidField", autoAssign: true },
+          ...fields,
+        },
+        primaryKey: { partitionKey: "userId" },
+      },
+    });
+
+    test("applyModelDefaults validates the rules", () => {
+      expect(() =>
+        applyModelDefaults(
+          makeUser({ name: { type: "StringField", maxLength: 1.5 } }),
+        ),
+      ).toThrow(/field "name" `maxLength` must be a non-negative integer/);
+      expect(() =>
+        applyModelDefaults(
+          makeUser({ name: { type: "StringField", pattern: "[" } }),
+        ),
+      ).toThrow(/field "name" `pattern` must be a regular expression string/);
+      expect(() =>
+        applyModelDefaults(
+          makeUser({ age: { type: "IntegerField", max: "lots" } }),
+        ),
+      ).toThrow(/field "age" `max` must be a number or a date/);
+      expect(() =>
+        applyModelDefaults(
+          makeUser({ plan: { type: "StringField", oneOf: "a" } }),
+        ),
+      ).toThrow(/`oneOf` must be a non-empty array/);
+      expect(() =>
+        applyModelDefaults(
+          makeUser({ slug: { type: "StringField", custom: 1 } }),
+        ),
+      ).toThrow(/`custom` must be the name of a registered validator/);
+    });
+
+    test("the generator passes the rules through", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeUser({
+              handle: {
+                type: "StringField",
+                minLength: 3,
+                pattern: "^[a-z/]+$",
+              },
+              age: { type: "IntegerField", min: 13 },
+              plan: { type: "StringField", oneOf: ["free", "pro"] },
+              slug: { type: "StringField", custom: "slug" },
+              // Unquoted, so YAML reads it as a Date
+              startsAt: yaml.load("type: DateTimeField\nmin: 2024-01-01"),
+            }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "user.js"), "utf8");
+        expect(code).toContain(
+          "handle: StringField({ minLength: 3, pattern: /^[a-z/]+$/ }),",
+        );
+        expect(code).toContain("age: IntegerField({ min: 13 }),");
+        expect(code).toContain('plan: StringField({ oneOf: ["free","pro"] }),');
+        expect(code).toContain("slug: StringField({ custom: 'slug' }),");
+        expect(code).toContain(
+          "startsAt: DateTimeField({ min: new Date('2024-01-01T00:00:00.000Z') }),",
+        );
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const geohash = require("../src/utils/geohash");
+const {
+  ValidationError,
+  QueryError,
+  ConfigurationError,
+} = require("../src/exceptions");
+const { GSI_INDEX_ID1, GSI_INDEX_ID2 } = require("../src/constants");
+
+const { GeoPointField, StringField } = dynamoBao.fields;
+
+class GpStore extends dynamoBao.BaoModel {
+  static modelPrefix = "gps";
+  static fields = {
+    storeId: StringField({ required: true }),
+    name: StringField(),
+    location: GeoPointField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("storeId");
+  static indexes = {
+    byLocation: dynamoBao.IndexConfig("location", "storeId", GSI_INDEX_ID1, {
+      geohashPrecision: 5,
+    }),
+    byName: dynamoBao.IndexConfig("name", "storeId", GSI_INDEX_ID2),
+  };
+}
+
+// A point `km` kilometers north and east of `from`
+const offset = (from, northKm, eastKm = 0) => ({
+  lat: from.lat + northKm / 111.195,
+  lng: from.lng + eastKm / (111.195 * Math.cos((from.lat * Math.PI) / 180)),
+});
+
+describe("GeoPointField", () => {
+  let Store, table;
+
+  const center = { lat: 37.7749, lng: -122.4194 };
+
+  // One item per page, so every page of each cell is read
+  const queryPage = async ({ constructor, input }, memoryTable) => ({
+    ...(await memoryTable.send({ constructor, input: { ...input, Limit: 1 } })),
+    ConsumedCapacity: { CapacityUnits: 0.5 },
+  });
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(GpStore);
+    Store = manager.getModel("GpStore");
+    table = stubDocumentClient(Store, (command, memoryTable) =>
+      command.constructor.name === "QueryCommand"
+        ? queryPage(command, memoryTable)
+        : undefined,
+    );
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("stores points and indexes them by geohash cell", async () => {
+    const store = await Store.create({
+      storeId: "s1",
+      location: center,
+    });
+
+    const values =
+      table.sentOf("UpdateCommand")[0].input.ExpressionAttributeValues;
+    expect(values[":location"]).toEqual(center);
+    expect(values[":_gsi1_pk"]).toMatch(/#gps#gsi1#9q8yy$/);
+
+    expect(store.location).toEqual(center);
+    expect(Object.isFrozen(store.location)).toBe(true);
+
+    const field = Store.fields.location;
+    expect(field.toGsi(center)).toBe(geohash.encode(center.lat, center.lng));
+    expect(field.toGsi("9q8yy")).toBe("9q8yy");
+    const decoded = field.fromGsi(field.toGsi(center));
+    expect(decoded.lat).toBeCloseTo(center.lat, 6);
+    expect(decoded.lng).toBeCloseTo(center.lng, 6);
+  });
+
+  test("validates points", async () => {
+    const field = GeoPointField();
+    expect(field.validate(null)).toBe(true);
+    expect(() => field.validate({ lat: 91, lng: 0 })).toThrow(ValidationError);
+    expect(() => field.validate({ lat: 0 })).toThrow(
+      "GeoPointField value must be { lat, lng }",
+    );
+    expect(() => field.validate([1, 2])).toThrow(ValidationError);
+
+    await expect(
+      Store.create({ storeId: "s1", location: { lat: "1", lng: 2 } }),
+    ).rejects.toThrow(ValidationError);
+    expect(table.sentOf("UpdateCommand")).toHaveLength(0);
+  });
+
+  test("queryNearby returns items within the radius, nearest first", async () => {
+    const points = {
+      far: offset(center, 4, -2), // ~4.5km
+      near: offset(center, 0.3, 0.3), // ~0.4km
+      mid: offset(center, -2), // 2km
+      outside: offset(center, 5, 5), // ~7km, inside a covering cell
+      distant: offset(center, 50), // outside every covering cell
+    };
+    for (const [storeId, location] of Object.entries(points)) {
+      await Store.create({ storeId, location });
+    }
+    table.sent.length = 0;
+
+    const result = await Store.queryNearbyByIndex("byLocation", {
+      ...center,
+      radiusKm: 5,
+    });
+
+    expect(result.items.map((store) => store.storeId)).toEqual([
+      "near",
+      "mid",
+      "far",
+    ]);
+    expect(result.count).toBe(3);
+    expect(result.distances[0]).toBeCloseTo(0.42, 1);
+    expect(result.distances[1]).toBeCloseTo(2, 1);
+    expect(result.distances[2]).toBeCloseTo(Math.hypot(4, 2), 1);
+
+    // Every covering cell is queried, and every page of each
+    const cells = geohash.coveringCells({ ...center, radiusKm: 5 }, 5);
+    const queried = new Set(
+      table
+        .sentOf("QueryCommand")
+        .map((c) => c.input.ExpressionAttributeValues[":pk"].split("#").pop()),
+    );
+    expect([...queried].sort()).toEqual([...cells].sort());
+    expect(
+      queried.has(geohash.encode(points.outside.lat, points.outside.lng, 5)),
+    ).toBe(true);
+    expect(result.consumedCapacity.CapacityUnits).toBe(
+      table.sentOf("QueryCommand").length * 0.5,
+    );
+
+    const limited = await Store.queryNearbyByIndex(
+      "byLocation",
+      { ...center, radiusKm: 5 },
+      { limit: 2 },
+    );
+    expect(limited.items.map((store) => store.storeId)).toEqual([
+      "near",
+      "mid",
+    ]);
+  });
+
+  test("queryNearby rejects bad arguments", async () => {
+    await expect(
+      Store.queryNearbyByIndex("byName", { ...center, radiusKm: 1 }),
+    ).rejects.toThrow(/is not a geo index/);
+    await expect(
+      Store.queryNearbyByIndex("byLocation", { lat: 100, lng: 0, radiusKm: 1 }),
+    ).rejects.toThrow(QueryError);
+    await expect(
+      Store.queryNearbyByIndex("byLocation", { ...center, radiusKm: 0 }),
+    ).rejects.toThrow("radiusKm must be a positive number");
+    await expect(
+      Store.queryNearbyByIndex("byLocation", { ...center, radiusKm: 500 }),
+    ).rejects.toThrow(/covers more than 64 geohash cells/);
+    expect(table.sentOf("QueryCommand")).toHaveLength(0);
+  });
+
+  test("covering cells wrap at the antimeridian and widen at the poles", () => {
+    const cells = geohash.coveringCells(
+      { lat: 0, lng: 179.99, radiusKm: 10 },
+      5,
+    );
+    const lngs = cells.map((cell) => geohash.decode(cell).lng);
+    expect(lngs.some((lng) => lng > 179)).toBe(true);
+    expect(lngs.some((lng) => lng < -179)).toBe(true);
+
+    const polar = geohash.coveringCells({ lat: 89.9, lng: 0, radiusKm: 50 }, 2);
+    expect(polar).toHaveLength(32); // Every cell in the top row
+  });
+
+  test("geo indexes are validated", () => {
+    const makeModel = (fieldType, indexOptions) =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "gpi";
+        static fields = {
+          itemId: StringField({ required: true }),
+          place: fieldType,
+        };
+        static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+        static indexes = {
+          byPlace: dynamoBao.IndexConfig(
+            "place",
+            "itemId",
+            GSI_INDEX_ID1,
+            indexOptions,
+          ),
+        };
+      };
+
+    expect(() => makeModel(GeoPointField())._validateConfiguration()).toThrow(
+      /can only be used as partition key .* with a geohashPrecision/,
+    );
+    expect(() =>
+      makeModel(StringField(), {
+        geohashPrecision: 5,
+      })._validateConfiguration(),
+    ).toThrow(/partition key must be a GeoPointField/);
+    expect(() =>
+      makeModel(GeoPointField(), {
+        geohashPrecision: 13,
+      })._validateConfiguration(),
+    ).toThrow(ConfigurationError);
+    expect(() =>
+      makeModel(GeoPointField(), {
+        geohashPrecision: 6,
+      })._validateConfiguration(),
+    ).not.toThrow();
+  });
+
+  describe("YAML", () => {
+    const makeStore = (index) => ({
+      Store: {
+        modelPrefix: "st",
+        fields: {
+          storeId: { type: "UlidField", autoAssign: true },
+          location: { type: "GeoPointField" },
+        },
+        primaryKey: { partitionKey: "storeId" },
+        indexes: { byLocation: index },
+      },
+    });
+
+    test("applyModelDefaults validates geohashPrecision", () => {
+      expect(() =>
+        applyModelDefaults(
+          makeStore({
+            partitionKey: "location",
+            sortKey: "storeId",
+            indexId: "gsi1",
+            geohashPrecision: 0,
+          }),
+        ),
+      ).toThrow(/geohashPrecision must be an integer between 1 and 12/);
+      expect(() =>
+        applyModelDefaults(
+          makeStore({
+            partitionKey: "storeId",
+            sortKey: "location",
+            indexId: "gsi1",
+            geohashPrecision: 5,
+          }),
+        ),
+      ).toThrow(/partitionKey must be a GeoPointField/);
+    });
+
+    test("the generator emits the index option and queryNearby", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeStore({
+              partitionKey: "location",
+              sortKey: "storeId",
+              indexId: "gsi1",
+              geohashPrecision: 5,
+            }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "store.js"), "utf8");
+        expect(code).toContain("location: GeoPointField(),");
+        expect(code).toContain(
+          "byLocation: IndexConfig('location', 'storeId', GSI_INDEX_ID1, { geohashPrecision: 5 }),",
+        );
+        expect(code).toContain(
+          "static async queryNearby(center, options = {}) {\n    return await this.queryNearbyByIndex('byLocation', center, options);",
+        );
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
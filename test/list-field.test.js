@@ -0,0 +1,208 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { FilterExpressionBuilder } = require("../src/filter-expression");
+const { marshall } = require("../src/dynamodb-client");
+const { ValidationError, ConfigurationError } = require("../src/exceptions");
+
+const { ListField, MapField, StringField, DateTimeField } = dynamoBao.fields;
+
+class LsPost extends dynamoBao.BaoModel {
+  static modelPrefix = "lsp";
+  static fields = {
+    postId: StringField({ required: true }),
+    title: StringField(),
+    tags: ListField({ itemField: StringField(), maxLength: 5 }),
+    dates: ListField({ itemField: DateTimeField() }),
+    links: ListField({
+      itemField: MapField({ fields: { url: StringField({ required: true }) } }),
+    }),
+    extra: ListField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("postId");
+}
+
+describe("ListField", () => {
+  let Post, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(LsPost);
+    Post = manager.getModel("LsPost");
+    table = stubDocumentClient(Post);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("stores lists as DynamoDB lists and converts elements", async () => {
+    const date = new Date("2024-05-01T00:00:00Z");
+    const post = await Post.create({
+      postId: "p1",
+      tags: ["a", "b"],
+      dates: [date],
+      extra: [1, { nested: ["x"] }],
+    });
+
+    const values =
+      table.sentOf("UpdateCommand")[0].input.ExpressionAttributeValues;
+    expect(marshall(values[":tags"])).toEqual({
+      L: [{ S: "a" }, { S: "b" }],
+    });
+    expect(values[":dates"]).toEqual([date.getTime()]);
+    expect(marshall(values[":extra"]).L[1].M.nested).toEqual({
+      L: [{ S: "x" }],
+    });
+
+    expect(post.dates).toEqual([date]);
+    expect(post.links).toEqual([]);
+  });
+
+  test("appends and prepends are saved with list_append", async () => {
+    await Post.create({ postId: "p1", tags: ["b"] });
+    const post = await Post.find("p1");
+
+    post.tags.push("c", "d");
+    expect(post.hasChanges()).toBe(true);
+    await post.save();
+    expect(table.lastUpdate().UpdateExpression).toContain(
+      "#tags = list_append(#tags, :tags)",
+    );
+    expect(
+      marshall(table.lastUpdate().ExpressionAttributeValues[":tags"]),
+    ).toEqual({
+      L: [{ S: "c" }, { S: "d" }],
+    });
+
+    post.tags.unshift("a");
+    await post.save();
+    expect(table.lastUpdate().UpdateExpression).toContain(
+      "#tags = list_append(:tags, #tags)",
+    );
+
+    const stored = await Post.find("p1", { batchDelay: 0 });
+    expect(stored.tags).toEqual(["a", "b", "c", "d"]);
+  });
+
+  test("removed elements are saved as indexed REMOVEs", async () => {
+    await Post.create({ postId: "p1", tags: ["a", "b", "c", "d"] });
+    const post = await Post.find("p1");
+
+    post.tags.splice(1, 1);
+    post.tags.pop();
+    await post.save();
+
+    expect(table.lastUpdate().UpdateExpression).toBe(
+      "REMOVE #tags[1], #tags[3]",
+    );
+    const stored = await Post.find("p1", { batchDelay: 0 });
+    expect(stored.tags).toEqual(["a", "c"]);
+  });
+
+  test("other changes rewrite the whole list and unchanged lists are skipped", async () => {
+    await Post.create({ postId: "p1", tags: ["a", "b"] });
+    const post = await Post.find("p1");
+
+    post.tags[0] = "z";
+    await post.save();
+    expect(table.lastUpdate().UpdateExpression).toContain("#tags = :tags");
+
+    post.tags = ["z", "b"];
+    post.title = "T";
+    await post.save();
+    expect(table.lastUpdate().UpdateExpression).not.toMatch(/tags/);
+
+    post.tags = null;
+    await post.save();
+    expect(table.lastUpdate().UpdateExpression).toContain("REMOVE #tags");
+  });
+
+  test("validates elements and length", async () => {
+    await expect(
+      Post.create({ postId: "p1", tags: ["a", "b", "c", "d", "e", "f"] }),
+    ).rejects.toThrow("List exceeds maximum length of 5");
+    await expect(Post.create({ postId: "p1", tags: "a" })).rejects.toThrow(
+      ValidationError,
+    );
+    await expect(
+      Post.create({ postId: "p1", links: [{ url: "x" }, {}] }),
+    ).rejects.toThrow("[1].url: Field is required");
+    await expect(
+      Post.create({ postId: "p1", extra: [new Set()] }),
+    ).rejects.toThrow("[0]: Unsupported value in ListField");
+    expect(table.sentOf("UpdateCommand")).toHaveLength(0);
+  });
+
+  test("filters convert single elements and cannot be indexed", () => {
+    const date = new Date(1000);
+    const result = new FilterExpressionBuilder().build(
+      { dates: { $contains: date }, tags: { $size: { $gt: 1 } } },
+      Post,
+    );
+    expect(result.FilterExpression).toBe(
+      "contains(#n1, :v1) AND size(#n2) > :v2",
+    );
+    expect(result.ExpressionAttributeValues[":v1"]).toBe(1000);
+
+    class LsIndexed extends dynamoBao.BaoModel {
+      static modelPrefix = "lsi";
+      static fields = {
+        itemId: StringField({ required: true }),
+        items: ListField(),
+      };
+      static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+      static indexes = {
+        byItems: dynamoBao.IndexConfig("items", "itemId", "gsi1"),
+      };
+    }
+    expect(() => LsIndexed._validateConfiguration()).toThrow(
+      ConfigurationError,
+    );
+  });
+
+  test("the generator renders the element field", () => {
+    const outputDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+    );
+    try {
+      const resolver = new FieldResolver(builtInFields, null);
+      generateModelFiles(
+        applyModelDefaults({
+          Post: {
+            modelPrefix: "p",
+            fields: {
+              postId: { type: "UlidField", autoAssign: true },
+              tags: {
+                type: "ListField",
+                itemField: { type: "StringField", maxLength: 20 },
+                maxLength: 10,
+              },
+            },
+            primaryKey: { partitionKey: "postId" },
+          },
+        }),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const code = fs.readFileSync(path.join(outputDir, "post.js"), "utf8");
+      expect(code).toContain(
+        "tags: ListField({ itemField: StringField({ maxLength: 20 }), maxLength: 10 }),",
+      );
+      expect(code).toMatch(/StringField\n\} = require/);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,270 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { FilterExpressionBuilder } = require("../src/filter-expression");
+const { marshall, unmarshall } = require("../src/dynamodb-client");
+const {
+  ValidationError,
+  QueryError,
+  ConfigurationError,
+} = require("../src/exceptions");
+
+const { MapField, StringField, DateTimeField, IntegerField } = dynamoBao.fields;
+
+class MpUser extends dynamoBao.BaoModel {
+  static modelPrefix = "mpu";
+  static fields = {
+    userId: StringField({ required: true }),
+    name: StringField(),
+    address: MapField({
+      fields: {
+        street: StringField(),
+        city: StringField({ required: true }),
+        movedAt: DateTimeField(),
+        geo: MapField({
+          fields: {
+            lat: IntegerField({ required: true }),
+            lng: IntegerField(),
+          },
+        }),
+      },
+    }),
+    settings: MapField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("userId");
+}
+
+describe("MapField", () => {
+  let User, table;
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(MpUser);
+    User = manager.getModel("MpUser");
+    table = stubDocumentClient(User);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("stores nested values through the schema fields", async () => {
+    const movedAt = new Date("2024-05-01T00:00:00Z");
+    const user = await User.create({
+      userId: "u1",
+      address: { city: "Austin", movedAt, street: null },
+      settings: { theme: "dark", tags: ["a", "b"] },
+    });
+
+    const stored =
+      table.sentOf("UpdateCommand")[0].input.ExpressionAttributeValues;
+    expect(stored[":address"]).toEqual({
+      city: "Austin",
+      movedAt: movedAt.getTime(),
+    });
+    expect(marshall(stored[":settings"]).M.tags).toEqual({
+      L: [{ S: "a" }, { S: "b" }],
+    });
+
+    expect(user.address.movedAt).toEqual(movedAt);
+    expect(user.address.street).toBeUndefined();
+    expect(user.settings.tags).toEqual(["a", "b"]);
+  });
+
+  test("nested changes are tracked and saved as path updates", async () => {
+    await User.create({
+      userId: "u1",
+      address: { city: "Austin", street: "1 Main", geo: { lat: 1, lng: 2 } },
+      settings: { theme: "dark", tags: ["a"] },
+    });
+    const user = await User.find("u1");
+
+    user.address.city = "Dallas";
+    user.address.geo.lat = 3;
+    delete user.settings.theme;
+    user.settings.tags.push("b");
+    expect(user.hasChanges()).toBe(true);
+    expect(user._loadedDyData.address.city).toBe("Austin");
+
+    await user.save();
+
+    const { input } = table.sentOf("UpdateCommand").at(-1);
+    const setClause = input.UpdateExpression.match(/SET (.*?)(?: REMOVE|$)/)[1];
+    expect(setClause).toContain("#address.#address_k0 = :address_p0");
+    expect(setClause).toContain(
+      "#address.#address_k1.#address_k2 = :address_p1",
+    );
+    expect(input.UpdateExpression).toContain("REMOVE #settings.#settings_k1");
+    expect(input.ExpressionAttributeNames).toMatchObject({
+      "#address": "address",
+      "#address_k0": "city",
+      "#address_k1": "geo",
+      "#address_k2": "lat",
+      "#settings_k1": "theme",
+    });
+    expect(input.ExpressionAttributeValues).not.toHaveProperty(":address");
+
+    const stored = await User.find("u1", { batchDelay: 0 });
+    expect(stored.address).toEqual({
+      city: "Dallas",
+      street: "1 Main",
+      geo: { lat: 3, lng: 2 },
+    });
+    expect(stored.settings).toEqual({ tags: ["a", "b"] });
+  });
+
+  test("unchanged maps are not written and replaced maps are set whole", async () => {
+    await User.create({ userId: "u1", name: "A", address: { city: "Austin" } });
+    const user = await User.find("u1");
+
+    user.address = { city: "Austin" };
+    user.name = "B";
+    await user.save();
+    expect(
+      table.sentOf("UpdateCommand").at(-1).input.UpdateExpression,
+    ).not.toMatch(/address/);
+
+    await User.create({ userId: "u2", name: "A" });
+    const other = await User.find("u2", { batchDelay: 0 });
+    other.address = { city: "Austin" };
+    await other.save();
+    expect(
+      table.sentOf("UpdateCommand").at(-1).input.UpdateExpression,
+    ).toContain("#address = :address");
+
+    other.address = null;
+    await other.save();
+    expect(
+      table.sentOf("UpdateCommand").at(-1).input.UpdateExpression,
+    ).toContain("REMOVE #address");
+  });
+
+  test("validates nested values against the schema", async () => {
+    await expect(
+      User.create({ userId: "u1", address: { street: "1 Main" } }),
+    ).rejects.toThrow("city: Field is required");
+    await expect(
+      User.create({ userId: "u1", address: { city: "Austin", zip: "1" } }),
+    ).rejects.toThrow("Unknown key in MapField: zip");
+    await expect(
+      User.create({
+        userId: "u1",
+        address: { city: "Austin", geo: { lng: 2 } },
+      }),
+    ).rejects.toThrow("geo.lat: Field is required");
+    await expect(
+      User.create({ userId: "u1", address: "Austin" }),
+    ).rejects.toThrow(ValidationError);
+    await expect(
+      User.create({ userId: "u1", settings: { since: new Date() } }),
+    ).rejects.toThrow("since: Unsupported value in MapField");
+    expect(table.sentOf("UpdateCommand")).toHaveLength(0);
+  });
+
+  test("filters on nested paths", () => {
+    const builder = new FilterExpressionBuilder();
+    const result = builder.build(
+      {
+        "address.city": "Austin",
+        "address.movedAt": { $gt: new Date(1000) },
+        "settings.theme": { $exists: true },
+      },
+      User,
+    );
+
+    expect(result.FilterExpression).toBe(
+      "#n1.#n2 = :v1 AND #n3.#n4 > :v2 AND attribute_exists(#n5.#n6)",
+    );
+    expect(result.ExpressionAttributeNames).toEqual({
+      "#n1": "address",
+      "#n2": "city",
+      "#n3": "address",
+      "#n4": "movedAt",
+      "#n5": "settings",
+      "#n6": "theme",
+    });
+    expect(result.ExpressionAttributeValues).toEqual({
+      ":v1": "Austin",
+      ":v2": 1000,
+    });
+
+    expect(() =>
+      new FilterExpressionBuilder().build({ "address.zip": "1" }, User),
+    ).toThrow(QueryError);
+    expect(() =>
+      new FilterExpressionBuilder().build({ "name.first": "A" }, User),
+    ).toThrow(QueryError);
+  });
+
+  test("cannot be used in an index", () => {
+    class MpIndexed extends dynamoBao.BaoModel {
+      static modelPrefix = "mpi";
+      static fields = {
+        itemId: StringField({ required: true }),
+        data: MapField(),
+      };
+      static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+      static indexes = {
+        byData: dynamoBao.IndexConfig("data", "itemId", "gsi1"),
+      };
+    }
+    expect(() => MpIndexed._validateConfiguration()).toThrow(
+      ConfigurationError,
+    );
+  });
+
+  test("lists read back keep their type when written again", () => {
+    const stored = { L: [{ S: "a" }, { S: "b" }] };
+    expect(marshall(unmarshall(stored))).toEqual(stored);
+    expect(marshall(["a", "b"])).toEqual({ SS: ["a", "b"] });
+  });
+
+  test("the generator renders nested fields", () => {
+    const outputDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+    );
+    try {
+      const resolver = new FieldResolver(builtInFields, null);
+      generateModelFiles(
+        applyModelDefaults({
+          Person: {
+            modelPrefix: "p",
+            fields: {
+              personId: { type: "UlidField", autoAssign: true },
+              address: {
+                type: "MapField",
+                fields: {
+                  city: { type: "StringField", required: true },
+                  movedAt: { type: "DateTimeField" },
+                },
+              },
+            },
+            primaryKey: { partitionKey: "personId" },
+          },
+        }),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const code = fs.readFileSync(path.join(outputDir, "person.js"), "utf8");
+      expect(code).toContain(
+        "address: MapField({ fields: { city: StringField({ required: true }), movedAt: DateTimeField() } }),",
+      );
+      expect(code).toMatch(
+        /DateTimeField\n\} = require\('dynamo-bao\/src\/fields.js'\)/,
+      );
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
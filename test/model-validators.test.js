@@ -0,0 +1,253 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { pluginManager } = require("../src/plugin-manager");
+const { ValidationError, ConfigurationError } = require("../src/exceptions");
+
+const { StringField, DateTimeField, RelatedField } = dynamoBao.fields;
+
+dynamoBao.registerModelValidator("mvEndsAfterStart", (task) => {
+  if (task.startDate && task.endDate && task.endDate <= task.startDate) {
+    return { endDate: "Must be after startDate" };
+  }
+});
+
+class MvProject extends dynamoBao.BaoModel {
+  static modelPrefix = "mvp";
+  static fields = {
+    projectId: StringField({ required: true }),
+    status: StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("projectId");
+}
+
+const projectIsOpen = async (task) => {
+  const project = await task.getOrLoadRelatedField("projectId");
+  if (project.status === "archived") return "The project is archived";
+};
+
+class MvTask extends dynamoBao.BaoModel {
+  static modelPrefix = "mvt";
+  static fields = {
+    taskId: StringField({ required: true }),
+    projectId: RelatedField("MvProject", { required: true }),
+    title: StringField({ maxLength: 20 }),
+    startDate: DateTimeField(),
+    endDate: DateTimeField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("taskId");
+  static validators = ["mvEndsAfterStart", projectIsOpen];
+}
+
+describe("Model validators", () => {
+  let Task, Project, table;
+
+  const putRow = (Model, data) => {
+    const dyItem = {};
+    for (const [fieldName, value] of Object.entries(data)) {
+      dyItem[fieldName] = Model.fields[fieldName].toDy(value);
+    }
+    table.putRow({
+      ...dyItem,
+      ...Model._getDyKeyForPkSk(Model._getPrimaryKeyValues(data)),
+    });
+  };
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(MvProject);
+    manager.registerModel(MvTask);
+    Project = manager.getModel("MvProject");
+    Task = manager.getModel("MvTask");
+    table = stubDocumentClient(Task);
+
+    putRow(Project, { projectId: "open", status: "open" });
+    putRow(Project, { projectId: "old", status: "archived" });
+  });
+
+  afterEach(() => {
+    table.restore();
+    pluginManager.plugins.delete(Task.name);
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("create reports every validator's failures in one error", async () => {
+    const error = await Task.create({
+      taskId: "t1",
+      projectId: "old",
+      startDate: new Date("2026-02-01"),
+      endDate: new Date("2026-01-01"),
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual({
+      endDate: "Must be after startDate",
+      _model: "The project is archived",
+    });
+    expect(error.message).toBe(
+      "endDate: Must be after startDate; The project is archived",
+    );
+    expect(table.sentOf("UpdateCommand")).toHaveLength(0);
+
+    const task = await Task.create({
+      taskId: "t1",
+      projectId: "open",
+      startDate: new Date("2026-01-01"),
+      endDate: new Date("2026-02-01"),
+    });
+    expect(task.taskId).toBe("t1");
+  });
+
+  test("updates are validated against the stored item", async () => {
+    putRow(Task, {
+      taskId: "t1",
+      projectId: "open",
+      startDate: new Date("2026-03-01"),
+    });
+
+    const seen = [];
+    Task.registerPlugin({
+      validate(task, { isNew }) {
+        seen.push({ isNew, startDate: task.startDate, title: task.title });
+      },
+    });
+
+    await expect(
+      Task.update("t1", { endDate: new Date("2026-02-01") }),
+    ).rejects.toMatchObject({
+      fieldName: "endDate",
+      errors: { endDate: "Must be after startDate" },
+    });
+
+    const task = await Task.update("t1", { title: "Plan" });
+    task.endDate = new Date("2026-04-01");
+    await task.save();
+
+    expect(seen.map((s) => s.isNew)).toEqual([false, false, false]);
+    expect(seen[0].startDate).toEqual(new Date("2026-03-01"));
+    expect(seen[1].title).toBe("Plan");
+    expect(table.sentOf("UpdateCommand")).toHaveLength(2);
+  });
+
+  test("field failures are reported before validators run", async () => {
+    const validate = jest.fn();
+    Task.registerPlugin({ validate });
+
+    await expect(
+      Task.create({ taskId: "t1", projectId: "open", title: "x".repeat(30) }),
+    ).rejects.toThrow("title: Value exceeds maximum length of 20");
+    expect(validate).not.toHaveBeenCalled();
+  });
+
+  test("thrown ValidationErrors are collected and other errors rethrown", async () => {
+    Task.registerPlugin({
+      async validate(task) {
+        if (task.title === "bad") {
+          throw new ValidationError("Not allowed", "title", task.title);
+        }
+        if (task.title === "boom") throw new Error("lookup failed");
+      },
+    });
+
+    await expect(
+      Task.create({ taskId: "t1", projectId: "open", title: "bad" }),
+    ).rejects.toMatchObject({ errors: { title: "Not allowed" } });
+    await expect(
+      Task.create({ taskId: "t1", projectId: "open", title: "boom" }),
+    ).rejects.toThrow("lookup failed");
+  });
+
+  test("lookups are batched, including across a batch write", async () => {
+    await Task.create({ taskId: "t1", projectId: "open" });
+    expect(table.sentOf("BatchGetCommand")).toHaveLength(1);
+    expect(table.sentOf("GetCommand")).toHaveLength(0);
+
+    table.sent.length = 0;
+    const result = await Task.batchCreate([
+      { taskId: "t2", projectId: "open" },
+      { taskId: "t3", projectId: "old" },
+      { taskId: "t4", projectId: "open" },
+    ]);
+
+    const batches = table.sentOf("BatchGetCommand");
+    expect(batches).toHaveLength(1);
+    expect(batches[0].input.RequestItems[Task.table].Keys).toHaveLength(2);
+    expect(result.items.map((task) => task.taskId)).toEqual(["t2", "t4"]);
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0].index).toBe(1);
+    expect(result.failed[0].error.errors).toEqual({
+      _model: "The project is archived",
+    });
+  });
+
+  test("validators must be functions or names of registered validators", async () => {
+    const makeModel = (validators) =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "mvx";
+        static fields = { itemId: StringField({ required: true }) };
+        static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+        static validators = validators;
+      };
+
+    expect(() => makeModel([1])._validateConfiguration()).toThrow(
+      ConfigurationError,
+    );
+    expect(() => makeModel("a")._validateConfiguration()).toThrow(
+      "validators must be an array of functions or validator names",
+    );
+    await expect(
+      makeModel(["mvMissing"])._runModelValidators({}),
+    ).rejects.toThrow('Unknown model validator "mvMissing"');
+  });
+
+  describe("YAML", () => {
+    const makeModels = (extra) => ({
+      Task: {
+        modelPrefix: "t",
+        fields: { taskId: { type: "UlidField", autoAssign: true } },
+        primaryKey: { partitionKey: "taskId" },
+        ...extra,
+      },
+    });
+
+    test("applyModelDefaults checks the validator names", () => {
+      expect(() =>
+        applyModelDefaults(makeModels({ validators: "endsAfterStart" })),
+      ).toThrow(/`validators` must be a list of names/);
+      expect(() =>
+        applyModelDefaults(makeModels({ validators: ["ok", ""] })),
+      ).toThrow(/`validators` must be a list of names/);
+    });
+
+    test("the generator lists the validators", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeModels({ validators: ["endsAfterStart", "projectIsOpen"] }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "task.js"), "utf8");
+        expect(code).toContain(
+          'static validators = ["endsAfterStart","projectIsOpen"];',
+        );
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const { FilterExpressionBuilder } = require("../src/filter-expression");
+const { marshall } = require("../src/dynamodb-client");
+const { ValidationError, ConfigurationError } = require("../src/exceptions");
+
+const { NumberSetField, BinarySetField, StringField } = dynamoBao.fields;
+
+class NsDoc extends dynamoBao.BaoModel {
+  static modelPrefix = "nsd";
+  static fields = {
+    docId: StringField({ required: true }),
+    scores: NumberSetField({ maxMemberCount: 3 }),
+    keys: BinarySetField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("docId");
+}
+
+describe("NumberSetField and BinarySetField", () => {
+  let Doc, table;
+
+  const bytes = (hex) => Buffer.from(hex, "hex");
+  const hexes = (set) => [...set].map((b) => Buffer.from(b).toString("hex"));
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(NsDoc);
+    Doc = manager.getModel("NsDoc");
+    table = stubDocumentClient(Doc);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("stores number and binary sets without duplicates", async () => {
+    const doc = await Doc.create({
+      docId: "d1",
+      scores: [1, 2, 2],
+      keys: [bytes("0a"), bytes("0a"), bytes("ff")],
+    });
+
+    const values =
+      table.sentOf("UpdateCommand")[0].input.ExpressionAttributeValues;
+    expect(marshall(values[":scores"])).toEqual({ NS: ["1", "2"] });
+    expect(marshall(values[":keys"])).toEqual({
+      BS: [bytes("0a").toString("base64"), bytes("ff").toString("base64")],
+    });
+
+    expect([...doc.scores]).toEqual([1, 2]);
+    expect(hexes(doc.keys)).toEqual(["0a", "ff"]);
+  });
+
+  test("tracked changes are saved as ADD and DELETE", async () => {
+    await Doc.create({ docId: "d1", scores: [1, 2], keys: [bytes("0a")] });
+    const doc = await Doc.find("d1");
+
+    doc.scores.add(3);
+    doc.keys.add(bytes("0a")); // Already a member
+    expect(doc.keys.size).toBe(1);
+    await doc.save();
+    expect(table.lastUpdate().UpdateExpression).toBe("ADD #scores :scores");
+    expect(table.lastUpdate().ExpressionAttributeValues[":scores"]).toEqual([
+      3,
+    ]);
+
+    expect(doc.keys.has(bytes("0a"))).toBe(true);
+    doc.keys.delete(bytes("0a"));
+    doc.scores.delete(1);
+    await doc.save();
+    expect(table.lastUpdate().UpdateExpression).toBe(
+      "REMOVE #keys DELETE #scores :scores",
+    );
+
+    const stored = await Doc.find("d1", { batchDelay: 0 });
+    expect([...stored.scores]).toEqual([2, 3]);
+    expect(stored.keys.size).toBe(0);
+  });
+
+  test("binary members are diffed by their bytes", async () => {
+    await Doc.create({ docId: "d1", keys: [bytes("0a"), bytes("0b")] });
+    const doc = await Doc.find("d1");
+
+    doc.keys.add(bytes("0c"));
+    await doc.save();
+
+    expect(table.lastUpdate().UpdateExpression).toBe("ADD #keys :keys");
+    expect(
+      hexes(table.lastUpdate().ExpressionAttributeValues[":keys"]),
+    ).toEqual(["0c"]);
+    const stored = await Doc.find("d1", { batchDelay: 0 });
+    expect(hexes(stored.keys)).toEqual(["0a", "0b", "0c"]);
+  });
+
+  test("validates members and member count", async () => {
+    await expect(
+      Doc.create({ docId: "d1", scores: [1, 2, 3, 4] }),
+    ).rejects.toThrow("NumberSet exceeds maximum member count of 3");
+    await expect(Doc.create({ docId: "d1", scores: ["1"] })).rejects.toThrow(
+      "NumberSetField can only contain finite numbers",
+    );
+    await expect(Doc.create({ docId: "d1", scores: [NaN] })).rejects.toThrow(
+      ValidationError,
+    );
+    await expect(Doc.create({ docId: "d1", keys: ["0a"] })).rejects.toThrow(
+      "BinarySetField can only contain Buffer or Uint8Array values",
+    );
+    await expect(
+      Doc.create({ docId: "d1", keys: bytes("0a") }),
+    ).rejects.toThrow("BinarySetField value must be a Set or Array");
+    expect(table.sentOf("UpdateCommand")).toHaveLength(0);
+  });
+
+  test("supports $contains and $size filters but not indexes", () => {
+    const result = new FilterExpressionBuilder().build(
+      { scores: { $contains: 3 }, keys: { $size: { $gt: 1 } } },
+      Doc,
+    );
+    expect(result.FilterExpression).toBe(
+      "contains(#n1, :v1) AND size(#n2) > :v2",
+    );
+    expect(result.ExpressionAttributeValues).toEqual({ ":v1": 3, ":v2": 1 });
+
+    class NsIndexed extends dynamoBao.BaoModel {
+      static modelPrefix = "nsi";
+      static fields = {
+        itemId: StringField({ required: true }),
+        scores: NumberSetField(),
+      };
+      static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+      static indexes = {
+        byScores: dynamoBao.IndexConfig("scores", "itemId", "gsi1"),
+      };
+    }
+    expect(() => NsIndexed._validateConfiguration()).toThrow(
+      "NumberSetField 'scores' cannot be used as partition key",
+    );
+    expect(() => NsIndexed._validateConfiguration()).toThrow(
+      ConfigurationError,
+    );
+  });
+});
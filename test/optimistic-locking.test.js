@@ -0,0 +1,182 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const {
+  ConditionalError,
+  StaleObjectError,
+  ValidationError,
+} = require("../src/exceptions");
+
+const { retryOnConflict, runWithBatchContext } = dynamoBao;
+
+class LockedDoc extends dynamoBao.BaoModel {
+  static modelPrefix = "lkd";
+  static fields = {
+    docId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+    edits: dynamoBao.fields.IntegerField(),
+    version: dynamoBao.fields.VersionField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("docId");
+}
+
+class UnlockedDoc extends dynamoBao.BaoModel {
+  static modelPrefix = "uld";
+  static fields = {
+    docId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("docId");
+}
+
+describe("optimistic locking", () => {
+  let testId, Doc, Unlocked, table, docKey;
+
+  const stored = () => table.getRow(docKey);
+  // Another writer changes the stored item
+  const edit = (changes) => table.putRow({ ...stored(), ...changes });
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(LockedDoc);
+    manager.registerModel(UnlockedDoc);
+    Doc = manager.getModel("LockedDoc");
+    Unlocked = manager.getModel("UnlockedDoc");
+
+    table = stubDocumentClient(Doc);
+    docKey = Doc._getDyKeyForPkSk({ pk: "d1" });
+    table.putRow({
+      ...docKey,
+      docId: "d1",
+      title: "Draft",
+      edits: 0,
+      version: ulid(),
+    });
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("save() checks the version the item was loaded with", async () => {
+    const doc = await Doc.find("d1");
+    const loadedVersion = doc.version;
+
+    doc.title = "Final";
+    await doc.save();
+
+    const { input } = table.sentOf("UpdateCommand")[0];
+    expect(input.ConditionExpression).toBeDefined();
+    expect(Object.values(input.ExpressionAttributeValues)).toContain(
+      loadedVersion,
+    );
+    expect(doc.version).not.toBe(loadedVersion);
+    expect(stored().title).toBe("Final");
+  });
+
+  test("save() throws StaleObjectError when another writer saved first", async () => {
+    const doc = await Doc.find("d1");
+    const serverVersion = ulid();
+    edit({ version: serverVersion });
+
+    doc.title = "Mine";
+    const error = await doc.save().catch((e) => e);
+
+    expect(error).toBeInstanceOf(StaleObjectError);
+    expect(error).toBeInstanceOf(ConditionalError);
+    expect(error.primaryId).toBe("d1");
+    expect(error.currentVersion).toBe(serverVersion);
+    expect(error.expectedVersion).toBe(doc._loadedDyData.version);
+    expect(stored().title).toBe("Draft");
+
+    // Reloaded with a consistent read to find the current version
+    const reload = table.sent.at(-1);
+    expect(reload.constructor.name).toBe("GetCommand");
+    expect(reload.input.ConsistentRead).toBe(true);
+  });
+
+  test("save() can skip the check with expectedVersion: null", async () => {
+    const doc = await Doc.find("d1");
+    edit({ version: ulid() });
+
+    doc.title = "Forced";
+    await doc.save({ expectedVersion: null });
+
+    expect(
+      table.sentOf("UpdateCommand")[0].input.ConditionExpression,
+    ).toBeUndefined();
+    expect(stored().title).toBe("Forced");
+  });
+
+  test("update() accepts expectedVersion and keeps other conditions", async () => {
+    await Doc.update(
+      "d1",
+      { title: "Final" },
+      { expectedVersion: stored().version, condition: { title: "Draft" } },
+    );
+
+    const { input } = table.sentOf("UpdateCommand")[0];
+    expect(input.ConditionExpression).toMatch(/AND/);
+    expect(Object.values(input.ExpressionAttributeValues)).toContain("Draft");
+
+    await expect(
+      Doc.update("d1", { title: "Again" }, { expectedVersion: ulid() }),
+    ).rejects.toThrow(StaleObjectError);
+  });
+
+  test("expectedVersion requires a VersionField", async () => {
+    table.putRow({
+      ...Unlocked._getDyKeyForPkSk({ pk: "d1" }),
+      docId: "d1",
+      title: "Draft",
+    });
+    await expect(
+      Unlocked.update("d1", { title: "x" }, { expectedVersion: ulid() }),
+    ).rejects.toThrow(ValidationError);
+  });
+
+  test("retryOnConflict reloads and reapplies after a conflict", async () => {
+    let conflicts = 1;
+    const attempts = [];
+
+    await runWithBatchContext(async () => {
+      await retryOnConflict(async (attempt) => {
+        attempts.push(attempt);
+        const doc = await Doc.find("d1", { batchDelay: 0 });
+        if (conflicts-- > 0) {
+          // Someone else edits the document between our read and write
+          edit({ edits: stored().edits + 1, version: ulid() });
+        }
+        doc.edits = doc.edits + 1;
+        await doc.save();
+      });
+    });
+
+    expect(attempts).toEqual([1, 2]);
+    expect(stored().edits).toBe(2);
+  });
+
+  test("retryOnConflict gives up after the configured attempts", async () => {
+    const fn = jest.fn(async () => {
+      const doc = await Doc.find("d1");
+      edit({ version: ulid() });
+      doc.title = "Never";
+      await doc.save();
+    });
+
+    await expect(retryOnConflict(fn, { attempts: 2 })).rejects.toThrow(
+      StaleObjectError,
+    );
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    const other = jest.fn(async () => {
+      throw new Error("boom");
+    });
+    await expect(retryOnConflict(other)).rejects.toThrow("boom");
+    expect(other).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,154 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const { QueryError } = require("../src/exceptions");
+
+class ScanUser extends dynamoBao.BaoModel {
+  static modelPrefix = "su";
+  static fields = {
+    userId: dynamoBao.fields.UlidField({ autoAssign: true, required: true }),
+    name: dynamoBao.fields.StringField(),
+    status: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("userId");
+}
+
+class ScanSetting extends dynamoBao.BaoModel {
+  static modelPrefix = "ss";
+  static fields = {
+    key: dynamoBao.fields.StringField({ required: true }),
+    value: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("modelPrefix", "key");
+}
+
+describe("Model.scan", () => {
+  let testId, User, Setting, table, responder;
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(ScanUser);
+    manager.registerModel(ScanSetting);
+    User = manager.getModel("ScanUser");
+    Setting = manager.getModel("ScanSetting");
+
+    responder = () => ({ Items: [], Count: 0 });
+    table = stubDocumentClient(User, (command) => responder(command.input));
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("restricts the scan to the model's tenant-scoped partition prefix", async () => {
+    await User.scan();
+
+    expect(table.sent).toHaveLength(1);
+    expect(table.sent[0].constructor.name).toBe("ScanCommand");
+    const params = table.sent[0].input;
+    expect(params.FilterExpression).toBe("begins_with(#modelPk, :modelPk)");
+    expect(params.ExpressionAttributeNames["#modelPk"]).toBe("_pk");
+    expect(params.ExpressionAttributeValues[":modelPk"]).toBe(
+      `[${testId}]#su#`,
+    );
+    expect(params.Limit).toBe(User.defaultQueryLimit);
+    expect(params.Segment).toBeUndefined();
+  });
+
+  test("matches the shared partition for modelPrefix-keyed models", async () => {
+    await Setting.scan();
+
+    const params = table.sent[0].input;
+    expect(params.FilterExpression).toBe("#modelPk = :modelPk");
+    expect(params.ExpressionAttributeValues[":modelPk"]).toBe("ss");
+  });
+
+  test("combines the user filter with the model restriction", async () => {
+    await User.scan({ filter: { status: "active" }, limit: 25 });
+
+    const params = table.sent[0].input;
+    expect(params.FilterExpression).toBe(
+      "(begins_with(#modelPk, :modelPk)) AND (#n1 = :v1)",
+    );
+    expect(params.ExpressionAttributeNames["#n1"]).toBe("status");
+    expect(params.ExpressionAttributeValues[":v1"]).toBe("active");
+    expect(params.Limit).toBe(25);
+  });
+
+  test("returns wrapped items and the lastEvaluatedKey", async () => {
+    const lek = { _pk: `[${testId}]#su#A`, _sk: "su" };
+    responder = () => ({
+      Items: [
+        { _pk: `[${testId}]#su#A`, _sk: "su", userId: "A", name: "Alice" },
+      ],
+      Count: 1,
+      LastEvaluatedKey: lek,
+      ConsumedCapacity: { CapacityUnits: 0.5 },
+    });
+
+    const result = await User.scan({ startKey: { _pk: "x", _sk: "y" } });
+
+    expect(table.sent[0].input.ExclusiveStartKey).toEqual({
+      _pk: "x",
+      _sk: "y",
+    });
+    expect(result.items).toHaveLength(1);
+    expect(result.items[0]).toBeInstanceOf(User);
+    expect(result.items[0].name).toBe("Alice");
+    expect(result.count).toBe(1);
+    expect(result.lastEvaluatedKey).toEqual(lek);
+  });
+
+  test("scans every segment in parallel and keys lastEvaluatedKey by segment", async () => {
+    responder = (input) => ({
+      Items: [{ _pk: `[${testId}]#su#${input.Segment}`, _sk: "su" }],
+      LastEvaluatedKey:
+        input.Segment === 1 ? { _pk: "seg1", _sk: "su" } : undefined,
+      ConsumedCapacity: { CapacityUnits: 1 },
+    });
+
+    const result = await User.scan({ totalSegments: 3 });
+
+    expect(table.sent.map((c) => c.input.Segment)).toEqual([0, 1, 2]);
+    table.sent.forEach((c) => expect(c.input.TotalSegments).toBe(3));
+    expect(result.items).toHaveLength(3);
+    expect(result.lastEvaluatedKey).toEqual({ 1: { _pk: "seg1", _sk: "su" } });
+    expect(result.consumedCapacity.CapacityUnits).toBe(3);
+  });
+
+  test("resumes only the segments present in startKey", async () => {
+    const result = await User.scan({
+      totalSegments: 4,
+      startKey: { 2: { _pk: "k2", _sk: "su" } },
+    });
+
+    expect(table.sent).toHaveLength(1);
+    expect(table.sent[0].input.Segment).toBe(2);
+    expect(table.sent[0].input.ExclusiveStartKey).toEqual({
+      _pk: "k2",
+      _sk: "su",
+    });
+    expect(result.lastEvaluatedKey).toBeUndefined();
+  });
+
+  test("limits a worker to its own segments", async () => {
+    await User.scan({ totalSegments: 4, segments: [1, 3] });
+
+    expect(table.sent.map((c) => c.input.Segment)).toEqual([1, 3]);
+  });
+
+  test("rejects invalid segment options", async () => {
+    await expect(User.scan({ segments: [0] })).rejects.toThrow(QueryError);
+    await expect(User.scan({ totalSegments: 0 })).rejects.toThrow(
+      /totalSegments must be a positive integer/,
+    );
+    await expect(
+      User.scan({ totalSegments: 2, segments: [2] }),
+    ).rejects.toThrow(/Invalid segment 2/);
+    expect(table.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,406 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const {
+  ConditionalError,
+  ItemNotFoundError,
+  ValidationError,
+} = require("../src/exceptions");
+const {
+  GSI_INDEX_ID1,
+  UNIQUE_CONSTRAINT_ID1,
+  UNIQUE_CONSTRAINT_KEY,
+} = require("../src/constants");
+
+const { runWithBatchContext } = dynamoBao;
+
+class SdNote extends dynamoBao.BaoModel {
+  static modelPrefix = "sdn";
+  static softDelete = true;
+  static fields = {
+    noteId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+    status: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("noteId");
+  static indexes = {
+    byStatus: dynamoBao.IndexConfig("status", "noteId", GSI_INDEX_ID1),
+  };
+}
+
+class SdAccount extends dynamoBao.BaoModel {
+  static modelPrefix = "sda";
+  static softDelete = { ttlDays: 30 };
+  static fields = {
+    accountId: dynamoBao.fields.StringField({ required: true }),
+    email: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("accountId");
+  static uniqueConstraints = {
+    uniqueEmail: dynamoBao.UniqueConstraintConfig(
+      "email",
+      UNIQUE_CONSTRAINT_ID1,
+    ),
+  };
+}
+
+class SdHandle extends dynamoBao.BaoModel {
+  static modelPrefix = "sdh";
+  static softDelete = { uniqueConstraints: "retain" };
+  static fields = {
+    handleId: dynamoBao.fields.StringField({ required: true }),
+    handle: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("handleId");
+  static uniqueConstraints = {
+    uniqueHandle: dynamoBao.UniqueConstraintConfig(
+      "handle",
+      UNIQUE_CONSTRAINT_ID1,
+    ),
+  };
+}
+
+describe("soft delete", () => {
+  let testId, Note, Account, Handle, table;
+
+  const store = (Model, data) => {
+    const instance = new Model(data);
+    const key = Model._getDyKeyForPkSk(
+      Model._parsePrimaryId(instance.getPrimaryId()),
+    );
+    table.putRow({ ...key, ...data });
+  };
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(SdNote);
+    manager.registerModel(SdAccount);
+    manager.registerModel(SdHandle);
+    Note = manager.getModel("SdNote");
+    Account = manager.getModel("SdAccount");
+    Handle = manager.getModel("SdHandle");
+
+    table = stubDocumentClient(Note);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("delete() marks the item instead of removing it", async () => {
+    store(Note, { noteId: "n1", title: "Draft", status: "open" });
+
+    const deleted = await Note.delete("n1");
+
+    expect(table.sentOf("DeleteCommand")).toHaveLength(0);
+    const { input } = table.sentOf("UpdateCommand")[0];
+    expect(input.UpdateExpression).toBe("SET #deletedAt = :deletedAt");
+    expect(input.ConditionExpression).toBe(
+      "attribute_exists(#pk) AND attribute_not_exists(#deletedAt)",
+    );
+    expect(deleted.isDeleted()).toBe(true);
+    expect(deleted.getDeletedAt()).toBeInstanceOf(Date);
+    expect(deleted.title).toBe("Draft");
+
+    // Deleting it again reports it as missing
+    await expect(Note.delete("n1")).rejects.toThrow(ItemNotFoundError);
+  });
+
+  test("delete and restore read past the batch-context cache", async () => {
+    store(Note, { noteId: "n1", title: "Draft" });
+
+    await runWithBatchContext(async () => {
+      expect((await Note.find("n1")).exists()).toBe(true);
+      await Note.delete("n1");
+      expect((await Note.find("n1")).exists()).toBe(false);
+      await expect(Note.delete("n1")).rejects.toThrow(ItemNotFoundError);
+
+      // Another writer restores it after this request loaded it
+      await Note.find("n1", { includeDeleted: true });
+      const row = table.getRow(Note._getDyKeyForPkSk({ pk: "n1" }));
+      delete row._deletedAt;
+      table.putRow(row);
+
+      const restored = await Note.restore("n1");
+      expect(restored.isDeleted()).toBe(false);
+      expect(table.sentOf("UpdateCommand")).toHaveLength(1);
+    });
+  });
+
+  test("find and batchFind hide deleted items unless includeDeleted is set", async () => {
+    store(Note, { noteId: "n1", title: "Gone" });
+    store(Note, { noteId: "n2", title: "Here" });
+    await Note.delete("n1");
+
+    expect((await Note.find("n1")).exists()).toBe(false);
+    expect((await Note.find("n1", { includeDeleted: true })).isDeleted()).toBe(
+      true,
+    );
+
+    await runWithBatchContext(async () => {
+      const [hidden, live] = await Promise.all([
+        Note.find("n1"),
+        Note.find("n2"),
+      ]);
+      expect(hidden.exists()).toBe(false);
+      expect(live.title).toBe("Here");
+
+      const { items } = await Note.batchFind(["n1", "n2"]);
+      expect(Object.keys(items)).toEqual(["n2"]);
+      const all = await Note.batchFind(["n1", "n2"], { includeDeleted: true });
+      expect(Object.keys(all.items).sort()).toEqual(["n1", "n2"]);
+    });
+  });
+
+  test("queries and scans filter out deleted items", async () => {
+    await Note.queryByIndex("byStatus", "open", null, {
+      filter: { title: "Draft" },
+    });
+    await Note.scan();
+    await Note.queryByIndex("byStatus", "open", null, { includeDeleted: true });
+
+    const [query, unfiltered] = table.sentOf("QueryCommand");
+    expect(query.input.FilterExpression).toMatch(/AND/);
+    expect(Object.values(query.input.ExpressionAttributeNames)).toContain(
+      "_deletedAt",
+    );
+    expect(query.input.FilterExpression).toMatch(/attribute_not_exists/);
+    expect(unfiltered.input.FilterExpression).toBeUndefined();
+
+    const [scan] = table.sentOf("ScanCommand");
+    expect(scan.input.FilterExpression).toMatch(/attribute_not_exists/);
+  });
+
+  test("restore() brings the item back", async () => {
+    store(Note, { noteId: "n1", title: "Draft" });
+    await Note.delete("n1");
+
+    const restored = await Note.restore("n1");
+
+    expect(restored.isDeleted()).toBe(false);
+    expect(restored.title).toBe("Draft");
+    expect((await Note.find("n1")).exists()).toBe(true);
+
+    // Restoring a live item changes nothing
+    const writes = table.sentOf("UpdateCommand").length;
+    await Note.restore("n1");
+    expect(table.sentOf("UpdateCommand")).toHaveLength(writes);
+
+    await expect(Note.restore("missing")).rejects.toThrow(ItemNotFoundError);
+  });
+
+  test("ttlDays schedules the row for purge and restore clears it", async () => {
+    store(Account, { accountId: "a1" });
+    const before = Math.floor(Date.now() / 1000);
+
+    const deleted = await Account.delete("a1");
+
+    const ttl = deleted._dyData.ttl;
+    expect(ttl).toBeGreaterThanOrEqual(before + 30 * 24 * 60 * 60);
+    expect(ttl).toBeLessThan(before + 30 * 24 * 60 * 60 + 5);
+
+    const restored = await Account.restore("a1");
+    expect(restored._dyData.ttl).toBeUndefined();
+    expect(table.sentOf("UpdateCommand")[1].input.UpdateExpression).toBe(
+      "REMOVE #deletedAt, #ttl",
+    );
+  });
+
+  test("the release policy frees unique values and reclaims them on restore", async () => {
+    const lastTransaction = () =>
+      table.sentOf("TransactWriteCommand").at(-1).input.TransactItems;
+    await Account.create({ accountId: "a1", email: "a@example.com" });
+
+    await Account.delete("a1");
+
+    let items = lastTransaction();
+    expect(items[0].Update).toBeDefined();
+    expect(items[1].Delete.Key._pk).toContain("a@example.com");
+
+    await Account.restore("a1");
+    items = lastTransaction();
+    expect(items[1].Put.Item).toMatchObject({
+      _sk: UNIQUE_CONSTRAINT_KEY,
+      relatedId: "a1",
+    });
+
+    // Someone else took the value while the item was deleted
+    await Account.delete("a1");
+    await Account.create({ accountId: "a2", email: "a@example.com" });
+    const error = await Account.restore("a1").catch((e) => e);
+    expect(error).toBeInstanceOf(ConditionalError);
+    expect(error.message).toMatch(/email/);
+  });
+
+  test("the retain policy keeps unique values until the item is purged", async () => {
+    await Handle.create({ handleId: "h1", handle: "alice" });
+
+    // Only the create writes the unique value
+    await Handle.delete("h1");
+    expect(table.sentOf("TransactWriteCommand")).toHaveLength(1);
+    expect(table.sentOf("UpdateCommand")).toHaveLength(1);
+
+    const purged = await Handle.purge("h1");
+    const tx = table.sentOf("TransactWriteCommand").at(-1);
+    expect(tx.input.TransactItems[0].Delete).toBeDefined();
+    expect(tx.input.TransactItems[1].Delete.Key._pk).toContain("alice");
+    expect(purged.isDeleted()).toBe(true);
+    expect((await Handle.find("h1", { includeDeleted: true })).exists()).toBe(
+      false,
+    );
+  });
+
+  test("a released value taken in the same request blocks restore", async () => {
+    await runWithBatchContext(async () => {
+      await Account.create({ accountId: "a1", email: "a@example.com" });
+      await Account.find("a1");
+      await Account.delete("a1");
+      expect((await Account.find("a1")).exists()).toBe(false);
+
+      await Account.create({ accountId: "a2", email: "a@example.com" });
+      await expect(Account.restore("a1")).rejects.toThrow(ConditionalError);
+      expect(
+        (await Account.find("a1", { includeDeleted: true })).isDeleted(),
+      ).toBe(true);
+    });
+  });
+
+  test("purge() skips unique values a soft delete already released", async () => {
+    await Account.create({ accountId: "a1", email: "a@example.com" });
+    await Account.delete("a1");
+
+    await Account.purge("a1");
+
+    expect(table.sentOf("TransactWriteCommand")).toHaveLength(2);
+    expect(table.sentOf("DeleteCommand")).toHaveLength(1);
+    expect(table.rows.size).toBe(0);
+  });
+
+  test("restore() requires soft delete", async () => {
+    class HardNote extends dynamoBao.BaoModel {
+      static modelPrefix = "hdn";
+      static fields = { noteId: dynamoBao.fields.StringField() };
+      static primaryKey = dynamoBao.PrimaryKeyConfig("noteId");
+    }
+    await expect(HardNote.restore("n1")).rejects.toThrow(ValidationError);
+  });
+});
+
+describe("softDelete model option", () => {
+  const makeNote = (softDelete) => ({
+    Note: {
+      modelPrefix: "n",
+      fields: { noteId: { type: "UlidField", autoAssign: true } },
+      primaryKey: { partitionKey: "noteId" },
+      ...(softDelete !== undefined && { softDelete }),
+    },
+  });
+
+  test("applyModelDefaults normalizes the option", () => {
+    expect(applyModelDefaults(makeNote()).Note.softDelete).toBe(false);
+    expect(applyModelDefaults(makeNote(true)).Note.softDelete).toEqual({
+      ttlDays: null,
+      uniqueConstraints: "release",
+    });
+    expect(
+      applyModelDefaults(makeNote({ ttlDays: 7, uniqueConstraints: "release" }))
+        .Note.softDelete,
+    ).toEqual({ ttlDays: 7, uniqueConstraints: "release" });
+    expect(
+      applyModelDefaults(makeNote({ uniqueConstraints: "retain" })).Note
+        .softDelete,
+    ).toEqual({ ttlDays: null, uniqueConstraints: "retain" });
+  });
+
+  test("applyModelDefaults rejects invalid settings", () => {
+    expect(() => applyModelDefaults(makeNote("yes"))).toThrow(/softDelete/);
+    expect(() => applyModelDefaults(makeNote({ ttlDays: 0 }))).toThrow(
+      /ttlDays/,
+    );
+    expect(() =>
+      applyModelDefaults(makeNote({ uniqueConstraints: "keep" })),
+    ).toThrow(/uniqueConstraints/);
+    expect(() =>
+      applyModelDefaults(makeNote({ ttlDays: 7, uniqueConstraints: "retain" })),
+    ).toThrow(/cannot be used with `uniqueConstraints: retain`/);
+    expect(() => applyModelDefaults(makeNote({ purgeAfter: 1 }))).toThrow(
+      /unknown option "purgeAfter"/,
+    );
+  });
+
+  test("ttlDays can't be used with a TtlField", () => {
+    const withTtl = makeNote({ ttlDays: 7 });
+    withTtl.Note.fields.ttl = { type: "TtlField" };
+    expect(() => applyModelDefaults(withTtl)).toThrow(
+      'Model "Note": `softDelete.ttlDays` cannot be used on a model with a TtlField.',
+    );
+
+    class SdExpiring extends dynamoBao.BaoModel {
+      static modelPrefix = "sde";
+      static softDelete = { ttlDays: 7 };
+      static fields = {
+        itemId: dynamoBao.fields.StringField({ required: true }),
+        ttl: dynamoBao.fields.TtlField(),
+      };
+      static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+    }
+    expect(() => SdExpiring._validateConfiguration()).toThrow(
+      "softDelete.ttlDays cannot be used in SdExpiring, since it has a TtlField",
+    );
+  });
+
+  test("ttlDays can't be used with the retain policy", () => {
+    class SdRetained extends dynamoBao.BaoModel {
+      static modelPrefix = "sdr";
+      static softDelete = { ttlDays: 7, uniqueConstraints: "retain" };
+      static fields = {
+        itemId: dynamoBao.fields.StringField({ required: true }),
+      };
+      static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+    }
+    expect(() => SdRetained._validateConfiguration()).toThrow(
+      /cannot be used with uniqueConstraints "retain" in SdRetained/,
+    );
+  });
+
+  test("the generator emits the normalized setting", () => {
+    const outputDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+    );
+    try {
+      const resolver = new FieldResolver(builtInFields, null);
+      generateModelFiles(
+        applyModelDefaults(makeNote({ ttlDays: 30 })),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const code = fs.readFileSync(path.join(outputDir, "note.js"), "utf8");
+      expect(code).toMatch(
+        /static softDelete = \{"ttlDays":30,"uniqueConstraints":"release"\};/,
+      );
+
+      generateModelFiles(
+        applyModelDefaults(makeNote()),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const plain = fs.readFileSync(path.join(outputDir, "note.js"), "utf8");
+      expect(plain).not.toMatch(/softDelete/);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,249 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { matchesFilter } = require("../src/filter-expression");
+const { ConfigurationError } = require("../src/exceptions");
+const { GSI_INDEX_ID1, GSI_INDEX_ID2 } = require("../src/constants");
+
+const { StringField, IntegerField, DateTimeField, StringSetField, MapField } =
+  dynamoBao.fields;
+
+class SiTicket extends dynamoBao.BaoModel {
+  static modelPrefix = "sit";
+  static fields = {
+    ticketId: StringField({ required: true }),
+    status: StringField(),
+    assigneeId: StringField(),
+    priority: IntegerField(),
+    title: StringField(),
+    dueAt: DateTimeField(),
+    tags: StringSetField(),
+    meta: MapField({ fields: { source: StringField() } }),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("ticketId");
+  static indexes = {
+    openByAssignee: dynamoBao.IndexConfig(
+      "assigneeId",
+      "ticketId",
+      GSI_INDEX_ID1,
+      { when: { status: { $in: ["open", "pending"] } } },
+    ),
+    urgent: dynamoBao.IndexConfig("modelPrefix", "priority", GSI_INDEX_ID2, {
+      when: { priority: { $gte: 8 }, status: { $ne: "closed" } },
+    }),
+  };
+}
+
+describe("Sparse indexes", () => {
+  let Ticket, table;
+
+  const storedRow = (ticketId) =>
+    table.getRow(Ticket._getDyKeyForPkSk({ pk: ticketId, sk: "sit" }));
+
+  beforeEach(() => {
+    const manager = initTestModelsWithTenant(testConfig, ulid());
+    manager.registerModel(SiTicket);
+    Ticket = manager.getModel("SiTicket");
+    table = stubDocumentClient(Ticket);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("only matching items get the index's keys", async () => {
+    await Ticket.create({
+      ticketId: "t1",
+      status: "open",
+      assigneeId: "u1",
+      priority: 9,
+    });
+    expect(storedRow("t1")).toMatchObject({
+      _gsi1_sk: "t1",
+      _gsi2_sk: Ticket.fields.priority.toGsi(9),
+    });
+
+    await Ticket.create({
+      ticketId: "t2",
+      status: "closed",
+      assigneeId: "u1",
+      priority: 9,
+    });
+    expect(table.lastUpdate().UpdateExpression).not.toContain("_gsi");
+    expect(storedRow("t2")._gsi1_pk).toBeUndefined();
+
+    const result = await Ticket.batchCreate([
+      { ticketId: "t3", status: "pending", assigneeId: "u2", priority: 1 },
+    ]);
+    expect(result.failed).toEqual([]);
+    const [put] =
+      table.sentOf("BatchWriteCommand")[0].input.RequestItems[Ticket.table];
+    expect(put.PutRequest.Item._gsi1_sk).toBe("t3");
+    expect(put.PutRequest.Item._gsi2_pk).toBeUndefined();
+  });
+
+  test("updates add and remove the keys as items start and stop matching", async () => {
+    await Ticket.create({
+      ticketId: "t1",
+      status: "open",
+      assigneeId: "u1",
+      priority: 9,
+    });
+
+    await Ticket.update("t1", { status: "closed" });
+    expect(table.lastUpdate().UpdateExpression).toContain(
+      "REMOVE #_gsi1_pk, #_gsi1_sk, #_gsi2_pk, #_gsi2_sk",
+    );
+    expect(Object.keys(storedRow("t1"))).not.toContain("_gsi1_pk");
+
+    // Other changes don't put it back in the index
+    await Ticket.update("t1", { title: "Printer" });
+    expect(Object.keys(storedRow("t1"))).not.toContain("_gsi1_pk");
+
+    // Reopening adds the keys again, from the stored fields
+    await Ticket.update("t1", { status: "pending" });
+    expect(storedRow("t1")).toMatchObject({ _gsi1_sk: "t1" });
+    expect(storedRow("t1")._gsi1_pk).toMatch(/#sit#gsi1#u1$/);
+
+    // Changing a key field of a matching item moves it in the index
+    const ticket = await Ticket.find("t1");
+    ticket.assigneeId = "u2";
+    await ticket.save();
+    expect(storedRow("t1")._gsi1_pk).toMatch(/#sit#gsi1#u2$/);
+
+    await Ticket.update("t1", { priority: 3 });
+    expect(storedRow("t1")._gsi2_pk).toBeUndefined();
+    expect(storedRow("t1")._gsi1_pk).toBeDefined();
+  });
+
+  test("conditions are evaluated like filters on the stored values", () => {
+    const item = {
+      status: "open",
+      priority: 5,
+      title: "Printer jam",
+      dueAt: Ticket.fields.dueAt.toDy(new Date("2026-03-01T00:00:00Z")),
+      tags: new Set(["hw", "office"]),
+      meta: { source: "email" },
+    };
+    const matches = (filter) => matchesFilter(filter, item, Ticket);
+
+    expect(matches({ status: "open" })).toBe(true);
+    expect(matches({ status: { $ne: "open" } })).toBe(false);
+    expect(matches({ assigneeId: { $ne: "u1" } })).toBe(true);
+    expect(matches({ assigneeId: null })).toBe(true);
+    expect(matches({ assigneeId: { $exists: true } })).toBe(false);
+    expect(matches({ priority: { $gt: 4, $lte: 5 } })).toBe(true);
+    expect(matches({ priority: { $in: [1, 2] } })).toBe(false);
+    expect(matches({ title: { $beginsWith: "Print" } })).toBe(true);
+    expect(matches({ title: { $contains: "jam" } })).toBe(true);
+    expect(matches({ tags: { $contains: "hw" } })).toBe(true);
+    expect(matches({ tags: { $size: { $gt: 2 } } })).toBe(false);
+    expect(matches({ "meta.source": "email" })).toBe(true);
+    expect(matches({ dueAt: { $lt: new Date("2026-04-01T00:00:00Z") } })).toBe(
+      true,
+    );
+    expect(
+      matches({ $or: [{ status: "closed" }, { priority: { $gte: 5 } }] }),
+    ).toBe(true);
+    expect(matches({ $not: { status: "open" } })).toBe(false);
+    expect(matches({ $and: [{ status: "open" }, { title: null }] })).toBe(
+      false,
+    );
+  });
+
+  test("the when option is validated", () => {
+    const makeModel = (when) =>
+      class extends dynamoBao.BaoModel {
+        static modelPrefix = "six";
+        static fields = {
+          itemId: StringField({ required: true }),
+          status: StringField(),
+        };
+        static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+        static indexes = {
+          open: dynamoBao.IndexConfig("status", "itemId", GSI_INDEX_ID1, {
+            when,
+          }),
+        };
+      };
+
+    expect(() =>
+      makeModel({ status: "open" })._validateConfiguration(),
+    ).not.toThrow();
+    expect(() => makeModel({})._validateConfiguration()).toThrow(
+      ConfigurationError,
+    );
+    expect(() => makeModel({ state: "open" })._validateConfiguration()).toThrow(
+      /Unknown field in filter: state/,
+    );
+    expect(() =>
+      makeModel({ status: { $matches: "o" } })._validateConfiguration(),
+    ).toThrow(/Invalid operator \$matches/);
+    expect(() =>
+      makeModel({ _searchText: { $contains: "o" } })._validateConfiguration(),
+    ).toThrow("can only use fields of the model, not '_searchText'");
+  });
+
+  describe("YAML", () => {
+    const makeTicket = (when) => ({
+      Ticket: {
+        modelPrefix: "ti",
+        fields: {
+          ticketId: { type: "UlidField", autoAssign: true },
+          status: { type: "StringField" },
+          assigneeId: { type: "StringField" },
+        },
+        primaryKey: { partitionKey: "ticketId" },
+        indexes: {
+          openByAssignee: {
+            partitionKey: "assigneeId",
+            sortKey: "ticketId",
+            indexId: "gsi1",
+            when,
+          },
+        },
+      },
+    });
+
+    test("applyModelDefaults checks the condition", () => {
+      expect(() => applyModelDefaults(makeTicket("open"))).toThrow(
+        'Model "Ticket": index "openByAssignee" `when` must be a filter, such as { status: open }.',
+      );
+      expect(() =>
+        applyModelDefaults(makeTicket({ $or: [{ state: "open" }] })),
+      ).toThrow(/`when` refers to "state", which isn't a field of the model/);
+    });
+
+    test("the generator passes the condition through", () => {
+      const outputDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+      );
+      try {
+        generateModelFiles(
+          applyModelDefaults(
+            makeTicket({ status: { $in: ["open", "pending"] } }),
+          ),
+          outputDir,
+          new FieldResolver(builtInFields, null),
+          "commonjs",
+        );
+        const code = fs.readFileSync(path.join(outputDir, "ticket.js"), "utf8");
+        expect(code).toContain(
+          `openByAssignee: IndexConfig('assigneeId', 'ticketId', GSI_INDEX_ID1, { when: {"status":{"$in":["open","pending"]}} }),`,
+        );
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
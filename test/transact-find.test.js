@@ -0,0 +1,157 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const { TransactionError, ValidationError } = require("../src/exceptions");
+
+const { transactFind, runWithBatchContext, getBatchContextCapacity } =
+  dynamoBao;
+
+class TfOrder extends dynamoBao.BaoModel {
+  static modelPrefix = "tfo";
+  static fields = {
+    orderId: dynamoBao.fields.StringField({ required: true }),
+    total: dynamoBao.fields.IntegerField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("orderId");
+}
+
+class TfLine extends dynamoBao.BaoModel {
+  static modelPrefix = "tfl";
+  static fields = {
+    orderId: dynamoBao.fields.StringField({ required: true }),
+    lineId: dynamoBao.fields.StringField({ required: true }),
+    quantity: dynamoBao.fields.IntegerField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("orderId", "lineId");
+}
+
+describe("transactFind", () => {
+  let testId, Order, Line, table, failure;
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(TfOrder);
+    manager.registerModel(TfLine);
+    Order = manager.getModel("TfOrder");
+    Line = manager.getModel("TfLine");
+
+    failure = null;
+    table = stubDocumentClient(Order, async (command, memoryTable) => {
+      if (failure) throw failure;
+      return {
+        ...(await memoryTable.send(command)),
+        ConsumedCapacity: [{ TableName: Order.table, CapacityUnits: 4 }],
+      };
+    });
+    table.putRow({
+      ...Order._getDyKeyForPkSk({ pk: "o1" }),
+      orderId: "o1",
+      total: 30,
+    });
+    table.putRow({
+      ...Line._getDyKeyForPkSk({ pk: "o1", sk: "l1" }),
+      orderId: "o1",
+      lineId: "l1",
+      quantity: 2,
+    });
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("reads items from several models in one TransactGetItems call", async () => {
+    const lineId = Line.getPrimaryId({ orderId: "o1", lineId: "l1" });
+
+    const { items, consumedCapacity } = await transactFind([
+      [Order, "o1"],
+      [Line, lineId],
+    ]);
+
+    expect(table.sent).toHaveLength(1);
+    expect(table.sent[0].constructor.name).toBe("TransactGetCommand");
+    expect(
+      table.sent[0].input.TransactItems.map((item) => item.Get.Key),
+    ).toEqual([
+      { _pk: `[${testId}]#tfo#o1`, _sk: "tfo" },
+      { _pk: `[${testId}]#tfl#o1`, _sk: "l1" },
+    ]);
+
+    expect(items[0]).toBeInstanceOf(Order);
+    expect(items[0].total).toBe(30);
+    expect(items[1]).toBeInstanceOf(Line);
+    expect(items[1].quantity).toBe(2);
+    expect(consumedCapacity).toEqual([
+      { TableName: Order.table, CapacityUnits: 4 },
+    ]);
+  });
+
+  test("returns ObjectNotFound for missing items", async () => {
+    const { items } = await transactFind([
+      [Order, "o2"],
+      [Order, "o3"],
+    ]);
+
+    expect(items.map((item) => item.exists())).toEqual([false, false]);
+  });
+
+  test("does not cache missing items", async () => {
+    await runWithBatchContext(async () => {
+      const { items } = await transactFind([[Order, "o2"]]);
+      expect(items[0].exists()).toBe(false);
+
+      await Order.create({ orderId: "o2", total: 5 });
+
+      const found = await Order.find("o2");
+      expect(found.exists()).toBe(true);
+      expect(found.total).toBe(5);
+    });
+  });
+
+  test("refreshes the batch-context cache and accumulates capacity", async () => {
+    await runWithBatchContext(async () => {
+      const { items } = await transactFind([[Order, "o1"]]);
+
+      const cached = await Order.find("o1");
+      expect(cached).toBe(items[0]);
+      expect(table.sent).toHaveLength(1);
+      expect(getBatchContextCapacity().read).toBe(4);
+      expect(items[0].getNumericConsumedCapacity("read")).toBe(4);
+    });
+  });
+
+  test("maps cancellation reasons to the conflicting item", async () => {
+    failure = new Error("Transaction cancelled");
+    failure.name = "TransactionCanceledException";
+    failure.CancellationReasons = [
+      { Code: "None" },
+      { Code: "TransactionConflict" },
+    ];
+
+    const error = await transactFind([
+      [Order, "o1"],
+      [Order, "o2"],
+    ]).catch((e) => e);
+
+    expect(error).toBeInstanceOf(TransactionError);
+    expect(error.code).toBe("TransactionConflict");
+    expect(error.operation).toEqual({
+      index: 1,
+      type: "get",
+      modelName: "TfOrder",
+      primaryId: "o2",
+    });
+  });
+
+  test("validates requests before sending", async () => {
+    await expect(transactFind([["o1"]])).rejects.toThrow(ValidationError);
+    const tooMany = Array.from({ length: 101 }, (_, i) => [Order, `o${i}`]);
+    await expect(transactFind(tooMany)).rejects.toThrow(/at most 100/);
+    expect(await transactFind([])).toEqual({ items: [], consumedCapacity: [] });
+    expect(table.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,258 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const { TransactionError, ValidationError } = require("../src/exceptions");
+const { UNIQUE_CONSTRAINT_ID1 } = require("../src/constants");
+
+class TxOrder extends dynamoBao.BaoModel {
+  static modelPrefix = "txo";
+  static fields = {
+    orderId: dynamoBao.fields.UlidField({ autoAssign: true, required: true }),
+    total: dynamoBao.fields.IntegerField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("orderId");
+}
+
+class TxInventory extends dynamoBao.BaoModel {
+  static modelPrefix = "txi";
+  static fields = {
+    itemId: dynamoBao.fields.StringField({ required: true }),
+    quantity: dynamoBao.fields.CounterField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("itemId");
+}
+
+class TxAccount extends dynamoBao.BaoModel {
+  static modelPrefix = "txa";
+  static fields = {
+    accountId: dynamoBao.fields.StringField({ required: true }),
+    email: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("accountId");
+  static uniqueConstraints = {
+    uniqueEmail: dynamoBao.UniqueConstraintConfig(
+      "email",
+      UNIQUE_CONSTRAINT_ID1,
+    ),
+  };
+}
+
+class TxNote extends dynamoBao.BaoModel {
+  static modelPrefix = "txn";
+  static audit = true;
+  static versioned = true;
+  static fields = {
+    noteId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("noteId");
+}
+
+describe("runTransaction", () => {
+  let testId, Order, Inventory, Account, Note, table;
+  let onTransact;
+
+  const transactions = () => table.sentOf("TransactWriteCommand");
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(TxOrder);
+    manager.registerModel(TxInventory);
+    manager.registerModel(TxAccount);
+    manager.registerModel(TxNote);
+    Order = manager.getModel("TxOrder");
+    Inventory = manager.getModel("TxInventory");
+    Account = manager.getModel("TxAccount");
+    Note = manager.getModel("TxNote");
+
+    onTransact = async (command, memoryTable) => ({
+      ...(await memoryTable.send(command)),
+      ConsumedCapacity: [{ CapacityUnits: 6 }],
+    });
+    table = stubDocumentClient(Order, (command, memoryTable) =>
+      command.constructor.name === "TransactWriteCommand"
+        ? onTransact(command, memoryTable)
+        : undefined,
+    );
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  const putStore = (Model, data) => {
+    const pk = Model._formatPrimaryKey(
+      Model.modelPrefix,
+      Object.values(data)[0],
+    );
+    table.putRow({ _pk: pk, _sk: Model.modelPrefix, ...data });
+  };
+
+  test("writes operations across models in one TransactWriteItems call", async () => {
+    putStore(Inventory, { itemId: "sku1", quantity: 5 });
+    await Account.create({ accountId: "a1", email: "a1@example.com" });
+
+    const { items, consumedCapacity } = await dynamoBao.runTransaction(
+      async (tx) => {
+        tx.create(Order, { total: 10 });
+        tx.update(Inventory, "sku1", { quantity: "-1" });
+        tx.delete(Account, "a1");
+        tx.conditionCheck(Inventory, "sku1", { quantity: { $gt: 0 } });
+      },
+    );
+
+    // The first transaction created the account
+    expect(transactions()).toHaveLength(2);
+    const transactItems = transactions()[1].input.TransactItems;
+    expect(transactItems.map((item) => Object.keys(item)[0])).toEqual([
+      "Update",
+      "Update",
+      "Delete",
+      "Delete",
+      "ConditionCheck",
+    ]);
+
+    const [create, update, del, constraint, check] = transactItems;
+    expect(create.Update.ConditionExpression).toBe("attribute_not_exists(#pk)");
+    expect(update.Update.Key._pk).toBe(`[${testId}]#txi#sku1`);
+    expect(update.Update.UpdateExpression).toContain("ADD");
+    expect(del.Delete.Key._pk).toBe(`[${testId}]#txa#a1`);
+    expect(constraint.Delete.Key._sk).toBe("_raft_uc");
+    expect(check.ConditionCheck.Key._pk).toBe(`[${testId}]#txi#sku1`);
+
+    expect(items).toHaveLength(4);
+    expect(items[2].accountId).toBe("a1");
+    expect(items[3]).toBeNull();
+    expect(consumedCapacity).toEqual([{ CapacityUnits: 6 }]);
+    expect(table.getRow(del.Delete.Key)).toBeUndefined();
+    expect(table.getRow(update.Update.Key).quantity).toBe(4);
+  });
+
+  test("adds unique constraint rows after the item they belong to", async () => {
+    await dynamoBao.runTransaction(async (tx) => {
+      tx.create(Account, { accountId: "a2", email: "a2@example.com" });
+    });
+
+    const [item, constraint] = transactions()[0].input.TransactItems;
+    expect(item.Update.Key._pk).toBe(`[${testId}]#txa#a2`);
+    expect(constraint.Put.Item.relatedId).toBe("a2");
+    expect(constraint.Put.Item.relatedModel).toBe("TxAccount");
+  });
+
+  test("runs save hooks around the write", async () => {
+    const calls = [];
+    Order.registerPlugin({
+      beforeSave: async (data, options) => {
+        calls.push(["beforeSave", options.isNew, transactions().length]);
+        data.total = 42;
+      },
+      afterSave: async (item, options) => {
+        calls.push(["afterSave", options.isNew, transactions().length]);
+      },
+    });
+
+    await dynamoBao.runTransaction(async (tx) => {
+      tx.create(Order, { total: 1 });
+    });
+
+    expect(calls).toEqual([
+      ["beforeSave", true, 0],
+      ["afterSave", true, 1],
+    ]);
+    const update = transactions()[0].input.TransactItems[0].Update;
+    expect(Object.values(update.ExpressionAttributeValues)).toContain(42);
+  });
+
+  test("maps cancellation reasons back to the failing operation", async () => {
+    putStore(Inventory, { itemId: "sku1", quantity: 0 });
+    // The value is taken after the unique constraint was checked
+    onTransact = () => {
+      const error = new Error("Transaction cancelled");
+      error.name = "TransactionCanceledException";
+      error.CancellationReasons = [
+        { Code: "None" },
+        { Code: "None" },
+        { Code: "ConditionalCheckFailed" },
+      ];
+      throw error;
+    };
+
+    const error = await dynamoBao
+      .runTransaction(async (tx) => {
+        tx.update(Inventory, "sku1", { quantity: "-1" });
+        tx.create(Account, { accountId: "a3", email: "taken@example.com" });
+      })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(TransactionError);
+    expect(error.code).toBe("ConditionalCheckFailed");
+    expect(error.operation).toEqual({
+      index: 1,
+      type: "create",
+      modelName: "TxAccount",
+      primaryId: "a3",
+      row: "uniqueConstraint",
+      uniqueConstraint: true,
+    });
+    expect(error.reasons).toHaveLength(3);
+  });
+
+  test("names the kind of row that failed", async () => {
+    putStore(Note, { noteId: "n1", title: "Draft" });
+    let failingRow;
+    onTransact = ({ input: { TransactItems } }) => {
+      const error = new Error("Transaction cancelled");
+      error.name = "TransactionCanceledException";
+      error.CancellationReasons = TransactItems.map((item, index) => ({
+        Code: index === failingRow ? "TransactionConflict" : "None",
+      }));
+      throw error;
+    };
+    const updateNote = () =>
+      dynamoBao
+        .runTransaction(async (tx) => {
+          tx.update(Note, "n1", { title: "Final" });
+        })
+        .catch((e) => e);
+
+    // The item, then its history row and the snapshot of the old version
+    failingRow = 2;
+    let error = await updateNote();
+    expect(error.operation).toMatchObject({
+      row: "version",
+      uniqueConstraint: false,
+    });
+    expect(error.message).toContain(
+      "failed with TransactionConflict on a version snapshot",
+    );
+
+    failingRow = 1;
+    error = await updateNote();
+    expect(error.operation.row).toBe("history");
+    expect(error.message).toContain("on its history row");
+
+    failingRow = 0;
+    error = await updateNote();
+    expect(error.operation.row).toBe("item");
+    expect(error.message).toMatch(/failed with TransactionConflict$/);
+  });
+
+  test("does not send anything for an empty transaction", async () => {
+    const result = await dynamoBao.runTransaction(async () => {});
+
+    expect(table.sent).toHaveLength(0);
+    expect(result).toEqual({ items: [], consumedCapacity: [] });
+  });
+
+  test("rejects operations that are not given a model class", async () => {
+    await expect(
+      dynamoBao.runTransaction(async (tx) => {
+        tx.create({}, { total: 1 });
+      }),
+    ).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,184 @@
+const dynamoBao = require("../src");
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const {
+  ConditionalError,
+  ItemNotFoundError,
+  ValidationError,
+} = require("../src/exceptions");
+const { GSI_INDEX_ID1, UNIQUE_CONSTRAINT_ID1 } = require("../src/constants");
+
+class UpsertUser extends dynamoBao.BaoModel {
+  static modelPrefix = "upu";
+  static iterable = true;
+  static iterationBuckets = 1;
+  static searchable = true;
+  static searchConfig = { fields: ["name"] };
+  static fields = {
+    userId: dynamoBao.fields.StringField({ required: true }),
+    name: dynamoBao.fields.StringField({ required: true }),
+    status: dynamoBao.fields.StringField({ defaultValue: "new" }),
+    bio: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("userId");
+  static indexes = {
+    byStatus: dynamoBao.IndexConfig("status", "name", GSI_INDEX_ID1),
+  };
+}
+
+class UpsertAccount extends dynamoBao.BaoModel {
+  static modelPrefix = "upa";
+  static fields = {
+    accountId: dynamoBao.fields.StringField({ required: true }),
+    email: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("accountId");
+  static uniqueConstraints = {
+    uniqueEmail: dynamoBao.UniqueConstraintConfig(
+      "email",
+      UNIQUE_CONSTRAINT_ID1,
+    ),
+  };
+}
+
+describe("upsert and replace", () => {
+  let testId, User, Account, table;
+
+  const storeUser = (data) =>
+    table.putRow({ ...User._getDyKeyForPkSk({ pk: data.userId }), ...data });
+
+  const storeAccount = (data) =>
+    table.putRow({
+      ...Account._getDyKeyForPkSk({ pk: data.accountId }),
+      ...data,
+    });
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(UpsertUser);
+    manager.registerModel(UpsertAccount);
+    User = manager.getModel("UpsertUser");
+    Account = manager.getModel("UpsertAccount");
+
+    table = stubDocumentClient(User, async (command, memoryTable) => {
+      if (command.constructor.name === "GetCommand") return undefined;
+      return {
+        ...(await memoryTable.send(command)),
+        ConsumedCapacity: { CapacityUnits: 1 },
+      };
+    });
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("upsert writes the whole item with one PutItem", async () => {
+    const user = await User.upsert({ userId: "u1", name: "Alice" });
+
+    expect(table.sent).toHaveLength(1);
+    const { input } = table.sentOf("PutCommand")[0];
+    expect(input.ConditionExpression).toBeUndefined();
+    expect(input.Item).toMatchObject({
+      _pk: `[${testId}]#upu#u1`,
+      _sk: "upu",
+      userId: "u1",
+      name: "Alice",
+      status: "new",
+      _gsi1_pk: `[${testId}]#upu#gsi1#new`,
+      _gsi1_sk: "Alice",
+      _iter_pk: `[${testId}]#upu#iter`,
+      _iter_sk: "u1",
+    });
+    expect(input.Item._searchText).toBeDefined();
+    expect(input.Item.bio).toBeUndefined();
+
+    expect(user).toBeInstanceOf(User);
+    expect(user.getPrimaryId()).toBe("u1");
+    expect(user.getNumericConsumedCapacity("write")).toBe(1);
+  });
+
+  test("upsert applies a condition and reports failures", async () => {
+    storeUser({ userId: "u1", name: "Alice", status: "active" });
+
+    const error = await User.upsert(
+      { userId: "u1", name: "Alice" },
+      { condition: { status: "new" } },
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ConditionalError);
+    const { input } = table.sentOf("PutCommand")[0];
+    expect(input.ConditionExpression).toMatch(/^\(.+\)$/);
+    expect(Object.values(input.ExpressionAttributeValues)).toContain("new");
+  });
+
+  test("replace takes key fields from the primary id and requires the item", async () => {
+    storeUser({ userId: "u1", name: "Alice", status: "new" });
+    const user = await User.replace("u1", { name: "Bob" });
+
+    const { input } = table.sentOf("PutCommand")[0];
+    expect(input.ConditionExpression).toBe("attribute_exists(#pk)");
+    expect(input.ExpressionAttributeNames).toEqual({ "#pk": "_pk" });
+    expect(input.Item).toMatchObject({
+      _pk: `[${testId}]#upu#u1`,
+      name: "Bob",
+    });
+    expect(user.userId).toBe("u1");
+
+    await expect(User.replace("u2", { name: "Bob" })).rejects.toThrow(
+      ItemNotFoundError,
+    );
+  });
+
+  test("replace combines the existence check with a condition", async () => {
+    storeUser({ userId: "u1", name: "Alice", status: "new" });
+    await User.replace("u1", { name: "Bob" }, { condition: { status: "new" } });
+
+    const { input } = table.sentOf("PutCommand")[0];
+    expect(input.ConditionExpression).toMatch(
+      /^attribute_exists\(#pk\) AND \(.+\)$/,
+    );
+    expect(input.ExpressionAttributeNames["#pk"]).toBe("_pk");
+  });
+
+  test("replace rejects data for a different primary key", async () => {
+    await expect(
+      User.replace("u1", { userId: "u2", name: "Bob" }),
+    ).rejects.toThrow(ValidationError);
+    expect(table.sent).toHaveLength(0);
+  });
+
+  test("replace moves unique constraint rows in a transaction", async () => {
+    await Account.create({ accountId: "a1", email: "old@example.com" });
+
+    await Account.replace("a1", { email: "new@example.com" });
+
+    const tx = table.sentOf("TransactWriteCommand").at(-1);
+    const items = tx.input.TransactItems;
+    expect(items[0].Put.Item).toMatchObject({
+      accountId: "a1",
+      email: "new@example.com",
+    });
+    expect(items[0].Put.ConditionExpression).toBe("attribute_exists(#pk)");
+    expect(items[1].Delete.Key._pk).toContain("old@example.com");
+    expect(items[2].Put.Item._pk).toContain("new@example.com");
+    expect(table.sentOf("PutCommand")).toHaveLength(0);
+  });
+
+  test("unique constraint models use PutItem when constraints are unchanged", async () => {
+    storeAccount({ accountId: "a1", email: "same@example.com" });
+
+    await Account.upsert({ accountId: "a1", email: "same@example.com" });
+
+    expect(table.sentOf("TransactWriteCommand")).toHaveLength(0);
+    expect(table.sentOf("PutCommand")).toHaveLength(1);
+
+    await expect(
+      Account.replace("a2", { email: "x@example.com" }),
+    ).rejects.toThrow(ItemNotFoundError);
+  });
+});
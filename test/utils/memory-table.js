@@ -0,0 +1,593 @@
+/**
+ * An in-memory stand-in for the table, for tests that check the requests a
+ * model builds without DynamoDB. It answers reads, queries and scans from
+ * the rows it holds, applies updates (SET, including nested paths and
+ * list_append, REMOVE, ADD and DELETE), and applies the puts and deletes of
+ * batch writes and transactions. Condition, key condition and filter
+ * expressions are evaluated, and a failed condition throws the error
+ * DynamoDB would. Pass `respond` to {@link stubDocumentClient} to answer a
+ * command differently.
+ */
+
+const { NumberValue } = require("../../src/dynamodb-client");
+
+// Copy a stored value so callers never share it with the table
+function clone(value) {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  if (value instanceof Set) return new Set([...value].map(clone));
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)]),
+    );
+  }
+  return value;
+}
+
+// Numbers may be held exactly, as a NumberValue
+const toNumber = (value) =>
+  value instanceof NumberValue ? Number(value.value) : Number(value);
+
+const isNumber = (value) =>
+  typeof value === "number" || value instanceof NumberValue;
+
+// Set members compare by value, as they do in DynamoDB
+const memberKey = (member) =>
+  Buffer.isBuffer(member) || member instanceof Uint8Array
+    ? Buffer.from(member).toString("hex")
+    : isNumber(member)
+      ? String(toNumber(member))
+      : String(member);
+
+function addMembers(current, members) {
+  if (current instanceof Set || members instanceof Set) {
+    return new Set([...(current || []), ...members]);
+  }
+  const keys = (current || []).map(memberKey);
+  return [
+    ...(current || []),
+    ...members.filter((member) => !keys.includes(memberKey(member))),
+  ];
+}
+
+function deleteMembers(current, members) {
+  const keys = [...members].map(memberKey);
+  const kept = [...(current || [])].filter(
+    (member) => !keys.includes(memberKey(member)),
+  );
+  return current instanceof Set ? new Set(kept) : kept;
+}
+
+// `#a.#b[2]` becomes ["a", "b", 2]
+const parsePath = (path, names) =>
+  path
+    .trim()
+    .split(".")
+    .flatMap((segment) => {
+      const [name, ...indexes] = segment.split("[");
+      return [
+        names[name] ?? name,
+        ...indexes.map((index) => Number(index.slice(0, -1))),
+      ];
+    });
+
+const getPath = (row, keys) => keys.reduce((obj, key) => obj?.[key], row);
+
+function equals(a, b) {
+  if (isNumber(a) && isNumber(b)) return toNumber(a) === toNumber(b);
+  if (a instanceof Set || Array.isArray(a)) {
+    if (!(b instanceof Set || Array.isArray(b))) return false;
+    const [left, right] = [[...a], [...b]];
+    return (
+      left.length === right.length &&
+      left.every((item, i) =>
+        a instanceof Set
+          ? right.some((other) => equals(item, other))
+          : equals(item, right[i]),
+      )
+    );
+  }
+  if (Buffer.isBuffer(a) || a instanceof Uint8Array) {
+    return memberKey(a) === memberKey(b);
+  }
+  if (a && typeof a === "object") {
+    if (!b || typeof b !== "object") return false;
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => equals(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+// Only values of the same type are ordered; anything else doesn't match
+function compare(a, b) {
+  if (isNumber(a) && isNumber(b)) return toNumber(a) - toNumber(b);
+  if (typeof a === "string" && typeof b === "string") {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return Buffer.compare(a, b);
+  return NaN;
+}
+
+function sizeOf(value) {
+  if (value === undefined) return undefined;
+  if (typeof value === "string") return value.length;
+  if (value instanceof Set) return value.size;
+  if (Array.isArray(value) || Buffer.isBuffer(value)) return value.length;
+  if (value && typeof value === "object") return Object.keys(value).length;
+  return undefined;
+}
+
+/**
+ * Evaluate a condition, key condition or filter expression against a row.
+ * Supports comparisons, BETWEEN, IN, AND/OR/NOT, parentheses and the
+ * attribute_exists, attribute_not_exists, begins_with, contains and size
+ * functions.
+ */
+function evaluateExpression(expression, row, input) {
+  const names = input.ExpressionAttributeNames || {};
+  const values = input.ExpressionAttributeValues || {};
+  const tokens = expression.match(/<>|<=|>=|[=<>(),]|[^\s=<>(),]+/g);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected ${token} in expression: ${expression}`);
+    }
+  };
+
+  const operand = () => {
+    const token = next();
+    if (token.startsWith(":")) return values[token];
+    if (token === "size" && peek() === "(") {
+      expect("(");
+      const value = sizeOf(getPath(row, parsePath(next(), names)));
+      expect(")");
+      return value;
+    }
+    return getPath(row, parsePath(token, names));
+  };
+
+  const callFunction = (name) => {
+    expect("(");
+    const args = [next()];
+    while (peek() === ",") {
+      next();
+      args.push(next());
+    }
+    expect(")");
+    const value = getPath(row, parsePath(args[0], names));
+    const arg = args[1]?.startsWith(":")
+      ? values[args[1]]
+      : args[1] && getPath(row, parsePath(args[1], names));
+    switch (name) {
+      case "attribute_exists":
+        return value !== undefined;
+      case "attribute_not_exists":
+        return value === undefined;
+      case "begins_with":
+        return typeof value === "string" && value.startsWith(arg);
+      case "contains":
+        if (typeof value === "string") return value.includes(arg);
+        if (value instanceof Set || Array.isArray(value)) {
+          return [...value].some((item) => equals(item, arg));
+        }
+        return false;
+      default:
+        throw new Error(`Unsupported function ${name} in: ${expression}`);
+    }
+  };
+
+  const primary = () => {
+    if (peek() === "(") {
+      next();
+      const result = or();
+      expect(")");
+      return result;
+    }
+    const token = peek();
+    if (
+      tokens[pos + 1] === "(" &&
+      [
+        "attribute_exists",
+        "attribute_not_exists",
+        "begins_with",
+        "contains",
+      ].includes(token)
+    ) {
+      next();
+      return callFunction(token);
+    }
+
+    const left = operand();
+    const op = next();
+    if (op === "BETWEEN") {
+      const low = operand();
+      expect("AND");
+      const high = operand();
+      return compare(left, low) >= 0 && compare(left, high) <= 0;
+    }
+    if (op === "IN") {
+      expect("(");
+      const candidates = [operand()];
+      while (peek() === ",") {
+        next();
+        candidates.push(operand());
+      }
+      expect(")");
+      return candidates.some((candidate) => equals(left, candidate));
+    }
+
+    const right = operand();
+    if (op === "=") return left !== undefined && equals(left, right);
+    if (op === "<>") return !equals(left, right);
+    const order = compare(left, right);
+    switch (op) {
+      case "<":
+        return order < 0;
+      case "<=":
+        return order <= 0;
+      case ">":
+        return order > 0;
+      case ">=":
+        return order >= 0;
+      default:
+        throw new Error(`Unsupported operator ${op} in: ${expression}`);
+    }
+  };
+
+  const not = () => {
+    if (peek() === "NOT") {
+      next();
+      return !not();
+    }
+    return primary();
+  };
+
+  const and = () => {
+    let result = not();
+    while (peek() === "AND") {
+      next();
+      result = not() && result;
+    }
+    return result;
+  };
+
+  function or() {
+    let result = and();
+    while (peek() === "OR") {
+      next();
+      result = and() || result;
+    }
+    return result;
+  }
+
+  const result = or();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected ${peek()} in expression: ${expression}`);
+  }
+  return result;
+}
+
+function applyUpdateExpression(row, input) {
+  const names = input.ExpressionAttributeNames || {};
+  const values = input.ExpressionAttributeValues || {};
+  const parentOf = (keys) =>
+    keys.slice(0, -1).reduce((obj, key) => obj[key], row);
+  const operand = (ref) =>
+    ref.startsWith(":") ? values[ref] : getPath(row, parsePath(ref, names));
+
+  const removedIndexes = [];
+  const clauses = input.UpdateExpression.split(
+    / (?=SET |REMOVE |ADD |DELETE )/,
+  );
+  for (const clause of clauses) {
+    const [action, ...rest] = clause.split(" ");
+    for (const part of rest.join(" ").split(/, (?![^(]*\))/)) {
+      if (action === "SET") {
+        const [path, expression] = part.split(" = ");
+        const keys = parsePath(path, names);
+        const append = expression.match(/^list_append\((\S+), (\S+)\)$/);
+        const math = expression.match(/^(\S+) ([+-]) (\S+)$/);
+        let value;
+        if (append) {
+          value = [...operand(append[1]), ...operand(append[2])];
+        } else if (math) {
+          const [left, right] = [operand(math[1]) || 0, operand(math[3])];
+          value =
+            math[2] === "+"
+              ? toNumber(left) + toNumber(right)
+              : toNumber(left) - toNumber(right);
+        } else {
+          value = operand(expression);
+        }
+        parentOf(keys)[keys.at(-1)] = clone(value);
+      } else if (action === "REMOVE") {
+        const keys = parsePath(part, names);
+        if (typeof keys.at(-1) === "number") {
+          removedIndexes.push(keys);
+        } else {
+          delete parentOf(keys)[keys.at(-1)];
+        }
+      } else {
+        const [path, ref] = part.split(" ");
+        const keys = parsePath(path, names);
+        const parent = parentOf(keys);
+        const current = parent[keys.at(-1)];
+        const value = values[ref];
+        if (action === "DELETE") {
+          parent[keys.at(-1)] = deleteMembers(current, value);
+        } else if (Array.isArray(value) || value instanceof Set) {
+          parent[keys.at(-1)] = addMembers(current, value);
+        } else {
+          parent[keys.at(-1)] = toNumber(current || 0) + toNumber(value);
+        }
+      }
+    }
+  }
+
+  // Indexes refer to the list before the update, so remove the highest first
+  removedIndexes
+    .sort((a, b) => b.at(-1) - a.at(-1))
+    .forEach((keys) => parentOf(keys).splice(keys.at(-1), 1));
+  return row;
+}
+
+function conditionalCheckFailed() {
+  const error = new Error("The conditional request failed");
+  error.name = "ConditionalCheckFailedException";
+  return error;
+}
+
+// The key attributes of an index, and what it projects
+function indexSchema(indexName) {
+  if (!indexName) return { pk: "_pk", sk: "_sk" };
+  if (indexName.startsWith("iter_")) {
+    return {
+      pk: "_iter_pk",
+      sk: "_iter_sk",
+      include: indexName === "iter_index" ? [] : ["_searchText"],
+    };
+  }
+  return { pk: `_${indexName}_pk`, sk: `_${indexName}_sk` };
+}
+
+function createMemoryTable() {
+  const rows = new Map();
+  const rowKey = (key) => `${key._pk}|${key._sk}`;
+
+  const getRow = (key) => {
+    const row = rows.get(rowKey(key));
+    return row && clone(row);
+  };
+
+  const putRow = (item) => {
+    const old = getRow(item);
+    rows.set(rowKey(item), clone(item));
+    return old;
+  };
+
+  const deleteRow = (key) => {
+    const old = getRow(key);
+    rows.delete(rowKey(key));
+    return old;
+  };
+
+  // Throws like DynamoDB when the input's condition doesn't hold
+  const checkCondition = (key, input) => {
+    if (!input.ConditionExpression) return;
+    const row = getRow(key) || {};
+    if (!evaluateExpression(input.ConditionExpression, row, input)) {
+      throw conditionalCheckFailed();
+    }
+  };
+
+  const applyUpdate = (input) => {
+    checkCondition(input.Key, input);
+    const row = getRow(input.Key) || { ...input.Key };
+    rows.set(rowKey(input.Key), applyUpdateExpression(row, input));
+    return getRow(input.Key);
+  };
+
+  const applyWrite = ({ Update, Put, Delete }) => {
+    if (Update) applyUpdate(Update);
+    if (Put) {
+      checkCondition(Put.Item, Put);
+      putRow(Put.Item);
+    }
+    if (Delete) {
+      checkCondition(Delete.Key, Delete);
+      deleteRow(Delete.Key);
+    }
+  };
+
+  // Rows of the table or an index in key order, then the page the input
+  // asks for. Like DynamoDB, Limit counts rows before the filter
+  const readRows = (input, matchesKey) => {
+    const { pk, sk, include } = indexSchema(input.IndexName);
+    let found = [...rows.values()]
+      .filter((row) => row[pk] !== undefined && matchesKey(row))
+      .sort(
+        (a, b) =>
+          compare(a[pk], b[pk]) ||
+          compare(a[sk], b[sk]) ||
+          compare(rowKey(a), rowKey(b)),
+      );
+    if (input.ScanIndexForward === false) found.reverse();
+
+    if (input.ExclusiveStartKey) {
+      const start = found.findIndex(
+        (row) => rowKey(row) === rowKey(input.ExclusiveStartKey),
+      );
+      found = found.slice(start + 1);
+    }
+    const page = input.Limit ? found.slice(0, input.Limit) : found;
+    const items = page
+      .filter(
+        (row) =>
+          !input.FilterExpression ||
+          evaluateExpression(input.FilterExpression, row, input),
+      )
+      .map((row) =>
+        include
+          ? Object.fromEntries(
+              ["_pk", "_sk", pk, sk, ...include]
+                .filter((name) => row[name] !== undefined)
+                .map((name) => [name, row[name]]),
+            )
+          : row,
+      )
+      .map(clone);
+
+    const response = { Count: items.length, ScannedCount: page.length };
+    if (input.Select !== "COUNT") response.Items = items;
+    if (page.length < found.length) {
+      const last = page.at(-1);
+      response.LastEvaluatedKey = Object.fromEntries(
+        [...new Set(["_pk", "_sk", pk, sk])].map((name) => [name, last[name]]),
+      );
+    }
+    return response;
+  };
+
+  async function send(command) {
+    const { input } = command;
+    switch (command.constructor.name) {
+      case "GetCommand": {
+        const row = getRow(input.Key);
+        return row ? { Item: row } : {};
+      }
+      case "BatchGetCommand": {
+        const Responses = {};
+        for (const [table, { Keys }] of Object.entries(input.RequestItems)) {
+          Responses[table] = Keys.map(getRow).filter(Boolean);
+        }
+        return { Responses, UnprocessedKeys: {} };
+      }
+      case "UpdateCommand": {
+        const old = getRow(input.Key);
+        const updated = applyUpdate(input);
+        return { Attributes: input.ReturnValues === "ALL_OLD" ? old : updated };
+      }
+      case "PutCommand": {
+        checkCondition(input.Item, input);
+        const old = putRow(input.Item);
+        return input.ReturnValues === "ALL_OLD" && old
+          ? { Attributes: old }
+          : {};
+      }
+      case "DeleteCommand":
+        checkCondition(input.Key, input);
+        return { Attributes: deleteRow(input.Key) };
+      case "BatchWriteCommand":
+        for (const requests of Object.values(input.RequestItems)) {
+          for (const { PutRequest, DeleteRequest } of requests) {
+            if (PutRequest) putRow(PutRequest.Item);
+            if (DeleteRequest) deleteRow(DeleteRequest.Key);
+          }
+        }
+        return { UnprocessedItems: {} };
+      case "TransactGetCommand":
+        return {
+          Responses: input.TransactItems.map(({ Get }) => {
+            const row = getRow(Get.Key);
+            return row ? { Item: row } : {};
+          }),
+        };
+      case "TransactWriteCommand": {
+        // Check every condition before writing anything
+        const reasons = input.TransactItems.map((item) => {
+          const write = item.ConditionCheck || item.Update || item.Delete;
+          const key = write ? write.Key : item.Put.Item;
+          try {
+            checkCondition(key, write || item.Put);
+            return { Code: "None" };
+          } catch (error) {
+            return { Code: "ConditionalCheckFailed", Message: error.message };
+          }
+        });
+        if (reasons.some((reason) => reason.Code !== "None")) {
+          const error = new Error(
+            `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons
+              .map((reason) => reason.Code)
+              .join(", ")}]`,
+          );
+          error.name = "TransactionCanceledException";
+          error.CancellationReasons = reasons;
+          throw error;
+        }
+        input.TransactItems.forEach(applyWrite);
+        return {};
+      }
+      case "QueryCommand":
+        return readRows(input, (row) =>
+          evaluateExpression(input.KeyConditionExpression, row, input),
+        );
+      case "ScanCommand":
+        return readRows(
+          input,
+          (row) =>
+            input.TotalSegments === undefined ||
+            [...rowKey(row)].reduce((sum, c) => sum + c.charCodeAt(0), 0) %
+              input.TotalSegments ===
+              input.Segment,
+        );
+      default:
+        throw new Error(`Unsupported command ${command.constructor.name}`);
+    }
+  }
+
+  return {
+    rows,
+    rowKey,
+    getRow,
+    putRow,
+    deleteRow,
+    applyUpdate,
+    applyWrite,
+    send,
+  };
+}
+
+/**
+ * Replace documentClient.send on a model's client with a memory table.
+ * Commands are recorded in `sent`. `respond(command, table)` can answer a
+ * command itself, or throw; when it returns undefined the table answers.
+ * @param {Function} Model - A registered model; its client is stubbed
+ * @param {Function} [respond] - `async (command, table) => response`
+ * @returns {Object} The table's helpers, plus `sent`, `sentOf(name)`,
+ *   `lastUpdate()` and `restore()`
+ */
+function stubDocumentClient(Model, respond = null) {
+  const { documentClient } = Model;
+  const realSend = documentClient.send;
+  const table = createMemoryTable();
+  const sent = [];
+
+  documentClient.send = async (command) => {
+    sent.push(command);
+    const response = respond ? await respond(command, table) : undefined;
+    return response === undefined ? table.send(command) : response;
+  };
+
+  const sentOf = (commandName) =>
+    sent.filter((command) => command.constructor.name === commandName);
+
+  return {
+    ...table,
+    sent,
+    sentOf,
+    lastUpdate: () => sentOf("UpdateCommand").at(-1).input,
+    restore: () => {
+      documentClient.send = realSend;
+    },
+  };
+}
+
+module.exports = { createMemoryTable, stubDocumentClient };
@@ -0,0 +1,269 @@
+const dynamoBao = require("../src");
+const { runWithBatchContext } = dynamoBao;
+const testConfig = require("./config");
+const { initTestModelsWithTenant } = require("./utils/test-utils");
+const { stubDocumentClient } = require("./utils/memory-table");
+const { ulid } = require("ulid");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { applyModelDefaults } = require("../bin/lib/process-models");
+const { generateModelFiles } = require("../bin/generators/model");
+const FieldResolver = require("../src/fieldResolver");
+const builtInFields = require("../src/fields");
+const { ConditionalError, ItemNotFoundError } = require("../src/exceptions");
+const { VERSION_KEY } = require("../src/constants");
+
+class VrArticle extends dynamoBao.BaoModel {
+  static modelPrefix = "vra";
+  static versioned = { keep: 2 };
+  static fields = {
+    articleId: dynamoBao.fields.StringField({ required: true }),
+    title: dynamoBao.fields.StringField(),
+    body: dynamoBao.fields.StringField(),
+  };
+  static primaryKey = dynamoBao.PrimaryKeyConfig("articleId");
+}
+
+describe("versioned models", () => {
+  let testId, Article, table;
+
+  const snapshotRows = () =>
+    [...table.rows.values()].filter((row) => row._sk.startsWith(VERSION_KEY));
+
+  beforeEach(() => {
+    testId = ulid();
+    const manager = initTestModelsWithTenant(testConfig, testId);
+    manager.registerModel(VrArticle);
+    Article = manager.getModel("VrArticle");
+
+    table = stubDocumentClient(Article);
+  });
+
+  afterEach(() => {
+    table.restore();
+    dynamoBao.TenantContext.clearTenant();
+  });
+
+  test("an update keeps the replaced version in the same transaction", async () => {
+    const created = await Article.create({ articleId: "a1", title: "Draft" });
+    expect(created.getVersionNumber()).toBe(1);
+    expect(table.sentOf("TransactWriteCommand")).toHaveLength(0);
+
+    const updated = await Article.update("a1", { title: "Final" });
+
+    const [transaction] = table.sentOf("TransactWriteCommand");
+    const update = transaction.input.TransactItems.find((item) => item.Update);
+    expect(update.Update.ConditionExpression).toBe(
+      "attribute_not_exists(#versionNumber)",
+    );
+    const snapshot = transaction.input.TransactItems.find((item) => item.Put)
+      .Put.Item;
+    expect(snapshot).toMatchObject({
+      _pk: updated._dyData._pk,
+      _sk: `${VERSION_KEY}#vra#0000000001`,
+      title: "Draft",
+      _versionNumber: 1,
+      _gsi_test_id: testId,
+    });
+    expect(snapshot._gsi1_pk).toBeUndefined();
+    expect(updated.getVersionNumber()).toBe(2);
+    expect(updated.getVersionedAt()).toBeNull();
+
+    const { items } = await updated.listVersions();
+    expect(items).toHaveLength(1);
+    expect(items[0].title).toBe("Draft");
+    expect(items[0].getVersionNumber()).toBe(1);
+    expect(items[0].getVersionedAt()).toBeInstanceOf(Date);
+    expect(items[0].getPrimaryId()).toBe(updated.getPrimaryId());
+  });
+
+  test("saves that change nothing keep the version number", async () => {
+    await Article.create({ articleId: "a1", title: "Draft" });
+    await Article.update("a1", { title: "Final" });
+
+    const unchanged = await Article.update("a1", { title: "Final" });
+
+    expect(unchanged.getVersionNumber()).toBe(2);
+    expect(snapshotRows()).toHaveLength(1);
+  });
+
+  test("versions past the keep limit are pruned in the same transaction", async () => {
+    await Article.create({ articleId: "a1", title: "v1" });
+    for (const title of ["v2", "v3", "v4"]) {
+      await Article.update("a1", { title });
+    }
+
+    const last = table.sentOf("TransactWriteCommand").at(-1);
+    const deletes = last.input.TransactItems.filter((item) => item.Delete);
+    expect(deletes).toHaveLength(1);
+    expect(deletes[0].Delete.Key._sk).toBe(`${VERSION_KEY}#vra#0000000001`);
+
+    const { items } = await Article.listVersions("a1");
+    expect(items.map((version) => version.getVersionNumber())).toEqual([3, 2]);
+    expect(items.map((version) => version.title)).toEqual(["v3", "v2"]);
+  });
+
+  test("findVersion loads a stored version or the current item", async () => {
+    await Article.create({ articleId: "a1", title: "Draft" });
+    await Article.update("a1", { title: "Final" });
+
+    expect((await Article.findVersion("a1", 1)).title).toBe("Draft");
+    const current = await Article.findVersion("a1", 2);
+    expect(current.title).toBe("Final");
+    expect(current.getVersionedAt()).toBeNull();
+    expect((await Article.findVersion("a1", 7)).exists()).toBe(false);
+  });
+
+  test("revertTo saves an earlier version as the newest one", async () => {
+    await Article.create({ articleId: "a1", title: "Draft", body: "Text" });
+    await Article.update("a1", { title: "Final", body: null });
+
+    const article = await Article.find("a1");
+    await article.revertTo(1);
+
+    expect(article.title).toBe("Draft");
+    expect(article.body).toBe("Text");
+    expect(article.getVersionNumber()).toBe(3);
+    expect(article.hasChanges()).toBe(false);
+    const { items } = await article.listVersions();
+    expect(items.map((version) => version.title)).toEqual(["Final", "Draft"]);
+
+    await expect(Article.revertTo("a1", 9)).rejects.toThrow(ItemNotFoundError);
+  });
+
+  test("saves in one batch context number versions from the stored item", async () => {
+    await Article.create({ articleId: "a1", title: "Draft" });
+
+    await runWithBatchContext(async () => {
+      await Article.find("a1");
+      // Another request saves a version after the item was cached
+      await runWithBatchContext(() =>
+        Article.update("a1", { title: "Elsewhere" }),
+      );
+      expect((await Article.findVersion("a1", 2)).title).toBe("Elsewhere");
+
+      const updated = await Article.update("a1", { title: "Final" });
+      expect(updated.getVersionNumber()).toBe(3);
+      const reverted = await Article.revertTo("a1", 1);
+      expect(reverted.getVersionNumber()).toBe(4);
+      expect(reverted.title).toBe("Draft");
+    });
+
+    const { items } = await Article.listVersions("a1");
+    expect(items.map((version) => version.title)).toEqual([
+      "Final",
+      "Elsewhere",
+    ]);
+  });
+
+  test("saving a stale copy fails instead of recording the wrong version", async () => {
+    await Article.create({ articleId: "a1", title: "Draft" });
+    const stale = await Article.find("a1");
+    await Article.update("a1", { title: "Edited elsewhere" });
+
+    stale.title = "Mine";
+    await expect(stale.save()).rejects.toThrow(ConditionalError);
+    expect(snapshotRows()).toHaveLength(1);
+  });
+
+  test("upsert keeps the overwritten version and carries the number on", async () => {
+    await Article.create({ articleId: "a1", title: "Draft" });
+
+    const upserted = await Article.upsert({ articleId: "a1", title: "New" });
+
+    expect(upserted.getVersionNumber()).toBe(2);
+    const [transaction] = table.sentOf("TransactWriteCommand");
+    const put = transaction.input.TransactItems[0].Put;
+    expect(put.Item._versionNumber).toBe(2);
+    expect(put.ConditionExpression).toBe(
+      "attribute_not_exists(#versionNumber)",
+    );
+    expect((await Article.findVersion("a1", 1)).title).toBe("Draft");
+  });
+
+  test("deleting an item removes its versions", async () => {
+    await Article.create({ articleId: "a1", title: "v1" });
+    await Article.update("a1", { title: "v2" });
+    await Article.update("a1", { title: "v3" });
+
+    await Article.delete("a1");
+
+    const transaction = table.sentOf("TransactWriteCommand").at(-1);
+    expect(
+      transaction.input.TransactItems.filter((item) => item.Delete),
+    ).toHaveLength(3);
+    expect(table.rows.size).toBe(0);
+  });
+
+  test("queries and scans leave out version rows", async () => {
+    await Article.queryByPrimaryKey("a1");
+    await Article.scan();
+
+    const [query] = table.sentOf("QueryCommand");
+    expect(Object.values(query.input.ExpressionAttributeNames)).toContain(
+      "_versionedAt",
+    );
+    expect(query.input.FilterExpression).toMatch(/attribute_not_exists/);
+    const [scan] = table.sentOf("ScanCommand");
+    expect(scan.input.FilterExpression).toMatch(/attribute_not_exists/);
+  });
+});
+
+describe("versioned model option", () => {
+  const makeNote = (versioned) => ({
+    Note: {
+      modelPrefix: "n",
+      fields: { noteId: { type: "UlidField", autoAssign: true } },
+      primaryKey: { partitionKey: "noteId" },
+      ...(versioned !== undefined && { versioned }),
+    },
+  });
+
+  test("applyModelDefaults normalizes the option", () => {
+    expect(applyModelDefaults(makeNote()).Note.versioned).toBe(false);
+    expect(applyModelDefaults(makeNote(true)).Note.versioned).toEqual({
+      keep: 10,
+    });
+    expect(applyModelDefaults(makeNote({ keep: 20 })).Note.versioned).toEqual({
+      keep: 20,
+    });
+  });
+
+  test("applyModelDefaults rejects invalid settings", () => {
+    expect(() => applyModelDefaults(makeNote("yes"))).toThrow(/versioned/);
+    expect(() => applyModelDefaults(makeNote({ keep: 0 }))).toThrow(/keep/);
+    expect(() => applyModelDefaults(makeNote({ keep: 500 }))).toThrow(/keep/);
+    expect(() => applyModelDefaults(makeNote({ max: 3 }))).toThrow(
+      /unknown option "max"/,
+    );
+  });
+
+  test("the generator emits the normalized setting", () => {
+    const outputDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "dynamo-bao-codegen-"),
+    );
+    try {
+      const resolver = new FieldResolver(builtInFields, null);
+      generateModelFiles(
+        applyModelDefaults(makeNote({ keep: 20 })),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const code = fs.readFileSync(path.join(outputDir, "note.js"), "utf8");
+      expect(code).toMatch(/static versioned = \{"keep":20\};/);
+
+      generateModelFiles(
+        applyModelDefaults(makeNote()),
+        outputDir,
+        resolver,
+        "commonjs",
+      );
+      const plain = fs.readFileSync(path.join(outputDir, "note.js"), "utf8");
+      expect(plain).not.toMatch(/versioned/);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});